@@ -1,9 +1,19 @@
+import { useEffect } from "react";
 import { Routes, Route } from "react-router-dom";
 import Layout from "./app/shell/Layout";
 import Dashboard from "./app/dashboard/views/Dashboard";
 import Inventory from "./app/inventory/views/Inventory";
 import NewProduct from "./app/products/new/NewProduct";
+import ImportProducts from "./app/products/import/ImportProducts";
 import ProductEdit from "./app/products/edit/EditProduct";
+import ProductDetail from "./app/products/detail/ProductDetail";
+import ProductTrash from "./app/products/trash/ProductTrash";
+import Categories from "./app/categories/views/Categories";
+import Login from "./app/auth/views/Login";
+import RequireAuth from "./app/auth/components/RequireAuth";
+import RequirePermission from "./app/auth/components/RequirePermission";
+import { PERMISSIONS } from "./app/auth/permissions";
+import { resumePendingDeletes } from "./app/api/productTrash";
 import { ThemeProvider } from "@mui/material/styles";
 import { theme } from "./app/theme/muiTheme";
 import CssBaseline from "@mui/material/CssBaseline";
@@ -21,23 +31,81 @@ import "./App.css";
  *
  * @component
  * @description Componente principal que configura todas las rutas de la aplicación.
+ * - Ruta /login: Inicio de sesión (pública)
+ * - El resto de rutas requieren sesión iniciada
  * - Ruta principal: Dashboard
  * - Ruta /inventory: Inventario
- * - Ruta /products/new: Crear nuevo producto
- * - Ruta /products/edit/:id: Editar producto existente
+ * - Ruta /products/new: Crear nuevo producto (editor o admin)
+ * - Ruta /products/import: Importar productos desde CSV o JSON (editor o admin)
+ * - Ruta /products/edit/:id: Editar producto existente (editor o admin)
+ * - Ruta /products/trash: Papelera de productos eliminados (admin)
+ * - Ruta /products/:id: Detalle de un producto (enlace compartible)
+ * - Ruta /categories: Gestión de categorías (admin)
+ *
+ * Al montarse envía las eliminaciones que quedaron pendientes al cerrar o
+ * recargar la pestaña.
  *
  * @returns {React.ReactElement} Estructura de rutas con Layout como wrapper
  */
 function App() {
+	useEffect(() => {
+		resumePendingDeletes();
+	}, []);
+
 	return (
 		<ThemeProvider theme={theme}>
 			<CssBaseline />
 			<Routes>
-				<Route element={<Layout />}>
+				<Route path="/login" element={<Login />} />
+				<Route
+					element={
+						<RequireAuth>
+							<Layout />
+						</RequireAuth>
+					}>
 					<Route path="/" element={<Dashboard />} />
 					<Route path="/inventory" element={<Inventory />} />
-					<Route path="/products/new" element={<NewProduct />} />
-					<Route path="/products/edit/:id" element={<ProductEdit />} />
+					<Route
+						path="/products/new"
+						element={
+							<RequirePermission permission={PERMISSIONS.CREATE_PRODUCT}>
+								<NewProduct />
+							</RequirePermission>
+						}
+					/>
+					<Route
+						path="/products/import"
+						element={
+							<RequirePermission permission={PERMISSIONS.CREATE_PRODUCT}>
+								<ImportProducts />
+							</RequirePermission>
+						}
+					/>
+					<Route
+						path="/products/edit/:id"
+						element={
+							<RequirePermission permission={PERMISSIONS.EDIT_PRODUCT}>
+								<ProductEdit />
+							</RequirePermission>
+						}
+					/>
+					<Route
+						path="/products/trash"
+						element={
+							<RequirePermission permission={PERMISSIONS.DELETE_PRODUCT}>
+								<ProductTrash />
+							</RequirePermission>
+						}
+					/>
+					<Route path="/products/:id" element={<ProductDetail />} />
+					<Route
+						path="/categories"
+						element={
+							<RequirePermission permission={PERMISSIONS.MANAGE_CATEGORIES}>
+								<Categories />
+							</RequirePermission>
+						}
+					/>
 				</Route>
 			</Routes>
 		</ThemeProvider>
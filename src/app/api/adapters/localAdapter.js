@@ -0,0 +1,541 @@
+/**
+ * @fileoverview Adaptador local (localStorage) de la fuente de datos
+ *
+ * Implementa la interfaz {@link module:app/api/dataSource~DataSourceAdapter}
+ * sobre un catálogo persistido en `localStorage`. Permite desarrollar y hacer
+ * demos sin depender de la API pública.
+ *
+ * - Se siembra con {@link module:app/api/fixtures/catalog} la primera vez
+ * - Los cambios sobreviven a recargas del navegador
+ * - Simula latencia de red para que los estados de carga se comporten igual
+ * - Devuelve copias, nunca referencias al estado interno
+ *
+ * @module app/api/adapters/localAdapter
+ * @requires app/api/fixtures/catalog
+ * @requires app/api/fixtures/users
+ */
+
+import { createSeedCatalog, slugify } from "../fixtures/catalog";
+import {
+	API_ERROR_TYPES,
+	ApiError,
+	createCancelledError,
+	getErrorTypeFromStatus,
+	toStorageError,
+} from "../errors";
+import { waitFor } from "../retryPolicy";
+import { getAccessToken } from "../authSession";
+import { SEED_USERS } from "../fixtures/users";
+import { sortProducts } from "../productSort";
+
+/** @constant {string} STORAGE_KEY - Clave de localStorage del catálogo */
+const STORAGE_KEY = "bault.localCatalog";
+
+/** @constant {number} LATENCY_MS - Latencia simulada por operación en milisegundos */
+const LATENCY_MS = 250;
+
+/**
+ * @typedef {Object} LocalCatalog
+ * @property {Array<Object>} categories - Categorías persistidas
+ * @property {Array<Object>} products - Productos persistidos
+ */
+
+/**
+ * Espera la latencia simulada
+ *
+ * Si la señal se aborta durante la espera, rechaza con un error cancelado
+ * y la operación no llega a ejecutarse, igual que una solicitud HTTP abortada.
+ *
+ * @function
+ * @param {Object} [options={}] - Opciones de la solicitud
+ * @param {AbortSignal} [options.signal] - Señal de cancelación
+ * @returns {Promise<void>}
+ */
+const delay = ({ signal } = {}) =>
+	waitFor(LATENCY_MS, signal, createCancelledError);
+
+/**
+ * Crea un error tipado con código de estado HTTP equivalente
+ *
+ * @function
+ * @param {number} status - Código de estado HTTP que representaría el error
+ * @param {string} message - Mensaje descriptivo
+ * @param {Object<string, string>} [fieldErrors] - Errores por campo (solo validación)
+ * @returns {ApiError}
+ */
+const createError = (status, message, fieldErrors) =>
+	new ApiError({
+		type: getErrorTypeFromStatus(status),
+		message,
+		status,
+		fieldErrors,
+	});
+
+/**
+ * Persiste el catálogo completo
+ *
+ * @function
+ * @param {LocalCatalog} catalog - Catálogo a guardar
+ * @returns {void}
+ * @throws {ApiError} `storage_full` si el catálogo no cabe en localStorage (no se guarda nada)
+ */
+const writeCatalog = (catalog) => {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(catalog));
+	} catch (error) {
+		throw toStorageError(error);
+	}
+};
+
+/**
+ * Lee el catálogo persistido, sembrándolo si todavía no existe
+ *
+ * @function
+ * @returns {LocalCatalog}
+ */
+const readCatalog = () => {
+	const raw = localStorage.getItem(STORAGE_KEY);
+	if (raw) {
+		try {
+			return JSON.parse(raw);
+		} catch {
+			console.warn("Catálogo local corrupto, se vuelve a sembrar");
+		}
+	}
+	const seed = createSeedCatalog();
+	writeCatalog(seed);
+	return seed;
+};
+
+/**
+ * Devuelve una copia profunda de un valor serializable
+ *
+ * @function
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+const clone = (value) => structuredClone(value);
+
+/**
+ * Siguiente identificador libre para una colección
+ *
+ * @function
+ * @param {Array<{id: number}>} items - Colección existente
+ * @returns {number}
+ */
+const nextId = (items) => items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+/**
+ * Resuelve una categoría por su ID o lanza un error de validación
+ *
+ * @function
+ * @param {LocalCatalog} catalog - Catálogo actual
+ * @param {number} categoryId - ID de la categoría
+ * @returns {Object} Categoría encontrada
+ * @throws {ApiError} 400 si la categoría no existe
+ */
+const findCategory = (catalog, categoryId) => {
+	const category = catalog.categories.find(
+		(c) => c.id === Number(categoryId),
+	);
+	if (!category) {
+		throw createError(400, `La categoría ${categoryId} no existe`, {
+			categoryId: "categoryId must be an existing category",
+		});
+	}
+	return category;
+};
+
+/**
+ * Valida un payload de producto con las mismas reglas que la API
+ *
+ * @function
+ * @param {Object} payload - Payload con el formato de la API
+ * @param {boolean} partial - Si es true solo se validan los campos presentes (actualización)
+ * @returns {void}
+ * @throws {ApiError} 400 con el detalle por campo si hay errores
+ */
+const validateProduct = (payload, partial) => {
+	const fieldErrors = {};
+	const has = (field) => !partial || payload[field] !== undefined;
+
+	if (has("title") && !payload.title?.trim()) {
+		fieldErrors.title = "title should not be empty";
+	}
+	if (has("price") && !(Number(payload.price) > 0)) {
+		fieldErrors.price = "price must be a positive number";
+	}
+	if (has("description") && !payload.description?.trim()) {
+		fieldErrors.description = "description should not be empty";
+	}
+	if (has("images") && !payload.images?.length) {
+		fieldErrors.images = "images must contain at least 1 elements";
+	}
+
+	if (Object.keys(fieldErrors).length) {
+		throw createError(
+			400,
+			Object.values(fieldErrors).join(". "),
+			fieldErrors,
+		);
+	}
+};
+
+/**
+ * Comprueba que ningún otro producto use el mismo slug
+ *
+ * @function
+ * @param {LocalCatalog} catalog - Catálogo actual
+ * @param {string} title - Título del producto
+ * @param {number} [excludeId] - ID del producto que se está actualizando
+ * @returns {void}
+ * @throws {ApiError} 409 si el slug ya existe
+ */
+const assertUniqueSlug = (catalog, title, excludeId) => {
+	const slug = slugify(title);
+	const duplicate = catalog.products.find(
+		(p) => p.slug === slug && p.id !== excludeId,
+	);
+	if (duplicate) {
+		throw createError(409, `Ya existe un producto con el slug "${slug}"`, {
+			title: "title must be unique",
+		});
+	}
+};
+
+/**
+ * Valida un payload de categoría con las mismas reglas que la API
+ *
+ * @function
+ * @param {Object} payload - Payload con `name` e `image`
+ * @param {boolean} partial - Si es true solo se validan los campos presentes (actualización)
+ * @returns {void}
+ * @throws {ApiError} 400 con el detalle por campo si hay errores
+ */
+const validateCategory = (payload, partial) => {
+	const fieldErrors = {};
+	const has = (field) => !partial || payload[field] !== undefined;
+
+	if (has("name") && !payload.name?.trim()) {
+		fieldErrors.name = "name should not be empty";
+	}
+	if (has("image") && !/^https?:\/\/\S+$/i.test(payload.image ?? "")) {
+		fieldErrors.image = "image must be a URL address";
+	}
+
+	if (Object.keys(fieldErrors).length) {
+		throw createError(
+			400,
+			Object.values(fieldErrors).join(". "),
+			fieldErrors,
+		);
+	}
+};
+
+/**
+ * Comprueba que ninguna otra categoría use el mismo slug
+ *
+ * @function
+ * @param {LocalCatalog} catalog - Catálogo actual
+ * @param {string} name - Nombre de la categoría
+ * @param {number} [excludeId] - ID de la categoría que se está actualizando
+ * @returns {void}
+ * @throws {ApiError} 409 si el slug ya existe
+ */
+const assertUniqueCategorySlug = (catalog, name, excludeId) => {
+	const slug = slugify(name);
+	const duplicate = catalog.categories.find(
+		(c) => c.slug === slug && c.id !== excludeId,
+	);
+	if (duplicate) {
+		throw createError(409, `Ya existe una categoría con el slug "${slug}"`, {
+			name: "name must be unique",
+		});
+	}
+};
+
+/**
+ * Indica si un producto cumple los filtros normalizados de consulta
+ *
+ * Replica el comportamiento de la API: búsqueda parcial por título sin
+ * distinguir mayúsculas, categoría exacta y rango de precios inclusivo.
+ *
+ * @function
+ * @param {Object} product - Producto a evaluar
+ * @param {import('../dataSource').ProductQuery} [query={}] - Filtros
+ * @returns {boolean}
+ */
+const matchesQuery = (product, query = {}) => {
+	if (
+		query.title &&
+		!product.title.toLowerCase().includes(query.title.toLowerCase())
+	) {
+		return false;
+	}
+	if (query.categoryId && product.category?.id !== Number(query.categoryId)) {
+		return false;
+	}
+	if (query.priceMin != null && product.price < query.priceMin) return false;
+	if (query.priceMax != null && product.price > query.priceMax) return false;
+	return true;
+};
+
+/**
+ * Tamaño máximo de las imágenes subidas al catálogo local. Se guardan como
+ * data URL (un tercio más grandes) dentro de localStorage, cuya cuota suele
+ * rondar los 5 MB para todo el catálogo: con 200 KB caben unas veinte.
+ * @constant {number}
+ */
+const MAX_UPLOAD_BYTES = 200 * 1024;
+
+/** @constant {number} UPLOAD_STEPS - Pasos en que se simula el progreso de una subida */
+const UPLOAD_STEPS = 5;
+
+/**
+ * Lee un archivo como data URL
+ *
+ * @function
+ * @param {File} file - Archivo a leer
+ * @returns {Promise<string>}
+ */
+const readAsDataUrl = (file) =>
+	new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(reader.result);
+		reader.onerror = () =>
+			reject(createError(500, "No se pudo leer el archivo"));
+		reader.readAsDataURL(file);
+	});
+
+/** @constant {string} TOKEN_PREFIX - Prefijo de los tokens emitidos por el adaptador local */
+const TOKEN_PREFIX = "local-token:";
+
+/**
+ * Devuelve el perfil público de un usuario semilla (sin contraseña)
+ *
+ * @function
+ * @param {Object} user - Usuario semilla
+ * @returns {Object} Perfil con la forma de la API
+ */
+const toProfile = (user) => {
+	const profile = clone(user);
+	delete profile.password;
+	return profile;
+};
+
+/**
+ * Restablece el catálogo local a los datos semilla
+ *
+ * @function
+ * @returns {void}
+ */
+export const resetLocalCatalog = () => {
+	writeCatalog(createSeedCatalog());
+};
+
+/**
+ * Adaptador que opera sobre el catálogo guardado en localStorage
+ * @type {import('../dataSource').DataSourceAdapter}
+ */
+export const localAdapter = {
+	capabilities: { serverSort: true },
+
+	getAllProducts: async (options) => {
+		await delay(options);
+		return clone(readCatalog().products);
+	},
+
+	getProductsPaginated: async (params, options) => {
+		await delay(options);
+		const products = sortProducts(
+			readCatalog().products.filter((p) => matchesQuery(p, params)),
+			params.sort,
+		);
+		return clone(products.slice(params.offset, params.offset + params.limit));
+	},
+
+	countProducts: async (query, options) => {
+		await delay(options);
+		return readCatalog().products.filter((p) => matchesQuery(p, query)).length;
+	},
+
+	getProductById: async (id, options) => {
+		await delay(options);
+		const product = readCatalog().products.find((p) => p.id === Number(id));
+		if (!product) {
+			throw createError(404, `El producto ${id} no existe`);
+		}
+		return clone(product);
+	},
+
+	createProduct: async (payload, options) => {
+		await delay(options);
+		validateProduct(payload, false);
+		const catalog = readCatalog();
+		assertUniqueSlug(catalog, payload.title);
+		const now = new Date().toISOString();
+		const product = {
+			id: nextId(catalog.products),
+			title: payload.title,
+			slug: slugify(payload.title),
+			price: Number(payload.price),
+			description: payload.description,
+			category: findCategory(catalog, payload.categoryId),
+			images: payload.images || [],
+			creationAt: now,
+			updatedAt: now,
+		};
+		catalog.products.push(product);
+		writeCatalog(catalog);
+		return clone(product);
+	},
+
+	updateProduct: async (id, payload, options) => {
+		await delay(options);
+		validateProduct(payload, true);
+		const catalog = readCatalog();
+		const index = catalog.products.findIndex((p) => p.id === Number(id));
+		if (index === -1) {
+			throw createError(404, `El producto ${id} no existe`);
+		}
+		if (payload.title) {
+			assertUniqueSlug(catalog, payload.title, catalog.products[index].id);
+		}
+		const { categoryId, ...fields } = payload;
+		const product = {
+			...catalog.products[index],
+			...fields,
+			updatedAt: new Date().toISOString(),
+		};
+		if (fields.title) product.slug = slugify(fields.title);
+		if (fields.price !== undefined) product.price = Number(fields.price);
+		if (categoryId !== undefined) {
+			product.category = findCategory(catalog, categoryId);
+		}
+		catalog.products[index] = product;
+		writeCatalog(catalog);
+		return clone(product);
+	},
+
+	deleteProduct: async (id, options) => {
+		await delay(options);
+		const catalog = readCatalog();
+		const remaining = catalog.products.filter((p) => p.id !== Number(id));
+		if (remaining.length === catalog.products.length) {
+			throw createError(404, `El producto ${id} no existe`);
+		}
+		writeCatalog({ ...catalog, products: remaining });
+		return true;
+	},
+
+	getCategories: async (options) => {
+		await delay(options);
+		return clone(readCatalog().categories);
+	},
+
+	createCategory: async (payload, options) => {
+		await delay(options);
+		validateCategory(payload, false);
+		const catalog = readCatalog();
+		assertUniqueCategorySlug(catalog, payload.name);
+		const now = new Date().toISOString();
+		const category = {
+			id: nextId(catalog.categories),
+			name: payload.name.trim(),
+			slug: slugify(payload.name),
+			image: payload.image,
+			creationAt: now,
+			updatedAt: now,
+		};
+		catalog.categories.push(category);
+		writeCatalog(catalog);
+		return clone(category);
+	},
+
+	updateCategory: async (id, payload, options) => {
+		await delay(options);
+		validateCategory(payload, true);
+		const catalog = readCatalog();
+		const index = catalog.categories.findIndex((c) => c.id === Number(id));
+		if (index === -1) {
+			throw createError(404, `La categoría ${id} no existe`);
+		}
+		if (payload.name) {
+			assertUniqueCategorySlug(catalog, payload.name, Number(id));
+		}
+		const category = {
+			...catalog.categories[index],
+			...payload,
+			updatedAt: new Date().toISOString(),
+		};
+		if (payload.name) {
+			category.name = payload.name.trim();
+			category.slug = slugify(payload.name);
+		}
+		catalog.categories[index] = category;
+		// Los productos guardan una copia de su categoría
+		catalog.products = catalog.products.map((p) =>
+			p.category?.id === category.id ? { ...p, category } : p,
+		);
+		writeCatalog(catalog);
+		return clone(category);
+	},
+
+	deleteCategory: async (id, options) => {
+		await delay(options);
+		const catalog = readCatalog();
+		const remaining = catalog.categories.filter((c) => c.id !== Number(id));
+		if (remaining.length === catalog.categories.length) {
+			throw createError(404, `La categoría ${id} no existe`);
+		}
+		// Los productos de la categoría quedan huérfanos, sin categoría
+		const products = catalog.products.map((p) =>
+			p.category?.id === Number(id) ? { ...p, category: null } : p,
+		);
+		writeCatalog({ categories: remaining, products });
+		return true;
+	},
+
+	login: async ({ email, password }, options) => {
+		await delay(options);
+		const user = SEED_USERS.find(
+			(u) => u.email === email?.trim().toLowerCase() && u.password === password,
+		);
+		if (!user) {
+			throw createError(401, "Email o contraseña incorrectos");
+		}
+		// Los tokens locales no caducan: no hace falta renovarlos
+		const token = `${TOKEN_PREFIX}${user.id}`;
+		return { accessToken: token, refreshToken: token };
+	},
+
+	getProfile: async (options) => {
+		await delay(options);
+		const token = getAccessToken() ?? "";
+		const user = SEED_USERS.find(
+			(u) => token === `${TOKEN_PREFIX}${u.id}`,
+		);
+		if (!user) {
+			throw createError(401, "Sesión no válida");
+		}
+		return toProfile(user);
+	},
+
+	uploadFile: async (file, options = {}) => {
+		if (file.size > MAX_UPLOAD_BYTES) {
+			throw createError(400, "file is too large", {
+				file: "El catálogo local solo admite imágenes de hasta 200 KB",
+			});
+		}
+		for (let step = 1; step <= UPLOAD_STEPS; step++) {
+			await waitFor(
+				LATENCY_MS / UPLOAD_STEPS,
+				options.signal,
+				createCancelledError,
+			);
+			options.onProgress?.(step / UPLOAD_STEPS);
+		}
+		return { url: await readAsDataUrl(file), name: file.name };
+	},
+};
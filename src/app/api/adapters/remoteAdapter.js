@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Adaptador remoto (HTTP) de la fuente de datos
+ *
+ * Implementa la interfaz {@link module:app/api/dataSource~DataSourceAdapter}
+ * realizando solicitudes a la API REST pública mediante la instancia
+ * compartida de axios.
+ *
+ * @module app/api/adapters/remoteAdapter
+ * @requires app/api/httpClient
+ */
+
+import { api } from "../httpClient";
+
+/** @typedef {import('../dataSource').RequestOptions} RequestOptions */
+/** @typedef {import('../dataSource').CountOptions} CountOptions */
+
+/**
+ * Traduce las opciones de solicitud a configuración de axios
+ *
+ * @function
+ * @param {RequestOptions} [options={}]
+ * @returns {Object} Configuración parcial de axios
+ */
+const toRequestConfig = ({ signal, timeout } = {}) => {
+	const config = {};
+	if (signal) config.signal = signal;
+	if (timeout) config.timeout = timeout;
+	return config;
+};
+
+/**
+ * Precio máximo que se envía cuando el filtro solo tiene mínimo
+ *
+ * La API ignora el rango si falta uno de los extremos. Se usa el mayor
+ * entero de 32 bits con signo: queda por encima de cualquier precio del
+ * catálogo y el servidor lo acepta sin desbordar el parámetro.
+ *
+ * @constant {number}
+ */
+const PRICE_MAX_UPPER_BOUND = 2 ** 31 - 1;
+
+/**
+ * Traduce los filtros normalizados a los parámetros de consulta de la API
+ *
+ * La API solo aplica el rango de precios si recibe ambos extremos,
+ * por lo que se completa el que falte.
+ *
+ * @function
+ * @param {import('../dataSource').ProductQuery} [query={}] - Filtros normalizados
+ * @returns {Object} Parámetros de consulta para axios
+ */
+const toQueryParams = (query = {}) => {
+	const params = {};
+	if (query.title) params.title = query.title;
+	if (query.categoryId) params.categoryId = query.categoryId;
+	if (query.priceMin != null || query.priceMax != null) {
+		params.price_min = query.priceMin ?? 0;
+		params.price_max = query.priceMax ?? PRICE_MAX_UPPER_BOUND;
+	}
+	return params;
+};
+
+/**
+ * Indica si existe al menos un producto en la posición indicada
+ *
+ * @async
+ * @function
+ * @param {Object} params - Parámetros de filtrado de la API
+ * @param {number} offset - Posición a comprobar
+ * @param {RequestOptions} [options]
+ * @returns {Promise<boolean>}
+ */
+const hasProductAt = async (params, offset, options) => {
+	const response = await api.get("/products", {
+		...toRequestConfig(options),
+		params: { ...params, offset, limit: 1 },
+	});
+	return response.data.length > 0;
+};
+
+/**
+ * Localiza el primer offset vacío con búsqueda exponencial y luego binaria
+ *
+ * @async
+ * @function
+ * @param {Object} params - Parámetros de filtrado de la API
+ * @param {RequestOptions} [options]
+ * @returns {Promise<number>} Total de productos que cumplen los filtros
+ */
+const searchCount = async (params, options) => {
+	if (!(await hasProductAt(params, 0, options))) return 0;
+
+	// lo siempre tiene producto, hi siempre está vacío
+	let lo = 0;
+	let hi = 1;
+	while (await hasProductAt(params, hi, options)) {
+		lo = hi;
+		hi *= 2;
+	}
+	while (hi - lo > 1) {
+		const mid = Math.floor((lo + hi) / 2);
+		if (await hasProductAt(params, mid, options)) {
+			lo = mid;
+		} else {
+			hi = mid;
+		}
+	}
+	return hi;
+};
+
+/**
+ * Adaptador que delega cada operación en la API REST
+ * @type {import('../dataSource').DataSourceAdapter}
+ */
+export const remoteAdapter = {
+	/** La API no admite parámetros de ordenación */
+	capabilities: { serverSort: false },
+
+	/**
+	 * GET /products
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Array<Object>>}
+	 */
+	getAllProducts: async (options) => {
+		const response = await api.get("/products", toRequestConfig(options));
+		return response.data;
+	},
+
+	/**
+	 * GET /products?offset&limit&title&categoryId&price_min&price_max
+	 * @param {import('../dataSource').ProductQuery & {offset: number, limit: number}} params
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Array<Object>>}
+	 */
+	getProductsPaginated: async (params, options) => {
+		const response = await api.get("/products", {
+			...toRequestConfig(options),
+			params: {
+				...toQueryParams(params),
+				offset: params.offset,
+				limit: params.limit,
+			},
+		});
+		return response.data;
+	},
+
+	/**
+	 * Cuenta los productos que cumplen los filtros.
+	 *
+	 * La API no devuelve el total, así que se localiza el primer offset vacío
+	 * con búsqueda exponencial y luego binaria, pidiendo un único producto
+	 * por solicitud. Son O(log n) peticiones mínimas en lugar de descargar
+	 * todo el catálogo.
+	 *
+	 * Si se conoce el total anterior (`options.lastCount`) y sigue siendo
+	 * válido, se confirma con dos solicitudes en paralelo, sin buscar.
+	 *
+	 * @param {import('../dataSource').ProductQuery} query
+	 * @param {CountOptions} [options]
+	 * @returns {Promise<number>}
+	 */
+	countProducts: async (query, { lastCount, ...options } = {}) => {
+		const params = toQueryParams(query);
+
+		if (lastCount > 0) {
+			const [hasLast, hasNext] = await Promise.all([
+				hasProductAt(params, lastCount - 1, options),
+				hasProductAt(params, lastCount, options),
+			]);
+			if (hasLast && !hasNext) return lastCount;
+		}
+
+		return searchCount(params, options);
+	},
+
+	/**
+	 * GET /products/{id}
+	 * @param {number} id
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Object>}
+	 */
+	getProductById: async (id, options) => {
+		const response = await api.get(
+			`/products/${id}`,
+			toRequestConfig(options),
+		);
+		return response.data;
+	},
+
+	/**
+	 * POST /products
+	 * @param {Object} payload - Producto con el formato de la API (`images` como array)
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Object>}
+	 */
+	createProduct: async (payload, options) => {
+		const response = await api.post(
+			"/products",
+			payload,
+			toRequestConfig(options),
+		);
+		return response.data;
+	},
+
+	/**
+	 * PUT /products/{id}
+	 * @param {number} id
+	 * @param {Object} payload - Campos a actualizar con el formato de la API
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Object>}
+	 */
+	updateProduct: async (id, payload, options) => {
+		const response = await api.put(
+			`/products/${id}`,
+			payload,
+			toRequestConfig(options),
+		);
+		return response.data;
+	},
+
+	/**
+	 * DELETE /products/{id}
+	 * @param {number} id
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<boolean>}
+	 */
+	deleteProduct: async (id, options) => {
+		const response = await api.delete(
+			`/products/${id}`,
+			toRequestConfig(options),
+		);
+		return response.data;
+	},
+
+	/**
+	 * GET /categories
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Array<Object>>}
+	 */
+	getCategories: async (options) => {
+		const response = await api.get("/categories", toRequestConfig(options));
+		return response.data;
+	},
+
+	/**
+	 * POST /categories
+	 * @param {{name: string, image: string}} payload
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Object>}
+	 */
+	createCategory: async (payload, options) => {
+		const response = await api.post(
+			"/categories",
+			payload,
+			toRequestConfig(options),
+		);
+		return response.data;
+	},
+
+	/**
+	 * PUT /categories/{id}
+	 * @param {number} id
+	 * @param {{name?: string, image?: string}} payload
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Object>}
+	 */
+	updateCategory: async (id, payload, options) => {
+		const response = await api.put(
+			`/categories/${id}`,
+			payload,
+			toRequestConfig(options),
+		);
+		return response.data;
+	},
+
+	/**
+	 * DELETE /categories/{id}
+	 * @param {number} id
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<boolean>}
+	 */
+	deleteCategory: async (id, options) => {
+		const response = await api.delete(
+			`/categories/${id}`,
+			toRequestConfig(options),
+		);
+		return response.data;
+	},
+
+	/**
+	 * POST /auth/login
+	 * @param {{email: string, password: string}} credentials
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{accessToken: string, refreshToken: string}>}
+	 */
+	login: async (credentials, options) => {
+		const response = await api.post("/auth/login", credentials, {
+			...toRequestConfig(options),
+			skipAuthRefresh: true,
+		});
+		return {
+			accessToken: response.data.access_token,
+			refreshToken: response.data.refresh_token,
+		};
+	},
+
+	/**
+	 * GET /auth/profile
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Object>}
+	 */
+	getProfile: async (options) => {
+		const response = await api.get("/auth/profile", toRequestConfig(options));
+		return response.data;
+	},
+
+	/**
+	 * POST /files/upload (multipart, campo `file`)
+	 * @param {File} file - Archivo a subir
+	 * @param {import('../dataSource').UploadOptions} [options]
+	 * @returns {Promise<import('../dataSource').UploadedFile>}
+	 */
+	uploadFile: async (file, options = {}) => {
+		const body = new FormData();
+		body.append("file", file);
+		const response = await api.post("/files/upload", body, {
+			...toRequestConfig(options),
+			// Con la cabecera JSON por defecto de la instancia, axios serializaría
+			// el FormData como JSON; el navegador completa el boundary
+			headers: { "Content-Type": "multipart/form-data" },
+			onUploadProgress: ({ loaded, total }) => {
+				if (total) options.onProgress?.(loaded / total);
+			},
+		});
+		return { url: response.data.location, name: response.data.originalname };
+	},
+};
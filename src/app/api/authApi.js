@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Cliente de API de autenticación
+ *
+ * Proporciona el flujo de sesión sobre la fuente de datos activa:
+ * - Iniciar sesión con email y contraseña
+ * - Obtener el perfil del usuario autenticado
+ * - Cerrar sesión
+ *
+ * Los tokens se guardan en {@link module:app/api/authSession}; el cliente
+ * HTTP los adjunta y los renueva automáticamente.
+ *
+ * @module app/api/authApi
+ * @requires app/api/dataSource
+ * @requires app/api/authSession
+ * @requires app/api/queryCache
+ */
+
+import { getAdapter } from "./dataSource";
+import { clearSession, setTokens, setUser } from "./authSession";
+import { clearQueryCache } from "./queryCache";
+import { API_ERROR_TYPES, isApiError } from "./errors";
+
+/**
+ * Obtiene el perfil del usuario autenticado y lo guarda en la sesión
+ *
+ * @async
+ * @function
+ * @param {import('./dataSource').RequestOptions} [options] - Cancelación y tiempo máximo
+ * @returns {Promise<import('./authSession').AuthUser>} Perfil del usuario
+ * @throws {import('./errors').ApiError} `unauthorized` si la sesión no es válida
+ *         (en ese caso la sesión se cierra como caducada)
+ */
+export const getProfile = async (options) => {
+	try {
+		const user = await getAdapter().getProfile(options);
+		setUser(user);
+		return user;
+	} catch (error) {
+		if (isApiError(error) && error.type === API_ERROR_TYPES.UNAUTHORIZED) {
+			clearSession({ expired: true });
+		}
+		throw error;
+	}
+};
+
+/**
+ * Inicia sesión
+ *
+ * Guarda los tokens y carga el perfil. Si el perfil no se puede obtener,
+ * la sesión no queda abierta a medias.
+ *
+ * @async
+ * @function
+ * @param {Object} credentials
+ * @param {string} credentials.email - Email del usuario
+ * @param {string} credentials.password - Contraseña
+ * @returns {Promise<import('./authSession').AuthUser>} Perfil del usuario autenticado
+ * @throws {import('./errors').ApiError} `unauthorized` si las credenciales no son válidas
+ *
+ * @example
+ * try {
+ *   const user = await login({ email: "john@mail.com", password: "changeme" });
+ *   console.log(`Hola, ${user.name}`);
+ * } catch (error) {
+ *   console.error("Credenciales incorrectas", error);
+ * }
+ */
+export const login = async (credentials) => {
+	const tokens = await getAdapter().login(credentials);
+	setTokens(tokens);
+	try {
+		return await getProfile();
+	} catch (error) {
+		clearSession();
+		throw error;
+	}
+};
+
+/**
+ * Cierra la sesión y descarta los datos en caché del usuario
+ *
+ * @function
+ * @returns {void}
+ */
+export const logout = () => {
+	clearSession();
+	clearQueryCache();
+};
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Sesión de usuario
+ *
+ * Almacén, fuera de React, de los tokens y el perfil del usuario autenticado.
+ * Se persiste en `localStorage` para sobrevivir a recargas y se puede leer
+ * sin React (lo usa el interceptor de axios) o suscribirse a él con
+ * `useSyncExternalStore` (lo usa `useAuth`).
+ *
+ * @module app/api/authSession
+ */
+
+/** @constant {string} STORAGE_KEY - Clave de localStorage de la sesión */
+const STORAGE_KEY = "bault.session";
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {number} id - ID del usuario
+ * @property {string} email - Email
+ * @property {string} name - Nombre visible
+ * @property {string} role - Rol según la API
+ * @property {string} [avatar] - URL del avatar
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string|null} accessToken - Token de acceso (Bearer)
+ * @property {string|null} refreshToken - Token para renovar el de acceso
+ * @property {AuthUser|null} user - Perfil del usuario
+ * @property {boolean} expired - true si la sesión se cerró por caducidad, no por el usuario
+ */
+
+/** @constant {Session} EMPTY_SESSION - Sesión sin usuario */
+const EMPTY_SESSION = {
+	accessToken: null,
+	refreshToken: null,
+	user: null,
+	expired: false,
+};
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+/**
+ * Lee la sesión persistida
+ *
+ * @function
+ * @returns {Session}
+ */
+const readSession = () => {
+	try {
+		const raw = localStorage.getItem(STORAGE_KEY);
+		return raw ? { ...EMPTY_SESSION, ...JSON.parse(raw) } : EMPTY_SESSION;
+	} catch {
+		return EMPTY_SESSION;
+	}
+};
+
+/** @type {Session} */
+let session = readSession();
+
+/**
+ * Reemplaza la sesión, la persiste y avisa a los suscriptores
+ *
+ * @function
+ * @param {Session} next - Nueva sesión
+ * @returns {void}
+ */
+const writeSession = (next) => {
+	session = next;
+	if (next.accessToken) {
+		const { accessToken, refreshToken, user } = next;
+		localStorage.setItem(
+			STORAGE_KEY,
+			JSON.stringify({ accessToken, refreshToken, user }),
+		);
+	} else {
+		localStorage.removeItem(STORAGE_KEY);
+	}
+	listeners.forEach((listener) => listener());
+};
+
+/**
+ * Obtiene la sesión actual
+ *
+ * @function
+ * @returns {Session}
+ */
+export const getSession = () => session;
+
+/**
+ * Obtiene el token de acceso actual
+ *
+ * @function
+ * @returns {string|null}
+ */
+export const getAccessToken = () => session.accessToken;
+
+/**
+ * Obtiene el token de renovación actual
+ *
+ * @function
+ * @returns {string|null}
+ */
+export const getRefreshToken = () => session.refreshToken;
+
+/**
+ * Guarda nuevos tokens, conservando el perfil
+ *
+ * @function
+ * @param {{accessToken: string, refreshToken: string}} tokens
+ * @returns {void}
+ */
+export const setTokens = ({ accessToken, refreshToken }) => {
+	writeSession({ ...session, accessToken, refreshToken, expired: false });
+};
+
+/**
+ * Guarda el perfil del usuario autenticado
+ *
+ * @function
+ * @param {AuthUser} user
+ * @returns {void}
+ */
+export const setUser = (user) => {
+	writeSession({ ...session, user });
+};
+
+/**
+ * Cierra la sesión
+ *
+ * @function
+ * @param {Object} [options={}]
+ * @param {boolean} [options.expired=false] - Indica que la sesión caducó (no la cerró el usuario)
+ * @returns {void}
+ */
+export const clearSession = ({ expired = false } = {}) => {
+	writeSession({ ...EMPTY_SESSION, expired });
+};
+
+/**
+ * Suscribe un listener a los cambios de sesión
+ *
+ * @function
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export const subscribeSession = (listener) => {
+	listeners.add(listener);
+	return () => {
+		listeners.delete(listener);
+	};
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Cliente de API para gestión de categorías
+ *
+ * Proporciona las operaciones de escritura sobre categorías:
+ * - Crear una categoría
+ * - Renombrar o cambiar la imagen de una categoría
+ * - Eliminar una categoría
+ *
+ * La lectura sigue en {@link module:app/api/productsApi.getCategories}, que
+ * es la que usan los formularios de producto.
+ *
+ * Como los productos incluyen una copia de su categoría, cada mutación
+ * invalida tanto las consultas de categorías como las de productos.
+ *
+ * @module app/api/categoriesApi
+ * @requires app/api/dataSource
+ * @requires app/api/queryCache
+ */
+
+import { getAdapter } from "./dataSource";
+import { invalidateQueries } from "./queryCache";
+import { categoryKeys, productKeys } from "./queryKeys";
+
+/**
+ * Revalida las consultas afectadas por un cambio de categorías
+ *
+ * @function
+ * @returns {void}
+ */
+const invalidateCategoryQueries = () => {
+	invalidateQueries(categoryKeys.all);
+	invalidateQueries(productKeys.all);
+};
+
+/**
+ * Crea una nueva categoría
+ *
+ * @async
+ * @function
+ * @param {Object} categoryData - Datos de la categoría
+ * @param {string} categoryData.name - Nombre de la categoría
+ * @param {string} categoryData.image - URL de la imagen de la categoría
+ * @param {import('./dataSource').RequestOptions} [options] - Cancelación y tiempo máximo
+ * @returns {Promise<Object>} Promise que se resuelve con la categoría creada (incluyendo ID)
+ * @throws {import('./errors').ApiError} Si los datos son inválidos o el nombre ya existe
+ *
+ * @example
+ * const category = await createCategory({
+ *   name: "Jardín",
+ *   image: "https://example.com/jardin.jpg"
+ * });
+ */
+export const createCategory = async (categoryData, options) => {
+	const category = await getAdapter().createCategory(categoryData, options);
+	invalidateCategoryQueries();
+	return category;
+};
+
+/**
+ * Actualiza el nombre y/o la imagen de una categoría
+ *
+ * @async
+ * @function
+ * @param {number} id - ID de la categoría
+ * @param {Object} categoryData - Campos a actualizar
+ * @param {string} [categoryData.name] - Nuevo nombre
+ * @param {string} [categoryData.image] - Nueva URL de imagen
+ * @param {import('./dataSource').RequestOptions} [options] - Cancelación y tiempo máximo
+ * @returns {Promise<Object>} Promise que se resuelve con la categoría actualizada
+ * @throws {import('./errors').ApiError} Si la categoría no existe o los datos son inválidos
+ *
+ * @example
+ * await updateCategory(3, { name: "Hogar y Jardín" });
+ */
+export const updateCategory = async (id, categoryData, options) => {
+	const category = await getAdapter().updateCategory(id, categoryData, options);
+	invalidateCategoryQueries();
+	return category;
+};
+
+/**
+ * Elimina una categoría
+ *
+ * Los productos que pertenecían a ella quedan sin categoría.
+ *
+ * @async
+ * @function
+ * @param {number} id - ID de la categoría
+ * @param {import('./dataSource').RequestOptions} [options] - Cancelación y tiempo máximo
+ * @returns {Promise<boolean>} Promise que se resuelve con el resultado de la eliminación
+ * @throws {import('./errors').ApiError} Si la categoría no existe o el servidor lo impide
+ *
+ * @example
+ * await deleteCategory(3);
+ */
+export const deleteCategory = async (id, options) => {
+	const result = await getAdapter().deleteCategory(id, options);
+	invalidateCategoryQueries();
+	return result;
+};
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Selección de la fuente de datos
+ *
+ * Define la interfaz común de los adaptadores de datos y decide, en tiempo
+ * de ejecución, cuál de ellos atiende las llamadas de `productsApi`:
+ *
+ * - `remote`: API REST pública (por defecto)
+ * - `local`: catálogo persistido en localStorage, útil sin conexión
+ *
+ * El valor por defecto se toma de la variable de entorno `VITE_DATA_SOURCE`
+ * y puede sobrescribirse por navegador con {@link setDataSource}.
+ *
+ * @module app/api/dataSource
+ * @requires app/api/adapters/remoteAdapter
+ * @requires app/api/adapters/localAdapter
+ */
+
+import { remoteAdapter } from "./adapters/remoteAdapter";
+import { localAdapter } from "./adapters/localAdapter";
+
+/**
+ * Filtros de consulta normalizados, independientes de la fuente de datos.
+ * Cada adaptador los traduce a su propio formato.
+ *
+ * @typedef {Object} ProductQuery
+ * @property {string} [title] - Búsqueda parcial por título
+ * @property {number} [categoryId] - ID de categoría exacto
+ * @property {number} [priceMin] - Precio mínimo (inclusivo)
+ * @property {number} [priceMax] - Precio máximo (inclusivo)
+ * @property {Array<import('./productSort').SortCriterion>} [sort] - Orden de los resultados
+ *           (solo páginas, y solo en adaptadores con `capabilities.serverSort`)
+ */
+
+/**
+ * Funciones opcionales que un adaptador puede resolver por sí mismo
+ *
+ * @typedef {Object} AdapterCapabilities
+ * @property {boolean} serverSort - Ordena las páginas según `ProductQuery.sort`
+ */
+
+/**
+ * Opciones por solicitud que aceptan todos los métodos de los adaptadores
+ * como último argumento.
+ *
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Señal para cancelar la solicitud
+ * @property {number} [timeout] - Tiempo máximo en milisegundos para esta solicitud
+ */
+
+/**
+ * Opciones de un recuento: las de cualquier solicitud más el total
+ * conocido para los mismos filtros, que el adaptador puede confirmar en
+ * lugar de volver a contar
+ *
+ * @typedef {RequestOptions & {lastCount: number}} CountOptions
+ * @property {number} [lastCount] - Último total obtenido con los mismos filtros
+ */
+
+/**
+ * Opciones de una subida de archivo: las de cualquier solicitud más el
+ * seguimiento del progreso.
+ *
+ * @typedef {RequestOptions & {onProgress: function(number): void}} UploadOptions
+ * @property {function(number): void} [onProgress] - Recibe la fracción enviada (0 a 1)
+ */
+
+/**
+ * Archivo ya subido
+ *
+ * @typedef {Object} UploadedFile
+ * @property {string} url - URL pública del archivo, lista para usar en `images`
+ * @property {string} name - Nombre original del archivo
+ */
+
+/**
+ * Contrato que debe cumplir todo adaptador de datos.
+ * Los payloads de escritura ya llegan con el formato de la API
+ * (`images` como array y `categoryId` numérico). Las operaciones abortadas
+ * se rechazan con un error de tipo `cancelled`.
+ *
+ * @typedef {Object} DataSourceAdapter
+ * @property {AdapterCapabilities} capabilities
+ * @property {function(RequestOptions=): Promise<Array<Object>>} getAllProducts
+ * @property {function(ProductQuery & {offset: number, limit: number}, RequestOptions=): Promise<Array<Object>>} getProductsPaginated
+ * @property {function(ProductQuery, CountOptions=): Promise<number>} countProducts
+ * @property {function(number, RequestOptions=): Promise<Object>} getProductById
+ * @property {function(Object, RequestOptions=): Promise<Object>} createProduct
+ * @property {function(number, Object, RequestOptions=): Promise<Object>} updateProduct
+ * @property {function(number, RequestOptions=): Promise<boolean>} deleteProduct
+ * @property {function(RequestOptions=): Promise<Array<Object>>} getCategories
+ * @property {function({name: string, image: string}, RequestOptions=): Promise<Object>} createCategory
+ * @property {function(number, Object, RequestOptions=): Promise<Object>} updateCategory
+ * @property {function(number, RequestOptions=): Promise<boolean>} deleteCategory
+ * @property {function({email: string, password: string}, RequestOptions=): Promise<{accessToken: string, refreshToken: string}>} login
+ * @property {function(RequestOptions=): Promise<Object>} getProfile
+ * @property {function(File, UploadOptions=): Promise<UploadedFile>} uploadFile
+ */
+
+/**
+ * Identificadores de las fuentes de datos disponibles
+ * @constant {Object<string, string>}
+ */
+export const DATA_SOURCES = {
+	REMOTE: "remote",
+	LOCAL: "local",
+};
+
+/**
+ * Etiquetas legibles de cada fuente de datos
+ * @constant {Object<string, string>}
+ */
+export const DATA_SOURCE_LABELS = {
+	[DATA_SOURCES.REMOTE]: "API remota",
+	[DATA_SOURCES.LOCAL]: "Local (sin conexión)",
+};
+
+/** @constant {string} STORAGE_KEY - Clave de localStorage con la fuente elegida */
+const STORAGE_KEY = "bault.dataSource";
+
+/**
+ * Adaptadores registrados por identificador
+ * @constant {Object<string, DataSourceAdapter>}
+ */
+const adapters = {
+	[DATA_SOURCES.REMOTE]: remoteAdapter,
+	[DATA_SOURCES.LOCAL]: localAdapter,
+};
+
+/**
+ * Indica si un identificador corresponde a una fuente registrada
+ *
+ * @function
+ * @param {string|null|undefined} source
+ * @returns {boolean}
+ */
+const isKnownSource = (source) => Boolean(source && adapters[source]);
+
+/**
+ * Obtiene la fuente de datos activa
+ *
+ * Prioridad: valor guardado en localStorage, luego `VITE_DATA_SOURCE`
+ * y por último la API remota.
+ *
+ * @function
+ * @returns {string} Identificador de la fuente activa
+ */
+export const getDataSource = () => {
+	const stored = localStorage.getItem(STORAGE_KEY);
+	if (isKnownSource(stored)) return stored;
+
+	const fromEnv = import.meta.env.VITE_DATA_SOURCE;
+	if (isKnownSource(fromEnv)) return fromEnv;
+
+	return DATA_SOURCES.REMOTE;
+};
+
+/**
+ * Cambia la fuente de datos activa y la persiste en el navegador
+ *
+ * El cambio afecta a las llamadas siguientes; los datos ya cargados en
+ * pantalla no se recargan solos.
+ *
+ * @function
+ * @param {string} source - Uno de los valores de {@link DATA_SOURCES}
+ * @returns {void}
+ * @throws {Error} Si la fuente no está registrada
+ */
+export const setDataSource = (source) => {
+	if (!isKnownSource(source)) {
+		throw new Error(`Fuente de datos desconocida: ${source}`);
+	}
+	localStorage.setItem(STORAGE_KEY, source);
+};
+
+/**
+ * Devuelve el adaptador de la fuente de datos activa
+ *
+ * @function
+ * @returns {DataSourceAdapter}
+ */
+export const getAdapter = () => adapters[getDataSource()];
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Modelo de errores tipados de la API
+ *
+ * Todas las fuentes de datos rechazan sus promesas con un {@link ApiError},
+ * de modo que las vistas pueden decidir qué mostrar y qué acciones ofrecer
+ * según el tipo de fallo, sin conocer axios ni el adaptador en uso:
+ *
+ * - `network`: sin conexión o servidor inalcanzable
+ * - `timeout`: el servidor no respondió a tiempo
+ * - `validation`: 400 con detalle por campo
+ * - `unauthorized` / `forbidden`: 401 / 403
+ * - `not_found`: 404 (o la entidad no existe)
+ * - `conflict`: 409
+ * - `server`: 5xx
+ * - `storage_full`: el navegador no deja guardar más datos en `localStorage`
+ * - `cancelled`: la solicitud se abortó (la vista se desmontó o cambió de datos)
+ * - `unknown`: cualquier otro caso
+ *
+ * @module app/api/errors
+ */
+
+/**
+ * Tipos de error de la API
+ * @constant {Object<string, string>}
+ */
+export const API_ERROR_TYPES = {
+	NETWORK: "network",
+	TIMEOUT: "timeout",
+	VALIDATION: "validation",
+	UNAUTHORIZED: "unauthorized",
+	FORBIDDEN: "forbidden",
+	NOT_FOUND: "not_found",
+	CONFLICT: "conflict",
+	SERVER: "server",
+	STORAGE_FULL: "storage_full",
+	CANCELLED: "cancelled",
+	UNKNOWN: "unknown",
+};
+
+/**
+ * Error normalizado de la API
+ *
+ * @class
+ * @extends Error
+ * @property {string} type - Uno de {@link API_ERROR_TYPES}
+ * @property {number|null} status - Código HTTP, si lo hubo
+ * @property {Object<string, string>} fieldErrors - Mensajes de validación por campo de la API
+ * @property {*} cause - Error original
+ */
+export class ApiError extends Error {
+	/**
+	 * @param {Object} params
+	 * @param {string} params.type - Tipo de error
+	 * @param {string} params.message - Mensaje técnico
+	 * @param {number|null} [params.status=null] - Código HTTP
+	 * @param {Object<string, string>} [params.fieldErrors={}] - Errores por campo
+	 * @param {*} [params.cause] - Error original
+	 */
+	constructor({ type, message, status = null, fieldErrors = {}, cause }) {
+		super(message);
+		this.name = "ApiError";
+		this.type = type;
+		this.status = status;
+		this.fieldErrors = fieldErrors;
+		this.cause = cause;
+	}
+}
+
+/**
+ * Indica si un valor es un {@link ApiError}
+ *
+ * @function
+ * @param {*} error
+ * @returns {boolean}
+ */
+export const isApiError = (error) => error instanceof ApiError;
+
+/**
+ * Indica si un error corresponde a una solicitud abortada
+ *
+ * Las solicitudes canceladas no son fallos: las vistas deben ignorarlas.
+ *
+ * @function
+ * @param {*} error
+ * @returns {boolean}
+ */
+export const isCancelledError = (error) =>
+	(isApiError(error) && error.type === API_ERROR_TYPES.CANCELLED) ||
+	error?.code === "ERR_CANCELED" ||
+	error?.name === "AbortError" ||
+	error?.name === "CanceledError";
+
+/**
+ * Crea el error que representa una solicitud abortada
+ *
+ * @function
+ * @param {*} [cause] - Error original, si lo hay
+ * @returns {ApiError}
+ */
+export const createCancelledError = (cause) =>
+	new ApiError({
+		type: API_ERROR_TYPES.CANCELLED,
+		message: "Solicitud cancelada",
+		cause,
+	});
+
+/**
+ * Indica si un error de localStorage se debe a que la cuota está llena
+ *
+ * @function
+ * @param {*} error - Error lanzado por `localStorage.setItem`
+ * @returns {boolean}
+ */
+const isQuotaExceededError = (error) =>
+	error instanceof DOMException &&
+	(error.name === "QuotaExceededError" ||
+		error.name === "NS_ERROR_DOM_QUOTA_REACHED");
+
+/**
+ * Normaliza un error al escribir en localStorage
+ *
+ * @function
+ * @param {*} error - Error lanzado por `localStorage.setItem`
+ * @returns {ApiError|*} Un `storage_full` si la cuota está llena; si no, el mismo error
+ *
+ * @example
+ * try {
+ *   localStorage.setItem(key, value);
+ * } catch (error) {
+ *   throw toStorageError(error);
+ * }
+ */
+export const toStorageError = (error) =>
+	isQuotaExceededError(error)
+		? new ApiError({
+				type: API_ERROR_TYPES.STORAGE_FULL,
+				message: "localStorage quota exceeded",
+				status: 507,
+				cause: error,
+			})
+		: error;
+
+/**
+ * Obtiene el tipo de error correspondiente a un código HTTP
+ *
+ * @function
+ * @param {number} status - Código de estado HTTP
+ * @returns {string} Uno de {@link API_ERROR_TYPES}
+ */
+export const getErrorTypeFromStatus = (status) => {
+	if (status === 400 || status === 422) return API_ERROR_TYPES.VALIDATION;
+	if (status === 401) return API_ERROR_TYPES.UNAUTHORIZED;
+	if (status === 403) return API_ERROR_TYPES.FORBIDDEN;
+	if (status === 404) return API_ERROR_TYPES.NOT_FOUND;
+	if (status === 409) return API_ERROR_TYPES.CONFLICT;
+	if (status === 408) return API_ERROR_TYPES.TIMEOUT;
+	if (status >= 500) return API_ERROR_TYPES.SERVER;
+	return API_ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Extrae errores por campo de los mensajes de validación de la API
+ *
+ * La API responde con frases del tipo `"price must be a positive number"`
+ * o `"each value in images must be a URL address"`; el nombre del campo
+ * es la primera palabra o la que sigue a `"each value in"`.
+ *
+ * @function
+ * @param {string|Array<string>} messages - Mensaje o mensajes de la respuesta
+ * @returns {Object<string, string>} Primer mensaje de cada campo
+ *
+ * @example
+ * parseFieldErrors(["title should not be empty", "price must be a positive number"]);
+ * // Retorna: { title: "title should not be empty", price: "price must be a positive number" }
+ */
+export const parseFieldErrors = (messages) => {
+	const list = Array.isArray(messages) ? messages : [];
+	return list.reduce((acc, text) => {
+		if (typeof text !== "string") return acc;
+		const match =
+			text.match(/^each value in (\w+)/i) || text.match(/^(\w+)\s/);
+		const field = match?.[1];
+		if (field && !acc[field]) acc[field] = text;
+		return acc;
+	}, {});
+};
+
+/**
+ * Convierte cualquier error de axios (u otro) en un {@link ApiError}
+ *
+ * @function
+ * @param {*} error - Error original
+ * @returns {ApiError} Error normalizado
+ */
+export const toApiError = (error) => {
+	if (isApiError(error)) return error;
+
+	if (isCancelledError(error)) return createCancelledError(error);
+
+	if (error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT") {
+		return new ApiError({
+			type: API_ERROR_TYPES.TIMEOUT,
+			message: error.message,
+			cause: error,
+		});
+	}
+
+	const response = error?.response;
+	if (!response) {
+		const isNetwork =
+			error?.code === "ERR_NETWORK" ||
+			(typeof navigator !== "undefined" && navigator.onLine === false);
+		return new ApiError({
+			type: isNetwork ? API_ERROR_TYPES.NETWORK : API_ERROR_TYPES.UNKNOWN,
+			message: error?.message || "Error desconocido",
+			cause: error,
+		});
+	}
+
+	const { status, data } = response;
+	const rawMessage = data?.message;
+	const message = Array.isArray(rawMessage)
+		? rawMessage.join(". ")
+		: rawMessage || error.message;
+
+	// La API responde 400 cuando una entidad no existe
+	if (
+		status === 400 &&
+		(data?.name === "EntityNotFoundError" || /could not find/i.test(message))
+	) {
+		return new ApiError({
+			type: API_ERROR_TYPES.NOT_FOUND,
+			message,
+			status: 404,
+			cause: error,
+		});
+	}
+
+	return new ApiError({
+		type: getErrorTypeFromStatus(status),
+		message,
+		status,
+		fieldErrors: parseFieldErrors(rawMessage),
+		cause: error,
+	});
+};
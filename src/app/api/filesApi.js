@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Cliente de API de archivos
+ *
+ * Sube imágenes a la fuente de datos activa y devuelve la URL con la que
+ * referenciarlas en los productos.
+ *
+ * @module app/api/filesApi
+ * @requires app/api/dataSource
+ */
+
+import { getAdapter } from "./dataSource";
+
+/**
+ * Tiempo máximo por defecto de una subida. Es mayor que el de las
+ * solicitudes normales porque depende del tamaño del archivo.
+ * @constant {number}
+ */
+const UPLOAD_TIMEOUT_MS = 60000;
+
+/**
+ * Sube un archivo
+ *
+ * Las subidas no se reintentan automáticamente (son escrituras); la
+ * interfaz ofrece reintentar al usuario.
+ *
+ * @async
+ * @function
+ * @param {File} file - Archivo a subir
+ * @param {import('./dataSource').UploadOptions} [options] - Cancelación, tiempo máximo y progreso
+ * @returns {Promise<import('./dataSource').UploadedFile>} URL pública del archivo subido
+ * @throws {import('./errors').ApiError} Si la subida falla o se cancela
+ *
+ * @example
+ * const { url } = await uploadFile(file, {
+ *   onProgress: (fraction) => console.log(`${Math.round(fraction * 100)}%`),
+ * });
+ */
+export const uploadFile = (file, options = {}) =>
+	getAdapter().uploadFile(file, { timeout: UPLOAD_TIMEOUT_MS, ...options });
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Datos semilla del catálogo local
+ *
+ * Categorías y productos de ejemplo con la misma forma que devuelve la API
+ * remota. Se utilizan para inicializar el adaptador local la primera vez
+ * que se usa (o tras restablecerlo).
+ *
+ * Las fechas se calculan relativas al momento de la siembra para que los
+ * filtros por fecha y las métricas de "recientes" tengan sentido en una demo.
+ *
+ * @module app/api/fixtures/catalog
+ * @requires dayjs
+ */
+
+import dayjs from "dayjs";
+
+/**
+ * Genera un slug a partir de un texto
+ *
+ * @function
+ * @param {string} text - Texto de origen
+ * @returns {string} Slug en minúsculas, sin acentos y separado por guiones
+ *
+ * @example
+ * slugify("Cámara Réflex");
+ * // Retorna: "camara-reflex"
+ */
+export const slugify = (text) =>
+	text
+		.normalize("NFD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/(^-|-$)/g, "");
+
+/**
+ * Construye una URL de imagen de marcador para las fixtures
+ *
+ * @function
+ * @param {string} text - Texto a mostrar en la imagen
+ * @param {string} color - Color de fondo en hexadecimal sin "#"
+ * @returns {string} URL de la imagen
+ */
+const placeholderImage = (text, color) =>
+	`https://placehold.co/640x480/${color}/ffffff?text=${encodeURIComponent(text)}`;
+
+/**
+ * Definición de categorías semilla con sus productos
+ * @constant {Array<{name: string, color: string, products: Array<[string, number, string]>}>}
+ */
+const SEED = [
+	{
+		name: "Electrónica",
+		color: "1976d2",
+		products: [
+			["Auriculares Inalámbricos", 89.99, "Auriculares bluetooth con cancelación de ruido y 30 horas de batería."],
+			["Cámara Réflex Digital", 649.0, "Cámara réflex de 24 MP con lente 18-55 mm y grabación en Full HD."],
+			["Altavoz Portátil", 59.5, "Altavoz resistente al agua con sonido envolvente y micrófono integrado."],
+			["Monitor 27 Pulgadas", 279.99, "Monitor IPS 2K con bordes ultrafinos y 75 Hz de frecuencia."],
+			["Teclado Mecánico", 119.0, "Teclado mecánico retroiluminado con switches táctiles intercambiables."],
+			["Reloj Inteligente", 199.99, "Reloj con GPS, monitor de ritmo cardíaco y notificaciones del móvil."],
+		],
+	},
+	{
+		name: "Ropa",
+		color: "2e7d32",
+		products: [
+			["Chaqueta Impermeable", 120.0, "Chaqueta ligera y transpirable ideal para senderismo y lluvia."],
+			["Camiseta de Algodón", 19.99, "Camiseta básica de algodón orgánico disponible en varios colores."],
+			["Pantalón Chino", 45.0, "Pantalón chino de corte recto con tejido elástico y cómodo."],
+			["Sudadera con Capucha", 39.9, "Sudadera de felpa suave con bolsillo canguro y capucha ajustable."],
+			["Vestido de Lino", 65.0, "Vestido fresco de lino para el verano con cinturón a juego."],
+		],
+	},
+	{
+		name: "Hogar",
+		color: "ed6c02",
+		products: [
+			["Lámpara de Escritorio", 34.99, "Lámpara LED regulable con brazo flexible y puerto USB de carga."],
+			["Juego de Sartenes", 89.0, "Tres sartenes antiadherentes aptas para inducción y lavavajillas."],
+			["Cafetera Italiana", 29.5, "Cafetera de aluminio para seis tazas con mango ergonómico."],
+			["Manta de Punto", 49.99, "Manta tejida a mano de punto grueso para sofá o cama."],
+			["Set de Toallas", 27.0, "Juego de cuatro toallas de algodón peinado de alta absorción."],
+		],
+	},
+	{
+		name: "Deportes",
+		color: "7b1fa2",
+		products: [
+			["Esterilla de Yoga", 24.99, "Esterilla antideslizante de 6 mm con correa de transporte."],
+			["Mancuernas Ajustables", 149.0, "Par de mancuernas ajustables de 2 a 24 kg con soporte."],
+			["Bicicleta Estática", 329.0, "Bicicleta estática con resistencia magnética y pantalla LCD."],
+			["Balón de Fútbol", 22.5, "Balón oficial talla 5 con costuras termoselladas."],
+			["Zapatillas de Running", 95.0, "Zapatillas ligeras con amortiguación reactiva para asfalto."],
+		],
+	},
+	{
+		name: "Juguetes",
+		color: "c2185b",
+		products: [
+			["Bloques de Construcción", 39.99, "Set de 500 piezas compatibles para construir vehículos y casas."],
+			["Peluche de Oso", 18.0, "Peluche suave e hipoalergénico de 40 cm de altura."],
+			["Puzzle de 1000 Piezas", 15.99, "Rompecabezas de paisaje nórdico con póster de referencia."],
+			["Coche Teledirigido", 55.0, "Coche todoterreno a escala 1:16 con batería recargable."],
+		],
+	},
+	{
+		name: "Varios",
+		color: "455a64",
+		products: [
+			["Mochila Urbana", 49.0, "Mochila con compartimento acolchado para portátil de 15 pulgadas."],
+			["Botella Térmica", 21.99, "Botella de acero inoxidable que mantiene el frío 24 horas."],
+			["Cuaderno de Tapa Dura", 9.99, "Cuaderno A5 de 200 páginas con papel de 100 g y punteado."],
+		],
+	},
+];
+
+/**
+ * @typedef {Object} SeedCatalog
+ * @property {Array<Object>} categories - Categorías con la forma de la API
+ * @property {Array<Object>} products - Productos con la categoría embebida
+ */
+
+/**
+ * Crea una copia nueva del catálogo semilla
+ *
+ * Cada producto recibe una fecha de creación escalonada hacia atrás en el
+ * tiempo, de modo que el catálogo cubre aproximadamente los últimos tres meses.
+ *
+ * @function
+ * @returns {SeedCatalog} Catálogo listo para persistir
+ *
+ * @example
+ * const { categories, products } = createSeedCatalog();
+ * console.log(categories.length, products.length);
+ */
+export const createSeedCatalog = () => {
+	const now = dayjs();
+	const categories = SEED.map((seed, index) => {
+		const createdAt = now.subtract(120, "day").toISOString();
+		return {
+			id: index + 1,
+			name: seed.name,
+			slug: slugify(seed.name),
+			image: placeholderImage(seed.name, seed.color),
+			creationAt: createdAt,
+			updatedAt: createdAt,
+		};
+	});
+
+	let nextId = 1;
+	const products = SEED.flatMap((seed, categoryIndex) =>
+		seed.products.map(([title, price, description]) => {
+			const id = nextId++;
+			const createdAt = now
+				.subtract(id * 3, "day")
+				.subtract(id * 37, "minute")
+				.toISOString();
+			return {
+				id,
+				title,
+				slug: slugify(title),
+				price,
+				description,
+				category: categories[categoryIndex],
+				images: [placeholderImage(title, seed.color)],
+				creationAt: createdAt,
+				updatedAt: createdAt,
+			};
+		}),
+	);
+
+	return { categories, products };
+};
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Usuarios de ejemplo del adaptador local
+ *
+ * Cuentas con las que se puede iniciar sesión cuando la fuente de datos
+ * es el catálogo local. Tienen la misma forma que los perfiles de la API
+ * remota (más la contraseña, que nunca sale del adaptador). Hay una cuenta
+ * por rol de la aplicación; `customer` es el rol de la API que equivale a lector.
+ *
+ * @module app/api/fixtures/users
+ */
+
+/**
+ * Usuarios semilla
+ * @constant {Array<{id: number, email: string, password: string, name: string, role: string, avatar: string}>}
+ */
+export const SEED_USERS = [
+	{
+		id: 1,
+		email: "admin@mail.com",
+		password: "admin123",
+		name: "Admin",
+		role: "admin",
+		avatar: "https://i.pravatar.cc/150?u=admin@mail.com",
+	},
+	{
+		id: 2,
+		email: "john@mail.com",
+		password: "changeme",
+		name: "John",
+		role: "customer",
+		avatar: "https://i.pravatar.cc/150?u=john@mail.com",
+	},
+	{
+		id: 3,
+		email: "editor@mail.com",
+		password: "editor123",
+		name: "Editor",
+		role: "editor",
+		avatar: "https://i.pravatar.cc/150?u=editor@mail.com",
+	},
+];
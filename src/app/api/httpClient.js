@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Cliente HTTP compartido
+ *
+ * Instancia única de axios configurada contra la API remota. La utilizan
+ * los adaptadores que hablan HTTP y es el punto donde se registran los
+ * interceptores comunes:
+ *
+ * - Tiempo máximo por solicitud (`timeout`, ajustable por solicitud)
+ * - Reintentos con espera exponencial y jitter para solicitudes idempotentes
+ *   (ver {@link module:app/api/retryPolicy})
+ * - Cabecera `Authorization` con el token de la sesión activa
+ * - Ante un 401, renovación del token con `/auth/refresh-token` y reintento
+ *   de la solicitud; si la renovación falla, la sesión se cierra como caducada
+ *   (ver {@link module:app/api/authSession})
+ * - Toda respuesta fallida se rechaza con un {@link module:app/api/errors~ApiError}
+ *
+ * Las solicitudes aceptan `signal` (AbortController) para cancelarse.
+ *
+ * La URL base puede sobrescribirse con la variable de entorno `VITE_API_BASE_URL`.
+ *
+ * @module app/api/httpClient
+ * @requires axios
+ */
+
+import axios from "axios";
+import { toApiError } from "./errors";
+import {
+	clearSession,
+	getAccessToken,
+	getRefreshToken,
+	setTokens,
+} from "./authSession";
+import {
+	DEFAULT_TIMEOUT_MS,
+	getRetryDelay,
+	isTransientFailure,
+	resolveRetryPolicy,
+	waitFor,
+} from "./retryPolicy";
+
+/** @constant {string} API_BASE_URL - URL base de la API remota */
+export const API_BASE_URL =
+	import.meta.env.VITE_API_BASE_URL || "https://api.escuelajs.co/api/v1";
+
+/**
+ * Instancia de axios compartida por toda la aplicación
+ * @type {import('axios').AxiosInstance}
+ */
+export const api = axios.create({
+	baseURL: API_BASE_URL,
+	timeout: DEFAULT_TIMEOUT_MS,
+	headers: {
+		"Content-Type": "application/json",
+	},
+});
+
+/**
+ * Reintenta las solicitudes idempotentes que fallan de forma transitoria
+ *
+ * El número de intento se guarda en la propia configuración de la solicitud
+ * (`__retryCount`). Si la señal de la solicitud se aborta durante la espera,
+ * se rechaza como cancelada.
+ *
+ * @async
+ * @function
+ * @param {Object} error - Error de axios
+ * @returns {Promise<Object>} Respuesta del reintento
+ * @throws {Object} El error original si no se reintenta
+ */
+const retryTransientFailure = async (error) => {
+	const config = error?.config;
+	const policy = resolveRetryPolicy(config);
+	const attempt = config?.__retryCount ?? 0;
+
+	if (!policy || attempt >= policy.retries || !isTransientFailure(error, policy)) {
+		throw error;
+	}
+
+	config.__retryCount = attempt + 1;
+	const delay = getRetryDelay(
+		attempt,
+		policy,
+		error.response?.headers?.["retry-after"],
+	);
+	await waitFor(delay, config.signal, () => new axios.CanceledError());
+	return api(config);
+};
+
+/**
+ * Añade el token de acceso de la sesión a cada solicitud
+ *
+ * @function
+ * @param {Object} config - Configuración de axios
+ * @returns {Object} Configuración con la cabecera Authorization
+ */
+const attachAccessToken = (config) => {
+	const token = getAccessToken();
+	if (token && !config.headers.Authorization) {
+		config.headers.Authorization = `Bearer ${token}`;
+	}
+	return config;
+};
+
+/** @type {Promise<void>|null} Renovación en curso, compartida por todas las solicitudes */
+let refreshPromise = null;
+
+/**
+ * Renueva el token de acceso con el token de renovación
+ *
+ * Las solicitudes que reciben un 401 a la vez comparten una única
+ * renovación. Si falla, la sesión se cierra como caducada.
+ *
+ * @function
+ * @returns {Promise<void>}
+ */
+const refreshAccessToken = () => {
+	refreshPromise ??= api
+		.post(
+			"/auth/refresh-token",
+			{ refreshToken: getRefreshToken() },
+			{ skipAuthRefresh: true, retry: false },
+		)
+		.then(({ data }) => {
+			setTokens({
+				accessToken: data.access_token,
+				refreshToken: data.refresh_token,
+			});
+		})
+		.catch((error) => {
+			clearSession({ expired: true });
+			throw error;
+		})
+		.finally(() => {
+			refreshPromise = null;
+		});
+	return refreshPromise;
+};
+
+/**
+ * Renueva la sesión y repite la solicitud cuando la API responde 401
+ *
+ * No actúa sobre las solicitudes marcadas con `skipAuthRefresh` (login y
+ * la propia renovación), ni si no hay sesión, ni sobre un reintento.
+ *
+ * @async
+ * @function
+ * @param {Object} error - Error de axios
+ * @returns {Promise<Object>} Respuesta de la solicitud repetida
+ * @throws {Object} El error original si no se renueva
+ */
+const refreshOnUnauthorized = async (error) => {
+	const config = error?.config;
+	if (
+		error?.response?.status !== 401 ||
+		!config ||
+		config.skipAuthRefresh ||
+		config.__authRetried ||
+		!getRefreshToken()
+	) {
+		throw error;
+	}
+
+	config.__authRetried = true;
+	await refreshAccessToken();
+	config.headers.Authorization = `Bearer ${getAccessToken()}`;
+	return api(config);
+};
+
+api.interceptors.request.use(attachAccessToken);
+
+api.interceptors.response.use((response) => response, retryTransientFailure);
+
+api.interceptors.response.use((response) => response, refreshOnUnauthorized);
+
+api.interceptors.response.use(
+	(response) => response,
+	(error) => Promise.reject(toApiError(error)),
+);
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Mutaciones optimistas de productos
+ *
+ * Envuelve las mutaciones de {@link module:app/api/productsApi} para que la
+ * interfaz refleje el cambio al instante, sin esperar al servidor:
+ *
+ * 1. Se abortan las lecturas de productos en curso, para que una respuesta
+ *    anterior no pise el cambio
+ * 2. Se aplica el cambio en todas las consultas de productos en caché
+ *    (catálogo, páginas y detalle); los productos afectados quedan marcados
+ *    con `isPending` hasta que responde el servidor
+ * 3. Si el servidor confirma, `productsApi` invalida la caché y los datos
+ *    reales sustituyen a los optimistas
+ * 4. Si falla, se deshace el cambio y se revalida la caché; el error se
+ *    propaga para que la vista lo notifique
+ *
+ * El deshacer aplica la operación inversa sobre los datos actuales en lugar
+ * de restaurar una copia, de modo que varias mutaciones simultáneas no se
+ * pisan entre sí: una edición fallida solo devuelve a su valor anterior los
+ * campos que ella cambió y que ninguna edición posterior ha vuelto a tocar.
+ *
+ * Con `invalidate: false` (operaciones en serie) no se revalida nada: un
+ * cambio confirmado deja en caché lo que devolvió el servidor y quien lanza
+ * la serie invalida una sola vez al terminar.
+ *
+ * @module app/api/productMutations
+ * @requires app/api/productsApi
+ * @requires app/api/queryCache
+ */
+
+import { createProduct, deleteProduct, updateProduct } from "./productsApi";
+import {
+	cancelQueries,
+	getQueriesData,
+	getQueryData,
+	hashQueryKey,
+	invalidateQueries,
+	setQueriesData,
+} from "./queryCache";
+import { categoryKeys, productKeys } from "./queryKeys";
+import { API_ERROR_TYPES, isApiError } from "./errors";
+
+/**
+ * Prefijos de las consultas que contienen listados de productos
+ * @constant {Array<import('./queryCache').QueryKey>}
+ */
+const LIST_PREFIXES = [productKeys.list(), ["products", "page"]];
+
+/** @type {number} Último ID temporal asignado (negativo para no chocar con los reales) */
+let lastTempId = 0;
+
+/**
+ * Aplica una transformación a todos los listados de productos en caché
+ *
+ * @function
+ * @param {function(Array<Object>): Array<Object>} updater - Transformación del listado
+ * @returns {void}
+ */
+const updateProductLists = (updater) => {
+	LIST_PREFIXES.forEach((prefix) => setQueriesData(prefix, updater));
+};
+
+/**
+ * Sustituye un producto por ID en todos los listados y en su detalle
+ *
+ * @function
+ * @param {number} id - ID del producto
+ * @param {function(Object): Object} updater - Recibe el producto actual y devuelve el nuevo
+ * @returns {void}
+ */
+const replaceProduct = (id, updater) => {
+	updateProductLists((products) =>
+		products.some((p) => p.id === id)
+			? products.map((p) => (p.id === id ? updater(p) : p))
+			: products,
+	);
+	setQueriesData(productKeys.detail(id), updater);
+};
+
+/**
+ * Busca un producto en la caché (detalle o cualquier listado)
+ *
+ * @function
+ * @param {number} id - ID del producto
+ * @returns {Object|undefined} Producto en caché
+ */
+const findCachedProduct = (id) => {
+	const detail = getQueryData(productKeys.detail(id));
+	if (detail) return detail;
+	return LIST_PREFIXES.flatMap(getQueriesData)
+		.flatMap(([, products]) => products)
+		.find((p) => p.id === id);
+};
+
+/**
+ * Aplica los datos del formulario a un producto, como lo haría la API
+ *
+ * @function
+ * @param {Object} product - Producto de partida
+ * @param {Object} productData - Datos del formulario (`images`, `categoryId`...)
+ * @returns {Object} Producto resultante marcado como pendiente
+ */
+const applyProductData = (product, productData) => {
+	const { categoryId, ...fields } = productData;
+	const next = {
+		...product,
+		...fields,
+		updatedAt: new Date().toISOString(),
+		isPending: true,
+	};
+	if (fields.price !== undefined) next.price = Number(fields.price);
+	if (categoryId !== undefined) {
+		const categories = getQueryData(categoryKeys.list()) ?? [];
+		next.category = categories.find((c) => c.id === Number(categoryId)) ?? {
+			...product.category,
+			id: Number(categoryId),
+		};
+	}
+	return next;
+};
+
+/**
+ * Campos del producto que modifican unos datos del formulario
+ *
+ * @function
+ * @param {Object} productData - Datos del formulario
+ * @returns {string[]} Nombres de los campos en el producto (`categoryId` se guarda en `category`)
+ */
+const getPatchedFields = (productData) =>
+	Object.keys(productData).map((field) =>
+		field === "categoryId" ? "category" : field,
+	);
+
+/**
+ * Deshace una edición optimista sobre el producto actual
+ *
+ * Cada campo editado vuelve a su valor anterior salvo que ya no tenga el
+ * valor que puso esta edición, es decir, que otra edición posterior lo haya
+ * cambiado: en ese caso se conserva y el producto sigue pendiente.
+ *
+ * @function
+ * @param {Object} product - Producto actual en caché
+ * @param {Object} previous - Producto antes de la edición
+ * @param {Object} applied - Producto con la edición aplicada
+ * @param {Object} productData - Datos del formulario de la edición
+ * @returns {Object} Producto con la edición deshecha
+ */
+const revertProductData = (product, previous, applied, productData) => {
+	const next = { ...product };
+	let isOverlapped = false;
+	getPatchedFields(productData).forEach((field) => {
+		const isUnchanged =
+			field === "category"
+				? product.category?.id === applied.category?.id
+				: product[field] === applied[field];
+		if (isUnchanged) {
+			next[field] = previous[field];
+		} else {
+			isOverlapped = true;
+		}
+	});
+	if (!isOverlapped) {
+		next.updatedAt = previous.updatedAt;
+		next.isPending = previous.isPending;
+	}
+	return next;
+};
+
+/**
+ * Deshace un cambio optimista y revalida la caché
+ *
+ * @function
+ * @param {Function} rollback - Operación inversa sobre la caché
+ * @param {boolean} [invalidate=true] - Revalidar; false en operaciones en serie
+ * @returns {void}
+ */
+const rollbackAndInvalidate = (rollback, invalidate = true) => {
+	rollback();
+	if (invalidate) invalidateQueries(productKeys.all);
+};
+
+/**
+ * Crea un producto mostrándolo en el catálogo antes de que responda el servidor
+ *
+ * El producto provisional recibe un ID negativo y `isPending: true`.
+ *
+ * @async
+ * @function
+ * @param {Object} productData - Datos del formulario (ver {@link module:app/api/productsApi.createProduct})
+ * @returns {Promise<Object>} Producto creado por el servidor
+ * @throws {import('./errors').ApiError} Si el servidor rechaza la creación (ya deshecha)
+ *
+ * @example
+ * createProductOptimistic(data).catch((error) => notifyError(error));
+ * navigate("/inventory");
+ */
+export const createProductOptimistic = async (productData) => {
+	lastTempId -= 1;
+	const tempId = lastTempId;
+	const now = new Date().toISOString();
+	const tempProduct = applyProductData(
+		{ id: tempId, images: [], creationAt: now, category: null },
+		productData,
+	);
+
+	cancelQueries(productKeys.all);
+	setQueriesData(productKeys.list(), (products) => [...products, tempProduct]);
+
+	try {
+		return await createProduct(productData);
+	} catch (error) {
+		rollbackAndInvalidate(() =>
+			setQueriesData(productKeys.list(), (products) =>
+				products.filter((p) => p.id !== tempId),
+			),
+		);
+		throw error;
+	}
+};
+
+/**
+ * Actualiza un producto reflejando el cambio antes de que responda el servidor
+ *
+ * @async
+ * @function
+ * @param {number} id - ID del producto
+ * @param {Object} productData - Datos del formulario (ver {@link module:app/api/productsApi.updateProduct})
+ * @param {Object} [options]
+ * @param {boolean} [options.invalidate=true] - Revalidar la caché al responder el servidor
+ * @returns {Promise<Object>} Producto actualizado por el servidor
+ * @throws {import('./errors').ApiError} Si el servidor rechaza el cambio (ya deshecho)
+ */
+export const updateProductOptimistic = async (
+	id,
+	productData,
+	{ invalidate = true } = {},
+) => {
+	const previous = findCachedProduct(id);
+	const applied = previous && applyProductData(previous, productData);
+
+	cancelQueries(productKeys.all);
+	replaceProduct(id, (product) => applyProductData(product, productData));
+
+	try {
+		const updated = await updateProduct(id, productData, { invalidate });
+		if (!invalidate) replaceProduct(id, () => updated);
+		return updated;
+	} catch (error) {
+		rollbackAndInvalidate(() => {
+			if (!previous) return;
+			replaceProduct(id, (product) =>
+				revertProductData(product, previous, applied, productData),
+			);
+		}, invalidate);
+		throw error;
+	}
+};
+
+/**
+ * Elimina un producto quitándolo de los listados antes de que responda el servidor
+ *
+ * Si el servidor indica que el producto ya no existía, no se restaura.
+ *
+ * @async
+ * @function
+ * @param {number} id - ID del producto
+ * @param {Object} [options]
+ * @param {boolean} [options.invalidate=true] - Revalidar la caché al responder el servidor
+ * @returns {Promise<Object>} Resultado de la eliminación
+ * @throws {import('./errors').ApiError} Si el servidor rechaza la eliminación (ya deshecha)
+ */
+export const deleteProductOptimistic = async (
+	id,
+	{ invalidate = true } = {},
+) => {
+	/** @type {Map<string, number>} Posición original del producto en cada listado */
+	const positions = new Map();
+	const previous = findCachedProduct(id);
+
+	cancelQueries(productKeys.all);
+	LIST_PREFIXES.forEach((prefix) =>
+		setQueriesData(prefix, (products, key) => {
+			const index = products.findIndex((p) => p.id === id);
+			if (index === -1) return products;
+			positions.set(hashQueryKey(key), index);
+			return products.filter((p) => p.id !== id);
+		}),
+	);
+
+	try {
+		return await deleteProduct(id, { invalidate });
+	} catch (error) {
+		const isGone =
+			isApiError(error) && error.type === API_ERROR_TYPES.NOT_FOUND;
+		rollbackAndInvalidate(() => {
+			if (isGone || !previous) return;
+			LIST_PREFIXES.forEach((prefix) =>
+				setQueriesData(prefix, (products, key) => {
+					const index = positions.get(hashQueryKey(key));
+					if (index === undefined || products.some((p) => p.id === id)) {
+						return products;
+					}
+					const next = [...products];
+					next.splice(index, 0, previous);
+					return next;
+				}),
+			);
+		}, invalidate);
+		throw error;
+	}
+};
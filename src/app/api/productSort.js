@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Ordenación de productos
+ *
+ * Criterios de ordenación normalizados, independientes de la fuente de
+ * datos. Los usa `useProducts` para ordenar en memoria y los adaptadores
+ * que saben ordenar en el servidor.
+ *
+ * @module app/api/productSort
+ */
+
+/**
+ * Campos por los que se puede ordenar
+ * @constant {Object<string, string>}
+ */
+export const SORT_FIELDS = {
+	TITLE: "title",
+	CATEGORY: "category",
+	PRICE: "price",
+	CREATED_AT: "creationAt",
+};
+
+/**
+ * Direcciones de ordenación
+ * @constant {Object<string, string>}
+ */
+export const SORT_DIRECTIONS = {
+	ASC: "asc",
+	DESC: "desc",
+};
+
+/**
+ * Dirección con la que empieza cada campo: alfabética para los textos y de
+ * mayor a menor para precio y fecha (lo más caro o lo más reciente primero)
+ * @constant {Object<string, string>}
+ */
+export const DEFAULT_SORT_DIRECTIONS = {
+	[SORT_FIELDS.TITLE]: SORT_DIRECTIONS.ASC,
+	[SORT_FIELDS.CATEGORY]: SORT_DIRECTIONS.ASC,
+	[SORT_FIELDS.PRICE]: SORT_DIRECTIONS.DESC,
+	[SORT_FIELDS.CREATED_AT]: SORT_DIRECTIONS.DESC,
+};
+
+/**
+ * Criterio de ordenación. Una lista de criterios se aplica en orden: el
+ * segundo solo desempata los productos iguales según el primero.
+ *
+ * @typedef {Object} SortCriterion
+ * @property {string} field - Uno de {@link SORT_FIELDS}
+ * @property {('asc'|'desc')} direction - Uno de {@link SORT_DIRECTIONS}
+ */
+
+/** @type {Intl.Collator} Comparación de textos sin distinguir mayúsculas ni acentos */
+const collator = new Intl.Collator("es", {
+	sensitivity: "base",
+	numeric: true,
+});
+
+/**
+ * Compara dos productos por un campo, en orden ascendente
+ *
+ * Los productos sin categoría quedan al final.
+ *
+ * @function
+ * @param {Object} a - Producto
+ * @param {Object} b - Producto
+ * @param {string} field - Uno de {@link SORT_FIELDS}
+ * @returns {number}
+ */
+const compareByField = (a, b, field) => {
+	switch (field) {
+		case SORT_FIELDS.TITLE:
+			return collator.compare(a.title ?? "", b.title ?? "");
+		case SORT_FIELDS.CATEGORY: {
+			const nameA = a.category?.name;
+			const nameB = b.category?.name;
+			if (!nameA || !nameB) return Number(!nameA) - Number(!nameB);
+			return collator.compare(nameA, nameB);
+		}
+		case SORT_FIELDS.PRICE:
+			return Number(a.price) - Number(b.price);
+		case SORT_FIELDS.CREATED_AT:
+			return new Date(a.creationAt) - new Date(b.creationAt);
+		default:
+			return 0;
+	}
+};
+
+/**
+ * Devuelve una copia ordenada de los productos
+ *
+ * Los empates finales se resuelven por ID para que el orden sea estable
+ * entre páginas.
+ *
+ * @function
+ * @param {Array<Object>} products - Productos a ordenar
+ * @param {Array<SortCriterion>} sort - Criterios, del principal al secundario
+ * @returns {Array<Object>} Nueva lista ordenada (la misma si no hay criterios)
+ *
+ * @example
+ * sortProducts(products, [
+ *   { field: "category", direction: "asc" },
+ *   { field: "price", direction: "desc" },
+ * ]);
+ */
+export const sortProducts = (products, sort) => {
+	if (!sort?.length) return products;
+	return [...products].sort((a, b) => {
+		for (const { field, direction } of sort) {
+			const result = compareByField(a, b, field);
+			if (result !== 0) {
+				return direction === SORT_DIRECTIONS.DESC ? -result : result;
+			}
+		}
+		return a.id - b.id;
+	});
+};
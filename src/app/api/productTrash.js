@@ -0,0 +1,487 @@
+/**
+ * @fileoverview Eliminación diferida y papelera de productos
+ *
+ * Almacén, fuera de React, de dos cosas relacionadas:
+ *
+ * - **Eliminaciones pendientes**: al eliminar un producto se oculta al
+ *   instante de los listados, pero `deleteProduct` no se llama hasta pasados
+ *   {@link UNDO_DELETE_DELAY_MS} milisegundos. Mientras tanto se puede
+ *   deshacer sin tocar el servidor. Los temporizadores viven fuera de React,
+ *   así que cambiar de vista no cancela la eliminación. Las eliminaciones
+ *   sin confirmar se guardan en `localStorage`: si la pestaña se cierra
+ *   antes de enviarlas o de que el servidor responda, se envían al volver a
+ *   abrir la aplicación (ver {@link resumePendingDeletes}).
+ * - **Papelera**: copia de los últimos productos eliminados (con sus
+ *   imágenes), persistida en `localStorage` por fuente de datos. Un producto
+ *   entra en ella cuando el servidor confirma su eliminación. La API no
+ *   tiene papelera, así que restaurar un producto es volver a crearlo con
+ *   `createProduct`: el producto restaurado recibe un ID nuevo.
+ *
+ * Se puede leer sin React o suscribirse con `useSyncExternalStore`.
+ *
+ * @module app/api/productTrash
+ * @requires app/api/productMutations
+ * @requires app/api/dataSource
+ */
+
+import {
+	createProductOptimistic,
+	deleteProductOptimistic,
+} from "./productMutations";
+import { getDataSource } from "./dataSource";
+
+/** @constant {string} STORAGE_KEY_PREFIX - Prefijo de la clave de localStorage de la papelera */
+const STORAGE_KEY_PREFIX = "bault.trash";
+
+/** @constant {string} PENDING_STORAGE_KEY_PREFIX - Prefijo de la clave de localStorage de las eliminaciones sin confirmar */
+const PENDING_STORAGE_KEY_PREFIX = "bault.pendingDeletes";
+
+/** @constant {number} MAX_TRASH_ENTRIES - Productos que conserva la papelera; se descartan los más antiguos */
+const MAX_TRASH_ENTRIES = 50;
+
+/** @constant {number} UNDO_DELETE_DELAY_MS - Tiempo para deshacer una eliminación antes de enviarla */
+export const UNDO_DELETE_DELAY_MS = 5000;
+
+/**
+ * Producto en la papelera
+ *
+ * @typedef {Object} TrashEntry
+ * @property {Object} product - Copia del producto tal como estaba al eliminarlo
+ * @property {string} deletedAt - Fecha de eliminación (ISO 8601)
+ */
+
+/**
+ * Estado del almacén
+ *
+ * @typedef {Object} TrashState
+ * @property {number[]} pendingDeleteIds - Productos ocultos a la espera de eliminarse
+ * @property {Array<TrashEntry>} entries - Papelera, de la eliminación más reciente a la más antigua
+ */
+
+/**
+ * Eliminación pendiente
+ *
+ * @typedef {Object} PendingDelete
+ * @property {Object} product - Producto a eliminar
+ * @property {number} timer - Temporizador que la envía
+ * @property {Function} resolve - Resuelve la promesa de {@link scheduleProductDelete}
+ * @property {Function} reject - Rechaza la promesa de {@link scheduleProductDelete}
+ * @property {Promise<boolean>} promise - Promesa devuelta por {@link scheduleProductDelete}
+ */
+
+/**
+ * Clave de localStorage de la papelera de la fuente de datos activa
+ *
+ * Cada fuente tiene la suya: restaurar una copia del catálogo local con la
+ * API remota activa la crearía en la API remota.
+ *
+ * @function
+ * @returns {string}
+ */
+const getStorageKey = () => `${STORAGE_KEY_PREFIX}.${getDataSource()}`;
+
+/**
+ * Clave de localStorage de las eliminaciones sin confirmar de la fuente activa
+ *
+ * @function
+ * @returns {string}
+ */
+const getPendingStorageKey = () =>
+	`${PENDING_STORAGE_KEY_PREFIX}.${getDataSource()}`;
+
+/**
+ * Lee la papelera persistida
+ *
+ * @function
+ * @returns {Array<TrashEntry>}
+ */
+const readEntries = () => {
+	try {
+		const entries = JSON.parse(localStorage.getItem(getStorageKey()));
+		return Array.isArray(entries)
+			? entries.filter((entry) => entry?.product?.id != null)
+			: [];
+	} catch {
+		return [];
+	}
+};
+
+/**
+ * Lee las eliminaciones que quedaron sin confirmar en una sesión anterior
+ *
+ * @function
+ * @returns {Array<Object>} Copias de los productos
+ */
+const readUnconfirmedDeletes = () => {
+	try {
+		const products = JSON.parse(localStorage.getItem(getPendingStorageKey()));
+		return Array.isArray(products)
+			? products.filter((product) => product?.id != null)
+			: [];
+	} catch {
+		return [];
+	}
+};
+
+/** @type {TrashState} */
+let state = { pendingDeleteIds: [], entries: readEntries() };
+
+/** @type {Map<number, PendingDelete>} Eliminaciones pendientes por ID de producto */
+const pendingDeletes = new Map();
+
+/**
+ * @type {Map<number, Object>}
+ * Eliminaciones que el servidor aún no ha confirmado (pendientes o en
+ * curso), con la copia del producto. Es lo que se persiste
+ */
+const unconfirmedDeletes = new Map(
+	readUnconfirmedDeletes().map((product) => [product.id, product]),
+);
+
+/** @type {boolean} Indica si ya se reanudaron las eliminaciones de la sesión anterior */
+let resumed = false;
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+/**
+ * Reemplaza el estado, persiste la papelera si cambió y avisa a los suscriptores
+ *
+ * Si el navegador no deja guardarla (p. ej. cuota llena por imágenes en
+ * data URL), la papelera sigue disponible hasta cerrar la pestaña.
+ *
+ * @function
+ * @param {Partial<TrashState>} changes - Campos que cambian
+ * @returns {void}
+ */
+const setState = (changes) => {
+	if (changes.entries) {
+		try {
+			localStorage.setItem(getStorageKey(), JSON.stringify(changes.entries));
+		} catch (storageError) {
+			console.error("Error saving trash:", storageError);
+		}
+	}
+	state = { ...state, ...changes };
+	listeners.forEach((listener) => listener());
+};
+
+/**
+ * Copia de un producto con lo necesario para mostrarlo y volver a crearlo
+ *
+ * @function
+ * @param {Object} product - Producto
+ * @returns {Object}
+ */
+const toSnapshot = ({
+	id,
+	title,
+	price,
+	description,
+	category,
+	images,
+	creationAt,
+}) => ({
+	id,
+	title,
+	price,
+	description,
+	category: category ? { id: category.id, name: category.name } : null,
+	images: images ?? [],
+	creationAt,
+});
+
+/**
+ * Persiste las eliminaciones sin confirmar
+ *
+ * @function
+ * @returns {void}
+ */
+const writeUnconfirmedDeletes = () => {
+	try {
+		localStorage.setItem(
+			getPendingStorageKey(),
+			JSON.stringify([...unconfirmedDeletes.values()]),
+		);
+	} catch (storageError) {
+		console.error("Error saving pending deletes:", storageError);
+	}
+};
+
+/**
+ * Olvida una eliminación sin confirmar (se deshizo o el servidor respondió)
+ *
+ * @function
+ * @param {number} id - ID del producto
+ * @returns {void}
+ */
+const forgetUnconfirmedDelete = (id) => {
+	if (unconfirmedDeletes.delete(id)) writeUnconfirmedDeletes();
+};
+
+/**
+ * Guarda una copia de un producto eliminado en la papelera
+ *
+ * La usan las eliminaciones diferidas y las acciones masivas, que eliminan
+ * sin espera, una vez que el servidor confirma la eliminación.
+ *
+ * @function
+ * @param {Object} product - Producto eliminado
+ * @returns {void}
+ */
+export const addToTrash = (product) => {
+	const entry = {
+		product: toSnapshot(product),
+		deletedAt: new Date().toISOString(),
+	};
+	setState({
+		entries: [
+			entry,
+			...state.entries.filter((e) => e.product.id !== product.id),
+		].slice(0, MAX_TRASH_ENTRIES),
+	});
+};
+
+/**
+ * Quita un producto de la papelera sin restaurarlo
+ *
+ * @function
+ * @param {number} productId - ID que tenía el producto
+ * @returns {void}
+ */
+export const removeFromTrash = (productId) => {
+	setState({
+		entries: state.entries.filter((entry) => entry.product.id !== productId),
+	});
+};
+
+/**
+ * Vacía la papelera
+ *
+ * @function
+ * @returns {void}
+ */
+export const clearTrash = () => {
+	setState({ entries: [] });
+};
+
+/**
+ * Restaura un producto de la papelera creándolo de nuevo con sus datos
+ * originales e imágenes
+ *
+ * Se quita de la papelera en cuanto el servidor lo confirma; si falla,
+ * sigue en ella. Si su categoría ya no existe, quien restaura elige otra
+ * con `options.categoryId`.
+ *
+ * @async
+ * @function
+ * @param {TrashEntry} entry - Producto de la papelera
+ * @param {Object} [options]
+ * @param {number} [options.categoryId] - Categoría con la que se restaura; por defecto la original
+ * @returns {Promise<Object>} Producto creado por el servidor (con un ID nuevo)
+ * @throws {import('./errors').ApiError} Si el servidor rechaza la creación
+ */
+export const restoreFromTrash = async ({ product }, { categoryId } = {}) => {
+	const created = await createProductOptimistic({
+		title: product.title,
+		price: product.price,
+		description: product.description,
+		categoryId: categoryId ?? product.category?.id,
+		images: product.images,
+	});
+	removeFromTrash(product.id);
+	return created;
+};
+
+/**
+ * Quita un producto de las eliminaciones pendientes
+ *
+ * @function
+ * @param {number} id - ID del producto
+ * @returns {PendingDelete|undefined} La eliminación quitada, si existía
+ */
+const takePendingDelete = (id) => {
+	const pending = pendingDeletes.get(id);
+	if (!pending) return undefined;
+	clearTimeout(pending.timer);
+	pendingDeletes.delete(id);
+	setState({
+		pendingDeleteIds: state.pendingDeleteIds.filter(
+			(pendingId) => pendingId !== id,
+		),
+	});
+	return pending;
+};
+
+/**
+ * Envía al servidor una eliminación pendiente
+ *
+ * El producto pasa a la papelera cuando el servidor confirma; hasta
+ * entonces sigue entre las eliminaciones sin confirmar, por si la pestaña
+ * se cierra antes de la respuesta. `deleteProductOptimistic` quita el
+ * producto de la caché antes de dejar de ocultarlo, así que no llega a
+ * reaparecer; si el servidor falla, lo restaura y revalida.
+ *
+ * @function
+ * @param {number} id - ID del producto
+ * @returns {void}
+ */
+const commitPendingDelete = (id) => {
+	const { product } = pendingDeletes.get(id);
+	const request = deleteProductOptimistic(id);
+	const { resolve, reject } = takePendingDelete(id);
+	request.then(
+		() => {
+			forgetUnconfirmedDelete(id);
+			addToTrash(product);
+			resolve(true);
+		},
+		(deleteError) => {
+			forgetUnconfirmedDelete(id);
+			reject(deleteError);
+		},
+	);
+};
+
+/**
+ * Oculta un producto y programa su eliminación
+ *
+ * @function
+ * @param {Object} product - Producto a eliminar
+ * @param {number} delay - Milisegundos hasta enviarla
+ * @returns {Promise<boolean>} Ver {@link scheduleProductDelete}
+ */
+const schedule = (product, delay) => {
+	let resolve;
+	let reject;
+	const promise = new Promise((res, rej) => {
+		resolve = res;
+		reject = rej;
+	});
+	const timer = setTimeout(() => commitPendingDelete(product.id), delay);
+	pendingDeletes.set(product.id, { product, timer, resolve, reject, promise });
+	unconfirmedDeletes.set(product.id, toSnapshot(product));
+	writeUnconfirmedDeletes();
+	setState({ pendingDeleteIds: [...state.pendingDeleteIds, product.id] });
+	return promise;
+};
+
+/**
+ * Oculta un producto y lo elimina pasado {@link UNDO_DELETE_DELAY_MS}
+ *
+ * Si ya había una eliminación pendiente del mismo producto, se devuelve
+ * esa.
+ *
+ * @function
+ * @param {Object} product - Producto a eliminar
+ * @returns {Promise<boolean>} true cuando el servidor confirma la eliminación;
+ *          false si se deshizo a tiempo
+ * @throws {import('./errors').ApiError} Si el servidor rechaza la eliminación (ya deshecha)
+ *
+ * @example
+ * scheduleProductDelete(product).then((deleted) => {
+ *   if (deleted) console.log("Eliminado");
+ * });
+ * undoProductDelete(product.id); // antes de 5 s: la promesa resuelve con false
+ */
+export const scheduleProductDelete = (product) => {
+	if (pendingDeletes.has(product.id)) {
+		return pendingDeletes.get(product.id).promise;
+	}
+	return schedule(product, UNDO_DELETE_DELAY_MS);
+};
+
+/**
+ * Deshace una eliminación que aún no se envió
+ *
+ * @function
+ * @param {number} id - ID del producto
+ * @returns {boolean} false si ya se había enviado (el producto está en la papelera)
+ */
+export const undoProductDelete = (id) => {
+	const pending = takePendingDelete(id);
+	if (!pending) return false;
+	forgetUnconfirmedDelete(id);
+	pending.resolve(false);
+	return true;
+};
+
+/**
+ * Envía ya todas las eliminaciones pendientes
+ *
+ * Para cuando no se puede esperar, p. ej. antes de cambiar de fuente de
+ * datos: las eliminaciones deben llegar a la fuente de la que salieron.
+ *
+ * @function
+ * @returns {Promise<void>} Cuando todas han terminado, con éxito o no
+ */
+export const flushPendingDeletes = async () => {
+	const promises = [...pendingDeletes.values()].map(({ promise }) => promise);
+	[...pendingDeletes.keys()].forEach(commitPendingDelete);
+	await Promise.allSettled(promises);
+};
+
+/**
+ * Envía las eliminaciones que quedaron sin confirmar al cerrar la pestaña
+ *
+ * Al cerrar o recargar no hay tiempo para que una solicitud termine, así
+ * que las eliminaciones se guardan al programarlas y se envían aquí, en la
+ * siguiente carga. Los productos siguen ocultos hasta que el servidor
+ * responde. Solo actúa la primera vez que se llama.
+ *
+ * @function
+ * @returns {void}
+ *
+ * @example
+ * useEffect(() => {
+ *   resumePendingDeletes();
+ * }, []);
+ */
+export const resumePendingDeletes = () => {
+	if (resumed) return;
+	resumed = true;
+	unconfirmedDeletes.forEach((product) => {
+		if (pendingDeletes.has(product.id)) return;
+		schedule(product, 0).catch((deleteError) => {
+			console.error("Error deleting product:", deleteError);
+		});
+	});
+};
+
+/**
+ * Obtiene el estado actual
+ *
+ * @function
+ * @returns {TrashState}
+ */
+export const getTrashState = () => state;
+
+/**
+ * Quita de un listado los productos con una eliminación pendiente
+ *
+ * Toda vista que liste productos debe aplicarlo: el servidor los sigue
+ * devolviendo hasta que se confirma la eliminación.
+ *
+ * @function
+ * @param {Array<Object>} products - Productos
+ * @param {number[]} pendingDeleteIds - IDs a ocultar (ver {@link getTrashState})
+ * @returns {Array<Object>} El mismo array si no hay nada que ocultar
+ */
+export const withoutPendingDeletes = (products, pendingDeleteIds) =>
+	pendingDeleteIds.length === 0
+		? products
+		: products.filter((product) => !pendingDeleteIds.includes(product.id));
+
+/**
+ * Suscribe un listener a los cambios de la papelera y de las eliminaciones pendientes
+ *
+ * @function
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export const subscribeTrash = (listener) => {
+	listeners.add(listener);
+	return () => {
+		listeners.delete(listener);
+	};
+};
@@ -2,36 +2,71 @@
  * @fileoverview Cliente de API para gestión de productos
  *
  * Proporciona funciones para interactuar con la API de productos incluyendo:
- * - Obtener todos los productos o paginados
+ * - Obtener todos los productos o paginados (con filtros del lado del servidor)
+ * - Contar los productos que cumplen unos filtros
  * - Obtener un producto por ID
  * - Crear, actualizar y eliminar productos
  * - Obtener categorías de productos
  *
- * La API utiliza la URL base: https://api.escuelajs.co/api/v1
+ * Cada función delega en el adaptador de la fuente de datos activa
+ * (API remota o catálogo local), de modo que hooks y vistas no necesitan
+ * saber de dónde vienen los datos. Ver {@link module:app/api/dataSource}.
+ *
+ * Las mutaciones invalidan las consultas de productos de la caché compartida
+ * para que todas las vistas se revaliden. Ver {@link module:app/api/queryCache}.
+ * Las operaciones en serie (acciones masivas, importaciones) pasan
+ * `invalidate: false` e invalidan una sola vez al terminar.
+ *
+ * Todas las funciones aceptan como último argumento unas opciones de
+ * solicitud (`signal` para cancelarla con un AbortController y `timeout`
+ * para ajustar el tiempo máximo). Una solicitud cancelada se rechaza con un
+ * error de tipo `cancelled` que las vistas deben ignorar.
  *
  * @module app/api/productsApi
- * @requires axios
+ * @requires app/api/dataSource
+ * @requires app/api/queryCache
  */
 
-import axios from "axios";
+import { getAdapter } from "./dataSource";
+import { invalidateQueries } from "./queryCache";
+import { productKeys } from "./queryKeys";
 
-const API_BASE_URL = "https://api.escuelajs.co/api/v1";
+/**
+ * Opciones de una mutación: las de cualquier solicitud más si se invalida
+ * la caché al terminar
+ *
+ * @typedef {import('./dataSource').RequestOptions & {invalidate: boolean}} MutationOptions
+ * @property {boolean} [invalidate=true] - Invalidar las consultas de productos al responder.
+ *           false para las operaciones en serie, que invalidan una vez al final
+ */
 
-const api = axios.create({
-	baseURL: API_BASE_URL,
-	headers: {
-		"Content-Type": "application/json",
-	},
-});
+/**
+ * Convierte los datos del formulario al payload que esperan los adaptadores
+ *
+ * Envía la lista completa de imágenes, en orden y sin entradas vacías ni
+ * repetidas, para no perder ninguna al editar.
+ *
+ * @function
+ * @param {Object} productData - Datos del producto tal como los produce el formulario
+ * @returns {Object} Payload con el formato de la API
+ */
+const toProductPayload = (productData) => {
+	const payload = { ...productData };
+	if (productData.images) {
+		payload.images = [...new Set(productData.images.filter(Boolean))];
+	}
+	return payload;
+};
 
 /**
  * Obtiene todos los productos de la API
  *
- * Realiza una solicitud GET al endpoint /products para obtener
- * el listado completo de todos los productos disponibles.
+ * Obtiene de la fuente de datos activa el listado completo
+ * de todos los productos disponibles.
  *
  * @async
  * @function
+ * @param {import('./dataSource').RequestOptions} [options] - Cancelación y tiempo máximo
  * @returns {Promise<Array<Object>>} Promise que se resuelve con un array de objetos producto
  * @throws {Error} Si la solicitud falla (error de red, servidor, etc.)
  *
@@ -43,22 +78,50 @@ const api = axios.create({
  *   console.error('Error al obtener productos:', error);
  * }
  */
-export const getAllProducts = async () => {
-	const response = await api.get("/products");
-	return response.data;
+export const getAllProducts = (options) =>
+	getAdapter().getAllProducts(options);
+
+/**
+ * Normaliza los filtros de consulta de productos
+ *
+ * Descarta los filtros vacíos para que no viajen a la fuente de datos.
+ *
+ * @function
+ * @param {Object} [filters={}] - Filtros recibidos
+ * @returns {import('./dataSource').ProductQuery} Filtros normalizados
+ */
+const toProductQuery = (filters = {}) => {
+	const query = {};
+	if (filters.title?.trim()) query.title = filters.title.trim();
+	if (filters.categoryId) query.categoryId = Number(filters.categoryId);
+	if (filters.priceMin != null && filters.priceMin !== "") {
+		query.priceMin = Number(filters.priceMin);
+	}
+	if (filters.priceMax != null && filters.priceMax !== "") {
+		query.priceMax = Number(filters.priceMax);
+	}
+	return query;
 };
 
 /**
  * Obtiene productos con paginación
  *
- * Realiza una solicitud GET al endpoint /products con parámetros
- * de paginación (offset y limit) para obtener un subconjunto de productos.
+ * Solicita a la fuente de datos activa un subconjunto de productos
+ * según los parámetros de paginación (offset y limit). Admite además
+ * filtros que se resuelven del lado del servidor.
  *
  * @async
  * @function
- * @param {Object} params - Parámetros de paginación
+ * @param {Object} params - Parámetros de paginación y filtrado
  * @param {number} params.offset - Cantidad de productos a saltar desde el inicio (posición inicial)
  * @param {number} params.limit - Cantidad máxima de productos a retornar
+ * @param {string} [params.title] - Búsqueda parcial por título
+ * @param {number} [params.categoryId] - ID de la categoría
+ * @param {number} [params.priceMin] - Precio mínimo (inclusivo)
+ * @param {number} [params.priceMax] - Precio máximo (inclusivo)
+ * @param {Array<import('./productSort').SortCriterion>} [params.sort] - Orden de los resultados.
+ *        Solo se aplica si la fuente lo admite (ver {@link supportsServerSort})
+ * @param {import('./dataSource').RequestOptions} [options] - Cancelación y tiempo máximo
  * @returns {Promise<Array<Object>>} Promise que se resuelve con un array de productos paginados
  * @throws {Error} Si la solicitud falla
  *
@@ -69,44 +132,91 @@ export const getAllProducts = async () => {
  * @example
  * const products = await getProductsPaginated({ offset: 20, limit: 10 });
  * // Obtiene los productos del 21 al 30
+ *
+ * @example
+ * const products = await getProductsPaginated({
+ *   offset: 0,
+ *   limit: 10,
+ *   title: "camisa",
+ *   categoryId: 2,
+ *   priceMin: 10,
+ *   priceMax: 50
+ * });
  */
-export const getProductsPaginated = async (params) => {
-	const response = await api.get("/products", {
-		params: {
+export const getProductsPaginated = (params, options) =>
+	getAdapter().getProductsPaginated(
+		{
+			...toProductQuery(params),
+			...(params.sort?.length ? { sort: params.sort } : {}),
 			offset: params.offset,
 			limit: params.limit,
 		},
-	});
-	return response.data;
-};
+		options,
+	);
+
+/**
+ * Indica si la fuente de datos activa sabe ordenar las páginas de productos
+ *
+ * Si no sabe, quien necesite un orden concreto debe descargar el catálogo
+ * y ordenarlo en memoria.
+ *
+ * @function
+ * @returns {boolean}
+ */
+export const supportsServerSort = () =>
+	Boolean(getAdapter().capabilities?.serverSort);
+
+/**
+ * Cuenta los productos que cumplen un conjunto de filtros
+ *
+ * Permite calcular el total de páginas en la paginación del lado del
+ * servidor sin descargar el catálogo completo.
+ *
+ * @async
+ * @function
+ * @param {Object} [filters={}] - Mismos filtros que {@link getProductsPaginated}, sin offset ni limit
+ * @param {import('./dataSource').CountOptions} [options] - Cancelación, tiempo máximo y total anterior
+ * @returns {Promise<number>} Promise que se resuelve con la cantidad de productos
+ * @throws {Error} Si la solicitud falla
+ *
+ * @example
+ * const total = await countProducts({ categoryId: 1 });
+ * const totalPages = Math.ceil(total / 10);
+ */
+export const countProducts = (filters, options) =>
+	getAdapter().countProducts(toProductQuery(filters), options);
 
 /**
  * Obtiene un producto por su ID
  *
- * Realiza una solicitud GET al endpoint /products/{id} para obtener
- * los detalles completos de un producto específico.
+ * Obtiene de la fuente de datos activa los detalles completos
+ * de un producto específico.
  *
  * @async
  * @function
  * @param {number} id - Identificador único del producto
+ * @param {import('./dataSource').RequestOptions} [options] - Cancelación y tiempo máximo
  * @returns {Promise<Object>} Promise que se resuelve con el objeto producto
  * @throws {Error} Si la solicitud falla o el producto no existe
  *
  * @example
  * const product = await getProductById(1);
  * console.log(product.title, product.price);
+ *
+ * @example
+ * // Cancelable: abortar al desmontar la vista
+ * const controller = new AbortController();
+ * getProductById(1, { signal: controller.signal });
+ * controller.abort();
  */
-export const getProductById = async (id) => {
-	const response = await api.get(`/products/${id}`);
-	return response.data;
-};
+export const getProductById = (id, options) =>
+	getAdapter().getProductById(id, options);
 
 /**
  * Crea un nuevo producto
  *
- * Realiza una solicitud POST al endpoint /products para crear
- * un nuevo producto. La función convierte el campo imageUrl
- * en un array de imágenes como espera la API.
+ * Crea un nuevo producto en la fuente de datos activa con
+ * todas las imágenes indicadas.
  *
  * @async
  * @function
@@ -114,8 +224,9 @@ export const getProductById = async (id) => {
  * @param {string} productData.title - Título del producto
  * @param {string} productData.description - Descripción del producto
  * @param {number} productData.price - Precio del producto
- * @param {string} productData.imageUrl - URL de la imagen del producto (se convierte a array)
+ * @param {string[]} productData.images - URLs de las imágenes; la primera es la principal
  * @param {number} [productData.categoryId] - ID de la categoría del producto
+ * @param {MutationOptions} [options] - Cancelación, tiempo máximo e invalidación
  * @returns {Promise<Object>} Promise que se resuelve con el producto creado (incluyendo ID)
  * @throws {Error} Si la solicitud falla o los datos son inválidos
  *
@@ -124,25 +235,28 @@ export const getProductById = async (id) => {
  *   title: "Nuevo Producto",
  *   description: "Descripción del producto",
  *   price: 99.99,
- *   imageUrl: "https://example.com/image.jpg",
+ *   images: ["https://example.com/image.jpg"],
  *   categoryId: 1
  * });
  * console.log('Producto creado con ID:', newProduct.id);
  */
-export const createProduct = async (productData) => {
-	const response = await api.post("/products", {
-		...productData,
-		images: [productData.imageUrl],
-	});
-	return response.data;
+export const createProduct = async (
+	productData,
+	{ invalidate = true, ...options } = {},
+) => {
+	const product = await getAdapter().createProduct(
+		toProductPayload(productData),
+		options,
+	);
+	if (invalidate) invalidateQueries(productKeys.all);
+	return product;
 };
 
 /**
  * Actualiza un producto existente
  *
- * Realiza una solicitud PUT al endpoint /products/{id} para actualizar
- * los datos de un producto. Si se proporciona imageUrl, se convierte
- * a un array de imágenes y se elimina el campo imageUrl original.
+ * Actualiza los datos de un producto en la fuente de datos activa.
+ * Si se proporciona `images`, reemplaza la galería completa del producto.
  *
  * @async
  * @function
@@ -151,8 +265,9 @@ export const createProduct = async (productData) => {
  * @param {string} [productData.title] - Título del producto
  * @param {string} [productData.description] - Descripción del producto
  * @param {number} [productData.price] - Precio del producto
- * @param {string} [productData.imageUrl] - URL de la imagen (se convierte a array)
+ * @param {string[]} [productData.images] - URLs de las imágenes; la primera es la principal
  * @param {number} [productData.categoryId] - ID de la categoría
+ * @param {MutationOptions} [options] - Cancelación, tiempo máximo e invalidación
  * @returns {Promise<Object>} Promise que se resuelve con el producto actualizado
  * @throws {Error} Si la solicitud falla o el producto no existe
  *
@@ -164,28 +279,33 @@ export const createProduct = async (productData) => {
  *
  * @example
  * const updated = await updateProduct(5, {
- *   imageUrl: "https://example.com/new-image.jpg"
+ *   images: ["https://example.com/front.jpg", "https://example.com/back.jpg"]
  * });
  */
-export const updateProduct = async (id, productData) => {
-	const payload = { ...productData };
-	if (productData.imageUrl) {
-		payload.images = [productData.imageUrl];
-		delete payload.imageUrl;
-	}
-	const response = await api.put(`/products/${id}`, payload);
-	return response.data;
+export const updateProduct = async (
+	id,
+	productData,
+	{ invalidate = true, ...options } = {},
+) => {
+	const product = await getAdapter().updateProduct(
+		id,
+		toProductPayload(productData),
+		options,
+	);
+	if (invalidate) invalidateQueries(productKeys.all);
+	return product;
 };
 
 /**
  * Elimina un producto por su ID
  *
- * Realiza una solicitud DELETE al endpoint /products/{id} para eliminar
- * un producto de la base de datos. Esta acción es permanente y no se puede deshacer.
+ * Elimina un producto de la fuente de datos activa.
+ * Esta acción es permanente y no se puede deshacer.
  *
  * @async
  * @function
  * @param {number} id - Identificador único del producto a eliminar
+ * @param {MutationOptions} [options] - Cancelación, tiempo máximo e invalidación
  * @returns {Promise<Object>} Promise que se resuelve con el resultado de la eliminación
  * @throws {Error} Si la solicitud falla o el producto no existe
  *
@@ -197,19 +317,24 @@ export const updateProduct = async (id, productData) => {
  *   console.error('Error al eliminar:', error);
  * }
  */
-export const deleteProduct = async (id) => {
-	const response = await api.delete(`/products/${id}`);
-	return response.data;
+export const deleteProduct = async (
+	id,
+	{ invalidate = true, ...options } = {},
+) => {
+	const result = await getAdapter().deleteProduct(id, options);
+	if (invalidate) invalidateQueries(productKeys.all);
+	return result;
 };
 
 /**
  * Obtiene todas las categorías disponibles
  *
- * Realiza una solicitud GET al endpoint /categories para obtener
- * el listado completo de todas las categorías de productos.
+ * Obtiene de la fuente de datos activa el listado completo
+ * de todas las categorías de productos.
  *
  * @async
  * @function
+ * @param {import('./dataSource').RequestOptions} [options] - Cancelación y tiempo máximo
  * @returns {Promise<Array<Object>>} Promise que se resuelve con un array de objetos categoría
  * @throws {Error} Si la solicitud falla
  *
@@ -222,7 +347,4 @@ export const deleteProduct = async (id) => {
  * //   ...
  * // ]
  */
-export const getCategories = async () => {
-	const response = await api.get("/categories");
-	return response.data;
-};
+export const getCategories = (options) => getAdapter().getCategories(options);
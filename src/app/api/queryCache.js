@@ -0,0 +1,426 @@
+/**
+ * @fileoverview Caché de consultas compartida
+ *
+ * Almacén central, fuera de React, con los resultados de las consultas a la
+ * fuente de datos. Cada consulta se identifica con una clave en forma de array
+ * (ver {@link module:app/api/queryKeys}) y ofrece:
+ *
+ * - De-duplicación: solicitudes simultáneas a la misma clave comparten promesa
+ * - Stale-while-revalidate: los datos en caché se sirven al instante aunque
+ *   estén obsoletos, mientras se revalidan en segundo plano
+ * - Invalidación por prefijo tras las mutaciones
+ * - Escritura directa de datos para actualizaciones optimistas
+ * - Suscripción por clave, compatible con `useSyncExternalStore`
+ * - Cancelación: cada solicitud recibe una señal de AbortController que se
+ *   aborta cuando su consulta se invalida o se queda sin suscriptores
+ *   (la vista se desmontó o pasó a otra clave). Las cancelaciones no se
+ *   registran como error
+ * - Recolección: las entradas sin suscriptores se eliminan pasado
+ *   `GC_TIME`, para que las claves que ya no se usan (páginas, filtros,
+ *   recuentos) no se acumulen durante la sesión
+ *
+ * Los componentes no la usan directamente sino a través de `useQuery`.
+ *
+ * @module app/api/queryCache
+ * @requires app/api/errors
+ */
+
+import { isCancelledError } from "./errors";
+
+/**
+ * @typedef {Array<string|number|Object|null>} QueryKey
+ */
+
+/**
+ * Estado público de una consulta. Es inmutable: cada cambio genera
+ * un objeto nuevo, por lo que puede compararse por referencia.
+ *
+ * @typedef {Object} QuerySnapshot
+ * @property {*} data - Últimos datos obtenidos (undefined si aún no hay)
+ * @property {*} error - Último error, o null
+ * @property {('idle'|'loading'|'success'|'error')} status - Estado de la última solicitud
+ * @property {boolean} isFetching - Indica si hay una solicitud en curso
+ * @property {number} updatedAt - Marca de tiempo de los datos (0 si están invalidados)
+ */
+
+/** @constant {number} DEFAULT_STALE_TIME - Tiempo en ms durante el que los datos se consideran frescos */
+const DEFAULT_STALE_TIME = 0;
+
+/**
+ * Tiempo en ms que se conserva una entrada sin suscriptores: 5 minutos.
+ * Basta para volver a una vista reciente sin esperar a la red
+ * @constant {number}
+ */
+const GC_TIME = 5 * 60 * 1000;
+
+/**
+ * Entradas de la caché por clave serializada
+ * @type {Map<string, Object>}
+ */
+const entries = new Map();
+
+/**
+ * Serializa una clave de consulta
+ *
+ * @function
+ * @param {QueryKey} key - Clave de la consulta
+ * @returns {string} Representación estable de la clave
+ */
+export const hashQueryKey = (key) => JSON.stringify(key);
+
+/**
+ * Genera el snapshot público de una entrada
+ *
+ * @function
+ * @param {Object} entry - Entrada interna
+ * @returns {QuerySnapshot}
+ */
+const createSnapshot = (entry) => ({
+	data: entry.data,
+	error: entry.error,
+	status: entry.status,
+	isFetching: Boolean(entry.promise),
+	updatedAt: entry.updatedAt,
+});
+
+/**
+ * Programa la eliminación de una entrada que no tiene suscriptores
+ *
+ * Si al vencer el plazo hay una solicitud en curso, se espera otro plazo.
+ * Una nueva suscripción cancela la eliminación.
+ *
+ * @function
+ * @param {Object} entry - Entrada interna
+ * @returns {void}
+ */
+const scheduleGc = (entry) => {
+	clearTimeout(entry.gcTimer);
+	entry.gcTimer = setTimeout(() => {
+		entry.gcTimer = null;
+		if (entry.listeners.size) return;
+		if (entry.promise) {
+			scheduleGc(entry);
+			return;
+		}
+		const hash = hashQueryKey(entry.key);
+		if (entries.get(hash) === entry) entries.delete(hash);
+	}, GC_TIME);
+};
+
+/**
+ * Obtiene la entrada de una clave, creándola vacía si no existe
+ *
+ * @function
+ * @param {QueryKey} key - Clave de la consulta
+ * @returns {Object} Entrada interna
+ */
+const getEntry = (key) => {
+	const hash = hashQueryKey(key);
+	let entry = entries.get(hash);
+	if (!entry) {
+		entry = {
+			key,
+			data: undefined,
+			error: null,
+			status: "idle",
+			updatedAt: 0,
+			promise: null,
+			controller: null,
+			fetcher: null,
+			listeners: new Set(),
+			gcTimer: null,
+		};
+		entry.snapshot = createSnapshot(entry);
+		entries.set(hash, entry);
+		scheduleGc(entry);
+	}
+	return entry;
+};
+
+/**
+ * Regenera el snapshot de una entrada y avisa a sus suscriptores
+ *
+ * @function
+ * @param {Object} entry - Entrada interna
+ * @returns {void}
+ */
+const notify = (entry) => {
+	entry.snapshot = createSnapshot(entry);
+	entry.listeners.forEach((listener) => listener());
+};
+
+/**
+ * Indica si la clave de una entrada comienza por el prefijo dado
+ *
+ * @function
+ * @param {Object} entry - Entrada interna
+ * @param {QueryKey} prefix - Prefijo de clave
+ * @returns {boolean}
+ */
+const matchesPrefix = (entry, prefix) =>
+	prefix.every(
+		(part, index) => hashQueryKey(part) === hashQueryKey(entry.key[index]),
+	);
+
+/**
+ * Ejecuta una consulta a través de la caché
+ *
+ * - Si ya hay una solicitud en curso para la clave, devuelve la misma promesa
+ * - Si hay datos frescos (según `staleTime`) los devuelve sin solicitar
+ * - En otro caso lanza la solicitud; los datos previos siguen disponibles
+ *   en el snapshot hasta que llegue la respuesta
+ *
+ * @function
+ * @param {QueryKey} key - Clave de la consulta
+ * @param {function({signal: AbortSignal}): Promise<*>} fetcher - Función que obtiene los datos.
+ *                                      Debe pasar la señal a la solicitud para poder cancelarla
+ * @param {Object} [options={}] - Opciones
+ * @param {number} [options.staleTime=0] - Milisegundos durante los que los datos son frescos
+ * @param {boolean} [options.force=false] - Ignora la frescura y vuelve a solicitar
+ * @returns {Promise<*>} Promesa con los datos
+ *
+ * @example
+ * const products = await fetchQuery(productKeys.list(), ({ signal }) =>
+ *   getAllProducts({ signal }),
+ * );
+ */
+export const fetchQuery = (
+	key,
+	fetcher,
+	{ staleTime = DEFAULT_STALE_TIME, force = false } = {},
+) => {
+	const entry = getEntry(key);
+	entry.fetcher = fetcher;
+
+	if (entry.promise) return entry.promise;
+
+	const isFresh =
+		entry.status === "success" && Date.now() - entry.updatedAt < staleTime;
+	if (isFresh && !force) return Promise.resolve(entry.data);
+
+	const controller = new AbortController();
+	const promise = fetcher({ signal: controller.signal }).then(
+		(data) => {
+			// Una invalidación posterior descarta esta respuesta
+			if (entry.promise !== promise) return data;
+			entry.data = data;
+			entry.error = null;
+			entry.status = "success";
+			entry.updatedAt = Date.now();
+			entry.promise = null;
+			entry.controller = null;
+			notify(entry);
+			return data;
+		},
+		(error) => {
+			if (entry.promise === promise) {
+				entry.promise = null;
+				entry.controller = null;
+				if (isCancelledError(error)) {
+					// Se conservan los datos previos; la próxima lectura volverá a solicitar
+					if (entry.status === "loading") entry.status = "idle";
+				} else {
+					entry.error = error;
+					entry.status = "error";
+				}
+				notify(entry);
+			}
+			throw error;
+		},
+	);
+
+	entry.promise = promise;
+	entry.controller = controller;
+	if (entry.status === "idle") entry.status = "loading";
+	notify(entry);
+	return promise;
+};
+
+/**
+ * Obtiene el snapshot actual de una consulta
+ *
+ * @function
+ * @param {QueryKey} key - Clave de la consulta
+ * @returns {QuerySnapshot}
+ */
+export const getQuerySnapshot = (key) => getEntry(key).snapshot;
+
+/**
+ * Aborta la solicitud en curso de una entrada, si la hay
+ *
+ * @function
+ * @param {Object} entry - Entrada interna
+ * @returns {void}
+ */
+const abortEntry = (entry) => {
+	entry.controller?.abort();
+	entry.controller = null;
+};
+
+/**
+ * Suscribe un listener a los cambios de una consulta
+ *
+ * Cuando se va el último suscriptor y hay una solicitud en curso, esta se
+ * aborta. La comprobación se aplaza un tick para no cancelar solicitudes
+ * de componentes que se vuelven a suscribir de inmediato (StrictMode o
+ * cambios de `subscribe` con la misma clave). Además empieza a contar
+ * `GC_TIME` para eliminar la entrada.
+ *
+ * @function
+ * @param {QueryKey} key - Clave de la consulta
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export const subscribeQuery = (key, listener) => {
+	const entry = getEntry(key);
+	entry.listeners.add(listener);
+	clearTimeout(entry.gcTimer);
+	entry.gcTimer = null;
+	return () => {
+		entry.listeners.delete(listener);
+		if (entry.listeners.size) return;
+		scheduleGc(entry);
+		if (!entry.controller) return;
+		setTimeout(() => {
+			if (!entry.listeners.size) abortEntry(entry);
+		}, 0);
+	};
+};
+
+/**
+ * Obtiene los datos en caché de una consulta sin solicitarlos
+ *
+ * @function
+ * @param {QueryKey} key - Clave de la consulta
+ * @returns {*} Datos en caché o undefined
+ */
+export const getQueryData = (key) => entries.get(hashQueryKey(key))?.data;
+
+/**
+ * Reemplaza o transforma los datos en caché de una consulta
+ *
+ * @function
+ * @param {QueryKey} key - Clave de la consulta
+ * @param {*|function(*): *} updater - Nuevos datos o función que recibe los actuales
+ * @returns {void}
+ *
+ * @example
+ * setQueryData(productKeys.list(), (products) =>
+ *   products?.filter((p) => p.id !== id),
+ * );
+ */
+export const setQueryData = (key, updater) => {
+	const entry = getEntry(key);
+	entry.data = typeof updater === "function" ? updater(entry.data) : updater;
+	if (entry.data !== undefined && entry.status !== "success") {
+		entry.status = "success";
+		entry.error = null;
+	}
+	notify(entry);
+};
+
+/**
+ * Obtiene los datos en caché de todas las consultas que comienzan por el prefijo
+ *
+ * @function
+ * @param {QueryKey} prefix - Prefijo de clave
+ * @returns {Array<[QueryKey, *]>} Pares clave-datos de las consultas con datos
+ */
+export const getQueriesData = (prefix) => {
+	const result = [];
+	entries.forEach((entry) => {
+		if (matchesPrefix(entry, prefix) && entry.data !== undefined) {
+			result.push([entry.key, entry.data]);
+		}
+	});
+	return result;
+};
+
+/**
+ * Transforma los datos en caché de todas las consultas que comienzan por el prefijo
+ *
+ * Solo afecta a las consultas que ya tienen datos. Pensado para
+ * actualizaciones optimistas que deben verse en todas las vistas a la vez.
+ *
+ * @function
+ * @param {QueryKey} prefix - Prefijo de clave
+ * @param {function(*, QueryKey): *} updater - Recibe los datos actuales y la clave; devuelve los nuevos
+ * @returns {void}
+ *
+ * @example
+ * setQueriesData(["products", "page"], (products) =>
+ *   products.filter((p) => p.id !== id),
+ * );
+ */
+export const setQueriesData = (prefix, updater) => {
+	entries.forEach((entry) => {
+		if (!matchesPrefix(entry, prefix) || entry.data === undefined) return;
+		const data = updater(entry.data, entry.key);
+		if (data === entry.data) return;
+		entry.data = data;
+		notify(entry);
+	});
+};
+
+/**
+ * Aborta las solicitudes en curso de las consultas que comienzan por el prefijo
+ *
+ * Se usa antes de una actualización optimista para que una respuesta
+ * anterior no sobrescriba el cambio. Los datos en caché se conservan.
+ *
+ * @function
+ * @param {QueryKey} prefix - Prefijo de clave
+ * @returns {void}
+ */
+export const cancelQueries = (prefix) => {
+	entries.forEach((entry) => {
+		if (!matchesPrefix(entry, prefix) || !entry.promise) return;
+		entry.promise = null;
+		abortEntry(entry);
+		if (entry.status === "loading") entry.status = "idle";
+		notify(entry);
+	});
+};
+
+/**
+ * Invalida todas las consultas cuya clave comienza por el prefijo
+ *
+ * Las consultas con suscriptores se revalidan inmediatamente en segundo plano;
+ * el resto se revalidará la próxima vez que se usen. Las solicitudes que
+ * estuvieran en curso se abortan y sus respuestas se descartan.
+ *
+ * @function
+ * @param {QueryKey} prefix - Prefijo de clave (ej: `["products"]`)
+ * @returns {void}
+ *
+ * @example
+ * await deleteProduct(id);
+ * invalidateQueries(productKeys.all);
+ */
+export const invalidateQueries = (prefix) => {
+	entries.forEach((entry) => {
+		if (!matchesPrefix(entry, prefix)) return;
+		entry.updatedAt = 0;
+		entry.promise = null;
+		abortEntry(entry);
+		if (entry.listeners.size && entry.fetcher) {
+			fetchQuery(entry.key, entry.fetcher).catch(() => {});
+		} else {
+			notify(entry);
+		}
+	});
+};
+
+/**
+ * Vacía la caché por completo
+ *
+ * @function
+ * @returns {void}
+ */
+export const clearQueryCache = () => {
+	entries.forEach((entry) => {
+		abortEntry(entry);
+		clearTimeout(entry.gcTimer);
+	});
+	entries.clear();
+};
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Claves de la caché de consultas
+ *
+ * Centraliza las claves usadas en {@link module:app/api/queryCache} para que
+ * lecturas e invalidaciones coincidan. Las claves de una entidad comparten
+ * el prefijo `all`, que es el que se invalida tras una mutación; las que no
+ * deben revalidarse con cada mutación quedan fuera de él.
+ *
+ * @module app/api/queryKeys
+ */
+
+/**
+ * Claves de consultas de productos
+ * @constant {Object}
+ */
+export const productKeys = {
+	all: ["products"],
+	list: () => ["products", "list"],
+	page: (params) => ["products", "page", params],
+	count: (filters) => ["products", "count", filters],
+	/**
+	 * Fuera de `all`: calcularlo puede costar el catálogo entero, así que
+	 * caduca por tiempo en lugar de revalidarse con cada mutación
+	 */
+	priceBounds: () => ["productPriceBounds"],
+	detail: (id) => ["products", "detail", Number(id)],
+};
+
+/**
+ * Claves de consultas de categorías
+ * @constant {Object}
+ */
+export const categoryKeys = {
+	all: ["categories"],
+	list: () => ["categories", "list"],
+};
+
+/**
+ * Claves de consultas de la sesión
+ * @constant {Object}
+ */
+export const authKeys = {
+	all: ["auth"],
+	profile: () => ["auth", "profile"],
+};
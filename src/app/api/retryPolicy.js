@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Política de reintentos y tiempos de espera de la API
+ *
+ * Define cuándo y cómo se reintenta una solicitud HTTP fallida:
+ * - Solo métodos idempotentes (GET, HEAD, OPTIONS por defecto)
+ * - Solo fallos transitorios: red, timeout, 408, 429 y 5xx
+ * - Espera exponencial con jitter completo, respetando `Retry-After`
+ * - Nunca reintenta una solicitud abortada
+ *
+ * La política es global y configurable en tiempo de ejecución con
+ * {@link setRetryPolicy}; cada solicitud puede además desactivarla o
+ * ajustarla con la opción `retry` de su configuración de axios.
+ *
+ * @module app/api/retryPolicy
+ */
+
+/** @constant {number} DEFAULT_TIMEOUT_MS - Tiempo máximo por solicitud en milisegundos */
+export const DEFAULT_TIMEOUT_MS =
+	Number(import.meta.env.VITE_API_TIMEOUT_MS) || 10000;
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} retries - Reintentos máximos tras el primer intento
+ * @property {number} baseDelayMs - Espera base del primer reintento
+ * @property {number} maxDelayMs - Tope de espera entre reintentos
+ * @property {string[]} methods - Métodos HTTP (en minúsculas) que se pueden reintentar
+ * @property {number[]} statusCodes - Códigos HTTP que se consideran transitorios
+ */
+
+/**
+ * Política por defecto
+ * @constant {RetryPolicy}
+ */
+const DEFAULT_POLICY = {
+	retries: 3,
+	baseDelayMs: 300,
+	maxDelayMs: 5000,
+	methods: ["get", "head", "options"],
+	statusCodes: [408, 429, 500, 502, 503, 504],
+};
+
+/** @type {RetryPolicy} */
+let currentPolicy = { ...DEFAULT_POLICY };
+
+/**
+ * Obtiene la política de reintentos vigente
+ *
+ * @function
+ * @returns {RetryPolicy}
+ */
+export const getRetryPolicy = () => currentPolicy;
+
+/**
+ * Modifica la política de reintentos global
+ *
+ * @function
+ * @param {Partial<RetryPolicy>} overrides - Valores a sobrescribir
+ * @returns {void}
+ *
+ * @example
+ * // Desactivar los reintentos en una demo
+ * setRetryPolicy({ retries: 0 });
+ */
+export const setRetryPolicy = (overrides) => {
+	currentPolicy = { ...currentPolicy, ...overrides };
+};
+
+/**
+ * Resuelve la política aplicable a una solicitud concreta
+ *
+ * @function
+ * @param {Object} config - Configuración de axios de la solicitud
+ * @param {boolean|Partial<RetryPolicy>} [config.retry] - false desactiva; un objeto ajusta la política
+ * @returns {RetryPolicy|null} Política a aplicar, o null si no se reintenta
+ */
+export const resolveRetryPolicy = (config) => {
+	if (config?.retry === false) return null;
+	return typeof config?.retry === "object"
+		? { ...currentPolicy, ...config.retry }
+		: currentPolicy;
+};
+
+/**
+ * Indica si un fallo de axios es transitorio según la política
+ *
+ * @function
+ * @param {Object} error - Error de axios
+ * @param {RetryPolicy} policy - Política aplicable
+ * @returns {boolean}
+ */
+export const isTransientFailure = (error, policy) => {
+	if (error?.code === "ERR_CANCELED") return false;
+	const method = (error?.config?.method || "get").toLowerCase();
+	if (!policy.methods.includes(method)) return false;
+	if (!error?.response) return true; // red o timeout
+	return policy.statusCodes.includes(error.response.status);
+};
+
+/**
+ * Calcula la espera antes de un reintento
+ *
+ * Usa espera exponencial con jitter completo (un valor aleatorio entre 0 y
+ * la espera exponencial) para que varios clientes no reintenten a la vez.
+ * Si el servidor indica `Retry-After`, se respeta hasta el tope.
+ *
+ * @function
+ * @param {number} attempt - Número de reintento (base 0)
+ * @param {RetryPolicy} policy - Política aplicable
+ * @param {string|number} [retryAfter] - Cabecera Retry-After en segundos
+ * @returns {number} Milisegundos de espera
+ */
+export const getRetryDelay = (attempt, policy, retryAfter) => {
+	const retryAfterMs = Number(retryAfter) * 1000;
+	if (retryAfterMs > 0) return Math.min(retryAfterMs, policy.maxDelayMs);
+	const exponential = Math.min(
+		policy.maxDelayMs,
+		policy.baseDelayMs * 2 ** attempt,
+	);
+	return Math.round(Math.random() * exponential);
+};
+
+/**
+ * Espera un tiempo, abortable mediante una señal
+ *
+ * @function
+ * @param {number} ms - Milisegundos a esperar
+ * @param {AbortSignal} [signal] - Señal que cancela la espera
+ * @param {function(): Error} createAbortError - Crea el error con el que se rechaza al abortar
+ * @returns {Promise<void>}
+ */
+export const waitFor = (ms, signal, createAbortError) =>
+	new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(createAbortError());
+			return;
+		}
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(createAbortError());
+		};
+		signal?.addEventListener("abort", onAbort, { once: true });
+	});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Guarda de rutas protegidas
+ *
+ * Envuelve las rutas que requieren sesión:
+ * - Sin sesión, redirige a `/login` recordando la URL solicitada
+ * - Con sesión, revalida el perfil del usuario en segundo plano
+ * - Si la sesión caduca mientras se usa la aplicación, redirige de nuevo
+ *
+ * @module app/auth/components/RequireAuth
+ * @requires react
+ * @requires react-router-dom
+ */
+
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import LoadingSpinner from "@/shared/components/LoadingSpinner";
+import ErrorMessage from "@/shared/components/ErrorMessage";
+import { useQuery } from "@/shared/hooks/useQuery";
+import { getProfile } from "@/app/api/authApi";
+import { authKeys } from "@/app/api/queryKeys";
+import { useAuth } from "../hooks/useAuth";
+
+/** @constant {number} PROFILE_STALE_TIME - Vigencia del perfil: 5 minutos */
+const PROFILE_STALE_TIME = 5 * 60 * 1000;
+
+/**
+ * Componente RequireAuth - Solo renderiza su contenido con sesión iniciada
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {React.ReactNode} props.children - Contenido protegido
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <Route
+ *   element={
+ *     <RequireAuth>
+ *       <Layout />
+ *     </RequireAuth>
+ *   }>
+ *   <Route path="/" element={<Dashboard />} />
+ * </Route>
+ */
+const RequireAuth = ({ children }) => {
+	const location = useLocation();
+	const { user, isAuthenticated, logout } = useAuth();
+
+	const { error, refetch } = useQuery(
+		authKeys.profile(),
+		({ signal }) => getProfile({ signal }),
+		{ enabled: isAuthenticated, staleTime: PROFILE_STALE_TIME },
+	);
+
+	if (!isAuthenticated) {
+		return <Navigate to="/login" replace state={{ from: location }} />;
+	}
+
+	if (!user) {
+		if (error) {
+			return (
+				<ErrorMessage
+					error={error}
+					message="No se pudo cargar tu perfil."
+					onRetry={refetch}
+					onBack={logout}
+					backLabel="Cerrar sesión"
+				/>
+			);
+		}
+		return <LoadingSpinner message="Cargando sesión..." fullScreen />;
+	}
+
+	return children;
+};
+
+export default RequireAuth;
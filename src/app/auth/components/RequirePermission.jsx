@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Guarda de rutas por permiso
+ *
+ * Protege las rutas a las que también se puede llegar escribiendo la URL:
+ * si el usuario en sesión no tiene el permiso, muestra un aviso de acceso
+ * denegado en lugar del contenido.
+ *
+ * @module app/auth/components/RequirePermission
+ * @requires react
+ * @requires react-router-dom
+ */
+
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import ErrorMessage from "@/shared/components/ErrorMessage";
+import { ApiError, API_ERROR_TYPES } from "@/app/api/errors";
+import { ROLE_LABELS } from "../permissions";
+import { useAuth } from "../hooks/useAuth";
+
+/**
+ * Componente RequirePermission - Solo renderiza su contenido con el permiso indicado
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.permission - Uno de {@link module:app/auth/permissions.PERMISSIONS}
+ * @param {string} [props.fallbackPath='/inventory'] - Ruta del botón de volver
+ * @param {React.ReactNode} props.children - Contenido protegido
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <Route
+ *   path="/products/new"
+ *   element={
+ *     <RequirePermission permission={PERMISSIONS.CREATE_PRODUCT}>
+ *       <NewProduct />
+ *     </RequirePermission>
+ *   }
+ * />
+ */
+const RequirePermission = ({
+	permission,
+	fallbackPath = "/inventory",
+	children,
+}) => {
+	const navigate = useNavigate();
+	const { role, can } = useAuth();
+
+	if (!can(permission)) {
+		return (
+			<ErrorMessage
+				error={new ApiError({
+					type: API_ERROR_TYPES.FORBIDDEN,
+					message: `Missing permission: ${permission}`,
+					status: 403,
+				})}
+				message={`Tu rol (${ROLE_LABELS[role]}) no permite acceder a esta página.`}
+				onBack={() => navigate(fallbackPath)}
+				backLabel="Volver"
+			/>
+		);
+	}
+
+	return children;
+};
+
+export default RequirePermission;
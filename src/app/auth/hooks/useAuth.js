@@ -0,0 +1,39 @@
+/**
+ * Custom hook for the authenticated session
+ * @module hooks/useAuth
+ */
+import { useSyncExternalStore } from "react";
+import { getSession, subscribeSession } from "@/app/api/authSession";
+import { login, logout } from "@/app/api/authApi";
+import { getRole, hasPermission } from "../permissions";
+
+/**
+ * @typedef {Object} UseAuthReturn
+ * @property {import('@/app/api/authSession').AuthUser|null} user - Perfil del usuario, o null.
+ * @property {boolean} isAuthenticated - true si hay un token de acceso.
+ * @property {boolean} sessionExpired - true si la última sesión se cerró por caducidad.
+ * @property {string} role - Rol de la aplicación (`viewer`, `editor` o `admin`).
+ * @property {function(string): boolean} can - Indica si el usuario tiene un permiso.
+ * @property {function({email: string, password: string}): Promise<Object>} login - Inicia sesión.
+ * @property {function(): void} logout - Cierra la sesión.
+ */
+
+/**
+ * Hook para leer la sesión actual y actuar sobre ella.
+ * Se vuelve a renderizar cuando la sesión cambia, también si caduca
+ * mientras la aplicación está abierta.
+ * @returns {UseAuthReturn} Estado de la sesión y acciones.
+ */
+export const useAuth = () => {
+	const session = useSyncExternalStore(subscribeSession, getSession);
+
+	return {
+		user: session.user,
+		isAuthenticated: Boolean(session.accessToken),
+		sessionExpired: session.expired,
+		role: getRole(session.user),
+		can: (permission) => hasPermission(session.user, permission),
+		login,
+		logout,
+	};
+};
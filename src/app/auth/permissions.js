@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Roles y permisos de la aplicación
+ *
+ * Define qué puede hacer cada rol en la interfaz:
+ * - `viewer`: solo consulta el inventario
+ * - `editor`: además crea y edita productos
+ * - `admin`: además elimina productos y gestiona categorías
+ *
+ * Los roles que devuelve la API se traducen a estos tres; un rol
+ * desconocido recibe los permisos mínimos.
+ *
+ * @module app/auth/permissions
+ */
+
+/**
+ * Roles de la aplicación
+ * @constant {Object<string, string>}
+ */
+export const ROLES = {
+	VIEWER: "viewer",
+	EDITOR: "editor",
+	ADMIN: "admin",
+};
+
+/**
+ * Nombres visibles de cada rol
+ * @constant {Object<string, string>}
+ */
+export const ROLE_LABELS = {
+	[ROLES.VIEWER]: "Lector",
+	[ROLES.EDITOR]: "Editor",
+	[ROLES.ADMIN]: "Administrador",
+};
+
+/**
+ * Acciones sujetas a permiso
+ * @constant {Object<string, string>}
+ */
+export const PERMISSIONS = {
+	CREATE_PRODUCT: "products:create",
+	EDIT_PRODUCT: "products:edit",
+	DELETE_PRODUCT: "products:delete",
+	MANAGE_CATEGORIES: "categories:manage",
+};
+
+/**
+ * Permisos concedidos a cada rol
+ * @constant {Object<string, Array<string>>}
+ */
+const ROLE_PERMISSIONS = {
+	[ROLES.VIEWER]: [],
+	[ROLES.EDITOR]: [PERMISSIONS.CREATE_PRODUCT, PERMISSIONS.EDIT_PRODUCT],
+	[ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+/**
+ * Equivalencias de roles de la API que no coinciden con los de la aplicación
+ * (la API pública solo distingue `admin` y `customer`)
+ * @constant {Object<string, string>}
+ */
+const API_ROLE_ALIASES = {
+	customer: ROLES.VIEWER,
+};
+
+/**
+ * Obtiene el rol de la aplicación de un usuario
+ *
+ * @function
+ * @param {import('@/app/api/authSession').AuthUser|null} user - Usuario en sesión
+ * @returns {string} Uno de {@link ROLES}; `viewer` si el rol no se reconoce
+ *
+ * @example
+ * getRole({ role: "customer" });
+ * // Retorna: "viewer"
+ */
+export const getRole = (user) => {
+	const role = API_ROLE_ALIASES[user?.role] ?? user?.role;
+	return ROLE_PERMISSIONS[role] ? role : ROLES.VIEWER;
+};
+
+/**
+ * Indica si un usuario tiene un permiso
+ *
+ * @function
+ * @param {import('@/app/api/authSession').AuthUser|null} user - Usuario en sesión
+ * @param {string} permission - Uno de {@link PERMISSIONS}
+ * @returns {boolean}
+ *
+ * @example
+ * if (hasPermission(user, PERMISSIONS.DELETE_PRODUCT)) {
+ *   // mostrar el botón de eliminar
+ * }
+ */
+export const hasPermission = (user, permission) =>
+	Boolean(user) && ROLE_PERMISSIONS[getRole(user)].includes(permission);
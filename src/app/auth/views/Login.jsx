@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Vista de inicio de sesión
+ *
+ * Formulario de acceso con email y contraseña:
+ * - Valida los campos antes de enviar
+ * - Distingue credenciales incorrectas de otros errores de la API
+ * - Avisa si se llegó aquí porque la sesión caducó
+ * - Tras iniciar sesión vuelve a la URL que se había solicitado
+ * - Permite elegir la fuente de datos contra la que autenticarse
+ *
+ * @module app/auth/views/Login
+ * @requires react
+ * @requires @mui/material
+ * @requires react-hook-form
+ * @requires react-router-dom
+ */
+
+import React, { useState } from "react";
+import {
+	Alert,
+	Box,
+	Button,
+	Card,
+	CardContent,
+	CircularProgress,
+	TextField,
+	Typography,
+} from "@mui/material";
+import { Inventory as InventoryIcon } from "@mui/icons-material";
+import { useForm, Controller } from "react-hook-form";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../hooks/useAuth";
+import { API_ERROR_TYPES } from "@/app/api/errors";
+import { DATA_SOURCES, getDataSource } from "@/app/api/dataSource";
+import { getErrorMessage, isErrorType } from "@/shared/utils/apiErrors";
+import DataSourceSelector from "@/app/shell/DataSourceSelector";
+import { ROLES, ROLE_LABELS } from "../permissions";
+
+/**
+ * Cuentas de demostración por fuente de datos
+ * @constant {Object<string, Array<{email: string, password: string, role: string}>>}
+ */
+const DEMO_CREDENTIALS = {
+	[DATA_SOURCES.REMOTE]: [
+		{ email: "admin@mail.com", password: "admin123", role: ROLES.ADMIN },
+		{ email: "john@mail.com", password: "changeme", role: ROLES.VIEWER },
+	],
+	[DATA_SOURCES.LOCAL]: [
+		{ email: "admin@mail.com", password: "admin123", role: ROLES.ADMIN },
+		{ email: "editor@mail.com", password: "editor123", role: ROLES.EDITOR },
+		{ email: "john@mail.com", password: "changeme", role: ROLES.VIEWER },
+	],
+};
+
+/** @constant {RegExp} EMAIL_PATTERN - Formato mínimo de email */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Obtiene la URL a la que volver tras iniciar sesión
+ *
+ * @function
+ * @param {Object} [from] - Ubicación guardada por la guarda de rutas
+ * @returns {string} Ruta con query string y hash
+ */
+const getReturnPath = (from) =>
+	from ? `${from.pathname}${from.search ?? ""}${from.hash ?? ""}` : "/";
+
+/**
+ * Componente Login - Pantalla de inicio de sesión
+ *
+ * @component
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <Route path="/login" element={<Login />} />
+ */
+const Login = () => {
+	const navigate = useNavigate();
+	const location = useLocation();
+	const { isAuthenticated, sessionExpired, login } = useAuth();
+
+	/** @type {[string|null, Function]} Mensaje de error del último intento */
+	const [submitError, setSubmitError] = useState(null);
+
+	/** @type {[boolean, Function]} */
+	const [isSubmitting, setIsSubmitting] = useState(false);
+
+	const demoAccounts = DEMO_CREDENTIALS[getDataSource()] ?? [];
+	const returnPath = getReturnPath(location.state?.from);
+
+	const {
+		control,
+		handleSubmit,
+		formState: { errors },
+	} = useForm({ defaultValues: { email: "", password: "" } });
+
+	/**
+	 * Inicia sesión y vuelve a la URL solicitada
+	 *
+	 * @async
+	 * @function
+	 * @param {{email: string, password: string}} data - Credenciales
+	 * @returns {Promise<void>}
+	 */
+	const onSubmit = async (data) => {
+		setIsSubmitting(true);
+		setSubmitError(null);
+		try {
+			await login({ email: data.email.trim(), password: data.password });
+			navigate(returnPath, { replace: true });
+		} catch (error) {
+			console.error("Error logging in:", error);
+			setSubmitError(
+				isErrorType(error, API_ERROR_TYPES.UNAUTHORIZED)
+					? "Email o contraseña incorrectos."
+					: getErrorMessage(error, "No se pudo iniciar sesión"),
+			);
+			setIsSubmitting(false);
+		}
+	};
+
+	if (isAuthenticated && !isSubmitting) {
+		return <Navigate to={returnPath} replace />;
+	}
+
+	return (
+		<Box
+			sx={{
+				minHeight: "100vh",
+				display: "flex",
+				alignItems: "center",
+				justifyContent: "center",
+				backgroundColor: "background.default",
+				p: 2,
+			}}>
+			<Card sx={{ width: "100%", maxWidth: 420 }}>
+				<Box
+					sx={{
+						p: 3,
+						background: "linear-gradient(135deg, #1976d2 0%, #1565c0 100%)",
+					}}>
+					<Typography
+						variant="h5"
+						sx={{
+							fontWeight: 700,
+							color: "white",
+							display: "flex",
+							alignItems: "center",
+							gap: 1,
+						}}>
+						<InventoryIcon /> Bault
+					</Typography>
+					<Typography variant="caption" sx={{ color: "rgba(255,255,255,0.8)" }}>
+						Inicia sesión para gestionar el inventario
+					</Typography>
+				</Box>
+				<CardContent sx={{ p: 4 }}>
+					<Box
+						component="form"
+						onSubmit={handleSubmit(onSubmit)}
+						sx={{ display: "flex", flexDirection: "column", gap: 2.5 }}>
+						{sessionExpired && !submitError && (
+							<Alert severity="warning">
+								Tu sesión expiró. Vuelve a iniciar sesión.
+							</Alert>
+						)}
+						{submitError && <Alert severity="error">{submitError}</Alert>}
+
+						<Controller
+							name="email"
+							control={control}
+							rules={{
+								required: "El email es requerido",
+								pattern: { value: EMAIL_PATTERN, message: "Email no válido" },
+							}}
+							render={({ field }) => (
+								<TextField
+									{...field}
+									label="Email"
+									type="email"
+									autoComplete="username"
+									autoFocus
+									fullWidth
+									error={!!errors.email}
+									helperText={errors.email?.message}
+								/>
+							)}
+						/>
+
+						<Controller
+							name="password"
+							control={control}
+							rules={{ required: "La contraseña es requerida" }}
+							render={({ field }) => (
+								<TextField
+									{...field}
+									label="Contraseña"
+									type="password"
+									autoComplete="current-password"
+									fullWidth
+									error={!!errors.password}
+									helperText={errors.password?.message}
+								/>
+							)}
+						/>
+
+						<Button
+							type="submit"
+							variant="contained"
+							size="large"
+							disabled={isSubmitting}
+							startIcon={
+								isSubmitting ? <CircularProgress size={18} color="inherit" /> : null
+							}>
+							{isSubmitting ? "Entrando..." : "Iniciar Sesión"}
+						</Button>
+
+						{demoAccounts.length > 0 && (
+							<Box sx={{ textAlign: "center" }}>
+								<Typography variant="caption" color="text.secondary">
+									Cuentas de prueba:
+								</Typography>
+								{demoAccounts.map((account) => (
+									<Typography
+										key={account.email}
+										variant="caption"
+										color="text.secondary"
+										component="div">
+										{ROLE_LABELS[account.role]}: {account.email} /{" "}
+										{account.password}
+									</Typography>
+								))}
+							</Box>
+						)}
+					</Box>
+				</CardContent>
+				<Box sx={{ borderTop: "1px solid", borderColor: "divider" }}>
+					<DataSourceSelector />
+				</Box>
+			</Card>
+		</Box>
+	);
+};
+
+export default Login;
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Componente de tabla de categorías
+ *
+ * Tabla de categorías con:
+ * - Imagen y nombre de cada categoría
+ * - Cantidad de productos asociados
+ * - Fecha de última modificación
+ * - Acciones (renombrar, cambiar imagen, eliminar) con tooltips
+ *
+ * @module app/categories/components/CategoriesTable
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ * @requires @/shared/utils/formatters
+ */
+
+import React from "react";
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableContainer,
+	TableHead,
+	TableRow,
+	Paper,
+	Avatar,
+	IconButton,
+	Chip,
+	Box,
+	Typography,
+	Tooltip,
+} from "@mui/material";
+import {
+	DriveFileRenameOutline as RenameIcon,
+	Image as ImageIcon,
+	Delete as DeleteIcon,
+} from "@mui/icons-material";
+import { formatDate, getPlaceholderImage } from "@/shared/utils/formatters";
+
+/**
+ * Componente CategoriesTable - Listado de categorías con acciones
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<Object>} props.categories - Categorías a mostrar
+ * @param {Object<number, number>} props.productCounts - Cantidad de productos por ID de categoría
+ * @param {boolean} [props.countsLoading=false] - Indica si los conteos aún se están calculando
+ * @param {boolean} [props.countsError=false] - Indica que no se pudieron calcular los conteos
+ * @param {Function} props.onRename - Callback para renombrar. Recibe la categoría
+ * @param {Function} props.onChangeImage - Callback para cambiar la imagen. Recibe la categoría
+ * @param {Function} props.onDelete - Callback para eliminar. Recibe la categoría
+ *
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <CategoriesTable
+ *   categories={categories}
+ *   productCounts={{ 1: 12, 2: 4 }}
+ *   onRename={openRename}
+ *   onChangeImage={openImage}
+ *   onDelete={handleDelete}
+ * />
+ */
+const CategoriesTable = ({
+	categories,
+	productCounts,
+	countsLoading = false,
+	countsError = false,
+	onRename,
+	onChangeImage,
+	onDelete,
+}) => {
+	/**
+	 * Reemplaza la imagen de la categoría por la de respaldo si no carga
+	 *
+	 * @function
+	 * @param {React.SyntheticEvent} e - Evento de error de carga de imagen
+	 * @returns {void}
+	 */
+	const handleImageError = (e) => {
+		e.currentTarget.src = getPlaceholderImage();
+	};
+
+	return (
+		<Paper sx={{ width: "100%", overflow: "hidden" }}>
+			<TableContainer sx={{ maxHeight: 600 }}>
+				<Table stickyHeader>
+					<TableHead>
+						<TableRow>
+							<TableCell>Categoría</TableCell>
+							<TableCell align="center">Productos</TableCell>
+							<TableCell>Última Modificación</TableCell>
+							<TableCell align="center">Acciones</TableCell>
+						</TableRow>
+					</TableHead>
+					<TableBody>
+						{categories.length === 0 ? (
+							<TableRow>
+								<TableCell colSpan={4} align="center" sx={{ py: 8 }}>
+									<Typography color="text.secondary">
+										No hay categorías
+									</Typography>
+								</TableCell>
+							</TableRow>
+						) : (
+							categories.map((category) => {
+								const count = productCounts[category.id] ?? 0;
+								return (
+									<TableRow
+										key={category.id}
+										hover
+										sx={{ "&:last-child td, &:last-child th": { border: 0 } }}>
+										<TableCell>
+											<Box
+												sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+												<Avatar
+													variant="rounded"
+													src={category.image || getPlaceholderImage()}
+													alt={category.name}
+													onError={handleImageError}
+													sx={{ width: 50, height: 50 }}
+												/>
+												<Box>
+													<Typography variant="body2" sx={{ fontWeight: 600 }}>
+														{category.name}
+													</Typography>
+													<Typography variant="caption" color="text.secondary">
+														ID: {category.id}
+													</Typography>
+												</Box>
+											</Box>
+										</TableCell>
+										<TableCell align="center">
+											<Chip
+												label={countsLoading ? "…" : countsError ? "—" : count}
+												size="small"
+												color={count ? "primary" : "default"}
+												sx={{ fontWeight: 600, minWidth: 40 }}
+											/>
+										</TableCell>
+										<TableCell>
+											<Typography variant="body2" color="text.secondary">
+												{category.updatedAt
+													? formatDate(category.updatedAt, "DD/MM/YYYY HH:mm")
+													: "—"}
+											</Typography>
+										</TableCell>
+										<TableCell align="center">
+											<Box
+												sx={{
+													display: "flex",
+													justifyContent: "center",
+													gap: 0.5,
+												}}>
+												<Tooltip title="Renombrar">
+													<IconButton
+														size="small"
+														onClick={() => onRename(category)}
+														sx={{ color: "primary.main" }}>
+														<RenameIcon fontSize="small" />
+													</IconButton>
+												</Tooltip>
+												<Tooltip title="Cambiar imagen">
+													<IconButton
+														size="small"
+														onClick={() => onChangeImage(category)}
+														sx={{ color: "info.main" }}>
+														<ImageIcon fontSize="small" />
+													</IconButton>
+												</Tooltip>
+												<Tooltip title="Eliminar">
+													<IconButton
+														size="small"
+														onClick={() => onDelete(category)}
+														sx={{ color: "error.main" }}>
+														<DeleteIcon fontSize="small" />
+													</IconButton>
+												</Tooltip>
+											</Box>
+										</TableCell>
+									</TableRow>
+								);
+							})
+						)}
+					</TableBody>
+				</Table>
+			</TableContainer>
+		</Paper>
+	);
+};
+
+export default CategoriesTable;
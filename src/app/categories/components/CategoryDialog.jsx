@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Diálogo de creación y edición de categorías
+ *
+ * Formulario modal con:
+ * - Nombre (requerido, 2 a 50 caracteres)
+ * - URL de imagen (requerida) con vista previa
+ * - Errores de validación del servidor mostrados en su campo
+ *
+ * @module app/categories/components/CategoryDialog
+ * @requires react
+ * @requires @mui/material
+ * @requires react-hook-form
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+	Avatar,
+	Box,
+	Button,
+	CircularProgress,
+	Dialog,
+	DialogActions,
+	DialogContent,
+	DialogTitle,
+	TextField,
+} from "@mui/material";
+import { useForm, useWatch, Controller } from "react-hook-form";
+import {
+	getPlaceholderImage,
+	isValidImageUrl,
+} from "@/shared/utils/formatters";
+
+/**
+ * Campos del diálogo que pueden recibir errores del servidor
+ * @constant {string[]}
+ */
+const FORM_FIELDS = ["name", "image"];
+
+/**
+ * Componente CategoryDialog - Crea o edita una categoría
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {boolean} props.open - Controla la visibilidad del diálogo
+ * @param {Object} [props.category] - Categoría a editar; si se omite, se crea una nueva
+ * @param {('name'|'image')} [props.focusField='name'] - Campo que recibe el foco al abrir
+ * @param {boolean} props.isSubmitting - Indica si se está guardando
+ * @param {Object<string, string>} [props.serverErrors] - Errores de validación de la API por campo
+ * @param {Function} props.onSubmit - Recibe `{ name, image }` con los valores validados
+ * @param {Function} props.onClose - Cierra el diálogo sin guardar
+ *
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <CategoryDialog
+ *   open={dialog.open}
+ *   category={dialog.category}
+ *   isSubmitting={saving}
+ *   onSubmit={handleSave}
+ *   onClose={closeDialog}
+ * />
+ */
+const CategoryDialog = ({
+	open,
+	category,
+	focusField = "name",
+	isSubmitting,
+	serverErrors,
+	onSubmit,
+	onClose,
+}) => {
+	/**
+	 * Indica si la imagen de la vista previa no se pudo cargar
+	 * @type {[boolean, Function]}
+	 */
+	const [imageError, setImageError] = useState(false);
+
+	const {
+		control,
+		handleSubmit,
+		setError,
+		formState: { errors },
+	} = useForm({
+		defaultValues: {
+			name: category?.name || "",
+			image: category?.image || "",
+		},
+	});
+
+	const watchedImage = useWatch({ control, name: "image" });
+	const preview = isValidImageUrl(watchedImage)
+		? watchedImage
+		: getPlaceholderImage();
+
+	/**
+	 * Efecto que vuelca en los inputs los errores de validación del servidor
+	 */
+	useEffect(() => {
+		if (!serverErrors) return;
+		Object.entries(serverErrors).forEach(([field, message]) => {
+			if (FORM_FIELDS.includes(field)) {
+				setError(field, {
+					type: "server",
+					message: `Rechazado por el servidor: ${message}`,
+				});
+			}
+		});
+	}, [serverErrors, setError]);
+
+	/**
+	 * Normaliza los valores y los envía
+	 *
+	 * @function
+	 * @param {{name: string, image: string}} data - Valores validados
+	 * @returns {void}
+	 */
+	const handleFormSubmit = (data) => {
+		onSubmit({ name: data.name.trim(), image: data.image.trim() });
+	};
+
+	return (
+		<Dialog
+			open={open}
+			onClose={isSubmitting ? undefined : onClose}
+			fullWidth
+			maxWidth="sm">
+			<Box component="form" onSubmit={handleSubmit(handleFormSubmit)}>
+				<DialogTitle sx={{ fontWeight: 700 }}>
+					{category ? "Editar Categoría" : "Nueva Categoría"}
+				</DialogTitle>
+				<DialogContent>
+					<Box
+						sx={{
+							display: "flex",
+							gap: 3,
+							pt: 1,
+							flexDirection: { xs: "column", sm: "row" },
+							alignItems: "center",
+						}}>
+						<Avatar
+							variant="rounded"
+							src={imageError ? getPlaceholderImage() : preview}
+							alt="Vista previa"
+							onError={() => setImageError(true)}
+							sx={{
+								width: 120,
+								height: 120,
+								border: "2px solid",
+								borderColor: "divider",
+							}}
+						/>
+						<Box
+							sx={{
+								flex: 1,
+								width: "100%",
+								display: "flex",
+								flexDirection: "column",
+								gap: 2,
+							}}>
+							<Controller
+								name="name"
+								control={control}
+								rules={{
+									required: "El nombre es requerido",
+									validate: (value) =>
+										value.trim().length >= 2 || "Mínimo 2 caracteres",
+									maxLength: { value: 50, message: "Máximo 50 caracteres" },
+								}}
+								render={({ field }) => (
+									<TextField
+										{...field}
+										label="Nombre"
+										fullWidth
+										autoFocus={focusField === "name"}
+										error={!!errors.name}
+										helperText={errors.name?.message}
+									/>
+								)}
+							/>
+							<Controller
+								name="image"
+								control={control}
+								rules={{
+									required: "La URL de imagen es requerida",
+									validate: (value) =>
+										isValidImageUrl(value) || "Ingrese una URL válida",
+								}}
+								render={({ field }) => (
+									<TextField
+										{...field}
+										label="URL de Imagen"
+										fullWidth
+										autoFocus={focusField === "image"}
+										placeholder="https://ejemplo.com/imagen.jpg"
+										onChange={(e) => {
+											setImageError(false);
+											field.onChange(e);
+										}}
+										error={!!errors.image}
+										helperText={errors.image?.message}
+									/>
+								)}
+							/>
+						</Box>
+					</Box>
+				</DialogContent>
+				<DialogActions sx={{ px: 3, pb: 2 }}>
+					<Button onClick={onClose} disabled={isSubmitting}>
+						Cancelar
+					</Button>
+					<Button
+						type="submit"
+						variant="contained"
+						disabled={isSubmitting}
+						startIcon={
+							isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+						}>
+						{category ? "Guardar Cambios" : "Crear Categoría"}
+					</Button>
+				</DialogActions>
+			</Box>
+		</Dialog>
+	);
+};
+
+export default CategoryDialog;
@@ -0,0 +1,358 @@
+/**
+ * @fileoverview Vista de Categorías - Gestión de categorías de productos
+ *
+ * Proporciona la administración completa de categorías:
+ * - Listado con imagen y cantidad de productos de cada categoría
+ * - Creación, renombrado y cambio de imagen mediante un diálogo
+ * - Eliminación con aviso de cuántos productos quedarán sin categoría
+ * - Notificaciones del resultado mediante Snackbar
+ *
+ * @module app/categories/views/Categories
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ * @requires sweetalert2
+ */
+
+import React, { useMemo, useState } from "react";
+import { Box, Typography, Button, Snackbar, Alert } from "@mui/material";
+import { Add as AddIcon } from "@mui/icons-material";
+import Swal from "sweetalert2";
+import { useCategories } from "@/shared/hooks/useCategories";
+import { useProducts } from "@/shared/hooks/useProducts";
+import CategoriesTable from "../components/CategoriesTable";
+import CategoryDialog from "../components/CategoryDialog";
+import LoadingSpinner from "@/shared/components/LoadingSpinner";
+import ErrorMessage from "@/shared/components/ErrorMessage";
+import {
+	createCategory,
+	deleteCategory,
+	updateCategory,
+} from "@/app/api/categoriesApi";
+import { API_ERROR_TYPES } from "@/app/api/errors";
+import {
+	getErrorDetails,
+	getErrorMessage,
+	isErrorType,
+	isRetryableError,
+} from "@/shared/utils/apiErrors";
+
+/**
+ * Estado inicial del diálogo de categoría
+ * @constant {Object}
+ */
+const CLOSED_DIALOG = { open: false, category: null, focusField: "name", key: 0 };
+
+/**
+ * Componente Categories - Vista de gestión de categorías
+ *
+ * @component
+ * @returns {React.ReactElement} La vista renderizada de categorías
+ *
+ * @example
+ * <Route path="/categories" element={<Categories />} />
+ */
+const Categories = () => {
+	const { categories, loading, apiError, refreshCategories } = useCategories();
+
+	/**
+	 * Catálogo completo, necesario para contar los productos de cada categoría
+	 */
+	const {
+		allProducts,
+		loading: productsLoading,
+		error: productsError,
+	} = useProducts({
+		paginated: false,
+	});
+
+	/** @type {boolean} Los conteos por categoría no son fiables: aún cargan o la carga falló */
+	const countsUnavailable = productsLoading || Boolean(productsError);
+
+	/**
+	 * @type {[Object, Function]}
+	 * @property {boolean} open - Visibilidad del diálogo
+	 * @property {Object|null} category - Categoría en edición (null al crear)
+	 * @property {('name'|'image')} focusField - Campo que recibe el foco
+	 * @property {number} key - Se incrementa para reiniciar el formulario en cada apertura
+	 */
+	const [dialog, setDialog] = useState(CLOSED_DIALOG);
+
+	/** @type {[boolean, Function]} Indica si se está guardando la categoría */
+	const [isSubmitting, setIsSubmitting] = useState(false);
+
+	/** @type {[Object<string, string>|null, Function]} Errores de validación devueltos por la API */
+	const [serverErrors, setServerErrors] = useState(null);
+
+	/**
+	 * @type {[Object, Function]}
+	 * @property {boolean} open - Controla la visibilidad de la notificación
+	 * @property {string} message - Contenido del mensaje a mostrar
+	 * @property {('success'|'error'|'warning'|'info')} severity - Nivel de severidad de la alerta
+	 * @property {Function|null} onRetry - Acción "Reintentar" opcional de la alerta
+	 */
+	const [snackbar, setSnackbar] = useState({
+		open: false,
+		message: "",
+		severity: "success",
+		onRetry: null,
+	});
+
+	/**
+	 * @type {Object<number, number>}
+	 * Cantidad de productos por ID de categoría
+	 */
+	const productCounts = useMemo(
+		() =>
+			allProducts.reduce((acc, product) => {
+				const id = product.category?.id;
+				if (id != null) acc[id] = (acc[id] || 0) + 1;
+				return acc;
+			}, {}),
+		[allProducts],
+	);
+
+	/**
+	 * Abre el diálogo de categoría
+	 *
+	 * @function
+	 * @param {Object|null} category - Categoría a editar o null para crear
+	 * @param {('name'|'image')} [focusField='name'] - Campo que recibe el foco
+	 * @returns {void}
+	 */
+	const openDialog = (category, focusField = "name") => {
+		setServerErrors(null);
+		setDialog((prev) => ({
+			open: true,
+			category,
+			focusField,
+			key: prev.key + 1,
+		}));
+	};
+
+	/**
+	 * Cierra el diálogo de categoría
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const closeDialog = () => {
+		setDialog((prev) => ({ ...prev, open: false }));
+	};
+
+	/**
+	 * Crea o actualiza la categoría del diálogo
+	 *
+	 * Al editar solo envía los campos que cambiaron. Los errores de validación
+	 * se muestran en los campos del diálogo, que sigue abierto.
+	 *
+	 * @async
+	 * @function
+	 * @param {{name: string, image: string}} values - Valores del formulario
+	 * @returns {Promise<void>}
+	 */
+	const handleSave = async (values) => {
+		const { category } = dialog;
+		setIsSubmitting(true);
+		setServerErrors(null);
+		try {
+			if (category) {
+				const changes = {};
+				if (values.name !== category.name) changes.name = values.name;
+				if (values.image !== category.image) changes.image = values.image;
+				if (Object.keys(changes).length) {
+					await updateCategory(category.id, changes);
+				}
+			} else {
+				await createCategory(values);
+			}
+			closeDialog();
+			setSnackbar({
+				open: true,
+				message: category
+					? "Categoría actualizada correctamente"
+					: "Categoría creada correctamente",
+				severity: "success",
+				onRetry: null,
+			});
+		} catch (error) {
+			console.error("Error saving category:", error);
+			setServerErrors(error.fieldErrors ?? null);
+			setSnackbar({
+				open: true,
+				message: getErrorMessage(
+					error,
+					category
+						? "Error al actualizar la categoría"
+						: "Error al crear la categoría",
+				),
+				severity: getErrorDetails(error).severity,
+				onRetry: isRetryableError(error) ? () => handleSave(values) : null,
+			});
+		} finally {
+			setIsSubmitting(false);
+		}
+	};
+
+	/**
+	 * Elimina una categoría con confirmación del usuario
+	 *
+	 * El diálogo de confirmación indica cuántos productos quedarán sin
+	 * categoría tras la eliminación, o avisa de que no se pudo comprobar si
+	 * el catálogo aún está cargando o su carga falló.
+	 *
+	 * @async
+	 * @function
+	 * @param {Object} category - Categoría a eliminar
+	 * @returns {Promise<void>}
+	 */
+	const handleDelete = async (category) => {
+		const orphans = productCounts[category.id] ?? 0;
+		const impact = countsUnavailable
+			? "No se pudo comprobar cuántos productos usan esta categoría."
+			: orphans === 0
+				? "Ningún producto usa esta categoría."
+				: `${orphans} ${orphans === 1 ? "producto quedará" : "productos quedarán"} sin categoría.`;
+
+		const result = await Swal.fire({
+			title: "¿Eliminar categoría?",
+			text: `Estás a punto de eliminar "${category.name}". ${impact} Esta acción no se puede deshacer.`,
+			icon: "warning",
+			showCancelButton: true,
+			confirmButtonColor: "#d32f2f",
+			cancelButtonColor: "#64748b",
+			confirmButtonText: "Sí, eliminar",
+			cancelButtonText: "Cancelar",
+		});
+
+		if (result.isConfirmed) {
+			await deleteWithFeedback(category);
+		}
+	};
+
+	/**
+	 * Elimina una categoría y notifica el resultado según el tipo de error
+	 *
+	 * @async
+	 * @function
+	 * @param {Object} category - Categoría a eliminar
+	 * @returns {Promise<void>}
+	 */
+	const deleteWithFeedback = async (category) => {
+		try {
+			await deleteCategory(category.id);
+			setSnackbar({
+				open: true,
+				message: "Categoría eliminada correctamente",
+				severity: "success",
+				onRetry: null,
+			});
+		} catch (error) {
+			console.error("Error deleting category:", error);
+			if (isErrorType(error, API_ERROR_TYPES.NOT_FOUND)) {
+				refreshCategories();
+				setSnackbar({
+					open: true,
+					message: `"${category.name}" ya no existía. Se actualizó el listado.`,
+					severity: "warning",
+					onRetry: null,
+				});
+				return;
+			}
+			setSnackbar({
+				open: true,
+				message: getErrorMessage(error, "Error al eliminar la categoría"),
+				severity: getErrorDetails(error).severity,
+				onRetry: isRetryableError(error)
+					? () => deleteWithFeedback(category)
+					: null,
+			});
+		}
+	};
+
+	/**
+	 * Ejecuta la acción de reintento de la notificación actual
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleSnackbarRetry = () => {
+		const retry = snackbar.onRetry;
+		setSnackbar((prev) => ({ ...prev, open: false }));
+		retry?.();
+	};
+
+	if (loading) {
+		return <LoadingSpinner message="Cargando categorías..." />;
+	}
+
+	if (apiError) {
+		return <ErrorMessage error={apiError} onRetry={refreshCategories} />;
+	}
+
+	return (
+		<Box>
+			<Box
+				sx={{
+					display: "flex",
+					justifyContent: "space-between",
+					alignItems: "center",
+					mb: 3,
+				}}>
+				<Typography variant="h4" sx={{ fontWeight: 700 }}>
+					Categorías
+				</Typography>
+				<Button
+					variant="contained"
+					startIcon={<AddIcon />}
+					onClick={() => openDialog(null)}>
+					Nueva Categoría
+				</Button>
+			</Box>
+
+			<CategoriesTable
+				categories={categories}
+				productCounts={productCounts}
+				countsLoading={productsLoading}
+				countsError={Boolean(productsError)}
+				onRename={(category) => openDialog(category, "name")}
+				onChangeImage={(category) => openDialog(category, "image")}
+				onDelete={handleDelete}
+			/>
+
+			<CategoryDialog
+				key={dialog.key}
+				open={dialog.open}
+				category={dialog.category}
+				focusField={dialog.focusField}
+				isSubmitting={isSubmitting}
+				serverErrors={serverErrors}
+				onSubmit={handleSave}
+				onClose={closeDialog}
+			/>
+
+			<Snackbar
+				open={snackbar.open}
+				autoHideDuration={4000}
+				onClose={() => setSnackbar((prev) => ({ ...prev, open: false }))}
+				anchorOrigin={{ vertical: "bottom", horizontal: "right" }}>
+				<Alert
+					onClose={() => setSnackbar((prev) => ({ ...prev, open: false }))}
+					severity={snackbar.severity}
+					variant="filled"
+					action={
+						snackbar.onRetry && (
+							<Button color="inherit" size="small" onClick={handleSnackbarRetry}>
+								Reintentar
+							</Button>
+						)
+					}
+					sx={{ width: "100%" }}>
+					{snackbar.message}
+				</Alert>
+			</Snackbar>
+		</Box>
+	);
+};
+
+export default Categories;
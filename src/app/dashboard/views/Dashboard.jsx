@@ -56,7 +56,7 @@ const Dashboard = () => {
 	}
 
 	if (error) {
-		return <ErrorMessage message={error} onRetry={refreshProducts} />;
+		return <ErrorMessage error={error} onRetry={refreshProducts} />;
 	}
 
 	return (
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Barra de acciones masivas del inventario
+ *
+ * Aparece sobre la tabla cuando hay productos seleccionados. Muestra cuántos
+ * hay, permite ampliar la selección a todos los productos filtrados y ofrece
+ * las acciones masivas que el rol permite. Mientras una acción se ejecuta
+ * muestra su progreso y deshabilita los controles.
+ *
+ * @module app/inventory/components/BulkActionsBar
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ */
+
+import React from "react";
+import { Box, Button, LinearProgress, Paper, Typography } from "@mui/material";
+import {
+	Category as CategoryIcon,
+	Close as CloseIcon,
+	Delete as DeleteIcon,
+	PriceChange as PriceChangeIcon,
+} from "@mui/icons-material";
+import { BULK_ACTIONS } from "../hooks/useBulkActions";
+
+/**
+ * Texto del progreso de cada acción
+ * @constant {Object<string, string>}
+ */
+const PROGRESS_LABELS = {
+	[BULK_ACTIONS.DELETE]: "Eliminando",
+	[BULK_ACTIONS.CHANGE_CATEGORY]: "Cambiando categoría",
+	[BULK_ACTIONS.ADJUST_PRICE]: "Ajustando precio",
+};
+
+/**
+ * Componente BulkActionsBar - Acciones sobre los productos seleccionados
+ *
+ * Las acciones sin callback no se muestran.
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {number} props.count - Cantidad de productos seleccionados
+ * @param {number} props.totalCount - Cantidad de productos que cumplen los filtros
+ * @param {boolean} props.canSelectAllMatching - Ofrecer "seleccionar todos los filtrados"
+ *                                               (toda la página está seleccionada)
+ * @param {boolean} [props.selectingAll=false] - Se están cargando todos los filtrados
+ * @param {Function} props.onSelectAllMatching - Selecciona todos los productos filtrados
+ * @param {Function} props.onClear - Vacía la selección
+ * @param {Function} [props.onDelete] - Elimina los seleccionados
+ * @param {Function} [props.onChangeCategory] - Cambia la categoría de los seleccionados
+ * @param {Function} [props.onAdjustPrice] - Ajusta el precio de los seleccionados
+ * @param {{action: string, done: number, total: number}|null} props.progress - Acción en curso
+ * @returns {React.ReactElement|null}
+ *
+ * @example
+ * <BulkActionsBar
+ *   count={selection.count}
+ *   totalCount={totalCount}
+ *   canSelectAllMatching={isPageSelected}
+ *   onSelectAllMatching={handleSelectAllMatching}
+ *   onClear={selection.clear}
+ *   onDelete={handleBulkDelete}
+ *   progress={progress}
+ * />
+ */
+const BulkActionsBar = ({
+	count,
+	totalCount,
+	canSelectAllMatching,
+	selectingAll = false,
+	onSelectAllMatching,
+	onClear,
+	onDelete,
+	onChangeCategory,
+	onAdjustPrice,
+	progress,
+}) => {
+	if (count === 0 && !progress) return null;
+
+	const isRunning = Boolean(progress);
+
+	return (
+		<Paper
+			sx={{
+				p: 1.5,
+				mb: 1,
+				backgroundColor: "action.selected",
+				border: "1px solid",
+				borderColor: "primary.light",
+			}}>
+			<Box
+				sx={{
+					display: "flex",
+					flexWrap: "wrap",
+					alignItems: "center",
+					gap: 1,
+				}}>
+				<Typography variant="body2" sx={{ fontWeight: 600, mr: 1 }}>
+					{count === 1
+						? "1 producto seleccionado"
+						: `${count} productos seleccionados`}
+				</Typography>
+				{canSelectAllMatching && count < totalCount && (
+					<Button
+						size="small"
+						onClick={onSelectAllMatching}
+						disabled={isRunning || selectingAll}>
+						{selectingAll
+							? "Seleccionando..."
+							: `Seleccionar los ${totalCount} productos filtrados`}
+					</Button>
+				)}
+				<Box sx={{ flexGrow: 1 }} />
+				{onChangeCategory && (
+					<Button
+						size="small"
+						variant="outlined"
+						startIcon={<CategoryIcon />}
+						onClick={onChangeCategory}
+						disabled={isRunning}>
+						Cambiar categoría
+					</Button>
+				)}
+				{onAdjustPrice && (
+					<Button
+						size="small"
+						variant="outlined"
+						startIcon={<PriceChangeIcon />}
+						onClick={onAdjustPrice}
+						disabled={isRunning}>
+						Ajustar precio
+					</Button>
+				)}
+				{onDelete && (
+					<Button
+						size="small"
+						variant="outlined"
+						color="error"
+						startIcon={<DeleteIcon />}
+						onClick={onDelete}
+						disabled={isRunning}>
+						Eliminar
+					</Button>
+				)}
+				<Button
+					size="small"
+					startIcon={<CloseIcon />}
+					onClick={onClear}
+					disabled={isRunning}>
+					Deseleccionar
+				</Button>
+			</Box>
+
+			{isRunning && (
+				<Box sx={{ mt: 1.5 }}>
+					<Typography variant="caption" color="text.secondary">
+						{PROGRESS_LABELS[progress.action]}: {progress.done} de{" "}
+						{progress.total}
+					</Typography>
+					<LinearProgress
+						variant="determinate"
+						value={(progress.done / progress.total) * 100}
+						sx={{ mt: 0.5, borderRadius: 1 }}
+					/>
+				</Box>
+			)}
+		</Paper>
+	);
+};
+
+export default BulkActionsBar;
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Diálogo para cambiar la categoría de varios productos
+ *
+ * @module app/inventory/components/BulkCategoryDialog
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useState } from "react";
+import {
+	Button,
+	Dialog,
+	DialogActions,
+	DialogContent,
+	DialogContentText,
+	DialogTitle,
+	MenuItem,
+	TextField,
+} from "@mui/material";
+import { useCategories } from "@/shared/hooks/useCategories";
+
+/**
+ * Componente BulkCategoryDialog - Elige la nueva categoría
+ *
+ * Se monta solo mientras está abierto, así empieza siempre sin categoría elegida.
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {number} props.count - Cantidad de productos afectados
+ * @param {Function} props.onClose - Cierra el diálogo sin cambios
+ * @param {Function} props.onConfirm - Recibe el ID de la categoría elegida
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * {dialog === "category" && (
+ *   <BulkCategoryDialog count={3} onClose={close} onConfirm={applyCategory} />
+ * )}
+ */
+const BulkCategoryDialog = ({ count, onClose, onConfirm }) => {
+	const { categories, loading } = useCategories();
+
+	/** @type {[number|"", Function]} Categoría elegida */
+	const [categoryId, setCategoryId] = useState("");
+
+	return (
+		<Dialog open onClose={onClose} fullWidth maxWidth="xs">
+			<DialogTitle>Cambiar categoría</DialogTitle>
+			<DialogContent>
+				<DialogContentText sx={{ mb: 2 }}>
+					{count === 1
+						? "El producto seleccionado pasará a la categoría elegida."
+						: `Los ${count} productos seleccionados pasarán a la categoría elegida.`}
+				</DialogContentText>
+				<TextField
+					select
+					fullWidth
+					size="small"
+					label="Nueva categoría"
+					value={categoryId}
+					onChange={(e) => setCategoryId(e.target.value)}
+					disabled={loading && categories.length === 0}>
+					{categories.map((category) => (
+						<MenuItem key={category.id} value={category.id}>
+							{category.name}
+						</MenuItem>
+					))}
+				</TextField>
+			</DialogContent>
+			<DialogActions>
+				<Button onClick={onClose}>Cancelar</Button>
+				<Button
+					variant="contained"
+					onClick={() => onConfirm(categoryId)}
+					disabled={categoryId === ""}>
+					Aplicar
+				</Button>
+			</DialogActions>
+		</Dialog>
+	);
+};
+
+export default BulkCategoryDialog;
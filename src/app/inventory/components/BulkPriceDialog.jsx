@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Diálogo para ajustar el precio de varios productos
+ *
+ * El ajuste puede ser un porcentaje o una cantidad fija, positivos para
+ * subir y negativos para rebajar. Se muestra una vista previa con los
+ * primeros productos seleccionados.
+ *
+ * @module app/inventory/components/BulkPriceDialog
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useState } from "react";
+import {
+	Box,
+	Button,
+	Dialog,
+	DialogActions,
+	DialogContent,
+	DialogContentText,
+	DialogTitle,
+	InputAdornment,
+	TextField,
+	ToggleButton,
+	ToggleButtonGroup,
+	Typography,
+} from "@mui/material";
+import { adjustPrice, PRICE_ADJUSTMENTS } from "../hooks/useBulkActions";
+import { formatCurrency, truncateText } from "@/shared/utils/formatters";
+
+/** @constant {number} PREVIEW_LIMIT - Productos que se muestran en la vista previa */
+const PREVIEW_LIMIT = 3;
+
+/**
+ * Componente BulkPriceDialog - Elige el ajuste de precio
+ *
+ * Se monta solo mientras está abierto, así empieza siempre vacío.
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<Object>} props.products - Productos afectados
+ * @param {Function} props.onClose - Cierra el diálogo sin cambios
+ * @param {Function} props.onConfirm - Recibe el ajuste `{ type, value }`
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * {dialog === "price" && (
+ *   <BulkPriceDialog products={selectedProducts} onClose={close} onConfirm={applyPrice} />
+ * )}
+ */
+const BulkPriceDialog = ({ products, onClose, onConfirm }) => {
+	/** @type {[string, Function]} Tipo de ajuste, ver PRICE_ADJUSTMENTS */
+	const [type, setType] = useState(PRICE_ADJUSTMENTS.PERCENT);
+
+	/** @type {[string, Function]} Texto del campo de valor */
+	const [value, setValue] = useState("");
+
+	const amount = Number(value);
+	const isValid =
+		value.trim() !== "" && Number.isFinite(amount) && amount !== 0;
+	const adjustment = { type, value: amount };
+
+	return (
+		<Dialog open onClose={onClose} fullWidth maxWidth="xs">
+			<DialogTitle>Ajustar precio</DialogTitle>
+			<DialogContent>
+				<DialogContentText sx={{ mb: 2 }}>
+					Usa un valor negativo para rebajar. Se aplicará a{" "}
+					{products.length === 1
+						? "1 producto"
+						: `${products.length} productos`}
+					.
+				</DialogContentText>
+				<Box sx={{ display: "flex", gap: 2, alignItems: "center" }}>
+					<ToggleButtonGroup
+						exclusive
+						size="small"
+						value={type}
+						onChange={(_, next) => next && setType(next)}>
+						<ToggleButton value={PRICE_ADJUSTMENTS.PERCENT}>%</ToggleButton>
+						<ToggleButton value={PRICE_ADJUSTMENTS.AMOUNT}>$</ToggleButton>
+					</ToggleButtonGroup>
+					<TextField
+						fullWidth
+						autoFocus
+						size="small"
+						type="number"
+						label={
+							type === PRICE_ADJUSTMENTS.PERCENT ? "Porcentaje" : "Cantidad"
+						}
+						value={value}
+						onChange={(e) => setValue(e.target.value)}
+						InputProps={{
+							endAdornment: (
+								<InputAdornment position="end">
+									{type === PRICE_ADJUSTMENTS.PERCENT ? "%" : "$"}
+								</InputAdornment>
+							),
+						}}
+					/>
+				</Box>
+
+				{isValid && (
+					<Box sx={{ mt: 2 }}>
+						{products.slice(0, PREVIEW_LIMIT).map((product) => {
+							const next = adjustPrice(product.price, adjustment);
+							return (
+								<Typography
+									key={product.id}
+									variant="body2"
+									color={next > 0 ? "text.secondary" : "error"}>
+									{truncateText(product.title, 30)}:{" "}
+									{formatCurrency(product.price)} → {formatCurrency(next)}
+								</Typography>
+							);
+						})}
+						{products.length > PREVIEW_LIMIT && (
+							<Typography variant="caption" color="text.secondary">
+								y {products.length - PREVIEW_LIMIT} más
+							</Typography>
+						)}
+					</Box>
+				)}
+			</DialogContent>
+			<DialogActions>
+				<Button onClick={onClose}>Cancelar</Button>
+				<Button
+					variant="contained"
+					onClick={() => onConfirm(adjustment)}
+					disabled={!isValid}>
+					Aplicar
+				</Button>
+			</DialogActions>
+		</Dialog>
+	);
+};
+
+export default BulkPriceDialog;
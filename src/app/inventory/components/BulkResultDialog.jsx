@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Resumen de una acción masiva con fallos
+ *
+ * Lista los productos en los que la acción no se pudo aplicar y el motivo
+ * de cada uno. Esos productos siguen seleccionados, así que se puede
+ * reintentar la acción solo sobre ellos.
+ *
+ * @module app/inventory/components/BulkResultDialog
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React from "react";
+import {
+	Button,
+	Dialog,
+	DialogActions,
+	DialogContent,
+	DialogContentText,
+	DialogTitle,
+	List,
+	ListItem,
+	ListItemText,
+} from "@mui/material";
+import { BULK_ACTIONS } from "../hooks/useBulkActions";
+import { getErrorDetails, isRetryableError } from "@/shared/utils/apiErrors";
+
+/**
+ * Participio de cada acción para el resumen
+ * @constant {Object<string, string>}
+ */
+const DONE_LABELS = {
+	[BULK_ACTIONS.DELETE]: "eliminados",
+	[BULK_ACTIONS.CHANGE_CATEGORY]: "cambiados de categoría",
+	[BULK_ACTIONS.ADJUST_PRICE]: "con el precio ajustado",
+};
+
+/**
+ * Explica por qué falló un producto
+ *
+ * Prefiere el mensaje del campo rechazado, que es el más concreto.
+ *
+ * @function
+ * @param {import('@/app/api/errors').ApiError} error - Error del producto
+ * @returns {string}
+ */
+const describeError = (error) =>
+	Object.values(error?.fieldErrors ?? {})[0] ?? getErrorDetails(error).message;
+
+/**
+ * Componente BulkResultDialog - Productos en los que falló la acción
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {import('../hooks/useBulkActions').BulkResult} props.result - Resultado de la acción
+ * @param {Function} props.onClose - Cierra el resumen
+ * @param {Function} props.onRetry - Reintenta la acción con los productos fallidos
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * {result?.failed.length > 0 && (
+ *   <BulkResultDialog result={result} onClose={close} onRetry={retryFailed} />
+ * )}
+ */
+const BulkResultDialog = ({ result, onClose, onRetry }) => {
+	const { action, succeeded, failed } = result;
+	const canRetry = failed.some(({ error }) => isRetryableError(error));
+
+	return (
+		<Dialog open onClose={onClose} fullWidth maxWidth="sm">
+			<DialogTitle>
+				{failed.length === 1
+					? "1 producto no se pudo procesar"
+					: `${failed.length} productos no se pudieron procesar`}
+			</DialogTitle>
+			<DialogContent dividers>
+				{succeeded.length > 0 && (
+					<DialogContentText sx={{ mb: 1 }}>
+						{succeeded.length} {DONE_LABELS[action]} correctamente.
+					</DialogContentText>
+				)}
+				<DialogContentText>
+					Los productos con error siguen seleccionados:
+				</DialogContentText>
+				<List dense>
+					{failed.map(({ product, error }) => (
+						<ListItem key={product.id} disableGutters>
+							<ListItemText
+								primary={product.title}
+								secondary={describeError(error)}
+								secondaryTypographyProps={{ color: "error" }}
+							/>
+						</ListItem>
+					))}
+				</List>
+			</DialogContent>
+			<DialogActions>
+				<Button onClick={onClose}>Cerrar</Button>
+				{canRetry && (
+					<Button variant="contained" onClick={onRetry}>
+						Reintentar fallidos
+					</Button>
+				)}
+			</DialogActions>
+		</Dialog>
+	);
+};
+
+export default BulkResultDialog;
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Diálogo de exportación del inventario
+ *
+ * Permite elegir qué exportar (todos los productos filtrados o solo los
+ * seleccionados), el formato (CSV o JSON), las columnas y si los precios y
+ * las fechas llevan el formato de la interfaz o sus valores sin formato.
+ *
+ * @module app/inventory/components/ExportDialog
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useState } from "react";
+import {
+	Box,
+	Button,
+	Checkbox,
+	CircularProgress,
+	Dialog,
+	DialogActions,
+	DialogContent,
+	DialogTitle,
+	FormControl,
+	FormControlLabel,
+	FormGroup,
+	FormLabel,
+	Radio,
+	RadioGroup,
+	Switch,
+} from "@mui/material";
+import {
+	DEFAULT_EXPORT_COLUMNS,
+	EXPORT_COLUMNS,
+	EXPORT_FORMATS,
+	EXPORT_SCOPES,
+} from "@/shared/utils/productExport";
+
+/**
+ * Componente ExportDialog - Opciones de exportación
+ *
+ * Se monta solo mientras está abierto. Si hay productos seleccionados,
+ * empieza ofreciendo exportar solo esos.
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {number} props.filteredCount - Productos que cumplen los filtros
+ * @param {number} props.selectedCount - Productos seleccionados
+ * @param {boolean} [props.exporting=false] - La exportación está en curso
+ * @param {Function} props.onClose - Cierra el diálogo
+ * @param {Function} props.onExport - Recibe `{ scope, format, columns, formatted }`
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <ExportDialog
+ *   filteredCount={totalCount}
+ *   selectedCount={selection.count}
+ *   onClose={() => setExportOpen(false)}
+ *   onExport={handleExport}
+ * />
+ */
+const ExportDialog = ({
+	filteredCount,
+	selectedCount,
+	exporting = false,
+	onClose,
+	onExport,
+}) => {
+	/** @type {[string, Function]} Ver EXPORT_SCOPES */
+	const [scope, setScope] = useState(
+		selectedCount > 0 ? EXPORT_SCOPES.SELECTED : EXPORT_SCOPES.FILTERED,
+	);
+
+	/** @type {[string, Function]} Ver EXPORT_FORMATS */
+	const [format, setFormat] = useState(EXPORT_FORMATS.CSV);
+
+	/** @type {[string[], Function]} Claves de las columnas marcadas */
+	const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+
+	/** @type {[boolean, Function]} Moneda y fechas con formato */
+	const [formatted, setFormatted] = useState(true);
+
+	const count =
+		scope === EXPORT_SCOPES.SELECTED ? selectedCount : filteredCount;
+
+	/**
+	 * Marca o desmarca una columna conservando el orden de EXPORT_COLUMNS
+	 *
+	 * @function
+	 * @param {string} key - Clave de la columna
+	 * @returns {void}
+	 */
+	const toggleColumn = (key) => {
+		setColumns((prev) =>
+			EXPORT_COLUMNS.map((column) => column.key).filter((k) =>
+				k === key ? !prev.includes(k) : prev.includes(k),
+			),
+		);
+	};
+
+	return (
+		<Dialog
+			open
+			onClose={exporting ? undefined : onClose}
+			fullWidth
+			maxWidth="sm">
+			<DialogTitle>Exportar inventario</DialogTitle>
+			<DialogContent dividers>
+				<Box sx={{ display: "flex", flexWrap: "wrap", gap: 4, mb: 2 }}>
+					<FormControl>
+						<FormLabel>Productos</FormLabel>
+						<RadioGroup
+							value={scope}
+							onChange={(e) => setScope(e.target.value)}>
+							<FormControlLabel
+								value={EXPORT_SCOPES.FILTERED}
+								control={<Radio size="small" />}
+								label={`Todos los filtrados (${filteredCount})`}
+							/>
+							<FormControlLabel
+								value={EXPORT_SCOPES.SELECTED}
+								control={<Radio size="small" />}
+								label={`Solo los seleccionados (${selectedCount})`}
+								disabled={selectedCount === 0}
+							/>
+						</RadioGroup>
+					</FormControl>
+					<FormControl>
+						<FormLabel>Formato</FormLabel>
+						<RadioGroup
+							value={format}
+							onChange={(e) => setFormat(e.target.value)}>
+							<FormControlLabel
+								value={EXPORT_FORMATS.CSV}
+								control={<Radio size="small" />}
+								label="CSV (Excel, hojas de cálculo)"
+							/>
+							<FormControlLabel
+								value={EXPORT_FORMATS.JSON}
+								control={<Radio size="small" />}
+								label="JSON"
+							/>
+						</RadioGroup>
+					</FormControl>
+				</Box>
+
+				<FormControl component="fieldset" sx={{ mb: 2 }}>
+					<FormLabel component="legend">Columnas</FormLabel>
+					<FormGroup
+						sx={{
+							display: "grid",
+							gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr" },
+						}}>
+						{EXPORT_COLUMNS.map((column) => (
+							<FormControlLabel
+								key={column.key}
+								control={
+									<Checkbox
+										size="small"
+										checked={columns.includes(column.key)}
+										onChange={() => toggleColumn(column.key)}
+									/>
+								}
+								label={column.label}
+							/>
+						))}
+					</FormGroup>
+				</FormControl>
+
+				<FormControlLabel
+					control={
+						<Switch
+							checked={formatted}
+							onChange={(e) => setFormatted(e.target.checked)}
+						/>
+					}
+					label={
+						formatted
+							? "Precios y fechas con formato ($1,234.56 · 31/01/2024 10:30)"
+							: "Valores sin formato (1234.56 · 2024-01-31T10:30:00.000Z)"
+					}
+				/>
+			</DialogContent>
+			<DialogActions>
+				<Button onClick={onClose} disabled={exporting}>
+					Cancelar
+				</Button>
+				<Button
+					variant="contained"
+					onClick={() => onExport({ scope, format, columns, formatted })}
+					disabled={exporting || columns.length === 0 || count === 0}
+					startIcon={
+						exporting ? <CircularProgress size={16} color="inherit" /> : null
+					}>
+					{exporting ? "Exportando..." : `Exportar ${count}`}
+				</Button>
+			</DialogActions>
+		</Dialog>
+	);
+};
+
+export default ExportDialog;
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Editor de una celda de la tabla de productos
+ *
+ * Campo que sustituye al contenido de la celda mientras se edita: texto
+ * para el título y el precio, y un desplegable para la categoría. Enter o
+ * salir del campo guarda, Escape cancela y Tab (o Mayús + Tab) guarda y
+ * pasa a la siguiente (o anterior) celda editable.
+ *
+ * @module app/inventory/components/InlineCellEditor
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useRef, useState } from "react";
+import { TextField, Tooltip } from "@mui/material";
+import { useCategories } from "@/shared/hooks/useCategories";
+
+/**
+ * Componente InlineCellEditor - Campo de edición dentro de una celda
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {('title'|'price'|'categoryId')} props.field - Campo que se edita
+ * @param {string} props.label - Nombre de la columna, para accesibilidad
+ * @param {string} props.initialValue - Valor con el que se abre
+ * @param {Function} props.onCommit - Guarda el valor. Recibe el valor y cuántas celdas
+ *                                    editables avanzar (1 con Tab, -1 con Mayús + Tab, 0 con
+ *                                    Enter o al salir); devuelve el mensaje de validación o
+ *                                    null si se aceptó
+ * @param {Function} props.onCancel - Cierra el editor sin guardar
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <InlineCellEditor
+ *   field="price"
+ *   label="Precio"
+ *   initialValue="19.99"
+ *   onCommit={(value, step) => commitEdit(product, "price", value, getCellAt(step))}
+ *   onCancel={() => cancelEdit(product, "price")}
+ * />
+ */
+const InlineCellEditor = ({
+	field,
+	label,
+	initialValue,
+	onCommit,
+	onCancel,
+}) => {
+	const { categories } = useCategories();
+
+	/** @type {[string, Function]} Valor escrito o elegido */
+	const [draft, setDraft] = useState(initialValue);
+
+	/** @type {[string|null, Function]} Mensaje de validación del último intento */
+	const [error, setError] = useState(null);
+
+	/**
+	 * Indica que el editor ya se cerró con el teclado, para que la pérdida
+	 * de foco al desmontarse no vuelva a guardar
+	 * @type {React.MutableRefObject<boolean>}
+	 */
+	const closedRef = useRef(false);
+
+	/**
+	 * Intenta guardar el valor actual
+	 *
+	 * @function
+	 * @param {number} step - Celdas editables que avanzar al cerrar
+	 * @returns {void}
+	 */
+	const commit = (step) => {
+		const message = onCommit(draft, step);
+		setError(message);
+		if (!message) closedRef.current = true;
+	};
+
+	/**
+	 * @function
+	 * @param {React.KeyboardEvent} e - Evento de teclado del campo
+	 * @returns {void}
+	 */
+	const handleKeyDown = (e) => {
+		if (e.key === "Enter") {
+			e.preventDefault();
+			commit(0);
+		} else if (e.key === "Tab") {
+			e.preventDefault();
+			commit(e.shiftKey ? -1 : 1);
+		} else if (e.key === "Escape") {
+			e.preventDefault();
+			e.stopPropagation();
+			closedRef.current = true;
+			onCancel();
+		}
+	};
+
+	const isCategory = field === "categoryId";
+
+	return (
+		<Tooltip open={Boolean(error)} title={error ?? ""} arrow placement="bottom">
+			<TextField
+				autoFocus
+				fullWidth
+				size="small"
+				select={isCategory}
+				value={draft}
+				error={Boolean(error)}
+				onChange={(e) => {
+					setDraft(e.target.value);
+					setError(null);
+				}}
+				onKeyDown={handleKeyDown}
+				onBlur={() => {
+					if (!closedRef.current) commit(0);
+				}}
+				onFocus={(e) => {
+					if (!isCategory) e.target.select();
+				}}
+				onDoubleClick={(e) => e.stopPropagation()}
+				SelectProps={{ native: true }}
+				inputProps={{
+					"aria-label": `Editar ${label}`,
+					inputMode: field === "price" ? "decimal" : undefined,
+					style: field === "price" ? { textAlign: "right" } : undefined,
+				}}>
+				{isCategory && (
+					<>
+						<option value="" disabled>
+							Seleccionar categoría
+						</option>
+						{categories.map((category) => (
+							<option key={category.id} value={String(category.id)}>
+								{category.name}
+							</option>
+						))}
+					</>
+				)}
+			</TextField>
+		</Tooltip>
+	);
+};
+
+export default InlineCellEditor;
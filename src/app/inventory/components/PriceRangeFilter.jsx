@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Filtro de rango de precios
+ *
+ * Campos de precio mínimo y máximo y un slider acotado por los precios del
+ * catálogo. Los cambios se aplican al soltar el slider o al salir de un
+ * campo (o pulsar Enter), no en cada pulsación: así no se lanza una
+ * consulta ni se añade una entrada al historial por cada paso.
+ *
+ * @module app/inventory/components/PriceRangeFilter
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useState } from "react";
+import { Box, InputAdornment, Slider, TextField } from "@mui/material";
+import { formatCurrency } from "@/shared/utils/formatters";
+
+/**
+ * Convierte el texto de un campo en precio
+ *
+ * @function
+ * @param {string|number} value - Texto del campo
+ * @returns {number|null} Precio, o null si está vacío o no es válido
+ */
+const toPrice = (value) => {
+	if (value === "" || value == null) return null;
+	const number = Number(value);
+	return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Componente PriceRangeFilter - Precio mínimo y máximo con slider
+ *
+ * El componente guarda un borrador mientras se edita. Si el valor aplicado
+ * cambia desde fuera (chips, "Limpiar", atrás del navegador), el padre debe
+ * remontarlo con una `key` derivada del valor.
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {{min: number|null, max: number|null}} props.value - Rango aplicado
+ * @param {{min: number, max: number}|null} props.bounds - Precios mínimo y máximo del catálogo.
+ *                                                         Sin ellos no se muestra el slider
+ * @param {Function} props.onChange - Recibe el nuevo rango `{ min, max }`
+ * @param {Function} [props.onBoundsRequest] - Se llama al enfocar el filtro, para pedir `bounds`
+ *                                             si aún no se conocen
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <PriceRangeFilter
+ *   key={`${priceRange.min}-${priceRange.max}`}
+ *   value={priceRange}
+ *   bounds={priceBounds}
+ *   onChange={setPriceRange}
+ * />
+ */
+const PriceRangeFilter = ({ value, bounds, onChange, onBoundsRequest }) => {
+	/** @type {[{min: string, max: string}, Function]} Texto de los campos */
+	const [draft, setDraft] = useState({
+		min: value.min ?? "",
+		max: value.max ?? "",
+	});
+
+	const hasSlider = Boolean(bounds) && bounds.max > bounds.min;
+
+	/**
+	 * Aplica el rango si cambió, ordenando los extremos si se escribieron al revés
+	 *
+	 * @function
+	 * @param {{min: number|null, max: number|null}} next - Rango a aplicar
+	 * @returns {void}
+	 */
+	const commit = (next) => {
+		let { min, max } = next;
+		if (min != null && max != null && min > max) {
+			[min, max] = [max, min];
+			setDraft({ min, max });
+		}
+		if (min !== value.min || max !== value.max) {
+			onChange({ min, max });
+		}
+	};
+
+	/**
+	 * Aplica lo escrito en los campos
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const commitDraft = () => {
+		commit({ min: toPrice(draft.min), max: toPrice(draft.max) });
+	};
+
+	/**
+	 * Aplica la posición del slider. Un extremo en el límite del catálogo
+	 * equivale a no filtrar por ese lado
+	 *
+	 * @function
+	 * @param {Event} _event - Evento del slider
+	 * @param {number[]} range - Posición de los dos extremos
+	 * @returns {void}
+	 */
+	const handleSliderCommit = (_event, [min, max]) => {
+		commit({
+			min: min > bounds.min ? min : null,
+			max: max < bounds.max ? max : null,
+		});
+	};
+
+	/**
+	 * Crea los props de un campo de precio
+	 *
+	 * @function
+	 * @param {('min'|'max')} field - Extremo del rango
+	 * @param {string} label - Etiqueta del campo
+	 * @returns {Object} Props para TextField
+	 */
+	const fieldProps = (field, label) => ({
+		size: "small",
+		type: "number",
+		label,
+		value: draft[field],
+		placeholder: bounds ? String(bounds[field]) : undefined,
+		onChange: (e) => setDraft((prev) => ({ ...prev, [field]: e.target.value })),
+		onBlur: commitDraft,
+		onKeyDown: (e) => {
+			if (e.key === "Enter") commitDraft();
+		},
+		InputLabelProps: { shrink: true },
+		InputProps: {
+			startAdornment: <InputAdornment position="start">$</InputAdornment>,
+		},
+		inputProps: { min: 0, step: "any" },
+	});
+
+	return (
+		<Box
+			onFocus={bounds ? undefined : onBoundsRequest}
+			sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+			<TextField {...fieldProps("min", "Precio mín.")} sx={{ width: 130 }} />
+			{hasSlider && (
+				<Slider
+					size="small"
+					min={bounds.min}
+					max={bounds.max}
+					value={[
+						toPrice(draft.min) ?? bounds.min,
+						toPrice(draft.max) ?? bounds.max,
+					]}
+					onChange={(_, [min, max]) => setDraft({ min, max })}
+					onChangeCommitted={handleSliderCommit}
+					valueLabelDisplay="auto"
+					valueLabelFormat={formatCurrency}
+					getAriaLabel={(index) =>
+						index === 0 ? "Precio mínimo" : "Precio máximo"
+					}
+					disableSwap
+					sx={{ flex: 1, mx: 1 }}
+				/>
+			)}
+			<TextField {...fieldProps("max", "Precio máx.")} sx={{ width: 130 }} />
+		</Box>
+	);
+};
+
+export default PriceRangeFilter;
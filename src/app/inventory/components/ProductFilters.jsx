@@ -2,8 +2,11 @@
  * @fileoverview Componente de filtros para inventario
  *
  * Proporciona controles de filtrado para la lista de productos incluyendo:
- * - Búsqueda por título
+ * - Búsqueda en título, descripción, categoría e ID, aplicada al dejar de escribir
  * - Filtrado por rango de fechas (desde/hasta)
+ * - Filtrado por una o varias categorías, aplicado al cerrar la lista
+ * - Filtrado por rango de precios (campos y slider acotado al catálogo)
+ * - Chips con los filtros activos, que se quitan uno a uno
  * - Botón para limpiar todos los filtros
  * - Validación de fechas (la fecha "hasta" no puede ser menor que "desde")
  *
@@ -14,7 +17,7 @@
  * @requires dayjs
  */
 
-import React from "react";
+import React, { useState } from "react";
 import {
 	Box,
 	TextField,
@@ -22,42 +25,101 @@ import {
 	Button,
 	Paper,
 	Grid,
+	Checkbox,
+	Chip,
+	FormControl,
+	InputLabel,
+	ListItemText,
+	MenuItem,
+	Select,
 } from "@mui/material";
 import { Search as SearchIcon, Clear as ClearIcon } from "@mui/icons-material";
 import dayjs from "dayjs";
+import PriceRangeFilter from "./PriceRangeFilter";
+import { useCategories } from "@/shared/hooks/useCategories";
+import { useDebouncedCallback } from "@/shared/hooks/useDebouncedCallback";
+import { formatCurrency, formatDate } from "@/shared/utils/formatters";
+
+/** @constant {number} SEARCH_DEBOUNCE_MS - Espera tras la última tecla antes de buscar */
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Describe el rango de precios para su chip
+ *
+ * @function
+ * @param {{min: number|null, max: number|null}} priceRange - Rango activo
+ * @returns {string}
+ *
+ * @example
+ * getPriceLabel({ min: 10, max: null });
+ * // Retorna: "Precio desde $10.00"
+ */
+const getPriceLabel = ({ min, max }) => {
+	if (min != null && max != null) {
+		return `Precio: ${formatCurrency(min)} – ${formatCurrency(max)}`;
+	}
+	return min != null
+		? `Precio desde ${formatCurrency(min)}`
+		: `Precio hasta ${formatCurrency(max)}`;
+};
 
 /**
  * Componente ProductFilters - Controles de filtrado para inventario de productos
  *
  * Proporciona una interfaz para filtrar productos por:
- * - Término de búsqueda (título del producto)
+ * - Término de búsqueda (título, descripción, categoría o ID)
  * - Rango de fechas de creación (desde/hasta)
+ * - Categorías (cualquiera de las seleccionadas)
+ * - Rango de precios
  *
  * El componente valida automáticamente que:
  * - La fecha "hasta" no sea anterior a la fecha "desde"
  * - Las fechas no excedan la fecha actual
- * - Los cambios se reflejen en tiempo real
+ * - Los cambios se reflejen en tiempo real, salvo la búsqueda: se aplica
+ *   {@link SEARCH_DEBOUNCE_MS} ms después de la última tecla (o al pulsar
+ *   Enter) para no volver a filtrar el catálogo con cada pulsación
+ *
+ * Las categorías se obtienen con {@link useCategories}.
  *
  * @component
  * @param {Object} props - Propiedades del componente
  * @param {string} props.searchTerm - Término de búsqueda actual
- * @param {Function} props.onSearchChange - Callback cuando cambia la búsqueda. Recibe el nuevo término
+ * @param {Function} props.onSearchChange - Callback cuando cambia la búsqueda (al dejar de escribir).
+ *                                          Recibe el nuevo término
  * @param {Object} props.dateRange - Objeto con el rango de fechas
  * @param {string|null} props.dateRange.start - Fecha inicial en formato 'YYYY-MM-DD' o null
  * @param {string|null} props.dateRange.end - Fecha final en formato 'YYYY-MM-DD' o null
  * @param {Function} props.onDateRangeChange - Callback cuando cambia el rango de fechas. Recibe objeto con {start, end}
+ * @param {number[]} props.categoryIds - IDs de las categorías seleccionadas
+ * @param {Function} props.onCategoryIdsChange - Callback cuando cambia la selección. Recibe el array de IDs
+ * @param {{min: number|null, max: number|null}} props.priceRange - Rango de precios actual
+ * @param {Function} props.onPriceRangeChange - Callback cuando cambia el rango de precios. Recibe {min, max}
+ * @param {{min: number, max: number}|null} [props.priceBounds] - Precios mínimo y máximo del catálogo
+ * @param {Function} [props.onPriceBoundsRequest] - Callback al empezar a usar el filtro de precio
+ *                                                  sin límites conocidos
+ * @param {Function} props.onClearFilters - Callback del botón "Limpiar": quita todos los filtros
  *
  * @returns {React.ReactElement} Componente de filtros renderizado
  *
  * @example
- * const [searchTerm, setSearchTerm] = useState('');
- * const [dateRange, setDateRange] = useState({ start: null, end: null });
+ * const {
+ *   searchTerm, setSearchTerm, dateRange, setDateRange,
+ *   categoryIds, setCategoryIds, priceRange, setPriceRange,
+ *   priceBounds, requestPriceBounds, clearFilters,
+ * } = useProducts();
  *
  * <ProductFilters
  *   searchTerm={searchTerm}
  *   onSearchChange={setSearchTerm}
  *   dateRange={dateRange}
  *   onDateRangeChange={setDateRange}
+ *   categoryIds={categoryIds}
+ *   onCategoryIdsChange={setCategoryIds}
+ *   priceRange={priceRange}
+ *   onPriceRangeChange={setPriceRange}
+ *   priceBounds={priceBounds}
+ *   onPriceBoundsRequest={requestPriceBounds}
+ *   onClearFilters={clearFilters}
  * />
  */
 const ProductFilters = ({
@@ -65,27 +127,126 @@ const ProductFilters = ({
 	onSearchChange,
 	dateRange,
 	onDateRangeChange,
+	categoryIds,
+	onCategoryIdsChange,
+	priceRange,
+	onPriceRangeChange,
+	priceBounds,
+	onPriceBoundsRequest,
+	onClearFilters,
 }) => {
+	const { categories, loading: categoriesLoading } = useCategories();
+
+	/** @type {[string, Function]} Texto del campo de búsqueda, aún sin aplicar */
+	const [searchDraft, setSearchDraft] = useState(searchTerm);
+
+	/** @type {[string, Function]} Último término recibido, para seguir sus cambios externos */
+	const [previousSearchTerm, setPreviousSearchTerm] = useState(searchTerm);
+	if (searchTerm !== previousSearchTerm) {
+		// La búsqueda cambió desde fuera (chip, vista guardada, botón atrás...)
+		setPreviousSearchTerm(searchTerm);
+		setSearchDraft(searchTerm);
+	}
+
+	/**
+	 * @type {[number[]|null, Function]}
+	 * Categorías marcadas con la lista abierta, aún sin aplicar. Cada cambio
+	 * de filtro lanza una consulta (y un recuento en modo servidor), así que
+	 * se aplican de una vez al cerrar la lista
+	 */
+	const [categoryDraft, setCategoryDraft] = useState(null);
+	const selectedCategoryIds = categoryDraft ?? categoryIds;
+
+	const debouncedSearch = useDebouncedCallback(
+		onSearchChange,
+		SEARCH_DEBOUNCE_MS,
+	);
+
 	/**
-	 * Limpia todos los filtros aplicados
+	 * Aplica un término de búsqueda en el acto, descartando el pendiente
 	 *
-	 * Restablece el término de búsqueda a una cadena vacía
-	 * y elimina el rango de fechas (ambas a null).
+	 * @function
+	 * @param {string} term - Término
+	 * @returns {void}
+	 */
+	const applySearch = (term) => {
+		debouncedSearch.cancel();
+		setSearchDraft(term);
+		onSearchChange(term);
+	};
+
+	/**
+	 * Limpia los filtros sin que una búsqueda pendiente vuelva a aplicarse después
 	 *
 	 * @function
 	 * @returns {void}
 	 */
 	const handleClearFilters = () => {
-		onSearchChange("");
-		onDateRangeChange({ start: null, end: null });
+		debouncedSearch.cancel();
+		setSearchDraft("");
+		onClearFilters();
 	};
 
 	/**
-	 * @type {boolean}
-	 * Indica si hay filtros activos (búsqueda o rango de fechas)
-	 * Se utiliza para mostrar/ocultar el botón de limpiar filtros
+	 * Aplica las categorías marcadas al cerrar la lista, si cambiaron
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleCategoriesClose = () => {
+		if (categoryDraft) {
+			const changed =
+				categoryDraft.length !== categoryIds.length ||
+				categoryDraft.some((id) => !categoryIds.includes(id));
+			if (changed) onCategoryIdsChange(categoryDraft);
+		}
+		setCategoryDraft(null);
+	};
+
+	/**
+	 * Obtiene el nombre de una categoría por ID
+	 *
+	 * @function
+	 * @param {number} id - ID de la categoría
+	 * @returns {string} Nombre, o el ID si la categoría ya no existe
+	 */
+	const getCategoryName = (id) =>
+		categories.find((category) => category.id === id)?.name ?? `#${id}`;
+
+	const hasPriceFilter = priceRange.min != null || priceRange.max != null;
+
+	/**
+	 * @type {Array<{key: string, label: string, onDelete: Function}>}
+	 * Chips de los filtros activos, cada uno con la acción que lo quita
 	 */
-	const hasFilters = searchTerm || dateRange.start || dateRange.end;
+	const activeFilters = [
+		searchTerm && {
+			key: "search",
+			label: `Búsqueda: "${searchTerm}"`,
+			onDelete: () => applySearch(""),
+		},
+		dateRange.start && {
+			key: "dateStart",
+			label: `Desde ${formatDate(dateRange.start)}`,
+			onDelete: () => onDateRangeChange({ ...dateRange, start: null }),
+		},
+		dateRange.end && {
+			key: "dateEnd",
+			label: `Hasta ${formatDate(dateRange.end)}`,
+			onDelete: () => onDateRangeChange({ ...dateRange, end: null }),
+		},
+		...categoryIds.map((id) => ({
+			key: `category-${id}`,
+			label: getCategoryName(id),
+			onDelete: () =>
+				onCategoryIdsChange(categoryIds.filter((other) => other !== id)),
+		})),
+		hasPriceFilter && {
+			key: "price",
+			label: getPriceLabel(priceRange),
+			onDelete: () => onPriceRangeChange({ min: null, max: null }),
+		},
+	].filter(Boolean);
 
 	return (
 		<Paper sx={{ p: 2, mb: 3 }}>
@@ -94,9 +255,15 @@ const ProductFilters = ({
 					<TextField
 						fullWidth
 						size="small"
-						placeholder="Buscar por título..."
-						value={searchTerm}
-						onChange={(e) => onSearchChange(e.target.value)}
+						placeholder="Buscar por título, descripción, categoría o ID..."
+						value={searchDraft}
+						onChange={(e) => {
+							setSearchDraft(e.target.value);
+							debouncedSearch.run(e.target.value);
+						}}
+						onKeyDown={(e) => {
+							if (e.key === "Enter") debouncedSearch.flush();
+						}}
 						InputProps={{
 							startAdornment: (
 								<InputAdornment position="start">
@@ -106,7 +273,7 @@ const ProductFilters = ({
 						}}
 					/>
 				</Grid>
-				<Grid size={{ xs: 12, sm: 6, md: 3 }}>
+				<Grid size={{ xs: 12, sm: 6, md: 2 }}>
 					<TextField
 						fullWidth
 						size="small"
@@ -122,7 +289,7 @@ const ProductFilters = ({
 						}}
 					/>
 				</Grid>
-				<Grid size={{ xs: 12, sm: 6, md: 3 }}>
+				<Grid size={{ xs: 12, sm: 6, md: 2 }}>
 					<TextField
 						fullWidth
 						size="small"
@@ -139,8 +306,43 @@ const ProductFilters = ({
 						}}
 					/>
 				</Grid>
-				<Grid size={{ xs: 12, md: 2 }}>
-					{hasFilters && (
+				<Grid size={{ xs: 12, md: 4 }}>
+					<FormControl fullWidth size="small">
+						<InputLabel id="category-filter-label">Categorías</InputLabel>
+						<Select
+							labelId="category-filter-label"
+							label="Categorías"
+							multiple
+							value={selectedCategoryIds}
+							onChange={(e) => setCategoryDraft(e.target.value)}
+							onClose={handleCategoriesClose}
+							disabled={categoriesLoading && categories.length === 0}
+							renderValue={(selected) =>
+								selected.map(getCategoryName).join(", ")
+							}>
+							{categories.map((category) => (
+								<MenuItem key={category.id} value={category.id} dense>
+									<Checkbox
+										size="small"
+										checked={selectedCategoryIds.includes(category.id)}
+									/>
+									<ListItemText primary={category.name} />
+								</MenuItem>
+							))}
+						</Select>
+					</FormControl>
+				</Grid>
+				<Grid size={{ xs: 12, md: 8 }}>
+					<PriceRangeFilter
+						key={`${priceRange.min}-${priceRange.max}`}
+						value={priceRange}
+						bounds={priceBounds}
+						onChange={onPriceRangeChange}
+						onBoundsRequest={onPriceBoundsRequest}
+					/>
+				</Grid>
+				<Grid size={{ xs: 12, md: 4 }}>
+					{activeFilters.length > 0 && (
 						<Button
 							fullWidth
 							variant="outlined"
@@ -152,6 +354,14 @@ const ProductFilters = ({
 					)}
 				</Grid>
 			</Grid>
+
+			{activeFilters.length > 0 && (
+				<Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mt: 2 }}>
+					{activeFilters.map(({ key, label, onDelete }) => (
+						<Chip key={key} label={label} size="small" onDelete={onDelete} />
+					))}
+				</Box>
+			)}
 		</Paper>
 	);
 };
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Cuadrícula de tarjetas de productos
+ *
+ * Alternativa a {@link module:app/inventory/components/ProductsTable} para
+ * revisar el catálogo por sus imágenes: cada producto es una tarjeta con la
+ * imagen principal a buen tamaño, título, precio, categoría y acciones. Usa
+ * el mismo listado, orden y paginación que la tabla; como no hay
+ * encabezados, el orden se elige en la barra superior.
+ *
+ * @module app/inventory/components/ProductsGrid
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ */
+
+import React from "react";
+import {
+	Box,
+	Card,
+	CardActionArea,
+	CardActions,
+	CardContent,
+	CardMedia,
+	Checkbox,
+	Chip,
+	FormControlLabel,
+	Grid,
+	IconButton,
+	MenuItem,
+	Paper,
+	TablePagination,
+	TextField,
+	Tooltip,
+	Typography,
+} from "@mui/material";
+import {
+	ArrowDownward as ArrowDownwardIcon,
+	ArrowUpward as ArrowUpwardIcon,
+	Delete as DeleteIcon,
+	Edit as EditIcon,
+} from "@mui/icons-material";
+import { SORT_DIRECTIONS } from "@/app/api/productSort";
+import {
+	formatCurrency,
+	getPlaceholderImage,
+	truncateText,
+} from "@/shared/utils/formatters";
+import { PRODUCT_COLUMNS } from "./productColumns";
+
+/**
+ * Campos por los que se puede ordenar, con el nombre de su columna
+ * @constant {Array<{field: string, label: string}>}
+ */
+const SORT_OPTIONS = PRODUCT_COLUMNS.filter((column) => column.sortField).map(
+	(column) => ({ field: column.sortField, label: column.label }),
+);
+
+/**
+ * Tamaños de página propuestos: múltiplos de las columnas de la cuadrícula
+ * @constant {number[]}
+ */
+const GRID_PAGE_SIZES = [12, 24, 48];
+
+/** @constant {string} NO_SORT - Valor del desplegable sin orden activo */
+const NO_SORT = "";
+
+/**
+ * Componente ProductsGrid - Productos en tarjetas con paginación
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<Object>} props.products - Productos de la página
+ * @param {number} props.totalCount - Cantidad total de productos (para paginación)
+ * @param {number} props.page - Página actual (base 0)
+ * @param {number} props.rowsPerPage - Cantidad de productos por página
+ * @param {Function} props.onPageChange - Recibe el nuevo número de página
+ * @param {Function} props.onRowsPerPageChange - Recibe la nueva cantidad por página
+ * @param {Function} [props.onView] - Al pulsar la tarjeta. Recibe el objeto product
+ * @param {Function} [props.onEdit] - Callback opcional para editar. Recibe el objeto product
+ * @param {Function} [props.onDelete] - Callback opcional para eliminar. Recibe el objeto product
+ * @param {Array<import('@/app/api/productSort').SortCriterion>} [props.sort=[]] - Orden actual
+ * @param {Function} [props.onSortChange] - Recibe el campo elegido, como al pulsar un encabezado
+ *                                          de la tabla (el mismo campo invierte la dirección)
+ * @param {Set<number>} [props.selectedIds] - IDs seleccionados. Sin él no se muestran casillas
+ * @param {Function} [props.onToggleSelect] - Marca o desmarca un producto. Recibe el objeto product
+ * @param {Function} [props.onTogglePageSelect] - Casilla "Seleccionar página". Recibe los productos
+ *                                                seleccionables de la página y si deben quedar marcados
+ * @param {boolean} [props.selectionDisabled=false] - Bloquea las casillas
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <ProductsGrid
+ *   products={products}
+ *   totalCount={totalCount}
+ *   page={page}
+ *   rowsPerPage={pageSize}
+ *   onPageChange={setPage}
+ *   onRowsPerPageChange={setPageSize}
+ *   onView={handleView}
+ *   sort={sort}
+ *   onSortChange={toggleSort}
+ * />
+ */
+const ProductsGrid = ({
+	products,
+	totalCount,
+	page,
+	rowsPerPage,
+	onPageChange,
+	onRowsPerPageChange,
+	onView,
+	onEdit,
+	onDelete,
+	sort = [],
+	onSortChange,
+	selectedIds,
+	onToggleSelect,
+	onTogglePageSelect,
+	selectionDisabled = false,
+}) => {
+	/** @type {boolean} Indica si se muestran las casillas de selección */
+	const isSelectable = Boolean(selectedIds && onToggleSelect);
+
+	/** @type {Array<Object>} Productos de la página que se pueden seleccionar */
+	const selectableProducts = isSelectable
+		? products.filter((product) => !product.isPending)
+		: [];
+	const selectedOnPage = selectableProducts.filter((product) =>
+		selectedIds.has(product.id),
+	).length;
+
+	const primarySort = sort[0];
+
+	/**
+	 * @type {number[]}
+	 * Tamaños de página del selector; incluye el actual, que se comparte con
+	 * la tabla y puede no ser uno de los propuestos
+	 */
+	const pageSizeOptions = [...new Set([...GRID_PAGE_SIZES, rowsPerPage])].sort(
+		(a, b) => a - b,
+	);
+
+	return (
+		<Box>
+			<Box
+				sx={{
+					display: "flex",
+					flexWrap: "wrap",
+					alignItems: "center",
+					gap: 1,
+					mb: 2,
+				}}>
+				{onSortChange && (
+					<>
+						<TextField
+							select
+							size="small"
+							label="Ordenar por"
+							value={primarySort?.field ?? NO_SORT}
+							onChange={(e) => onSortChange(e.target.value)}
+							sx={{ minWidth: 200 }}
+							SelectProps={{
+								displayEmpty: true,
+								renderValue: (field) =>
+									SORT_OPTIONS.find((option) => option.field === field)
+										?.label ?? "Predeterminado",
+							}}
+							InputLabelProps={{ shrink: true }}>
+							{SORT_OPTIONS.map((option) => (
+								<MenuItem key={option.field} value={option.field}>
+									{option.label}
+								</MenuItem>
+							))}
+						</TextField>
+						{primarySort && (
+							<Tooltip
+								title={
+									primarySort.direction === SORT_DIRECTIONS.ASC
+										? "Ascendente (pulsa para invertir)"
+										: "Descendente (pulsa para invertir)"
+								}>
+								<IconButton
+									size="small"
+									onClick={() => onSortChange(primarySort.field)}
+									aria-label="Invertir el orden">
+									{primarySort.direction === SORT_DIRECTIONS.ASC ? (
+										<ArrowUpwardIcon fontSize="small" />
+									) : (
+										<ArrowDownwardIcon fontSize="small" />
+									)}
+								</IconButton>
+							</Tooltip>
+						)}
+					</>
+				)}
+				{isSelectable && (
+					<FormControlLabel
+						sx={{ ml: "auto", mr: 0 }}
+						label="Seleccionar página"
+						control={
+							<Checkbox
+								size="small"
+								indeterminate={
+									selectedOnPage > 0 &&
+									selectedOnPage < selectableProducts.length
+								}
+								checked={
+									selectableProducts.length > 0 &&
+									selectedOnPage === selectableProducts.length
+								}
+								disabled={selectionDisabled || selectableProducts.length === 0}
+								onChange={(e) =>
+									onTogglePageSelect(selectableProducts, e.target.checked)
+								}
+							/>
+						}
+					/>
+				)}
+			</Box>
+
+			{products.length === 0 ? (
+				<Paper sx={{ py: 8, textAlign: "center" }}>
+					<Typography color="text.secondary">
+						No se encontraron productos
+					</Typography>
+				</Paper>
+			) : (
+				<Grid container spacing={2}>
+					{products.map((product) => {
+						const selected = isSelectable && selectedIds.has(product.id);
+						return (
+							<Grid key={product.id} size={{ xs: 12, sm: 6, md: 4, lg: 3 }}>
+								<Card
+									sx={{
+										height: "100%",
+										display: "flex",
+										flexDirection: "column",
+										opacity: product.isPending ? 0.6 : 1,
+										transition: "opacity 0.2s",
+										outline: "2px solid",
+										outlineColor: selected ? "primary.main" : "transparent",
+									}}>
+									<CardActionArea
+										onClick={onView ? () => onView(product) : undefined}
+										disabled={!onView || product.isPending}
+										sx={{ flexGrow: 1 }}>
+										<CardMedia
+											component="img"
+											image={product.images?.[0] || getPlaceholderImage()}
+											alt={product.title}
+											loading="lazy"
+											onError={(e) => {
+												e.currentTarget.src = getPlaceholderImage();
+											}}
+											sx={{ aspectRatio: "4 / 3", objectFit: "cover" }}
+										/>
+										<CardContent>
+											<Typography
+												variant="body2"
+												sx={{ fontWeight: 600, mb: 0.5 }}>
+												{truncateText(product.title, 60)}
+											</Typography>
+											<Typography
+												variant="body1"
+												sx={{
+													fontWeight: 700,
+													color: "secondary.main",
+													mb: 1,
+												}}>
+												{formatCurrency(product.price)}
+											</Typography>
+											<Chip
+												label={product.category?.name || "Sin categoría"}
+												size="small"
+												sx={{
+													backgroundColor: "primary.main",
+													color: "white",
+													fontWeight: 500,
+												}}
+											/>
+										</CardContent>
+									</CardActionArea>
+									{(isSelectable || onEdit || onDelete) && (
+										<CardActions sx={{ justifyContent: "space-between" }}>
+											{isSelectable ? (
+												<Checkbox
+													size="small"
+													checked={selected}
+													disabled={selectionDisabled || product.isPending}
+													onChange={() => onToggleSelect(product)}
+													inputProps={{
+														"aria-label": `Seleccionar ${product.title}`,
+													}}
+												/>
+											) : (
+												<span />
+											)}
+											<Box sx={{ display: "flex", gap: 0.5 }}>
+												{product.isPending && (
+													<Typography
+														variant="caption"
+														color="text.secondary"
+														sx={{ alignSelf: "center" }}>
+														Guardando...
+													</Typography>
+												)}
+												{onEdit && (
+													<Tooltip title="Editar">
+														<span>
+															<IconButton
+																size="small"
+																onClick={() => onEdit(product)}
+																disabled={product.isPending}
+																sx={{ color: "primary.main" }}>
+																<EditIcon fontSize="small" />
+															</IconButton>
+														</span>
+													</Tooltip>
+												)}
+												{onDelete && (
+													<Tooltip title="Eliminar">
+														<span>
+															<IconButton
+																size="small"
+																onClick={() => onDelete(product)}
+																disabled={product.isPending}
+																sx={{ color: "error.main" }}>
+																<DeleteIcon fontSize="small" />
+															</IconButton>
+														</span>
+													</Tooltip>
+												)}
+											</Box>
+										</CardActions>
+									)}
+								</Card>
+							</Grid>
+						);
+					})}
+				</Grid>
+			)}
+
+			<Paper sx={{ mt: 2 }}>
+				<TablePagination
+					component="div"
+					count={totalCount}
+					page={page}
+					onPageChange={(_, newPage) => onPageChange(newPage)}
+					rowsPerPage={rowsPerPage}
+					onRowsPerPageChange={(e) =>
+						onRowsPerPageChange(parseInt(e.target.value, 10))
+					}
+					rowsPerPageOptions={pageSizeOptions}
+					labelRowsPerPage="Productos por página:"
+					labelDisplayedRows={({ from, to, count }) =>
+						`${from}–${to} de ${count !== -1 ? count : `más de ${to}`}`
+					}
+				/>
+			</Paper>
+		</Box>
+	);
+};
+
+export default ProductsGrid;
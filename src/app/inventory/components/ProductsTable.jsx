@@ -3,19 +3,28 @@
  *
  * Tabla interactiva para visualizar productos con:
  * - Diseño responsivo y encabezado fijo (sticky header)
- * - Paginación configurable
+ * - Paginación configurable o scroll infinito virtualizado (solo se
+ *   renderizan las filas visibles, así que admite decenas de miles)
+ * - Columnas configurables (ver {@link module:app/inventory/components/productColumns}),
+ *   con ancho ajustable arrastrando el borde del encabezado
+ * - Columnas ordenables con criterio secundario (Mayús + clic)
+ * - Densidad de filas compacta, normal o amplia
+ * - Selección de filas con casillas y "seleccionar toda la página"
+ * - Edición del título, el precio y la categoría con doble clic en la celda;
+ *   Tab guarda y pasa a la siguiente celda editable, desplazando la tabla
+ *   si está fuera de la vista
  * - Imágenes de productos con fallback
- * - Acciones (ver, editar, eliminar) con tooltips
+ * - Acciones (ver, editar, eliminar) con tooltips; solo se muestran las que reciben callback
+ * - Filas atenuadas y sin acciones mientras un cambio optimista espera al servidor
  * - Formato de precios y fechas
  *
  * @module app/inventory/components/ProductsTable
  * @requires react
  * @requires @mui/material
  * @requires @mui/icons-material
- * @requires @/shared/utils/formatters
  */
 
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
 import {
 	Table,
 	TableBody,
@@ -24,25 +33,144 @@ import {
 	TableHead,
 	TableRow,
 	Paper,
-	Avatar,
+	Checkbox,
 	IconButton,
-	Chip,
 	Box,
+	Button,
+	CircularProgress,
 	Typography,
 	TablePagination,
+	TableSortLabel,
 	Tooltip,
 } from "@mui/material";
 import {
 	Edit as EditIcon,
 	Delete as DeleteIcon,
+	ErrorOutline as ErrorOutlineIcon,
 	Visibility as VisibilityIcon,
 } from "@mui/icons-material";
 import {
-	formatCurrency,
-	formatDate,
-	getPlaceholderImage,
-	truncateText,
-} from "@/shared/utils/formatters";
+	PRODUCT_COLUMNS,
+	ROW_HEIGHTS,
+	TABLE_DENSITIES,
+} from "./productColumns";
+import InlineCellEditor from "./InlineCellEditor";
+import { MIN_COLUMN_WIDTH } from "../hooks/useTableLayout";
+import { CELL_STATUS, useInlineEdit } from "../hooks/useInlineEdit";
+
+/** @constant {number} TABLE_MAX_HEIGHT - Alto máximo del área con scroll, en píxeles */
+const TABLE_MAX_HEIGHT = 600;
+
+/** @constant {number} OVERSCAN_ROWS - Filas extra renderizadas por encima y por debajo de las visibles */
+const OVERSCAN_ROWS = 10;
+
+/** @constant {number} LOAD_MORE_THRESHOLD - Filas restantes por debajo a partir de las que se pide la siguiente tanda */
+const LOAD_MORE_THRESHOLD = 20;
+
+/** @constant {number} CHECKBOX_COLUMN_WIDTH - Ancho de la columna de casillas */
+const CHECKBOX_COLUMN_WIDTH = 56;
+
+/** @constant {number} ACTIONS_COLUMN_WIDTH - Ancho de la columna de acciones */
+const ACTIONS_COLUMN_WIDTH = 140;
+
+/**
+ * Columnas visibles por defecto, para cuando no se indica `columns`
+ * @constant {Array<import('./productColumns').ProductColumn>}
+ */
+const DEFAULT_COLUMNS = PRODUCT_COLUMNS.filter(
+	(column) => column.defaultVisible !== false,
+);
+
+/**
+ * Celda de encabezado de una columna
+ *
+ * Si la columna ordena por un campo y hay `onSortChange`, el encabezado
+ * ordena la tabla; con dos criterios activos muestra junto a la flecha la
+ * prioridad de cada columna (1 = principal, 2 = secundario). Con
+ * `onResizeStart` muestra en el borde derecho un asa para cambiar el ancho.
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('./productColumns').ProductColumn} props.column - Columna
+ * @param {number} props.width - Ancho actual en píxeles
+ * @param {Array<import('@/app/api/productSort').SortCriterion>} props.sort - Orden actual
+ * @param {Function} [props.onSortChange] - Recibe el campo y `{ additive }`
+ * @param {Function} [props.onResizeStart] - Recibe el evento de puntero sobre el asa
+ * @param {Function} [props.onResizeReset] - Vuelve al ancho por defecto (doble clic en el asa)
+ * @returns {React.ReactElement}
+ */
+const ColumnHeaderCell = ({
+	column,
+	width,
+	sort,
+	onSortChange,
+	onResizeStart,
+	onResizeReset,
+}) => {
+	const index = sort.findIndex(
+		(criterion) => criterion.field === column.sortField,
+	);
+	const criterion = sort[index];
+	const isSortable = Boolean(column.sortField && onSortChange);
+
+	return (
+		<TableCell
+			align={column.align}
+			sortDirection={
+				isSortable && criterion && index === 0 ? criterion.direction : false
+			}
+			sx={{ width, position: "relative" }}>
+			{isSortable ? (
+				<Tooltip
+					title="Mayús + clic para ordenar en segundo lugar"
+					enterDelay={800}>
+					<TableSortLabel
+						active={Boolean(criterion)}
+						direction={criterion?.direction ?? "asc"}
+						onClick={(e) =>
+							onSortChange(column.sortField, { additive: e.shiftKey })
+						}>
+						{column.label}
+						{criterion && sort.length > 1 && (
+							<Typography
+								component="span"
+								variant="caption"
+								color="text.secondary"
+								sx={{ ml: 0.5 }}>
+								{index + 1}
+							</Typography>
+						)}
+					</TableSortLabel>
+				</Tooltip>
+			) : (
+				column.label
+			)}
+			{onResizeStart && (
+				<Box
+					role="separator"
+					aria-orientation="vertical"
+					aria-label={`Cambiar ancho de ${column.label}`}
+					title="Arrastra para cambiar el ancho; doble clic para restablecerlo"
+					onPointerDown={onResizeStart}
+					onDoubleClick={onResizeReset}
+					sx={{
+						position: "absolute",
+						top: 0,
+						right: 0,
+						bottom: 0,
+						width: 8,
+						cursor: "col-resize",
+						touchAction: "none",
+						"&:hover": {
+							borderRight: "2px solid",
+							borderColor: "primary.light",
+						},
+					}}
+				/>
+			)}
+		</TableCell>
+	);
+};
 
 /**
  * Componente ProductsTable - Tabla de productos con paginación y acciones
@@ -64,14 +192,42 @@ import {
  * @param {Array<string>} props.products[].images - URLs de imágenes del producto
  * @param {Object} props.products[].category - Categoría del producto
  * @param {string} props.products[].category.name - Nombre de la categoría
+ * @param {boolean} [props.products[].isPending] - El producto tiene un cambio sin confirmar por el servidor
  * @param {number} props.totalCount - Cantidad total de productos (para paginación)
  * @param {number} props.page - Página actual (base 0)
  * @param {number} props.rowsPerPage - Cantidad de filas por página
  * @param {Function} props.onPageChange - Callback cuando cambia la página. Recibe el nuevo número de página
  * @param {Function} props.onRowsPerPageChange - Callback cuando cambia el número de filas. Recibe la nueva cantidad
- * @param {Function} props.onEdit - Callback para editar. Recibe el objeto product
- * @param {Function} props.onDelete - Callback para eliminar. Recibe el objeto product
+ * @param {Function} [props.onEdit] - Callback opcional para editar. Recibe el objeto product
+ * @param {Function} [props.onDelete] - Callback opcional para eliminar. Recibe el objeto product
  * @param {Function} [props.onView] - Callback opcional para ver detalles. Recibe el objeto product
+ * @param {Array<import('@/app/api/productSort').SortCriterion>} [props.sort=[]] - Orden actual
+ * @param {Function} [props.onSortChange] - Callback al pulsar un encabezado ordenable. Recibe el campo
+ *                                          y `{ additive }` (true con Mayús pulsada)
+ * @param {Set<number>} [props.selectedIds] - IDs seleccionados. Sin él no se muestran casillas
+ * @param {Function} [props.onToggleSelect] - Marca o desmarca una fila. Recibe el objeto product
+ * @param {Function} [props.onTogglePageSelect] - Casilla del encabezado. Recibe los productos
+ *                                                seleccionables de la página y si deben quedar marcados
+ * @param {boolean} [props.selectionDisabled=false] - Bloquea las casillas (p. ej. durante una acción masiva)
+ * @param {Array<import('./productColumns').ProductColumn>} [props.columns] - Columnas visibles en orden.
+ *                                                          Por defecto, las visibles por defecto
+ * @param {string} [props.density="standard"] - Una de TABLE_DENSITIES
+ * @param {Object<string, number>} [props.columnWidths={}] - Ancho elegido por columna
+ * @param {Function} [props.onColumnResize] - Recibe la clave y el nuevo ancho (null para el de por
+ *                                            defecto). Sin él los anchos no se pueden cambiar
+ * @param {Object} [props.infiniteScroll] - Activa el scroll infinito en lugar de la paginación
+ *                                          (las props de paginación no se usan); `products`
+ *                                          son los cargados hasta ahora
+ * @param {boolean} props.infiniteScroll.hasMore - Quedan productos por cargar
+ * @param {boolean} props.infiniteScroll.loading - Se está cargando la siguiente tanda
+ * @param {Object|null} props.infiniteScroll.error - Error de la última tanda
+ * @param {Function} props.infiniteScroll.onLoadMore - Pide la siguiente tanda (o reintenta la fallida)
+ * @param {Function} [props.onCellSave] - Guarda un campo editado en su celda. Recibe el producto y
+ *                                        los campos modificados, y resuelve con `{ success, error }`.
+ *                                        Sin él las celdas no se pueden editar
+ * @param {string} [props.scrollResetKey] - Al cambiar (p. ej. con otros filtros, orden o página),
+ *                                         el scroll de la tabla vuelve al principio
+ * @param {string} [props.searchTerm=""] - Búsqueda activa; se resalta lo que coincide en las celdas
  *
  * @returns {React.ReactElement} Tabla renderizada con productos y controles de paginación
  *
@@ -90,6 +246,29 @@ import {
  *   onEdit={handleEdit}
  *   onDelete={handleDelete}
  *   onView={handleView}
+ *   sort={sort}
+ *   onSortChange={toggleSort}
+ *   selectedIds={selection.selectedIds}
+ *   onToggleSelect={selection.toggle}
+ *   onTogglePageSelect={selection.setManySelected}
+ *   columns={visibleColumns}
+ *   density={layout.density}
+ *   columnWidths={layout.widths}
+ *   onColumnResize={setColumnWidth}
+ * />
+ *
+ * @example
+ * // Scroll infinito
+ * <ProductsTable
+ *   products={products}
+ *   totalCount={totalCount}
+ *   infiniteScroll={{
+ *     hasMore,
+ *     loading: isLoadingMore,
+ *     error: loadMoreError,
+ *     onLoadMore: loadMore,
+ *   }}
+ *   scrollResetKey={viewQuery}
  * />
  */
 const ProductsTable = ({
@@ -102,148 +281,554 @@ const ProductsTable = ({
 	onEdit,
 	onDelete,
 	onView,
+	sort = [],
+	onSortChange,
+	selectedIds,
+	onToggleSelect,
+	onTogglePageSelect,
+	selectionDisabled = false,
+	columns = DEFAULT_COLUMNS,
+	density = TABLE_DENSITIES.STANDARD,
+	columnWidths = {},
+	onColumnResize,
+	infiniteScroll,
+	onCellSave,
+	searchTerm = "",
+	scrollResetKey,
 }) => {
 	/**
-	 * Maneja errores de carga de imágenes del producto
+	 * @type {[{key: string, width: number}|null, Function]}
+	 * Ancho de la columna que se está redimensionando; se guarda al soltar
+	 */
+	const [resizing, setResizing] = useState(null);
+
+	/** @type {[number, Function]} Desplazamiento vertical del área con scroll (scroll infinito) */
+	const [scrollTop, setScrollTop] = useState(0);
+
+	/** @type {React.MutableRefObject<HTMLDivElement|null>} Contenedor con scroll */
+	const containerRef = useRef(null);
+
+	/** @type {React.MutableRefObject<HTMLTableSectionElement|null>} Encabezado fijo */
+	const headRef = useRef(null);
+
+	/** @type {[string|undefined, Function]} Último resetKey, para volver arriba cuando cambia */
+	const [previousResetKey, setPreviousResetKey] = useState(scrollResetKey);
+	if (scrollResetKey !== previousResetKey) {
+		setPreviousResetKey(scrollResetKey);
+		setScrollTop(0);
+	}
+
+	useEffect(() => {
+		if (containerRef.current) containerRef.current.scrollTop = 0;
+	}, [scrollResetKey]);
+
+	const inlineEdit = useInlineEdit(onCellSave);
+
+	/**
+	 * @type {Array<import('./productColumns').ProductColumn>}
+	 * Columnas visibles que se pueden editar, en el orden en que las recorre Tab
+	 */
+	const editableColumns = onCellSave
+		? columns.filter((column) => column.editField)
+		: [];
+
+	/** @type {boolean} Indica si hay alguna acción que mostrar por fila */
+	const hasActions = Boolean(onView || onEdit || onDelete);
+
+	/** @type {boolean} Indica si se muestran las casillas de selección */
+	const isSelectable = Boolean(selectedIds && onToggleSelect);
+
+	/**
+	 * @type {Array<Object>}
+	 * Productos de la página que se pueden seleccionar (los pendientes de
+	 * confirmar por el servidor no)
+	 */
+	const selectableProducts = isSelectable
+		? products.filter((product) => !product.isPending)
+		: [];
+	const selectedOnPage = selectableProducts.filter((product) =>
+		selectedIds.has(product.id),
+	).length;
+
+	const columnCount =
+		columns.length + Number(hasActions) + Number(isSelectable);
+
+	/** @type {number} Alto de cada fila con scroll infinito */
+	const rowHeight = ROW_HEIGHTS[density];
+
+	/** @type {number} Filas que se renderizan a la vez con scroll infinito */
+	const windowSize =
+		Math.ceil(TABLE_MAX_HEIGHT / rowHeight) + 2 * OVERSCAN_ROWS;
+
+	/**
+	 * @type {number}
+	 * Primera fila renderizada. Con paginación, todas; con scroll infinito,
+	 * solo la ventana visible más un margen
+	 */
+	const firstIndex = infiniteScroll
+		? Math.min(
+				Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS),
+				Math.max(0, products.length - windowSize),
+			)
+		: 0;
+	const lastIndex = infiniteScroll
+		? Math.min(products.length, firstIndex + windowSize)
+		: products.length;
+	const renderedProducts = infiniteScroll
+		? products.slice(firstIndex, lastIndex)
+		: products;
+
+	/** @type {Set<string>} Claves de las columnas visibles */
+	const visibleKeys = new Set(columns.map((column) => column.key));
+
+	/**
+	 * Ancho actual de una columna
+	 *
+	 * @function
+	 * @param {import('./productColumns').ProductColumn} column
+	 * @returns {number}
+	 */
+	const getWidth = (column) =>
+		resizing?.key === column.key
+			? resizing.width
+			: (columnWidths[column.key] ?? column.width);
+
+	/** @type {number} Ancho mínimo de la tabla; si no cabe aparece el scroll horizontal */
+	const tableWidth =
+		columns.reduce((total, column) => total + getWidth(column), 0) +
+		(isSelectable ? CHECKBOX_COLUMN_WIDTH : 0) +
+		(hasActions ? ACTIONS_COLUMN_WIDTH : 0);
+
+	/**
+	 * Empieza a redimensionar una columna arrastrando el asa de su encabezado
+	 *
+	 * Sigue al puntero hasta que se suelta y entonces guarda el ancho con
+	 * `onColumnResize`.
+	 *
+	 * @function
+	 * @param {React.PointerEvent} e - Evento sobre el asa
+	 * @param {import('./productColumns').ProductColumn} column
+	 * @returns {void}
+	 */
+	const handleResizeStart = (e, column) => {
+		e.preventDefault();
+		const handle = e.currentTarget;
+		const startX = e.clientX;
+		const startWidth = handle.parentElement.getBoundingClientRect().width;
+		let width = startWidth;
+
+		const handleMove = (moveEvent) => {
+			width = Math.max(
+				MIN_COLUMN_WIDTH,
+				Math.round(startWidth + moveEvent.clientX - startX),
+			);
+			setResizing({ key: column.key, width });
+		};
+		const handleEnd = () => {
+			handle.removeEventListener("pointermove", handleMove);
+			handle.removeEventListener("pointerup", handleEnd);
+			handle.removeEventListener("pointercancel", handleEnd);
+			setResizing(null);
+			if (width !== startWidth) onColumnResize(column.key, width);
+		};
+
+		handle.setPointerCapture(e.pointerId);
+		handle.addEventListener("pointermove", handleMove);
+		handle.addEventListener("pointerup", handleEnd);
+		handle.addEventListener("pointercancel", handleEnd);
+	};
+
+	/**
+	 * Celda editable a `step` posiciones de otra, recorriendo la tabla por
+	 * filas (Tab en la última celda de una fila pasa a la primera de la
+	 * siguiente)
+	 *
+	 * @function
+	 * @param {Object} product - Producto de la celda de partida
+	 * @param {import('./productColumns').ProductColumn} column - Columna de la celda de partida
+	 * @param {number} step - Posiciones que avanzar; 0 no abre ninguna
+	 * @returns {import('../hooks/useInlineEdit').CellRef|null} Celda de destino, o null si no hay
+	 */
+	const getCellAt = (product, column, step) => {
+		if (step === 0) return null;
+		const columnCount = editableColumns.length;
+		const position =
+			products.findIndex((p) => p.id === product.id) * columnCount +
+			editableColumns.indexOf(column) +
+			step;
+		if (position < 0 || position >= products.length * columnCount) return null;
+		return {
+			productId: products[Math.floor(position / columnCount)].id,
+			field: editableColumns[position % columnCount].editField,
+		};
+	};
+
+	/**
+	 * Desplaza la tabla hasta que una fila quede a la vista (scroll infinito)
 	 *
-	 * Cuando una imagen no se carga correctamente, reemplaza su src
-	 * con una imagen de placeholder predeterminada.
+	 * Con la tabla virtualizada la fila puede no estar renderizada: se
+	 * mueve también la ventana de filas para que su editor llegue a montarse
+	 * y recibir el foco.
 	 *
 	 * @function
-	 * @param {React.SyntheticEvent} e - Evento de error de carga de imagen
-	 * @param {HTMLImageElement} e.currentTarget - Elemento img que generó el error
+	 * @param {number} productId - ID del producto de la fila
 	 * @returns {void}
 	 */
-	const handleImageError = (e) => {
-		e.currentTarget.src = getPlaceholderImage();
+	const revealRow = (productId) => {
+		const container = containerRef.current;
+		if (!infiniteScroll || !container) return;
+		const rowTop = products.findIndex((p) => p.id === productId) * rowHeight;
+		const visibleHeight =
+			container.clientHeight - (headRef.current?.offsetHeight ?? 0);
+		let nextScrollTop = container.scrollTop;
+		if (rowTop < nextScrollTop) {
+			nextScrollTop = rowTop;
+		} else if (rowTop + rowHeight > nextScrollTop + visibleHeight) {
+			nextScrollTop = rowTop + rowHeight - visibleHeight;
+		}
+		if (nextScrollTop === container.scrollTop) return;
+		container.scrollTop = nextScrollTop;
+		setScrollTop(nextScrollTop);
+	};
+
+	/**
+	 * Celda de datos, editable con doble clic si la columna lo permite
+	 *
+	 * Mientras se guarda muestra un indicador de progreso y, si el servidor
+	 * rechaza el cambio, un icono de error con el motivo; el valor que no se
+	 * pudo guardar se recupera al volver a editarla.
+	 *
+	 * @function
+	 * @param {Object} product - Producto de la fila
+	 * @param {import('./productColumns').ProductColumn} column - Columna
+	 * @returns {React.ReactElement}
+	 */
+	const renderCell = (product, column) => {
+		const content = column.render(product, {
+			density,
+			visibleKeys,
+			searchTerm,
+		});
+		const field = column.editField;
+		if (!onCellSave || !field) {
+			return (
+				<TableCell key={column.key} align={column.align}>
+					{content}
+				</TableCell>
+			);
+		}
+
+		const cellState = inlineEdit.getCellState(product.id, field);
+		const isEditing =
+			inlineEdit.editing?.productId === product.id &&
+			inlineEdit.editing.field === field &&
+			cellState?.status !== CELL_STATUS.SAVING;
+		const hasError = cellState?.status === CELL_STATUS.ERROR;
+
+		return (
+			<TableCell
+				key={column.key}
+				align={column.align}
+				onDoubleClick={() => inlineEdit.startEdit(product, field)}
+				sx={{
+					cursor: "text",
+					outline: "2px solid",
+					outlineOffset: -2,
+					outlineColor: hasError ? "error.light" : "transparent",
+				}}>
+				{isEditing ? (
+					<InlineCellEditor
+						field={field}
+						label={column.label}
+						initialValue={inlineEdit.getInitialDraft(product, field)}
+						onCommit={(value, step) => {
+							const next = getCellAt(product, column, step);
+							const error = inlineEdit.commitEdit(product, field, value, next);
+							if (!error && next) revealRow(next.productId);
+							return error;
+						}}
+						onCancel={() => inlineEdit.cancelEdit(product, field)}
+					/>
+				) : cellState ? (
+					<Box
+						sx={{
+							display: "flex",
+							alignItems: "center",
+							justifyContent:
+								column.align === "right" ? "flex-end" : "flex-start",
+							gap: 1,
+						}}>
+						<Box sx={{ minWidth: 0 }}>{content}</Box>
+						{hasError ? (
+							<Tooltip title={`${cellState.error} Doble clic para corregirlo.`}>
+								<ErrorOutlineIcon fontSize="small" color="error" />
+							</Tooltip>
+						) : (
+							<CircularProgress size={14} aria-label="Guardando" />
+						)}
+					</Box>
+				) : (
+					content
+				)}
+			</TableCell>
+		);
+	};
+
+	/**
+	 * Sigue el scroll para mover la ventana de filas y pide la siguiente
+	 * tanda al acercarse al final
+	 *
+	 * @function
+	 * @param {React.UIEvent<HTMLDivElement>} e - Evento de scroll del contenedor
+	 * @returns {void}
+	 */
+	const handleScroll = (e) => {
+		if (!infiniteScroll) return;
+		const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+		setScrollTop(scrollTop);
+		const { hasMore, loading, error, onLoadMore } = infiniteScroll;
+		if (
+			hasMore &&
+			!loading &&
+			!error &&
+			scrollTop + clientHeight >= scrollHeight - LOAD_MORE_THRESHOLD * rowHeight
+		) {
+			onLoadMore();
+		}
 	};
 
 	return (
 		<Paper sx={{ width: "100%", overflow: "hidden" }}>
-			<TableContainer sx={{ maxHeight: 600 }}>
-				<Table stickyHeader>
-					<TableHead>
+			<TableContainer
+				ref={containerRef}
+				onScroll={handleScroll}
+				sx={{ maxHeight: TABLE_MAX_HEIGHT }}>
+				<Table
+					stickyHeader
+					size={density === TABLE_DENSITIES.COMPACT ? "small" : "medium"}
+					sx={{
+						tableLayout: "fixed",
+						minWidth: tableWidth,
+						"& .MuiTableCell-body": {
+							overflow: "hidden",
+							// Con scroll infinito las filas tienen alto fijo: el contenido no se parte en líneas
+							...(infiniteScroll
+								? { py: 0, whiteSpace: "nowrap", textOverflow: "ellipsis" }
+								: density === TABLE_DENSITIES.COMFORTABLE && { py: 3 }),
+						},
+					}}>
+					<TableHead ref={headRef}>
 						<TableRow>
-							<TableCell>Producto</TableCell>
-							<TableCell>Categoría</TableCell>
-							<TableCell align="right">Precio</TableCell>
-							<TableCell>Fecha Creación</TableCell>
-							<TableCell align="center">Acciones</TableCell>
+							{isSelectable && (
+								<TableCell
+									padding="checkbox"
+									sx={{ width: CHECKBOX_COLUMN_WIDTH }}>
+									<Checkbox
+										indeterminate={
+											selectedOnPage > 0 &&
+											selectedOnPage < selectableProducts.length
+										}
+										checked={
+											selectableProducts.length > 0 &&
+											selectedOnPage === selectableProducts.length
+										}
+										disabled={
+											selectionDisabled || selectableProducts.length === 0
+										}
+										onChange={(e) =>
+											onTogglePageSelect(selectableProducts, e.target.checked)
+										}
+										inputProps={{
+											"aria-label": infiniteScroll
+												? "Seleccionar todos los cargados"
+												: "Seleccionar toda la página",
+										}}
+									/>
+								</TableCell>
+							)}
+							{columns.map((column) => (
+								<ColumnHeaderCell
+									key={column.key}
+									column={column}
+									width={getWidth(column)}
+									sort={sort}
+									onSortChange={onSortChange}
+									onResizeStart={
+										onColumnResize
+											? (e) => handleResizeStart(e, column)
+											: undefined
+									}
+									onResizeReset={() => onColumnResize(column.key, null)}
+								/>
+							))}
+							{hasActions && (
+								<TableCell align="center" sx={{ width: ACTIONS_COLUMN_WIDTH }}>
+									Acciones
+								</TableCell>
+							)}
 						</TableRow>
 					</TableHead>
 					<TableBody>
 						{products.length === 0 ? (
 							<TableRow>
-								<TableCell colSpan={5} align="center" sx={{ py: 8 }}>
+								<TableCell colSpan={columnCount} align="center" sx={{ py: 8 }}>
 									<Typography color="text.secondary">
 										No se encontraron productos
 									</Typography>
 								</TableCell>
 							</TableRow>
 						) : (
-							products.map((product) => (
-								<TableRow
-									key={product.id}
-									hover
-									sx={{ "&:last-child td, &:last-child th": { border: 0 } }}>
-									<TableCell>
-										<Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
-											<Avatar
-												variant="rounded"
-												src={product.images?.[0] || getPlaceholderImage()}
-												alt={product.title}
-												onError={handleImageError}
-												sx={{ width: 50, height: 50 }}
-											/>
-											<Box>
-												<Typography variant="body2" sx={{ fontWeight: 600 }}>
-													{truncateText(product.title, 40)}
-												</Typography>
-												<Typography variant="caption" color="text.secondary">
-													ID: {product.id}
-												</Typography>
-											</Box>
-										</Box>
-									</TableCell>
-									<TableCell>
-										<Chip
-											label={product.category?.name || "Sin categoría"}
-											size="small"
-											sx={{
-												backgroundColor: "primary.main",
-												color: "white",
-												fontWeight: 500,
-											}}
-										/>
-									</TableCell>
-									<TableCell align="right">
-										<Typography
-											variant="body2"
-											sx={{ fontWeight: 700, color: "secondary.main" }}>
-											{formatCurrency(product.price)}
-										</Typography>
-									</TableCell>
-									<TableCell>
-										<Typography variant="body2" color="text.secondary">
-											{formatDate(product.creationAt, "DD/MM/YYYY HH:mm")}
-										</Typography>
-									</TableCell>
-									<TableCell align="center">
-										<Box
-											sx={{
-												display: "flex",
-												justifyContent: "center",
-												gap: 0.5,
-											}}>
-											{onView && (
-												<Tooltip title="Ver detalles">
-													<IconButton
-														size="small"
-														onClick={() => onView(product)}
-														sx={{ color: "info.main" }}>
-														<VisibilityIcon fontSize="small" />
-													</IconButton>
-												</Tooltip>
-											)}
-											<Tooltip title="Editar">
-												<IconButton
-													size="small"
-													onClick={() => onEdit(product)}
-													sx={{ color: "primary.main" }}>
-													<EditIcon fontSize="small" />
-												</IconButton>
-											</Tooltip>
-											<Tooltip title="Eliminar">
-												<IconButton
-													size="small"
-													onClick={() => onDelete(product)}
-													sx={{ color: "error.main" }}>
-													<DeleteIcon fontSize="small" />
-												</IconButton>
-											</Tooltip>
-										</Box>
-									</TableCell>
-								</TableRow>
-							))
+							<>
+								{firstIndex > 0 && (
+									<TableRow aria-hidden sx={{ height: firstIndex * rowHeight }}>
+										<TableCell colSpan={columnCount} sx={{ p: 0, border: 0 }} />
+									</TableRow>
+								)}
+								{renderedProducts.map((product) => (
+									<TableRow
+										key={product.id}
+										hover
+										selected={isSelectable && selectedIds.has(product.id)}
+										sx={{
+											"&:last-child td, &:last-child th": { border: 0 },
+											opacity: product.isPending ? 0.6 : 1,
+											transition: "opacity 0.2s",
+											...(infiniteScroll && { height: rowHeight }),
+										}}>
+										{isSelectable && (
+											<TableCell padding="checkbox">
+												<Checkbox
+													checked={selectedIds.has(product.id)}
+													disabled={selectionDisabled || product.isPending}
+													onChange={() => onToggleSelect(product)}
+													inputProps={{
+														"aria-label": `Seleccionar ${product.title}`,
+													}}
+												/>
+											</TableCell>
+										)}
+										{columns.map((column) => renderCell(product, column))}
+										{hasActions && (
+											<TableCell align="center">
+												<Box
+													sx={{
+														display: "flex",
+														justifyContent: "center",
+														gap: 0.5,
+													}}>
+													{onView && (
+														<Tooltip title="Ver detalles">
+															<span>
+																<IconButton
+																	size="small"
+																	onClick={() => onView(product)}
+																	disabled={product.isPending}
+																	sx={{ color: "info.main" }}>
+																	<VisibilityIcon fontSize="small" />
+																</IconButton>
+															</span>
+														</Tooltip>
+													)}
+													{onEdit && (
+														<Tooltip title="Editar">
+															<span>
+																<IconButton
+																	size="small"
+																	onClick={() => onEdit(product)}
+																	disabled={product.isPending}
+																	sx={{ color: "primary.main" }}>
+																	<EditIcon fontSize="small" />
+																</IconButton>
+															</span>
+														</Tooltip>
+													)}
+													{onDelete && (
+														<Tooltip title="Eliminar">
+															<span>
+																<IconButton
+																	size="small"
+																	onClick={() => onDelete(product)}
+																	disabled={product.isPending}
+																	sx={{ color: "error.main" }}>
+																	<DeleteIcon fontSize="small" />
+																</IconButton>
+															</span>
+														</Tooltip>
+													)}
+												</Box>
+											</TableCell>
+										)}
+									</TableRow>
+								))}
+								{lastIndex < products.length && (
+									<TableRow
+										aria-hidden
+										sx={{ height: (products.length - lastIndex) * rowHeight }}>
+										<TableCell colSpan={columnCount} sx={{ p: 0, border: 0 }} />
+									</TableRow>
+								)}
+							</>
 						)}
 					</TableBody>
 				</Table>
 			</TableContainer>
-			<TablePagination
-				component="div"
-				count={totalCount}
-				page={page}
-				onPageChange={(_, newPage) => onPageChange(newPage)}
-				rowsPerPage={rowsPerPage}
-				onRowsPerPageChange={(e) =>
-					onRowsPerPageChange(parseInt(e.target.value, 10))
-				}
-				rowsPerPageOptions={[5, 10, 25, 50]}
-				labelRowsPerPage="Filas por página:"
-				labelDisplayedRows={({ from, to, count }) =>
-					`${from}–${to} de ${count !== -1 ? count : `más de ${to}`}`
-				}
-			/>
+			{infiniteScroll ? (
+				<Box
+					sx={{
+						display: "flex",
+						alignItems: "center",
+						justifyContent: "space-between",
+						gap: 2,
+						px: 2,
+						py: 1,
+						minHeight: 52,
+						borderTop: "1px solid",
+						borderColor: "divider",
+					}}>
+					<Typography variant="body2" color="text.secondary">
+						{products.length} de {totalCount} productos cargados
+					</Typography>
+					{infiniteScroll.loading ? (
+						<Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+							<CircularProgress size={18} />
+							<Typography variant="body2" color="text.secondary">
+								Cargando más...
+							</Typography>
+						</Box>
+					) : infiniteScroll.error ? (
+						<Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+							<Typography variant="body2" color="error">
+								No se pudieron cargar más productos
+							</Typography>
+							<Button size="small" onClick={infiniteScroll.onLoadMore}>
+								Reintentar
+							</Button>
+						</Box>
+					) : (
+						infiniteScroll.hasMore && (
+							<Button size="small" onClick={infiniteScroll.onLoadMore}>
+								Cargar más
+							</Button>
+						)
+					)}
+				</Box>
+			) : (
+				<TablePagination
+					component="div"
+					count={totalCount}
+					page={page}
+					onPageChange={(_, newPage) => onPageChange(newPage)}
+					rowsPerPage={rowsPerPage}
+					onRowsPerPageChange={(e) =>
+						onRowsPerPageChange(parseInt(e.target.value, 10))
+					}
+					rowsPerPageOptions={[5, 10, 25, 50]}
+					labelRowsPerPage="Filas por página:"
+					labelDisplayedRows={({ from, to, count }) =>
+						`${from}–${to} de ${count !== -1 ? count : `más de ${to}`}`
+					}
+				/>
+			)}
 		</Paper>
 	);
 };
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Diálogo para poner nombre a una vista del inventario
+ *
+ * Se usa al guardar la vista actual y al renombrar una existente.
+ *
+ * @module app/inventory/components/SavedViewDialog
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useState } from "react";
+import {
+	Button,
+	Dialog,
+	DialogActions,
+	DialogContent,
+	DialogTitle,
+	TextField,
+} from "@mui/material";
+import { MAX_VIEW_NAME_LENGTH } from "../hooks/useSavedViews";
+
+/**
+ * Componente SavedViewDialog - Nombre de una vista
+ *
+ * Se monta solo mientras está abierto, así empieza con `initialName`.
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.title - Título del diálogo
+ * @param {string} props.confirmLabel - Texto del botón de confirmar
+ * @param {string} [props.initialName=""] - Nombre inicial
+ * @param {string[]} [props.takenNames=[]] - Nombres de las otras vistas
+ * @param {boolean} [props.allowReplace=false] - Un nombre repetido reemplaza esa vista
+ *                                               (si no, es un error)
+ * @param {Function} props.onClose - Cierra el diálogo sin cambios
+ * @param {Function} props.onConfirm - Recibe el nombre elegido
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <SavedViewDialog
+ *   title="Guardar vista"
+ *   confirmLabel="Guardar"
+ *   takenNames={views.map((view) => view.name)}
+ *   allowReplace
+ *   onClose={close}
+ *   onConfirm={(name) => saveView(name, viewQuery)}
+ * />
+ */
+const SavedViewDialog = ({
+	title,
+	confirmLabel,
+	initialName = "",
+	takenNames = [],
+	allowReplace = false,
+	onClose,
+	onConfirm,
+}) => {
+	/** @type {[string, Function]} */
+	const [name, setName] = useState(initialName);
+
+	const trimmed = name.trim();
+	const isTaken = takenNames.some(
+		(taken) => taken.toLocaleLowerCase() === trimmed.toLocaleLowerCase(),
+	);
+	const hasError = isTaken && !allowReplace;
+	const canConfirm = trimmed !== "" && !hasError;
+
+	/**
+	 * @function
+	 * @param {React.FormEvent} e
+	 * @returns {void}
+	 */
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		if (canConfirm) onConfirm(trimmed);
+	};
+
+	return (
+		<Dialog open onClose={onClose} fullWidth maxWidth="xs">
+			<form onSubmit={handleSubmit}>
+				<DialogTitle>{title}</DialogTitle>
+				<DialogContent>
+					<TextField
+						autoFocus
+						fullWidth
+						margin="dense"
+						label="Nombre"
+						placeholder="Ej.: Electrónica de este mes"
+						value={name}
+						onChange={(e) => setName(e.target.value)}
+						inputProps={{ maxLength: MAX_VIEW_NAME_LENGTH }}
+						error={hasError}
+						helperText={
+							isTaken
+								? hasError
+									? "Ya existe una vista con ese nombre"
+									: "Se reemplazará la vista guardada con ese nombre"
+								: " "
+						}
+					/>
+				</DialogContent>
+				<DialogActions>
+					<Button onClick={onClose}>Cancelar</Button>
+					<Button type="submit" variant="contained" disabled={!canConfirm}>
+						{confirmLabel}
+					</Button>
+				</DialogActions>
+			</form>
+		</Dialog>
+	);
+};
+
+export default SavedViewDialog;
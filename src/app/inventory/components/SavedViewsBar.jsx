@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Selector de vistas guardadas del inventario
+ *
+ * Desplegable con las vistas guardadas (la predeterminada lleva una
+ * estrella), botón para guardar la vista actual y un menú con el resto de
+ * acciones: renombrar, marcar como predeterminada, eliminar, exportar e
+ * importar.
+ *
+ * @module app/inventory/components/SavedViewsBar
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ */
+
+import React, { useRef, useState } from "react";
+import {
+	Box,
+	Button,
+	Divider,
+	IconButton,
+	ListItemIcon,
+	ListItemText,
+	Menu,
+	MenuItem,
+	TextField,
+	Tooltip,
+} from "@mui/material";
+import {
+	BookmarkAdd as BookmarkAddIcon,
+	Delete as DeleteIcon,
+	DriveFileRenameOutline as RenameIcon,
+	FileDownload as FileDownloadIcon,
+	FileUpload as FileUploadIcon,
+	MoreVert as MoreVertIcon,
+	Star as StarIcon,
+	StarBorder as StarBorderIcon,
+} from "@mui/icons-material";
+
+/** @constant {string} NO_VIEW - Valor del desplegable cuando la vista actual no está guardada */
+const NO_VIEW = "";
+
+/**
+ * Componente SavedViewsBar - Vistas guardadas
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<import('../hooks/useSavedViews').SavedView>} props.views - Vistas guardadas
+ * @param {import('../hooks/useSavedViews').SavedView|null} props.activeView - Vista que coincide
+ *        con los filtros actuales
+ * @param {string|null} props.defaultViewId - ID de la vista predeterminada
+ * @param {Function} props.onApply - Recibe la vista elegida en el desplegable
+ * @param {Function} props.onSave - Guarda la vista actual
+ * @param {Function} props.onRename - Recibe la vista a renombrar
+ * @param {Function} props.onDelete - Recibe la vista a eliminar
+ * @param {Function} props.onToggleDefault - Recibe la vista a marcar o desmarcar como predeterminada
+ * @param {Function} props.onExport - Exporta todas las vistas
+ * @param {Function} props.onImport - Recibe el archivo elegido para importar
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <SavedViewsBar
+ *   views={views}
+ *   activeView={activeView}
+ *   defaultViewId={defaultView?.id ?? null}
+ *   onApply={(view) => applyViewQuery(view.query)}
+ *   onSave={() => setViewDialog({ mode: "save" })}
+ *   ...
+ * />
+ */
+const SavedViewsBar = ({
+	views,
+	activeView,
+	defaultViewId,
+	onApply,
+	onSave,
+	onRename,
+	onDelete,
+	onToggleDefault,
+	onExport,
+	onImport,
+}) => {
+	/** @type {[HTMLElement|null, Function]} Ancla del menú de acciones */
+	const [menuAnchor, setMenuAnchor] = useState(null);
+
+	/** Input de archivo oculto para importar */
+	const fileInputRef = useRef(null);
+
+	const isActiveDefault = activeView && activeView.id === defaultViewId;
+
+	/**
+	 * Cierra el menú y ejecuta la acción elegida
+	 *
+	 * @function
+	 * @param {Function} action
+	 * @returns {Function} Manejador del clic
+	 */
+	const fromMenu = (action) => () => {
+		setMenuAnchor(null);
+		action();
+	};
+
+	/**
+	 * Cierra el menú y abre el selector de archivos para importar
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleImportClick = () => {
+		setMenuAnchor(null);
+		fileInputRef.current?.click();
+	};
+
+	return (
+		<Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2 }}>
+			<TextField
+				select
+				size="small"
+				label="Vista"
+				value={activeView?.id ?? NO_VIEW}
+				onChange={(e) =>
+					onApply(views.find((view) => view.id === e.target.value))
+				}
+				sx={{ minWidth: 260 }}
+				SelectProps={{
+					displayEmpty: true,
+					renderValue: () => activeView?.name ?? "Sin guardar",
+				}}
+				InputLabelProps={{ shrink: true }}>
+				{views.length === 0 && (
+					<MenuItem value={NO_VIEW} disabled>
+						No hay vistas guardadas
+					</MenuItem>
+				)}
+				{views.map((view) => (
+					<MenuItem key={view.id} value={view.id}>
+						<ListItemText primary={view.name} />
+						{view.id === defaultViewId && (
+							<Tooltip title="Vista predeterminada">
+								<StarIcon fontSize="small" color="warning" sx={{ ml: 1 }} />
+							</Tooltip>
+						)}
+					</MenuItem>
+				))}
+			</TextField>
+			<Button
+				size="small"
+				variant="outlined"
+				startIcon={<BookmarkAddIcon />}
+				onClick={onSave}>
+				Guardar vista
+			</Button>
+			<Tooltip title="Más acciones de vistas">
+				<IconButton
+					size="small"
+					onClick={(e) => setMenuAnchor(e.currentTarget)}
+					aria-label="Más acciones de vistas">
+					<MoreVertIcon />
+				</IconButton>
+			</Tooltip>
+
+			<Menu
+				anchorEl={menuAnchor}
+				open={Boolean(menuAnchor)}
+				onClose={() => setMenuAnchor(null)}>
+				<MenuItem
+					disabled={!activeView}
+					onClick={fromMenu(() => onRename(activeView))}>
+					<ListItemIcon>
+						<RenameIcon fontSize="small" />
+					</ListItemIcon>
+					<ListItemText>Renombrar</ListItemText>
+				</MenuItem>
+				<MenuItem
+					disabled={!activeView}
+					onClick={fromMenu(() => onToggleDefault(activeView))}>
+					<ListItemIcon>
+						{isActiveDefault ? (
+							<StarBorderIcon fontSize="small" />
+						) : (
+							<StarIcon fontSize="small" />
+						)}
+					</ListItemIcon>
+					<ListItemText>
+						{isActiveDefault
+							? "Quitar como predeterminada"
+							: "Usar como predeterminada"}
+					</ListItemText>
+				</MenuItem>
+				<MenuItem
+					disabled={!activeView}
+					onClick={fromMenu(() => onDelete(activeView))}>
+					<ListItemIcon>
+						<DeleteIcon fontSize="small" />
+					</ListItemIcon>
+					<ListItemText>Eliminar</ListItemText>
+				</MenuItem>
+				<Divider />
+				<MenuItem disabled={views.length === 0} onClick={fromMenu(onExport)}>
+					<ListItemIcon>
+						<FileDownloadIcon fontSize="small" />
+					</ListItemIcon>
+					<ListItemText>Exportar vistas</ListItemText>
+				</MenuItem>
+				<MenuItem onClick={handleImportClick}>
+					<ListItemIcon>
+						<FileUploadIcon fontSize="small" />
+					</ListItemIcon>
+					<ListItemText>Importar vistas</ListItemText>
+				</MenuItem>
+			</Menu>
+			<input
+				ref={fileInputRef}
+				hidden
+				type="file"
+				accept=".json,application/json"
+				onChange={(e) => {
+					if (e.target.files[0]) onImport(e.target.files[0]);
+					e.target.value = "";
+				}}
+			/>
+		</Box>
+	);
+};
+
+export default SavedViewsBar;
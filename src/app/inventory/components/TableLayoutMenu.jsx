@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Menú de configuración de la tabla de productos
+ *
+ * Permite mostrar u ocultar columnas, cambiar su orden (arrastrando o con
+ * las flechas), elegir la densidad de las filas y volver a la configuración
+ * por defecto. El ancho de cada columna se cambia arrastrando el borde de
+ * su encabezado en la propia tabla.
+ *
+ * @module app/inventory/components/TableLayoutMenu
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ */
+
+import React, { useState } from "react";
+import {
+	Box,
+	Button,
+	Checkbox,
+	Divider,
+	IconButton,
+	List,
+	ListItem,
+	ListItemIcon,
+	ListItemText,
+	Popover,
+	ToggleButton,
+	ToggleButtonGroup,
+	Tooltip,
+	Typography,
+} from "@mui/material";
+import {
+	ArrowDownward as ArrowDownwardIcon,
+	ArrowUpward as ArrowUpwardIcon,
+	DragIndicator as DragIndicatorIcon,
+	ViewColumn as ViewColumnIcon,
+} from "@mui/icons-material";
+import { PRODUCT_COLUMNS, TABLE_DENSITIES } from "./productColumns";
+
+/** @constant {string} DRAG_TYPE - Tipo de dato usado al arrastrar columnas */
+const DRAG_TYPE = "application/x-column-index";
+
+/**
+ * Opciones de densidad
+ * @constant {Array<{value: string, label: string}>}
+ */
+const DENSITY_OPTIONS = [
+	{ value: TABLE_DENSITIES.COMPACT, label: "Compacta" },
+	{ value: TABLE_DENSITIES.STANDARD, label: "Normal" },
+	{ value: TABLE_DENSITIES.COMFORTABLE, label: "Amplia" },
+];
+
+/**
+ * Componente TableLayoutMenu - Columnas y densidad de la tabla
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {import('../hooks/useTableLayout').TableLayout} props.layout - Configuración actual
+ * @param {Function} props.onColumnVisibleChange - Recibe la clave de la columna y si debe verse
+ * @param {Function} props.onColumnMove - Recibe la posición actual y la de destino
+ * @param {Function} props.onDensityChange - Recibe la nueva densidad
+ * @param {Function} props.onReset - Vuelve a la configuración por defecto
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <TableLayoutMenu
+ *   layout={layout}
+ *   onColumnVisibleChange={setColumnVisible}
+ *   onColumnMove={moveColumn}
+ *   onDensityChange={setDensity}
+ *   onReset={resetLayout}
+ * />
+ */
+const TableLayoutMenu = ({
+	layout,
+	onColumnVisibleChange,
+	onColumnMove,
+	onDensityChange,
+	onReset,
+}) => {
+	/** @type {[HTMLElement|null, Function]} Ancla del popover */
+	const [anchor, setAnchor] = useState(null);
+
+	/** @type {[number|null, Function]} Posición sobre la que se está arrastrando */
+	const [dropTarget, setDropTarget] = useState(null);
+
+	const hiddenCount = layout.hidden.length;
+
+	/**
+	 * Mueve la columna arrastrada a la posición donde se suelta
+	 *
+	 * @function
+	 * @param {React.DragEvent} e - Evento de soltar
+	 * @param {number} to - Posición de destino
+	 * @returns {void}
+	 */
+	const handleDrop = (e, to) => {
+		e.preventDefault();
+		setDropTarget(null);
+		const from = Number(e.dataTransfer.getData(DRAG_TYPE));
+		if (Number.isNaN(from) || from === to) return;
+		onColumnMove(from, to);
+	};
+
+	return (
+		<>
+			<Button
+				size="small"
+				variant="outlined"
+				startIcon={<ViewColumnIcon />}
+				onClick={(e) => setAnchor(e.currentTarget)}>
+				Columnas{hiddenCount > 0 ? ` (${hiddenCount} ocultas)` : ""}
+			</Button>
+
+			<Popover
+				open={Boolean(anchor)}
+				anchorEl={anchor}
+				onClose={() => setAnchor(null)}
+				anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+				transformOrigin={{ vertical: "top", horizontal: "right" }}>
+				<Box sx={{ width: 300, pt: 1 }}>
+					<Typography
+						variant="overline"
+						color="text.secondary"
+						sx={{ px: 2, display: "block" }}>
+						Columnas
+					</Typography>
+					<List dense disablePadding>
+						{layout.order.map((key, index) => {
+							const column = PRODUCT_COLUMNS.find((c) => c.key === key);
+							const visible = !layout.hidden.includes(key);
+							return (
+								<ListItem
+									key={key}
+									draggable
+									onDragStart={(e) => {
+										e.dataTransfer.setData(DRAG_TYPE, String(index));
+										e.dataTransfer.effectAllowed = "move";
+									}}
+									onDragOver={(e) => {
+										if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+										e.preventDefault();
+										setDropTarget(index);
+									}}
+									onDragLeave={() => setDropTarget(null)}
+									onDrop={(e) => handleDrop(e, index)}
+									secondaryAction={
+										<>
+											<IconButton
+												size="small"
+												disabled={index === 0}
+												onClick={() => onColumnMove(index, index - 1)}
+												aria-label={`Mover ${column.label} a la izquierda`}>
+												<ArrowUpwardIcon fontSize="small" />
+											</IconButton>
+											<IconButton
+												size="small"
+												disabled={index === layout.order.length - 1}
+												onClick={() => onColumnMove(index, index + 1)}
+												aria-label={`Mover ${column.label} a la derecha`}>
+												<ArrowDownwardIcon fontSize="small" />
+											</IconButton>
+										</>
+									}
+									sx={{
+										cursor: "grab",
+										pr: 11,
+										borderTop: "2px solid",
+										borderColor:
+											dropTarget === index ? "primary.light" : "transparent",
+									}}>
+									<ListItemIcon sx={{ minWidth: 28 }}>
+										<DragIndicatorIcon fontSize="small" color="action" />
+									</ListItemIcon>
+									<Tooltip
+										title={
+											column.locked ? "Esta columna no se puede ocultar" : ""
+										}
+										placement="left">
+										<span>
+											<Checkbox
+												size="small"
+												edge="start"
+												checked={visible}
+												disabled={column.locked}
+												onChange={(e) =>
+													onColumnVisibleChange(key, e.target.checked)
+												}
+												inputProps={{
+													"aria-label": `Mostrar ${column.label}`,
+												}}
+											/>
+										</span>
+									</Tooltip>
+									<ListItemText primary={column.label} />
+								</ListItem>
+							);
+						})}
+					</List>
+
+					<Divider sx={{ my: 1 }} />
+					<Typography
+						variant="overline"
+						color="text.secondary"
+						sx={{ px: 2, display: "block" }}>
+						Densidad
+					</Typography>
+					<Box sx={{ px: 2, pb: 1 }}>
+						<ToggleButtonGroup
+							exclusive
+							fullWidth
+							size="small"
+							value={layout.density}
+							onChange={(_, value) => value && onDensityChange(value)}>
+							{DENSITY_OPTIONS.map((option) => (
+								<ToggleButton key={option.value} value={option.value}>
+									{option.label}
+								</ToggleButton>
+							))}
+						</ToggleButtonGroup>
+					</Box>
+
+					<Divider />
+					<Box sx={{ display: "flex", justifyContent: "flex-end", p: 1 }}>
+						<Button size="small" color="inherit" onClick={onReset}>
+							Restablecer
+						</Button>
+					</Box>
+				</Box>
+			</Popover>
+		</>
+	);
+};
+
+export default TableLayoutMenu;
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Columnas disponibles en la tabla de productos
+ *
+ * Cada columna define su encabezado, su ancho inicial, si se muestra por
+ * defecto, el campo por el que ordena (si lo hay) y cómo pinta su celda.
+ * La tabla muestra las columnas en el orden y con la visibilidad que elige
+ * cada usuario (ver {@link module:app/inventory/hooks/useTableLayout}).
+ *
+ * @module app/inventory/components/productColumns
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React from "react";
+import { Avatar, Box, Chip, Typography } from "@mui/material";
+import {
+	formatCurrency,
+	formatDate,
+	getPlaceholderImage,
+	truncateText,
+} from "@/shared/utils/formatters";
+import { SORT_FIELDS } from "@/app/api/productSort";
+import HighlightedText from "@/shared/components/HighlightedText";
+
+/**
+ * Densidades de la tabla
+ * @constant {Object<string, string>}
+ */
+export const TABLE_DENSITIES = {
+	COMPACT: "compact",
+	STANDARD: "standard",
+	COMFORTABLE: "comfortable",
+};
+
+/**
+ * Tamaño de la miniatura del producto según la densidad
+ * @constant {Object<string, number>}
+ */
+const THUMBNAIL_SIZES = {
+	[TABLE_DENSITIES.COMPACT]: 32,
+	[TABLE_DENSITIES.STANDARD]: 50,
+	[TABLE_DENSITIES.COMFORTABLE]: 64,
+};
+
+/**
+ * Alto fijo de cada fila según la densidad, para el scroll virtualizado
+ * @constant {Object<string, number>}
+ */
+export const ROW_HEIGHTS = {
+	[TABLE_DENSITIES.COMPACT]: 48,
+	[TABLE_DENSITIES.STANDARD]: 72,
+	[TABLE_DENSITIES.COMFORTABLE]: 96,
+};
+
+/** @constant {string} DATE_TIME_FORMAT - Formato de las fechas de la tabla */
+const DATE_TIME_FORMAT = "DD/MM/YYYY HH:mm";
+
+/**
+ * Reemplaza una imagen que no carga por la de placeholder
+ *
+ * @function
+ * @param {React.SyntheticEvent} e - Evento de error de la imagen
+ * @returns {void}
+ */
+const handleImageError = (e) => {
+	e.currentTarget.src = getPlaceholderImage();
+};
+
+/**
+ * Contexto con el que se pinta cada celda
+ *
+ * @typedef {Object} CellContext
+ * @property {string} density - Una de {@link TABLE_DENSITIES}
+ * @property {Set<string>} visibleKeys - Columnas visibles
+ * @property {string} searchTerm - Búsqueda activa, para resaltar lo que coincide
+ */
+
+/**
+ * Columna de la tabla de productos
+ *
+ * @typedef {Object} ProductColumn
+ * @property {string} key - Identificador de la columna
+ * @property {string} label - Encabezado
+ * @property {number} width - Ancho inicial en píxeles
+ * @property {boolean} [defaultVisible=true] - Visible en la configuración por defecto
+ * @property {boolean} [locked=false] - No se puede ocultar
+ * @property {string} [sortField] - Campo de SORT_FIELDS por el que ordena
+ * @property {('left'|'center'|'right')} [align] - Alineación
+ * @property {('title'|'price'|'categoryId')} [editField] - Campo del producto que se edita con
+ *           doble clic en la celda; sin él la celda no es editable
+ * @property {function(Object, CellContext): React.ReactNode} render - Contenido de la celda
+ */
+
+/**
+ * Columnas en su orden por defecto
+ * @constant {Array<ProductColumn>}
+ */
+export const PRODUCT_COLUMNS = [
+	{
+		key: "product",
+		label: "Producto",
+		width: 320,
+		locked: true,
+		sortField: SORT_FIELDS.TITLE,
+		editField: "title",
+		render: (product, { density, visibleKeys, searchTerm }) => {
+			const size = THUMBNAIL_SIZES[density];
+			return (
+				<Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+					<Avatar
+						variant="rounded"
+						src={product.images?.[0] || getPlaceholderImage()}
+						alt={product.title}
+						onError={handleImageError}
+						sx={{ width: size, height: size }}
+					/>
+					<Box sx={{ minWidth: 0 }}>
+						<Typography variant="body2" sx={{ fontWeight: 600 }} noWrap>
+							<HighlightedText
+								text={truncateText(product.title, 40)}
+								query={searchTerm}
+							/>
+						</Typography>
+						{/* Con la columna ID visible no hace falta repetirlo aquí */}
+						{(product.isPending || !visibleKeys.has("id")) && (
+							<Typography variant="caption" color="text.secondary">
+								{product.isPending ? (
+									"Guardando..."
+								) : (
+									<>
+										ID:{" "}
+										<HighlightedText
+											text={String(product.id)}
+											query={searchTerm}
+											exact
+										/>
+									</>
+								)}
+							</Typography>
+						)}
+					</Box>
+				</Box>
+			);
+		},
+	},
+	{
+		key: "id",
+		label: "ID",
+		width: 80,
+		defaultVisible: false,
+		align: "right",
+		render: (product, { searchTerm }) => (
+			<Typography variant="body2" color="text.secondary">
+				<HighlightedText text={String(product.id)} query={searchTerm} exact />
+			</Typography>
+		),
+	},
+	{
+		key: "category",
+		label: "Categoría",
+		width: 160,
+		sortField: SORT_FIELDS.CATEGORY,
+		editField: "categoryId",
+		render: (product, { searchTerm }) => (
+			<Chip
+				label={
+					product.category?.name ? (
+						<HighlightedText text={product.category.name} query={searchTerm} />
+					) : (
+						"Sin categoría"
+					)
+				}
+				size="small"
+				sx={{
+					backgroundColor: "primary.main",
+					color: "white",
+					fontWeight: 500,
+				}}
+			/>
+		),
+	},
+	{
+		key: "price",
+		label: "Precio",
+		width: 130,
+		sortField: SORT_FIELDS.PRICE,
+		editField: "price",
+		align: "right",
+		render: (product) => (
+			<Typography
+				variant="body2"
+				sx={{ fontWeight: 700, color: "secondary.main" }}>
+				{formatCurrency(product.price)}
+			</Typography>
+		),
+	},
+	{
+		key: "description",
+		label: "Descripción",
+		width: 280,
+		defaultVisible: false,
+		render: (product, { searchTerm }) => (
+			<Typography variant="body2" color="text.secondary">
+				<HighlightedText
+					text={truncateText(product.description ?? "", 80)}
+					query={searchTerm}
+				/>
+			</Typography>
+		),
+	},
+	{
+		key: "slug",
+		label: "Slug",
+		width: 200,
+		defaultVisible: false,
+		render: (product) => (
+			<Typography
+				variant="body2"
+				color="text.secondary"
+				sx={{ fontFamily: "monospace" }}
+				noWrap>
+				{product.slug || "—"}
+			</Typography>
+		),
+	},
+	{
+		key: "imageCount",
+		label: "Imágenes",
+		width: 100,
+		defaultVisible: false,
+		align: "center",
+		render: (product) => (
+			<Typography
+				variant="body2"
+				color={product.images?.length ? "text.secondary" : "error"}>
+				{product.images?.length ?? 0}
+			</Typography>
+		),
+	},
+	{
+		key: "creationAt",
+		label: "Fecha Creación",
+		width: 170,
+		sortField: SORT_FIELDS.CREATED_AT,
+		render: (product) => (
+			<Typography variant="body2" color="text.secondary">
+				{formatDate(product.creationAt, DATE_TIME_FORMAT)}
+			</Typography>
+		),
+	},
+	{
+		key: "updatedAt",
+		label: "Última Modificación",
+		width: 170,
+		defaultVisible: false,
+		render: (product) => (
+			<Typography variant="body2" color="text.secondary">
+				{product.updatedAt
+					? formatDate(product.updatedAt, DATE_TIME_FORMAT)
+					: "—"}
+			</Typography>
+		),
+	},
+];
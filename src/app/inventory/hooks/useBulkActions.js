@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Hook para las acciones masivas sobre productos
+ *
+ * Aplica una misma operación (eliminar, cambiar categoría o ajustar precio)
+ * a varios productos, uno detrás de otro, e informa del progreso y del
+ * resultado de cada uno. Cada operación usa las mutaciones optimistas, así
+ * que el inventario refleja los cambios a medida que se aplican, pero sin
+ * revalidar la caché: se revalida una sola vez al terminar la acción. Los
+ * productos eliminados se guardan en la papelera para poder restaurarlos.
+ *
+ * @module app/inventory/hooks/useBulkActions
+ * @requires react
+ */
+
+import { useState } from "react";
+import {
+	deleteProductOptimistic,
+	updateProductOptimistic,
+} from "@/app/api/productMutations";
+import { getProductById } from "@/app/api/productsApi";
+import { invalidateQueries } from "@/app/api/queryCache";
+import { productKeys } from "@/app/api/queryKeys";
+import { addToTrash } from "@/app/api/productTrash";
+import { ApiError, API_ERROR_TYPES, isApiError } from "@/app/api/errors";
+
+/**
+ * Acciones masivas disponibles
+ * @constant {Object<string, string>}
+ */
+export const BULK_ACTIONS = {
+	DELETE: "delete",
+	CHANGE_CATEGORY: "changeCategory",
+	ADJUST_PRICE: "adjustPrice",
+};
+
+/**
+ * Formas de ajustar el precio
+ *
+ * - `percent`: suma un porcentaje del precio actual (negativo para rebajar)
+ * - `amount`: suma una cantidad fija (negativa para rebajar)
+ *
+ * @constant {Object<string, string>}
+ */
+export const PRICE_ADJUSTMENTS = {
+	PERCENT: "percent",
+	AMOUNT: "amount",
+};
+
+/**
+ * Calcula el precio ajustado, redondeado a céntimos
+ *
+ * @function
+ * @param {number} price - Precio actual
+ * @param {{type: string, value: number}} adjustment - Ajuste (ver {@link PRICE_ADJUSTMENTS})
+ * @returns {number} Nuevo precio
+ *
+ * @example
+ * adjustPrice(80, { type: "percent", value: -10 });
+ * // Retorna: 72
+ */
+export const adjustPrice = (price, { type, value }) => {
+	const next =
+		type === PRICE_ADJUSTMENTS.PERCENT
+			? Number(price) * (1 + value / 100)
+			: Number(price) + value;
+	return Math.round(next * 100) / 100;
+};
+
+/** @constant {{invalidate: boolean}} SERIAL_MUTATION - Cada operación no revalida; se revalida al final */
+const SERIAL_MUTATION = { invalidate: false };
+
+/**
+ * Operación de cada acción sobre un producto
+ *
+ * El ajuste de precio parte del precio actual en el servidor, no del de la
+ * selección, que puede haber cambiado desde que se marcó el producto.
+ *
+ * @constant {Object<string, function(Object, Object): Promise>}
+ */
+const OPERATIONS = {
+	[BULK_ACTIONS.DELETE]: async (product) => {
+		try {
+			await deleteProductOptimistic(product.id, SERIAL_MUTATION);
+		} catch (error) {
+			// Si ya no existía, el objetivo de la acción está cumplido
+			if (isApiError(error) && error.type === API_ERROR_TYPES.NOT_FOUND) {
+				return;
+			}
+			throw error;
+		}
+		addToTrash(product);
+	},
+	[BULK_ACTIONS.CHANGE_CATEGORY]: (product, { categoryId }) =>
+		updateProductOptimistic(product.id, { categoryId }, SERIAL_MUTATION),
+	[BULK_ACTIONS.ADJUST_PRICE]: async (product, { adjustment }) => {
+		const current = await getProductById(product.id);
+		const price = adjustPrice(current.price, adjustment);
+		if (price <= 0) {
+			throw new ApiError({
+				type: API_ERROR_TYPES.VALIDATION,
+				message: "Adjusted price must be positive",
+				fieldErrors: {
+					price: `El precio resultante (${price}) debe ser mayor que 0`,
+				},
+			});
+		}
+		return updateProductOptimistic(product.id, { price }, SERIAL_MUTATION);
+	},
+};
+
+/**
+ * Resultado de una acción masiva
+ *
+ * @typedef {Object} BulkResult
+ * @property {string} action - Una de {@link BULK_ACTIONS}
+ * @property {Object} params - Parámetros con los que se ejecutó
+ * @property {Array<Object>} succeeded - Productos en los que se aplicó
+ * @property {Array<{product: Object, error: import('@/app/api/errors').ApiError}>} failed -
+ *           Productos en los que falló y el motivo
+ */
+
+/**
+ * Hook useBulkActions - Ejecuta acciones masivas con progreso
+ *
+ * Los productos se procesan de uno en uno para no saturar la API y para
+ * que el progreso avance de forma regular. Un fallo no detiene el resto.
+ *
+ * @function
+ * @returns {Object} Estado y función de ejecución
+ * @returns {{action: string, done: number, total: number}|null} return.progress - Progreso de la
+ *          acción en curso, o null si no hay ninguna
+ * @returns {Function} return.run - Ejecuta una acción. Recibe la acción, los productos y sus
+ *          parámetros (`{ categoryId }` o `{ adjustment }`) y resuelve con un {@link BulkResult}
+ *
+ * @example
+ * const { progress, run } = useBulkActions();
+ * const result = await run(BULK_ACTIONS.CHANGE_CATEGORY, selectedProducts, { categoryId: 3 });
+ * selection.replace(result.failed.map(({ product }) => product));
+ */
+export const useBulkActions = () => {
+	/** @type {[{action: string, done: number, total: number}|null, Function]} */
+	const [progress, setProgress] = useState(null);
+
+	/**
+	 * @async
+	 * @function
+	 * @param {string} action - Una de {@link BULK_ACTIONS}
+	 * @param {Array<Object>} products - Productos a procesar
+	 * @param {Object} [params={}] - Parámetros de la acción
+	 * @returns {Promise<BulkResult>}
+	 */
+	const run = async (action, products, params = {}) => {
+		const operation = OPERATIONS[action];
+		const result = { action, params, succeeded: [], failed: [] };
+
+		setProgress({ action, done: 0, total: products.length });
+		for (const [index, product] of products.entries()) {
+			try {
+				await operation(product, params);
+				result.succeeded.push(product);
+			} catch (error) {
+				console.error(`Error in bulk ${action} for ${product.id}:`, error);
+				result.failed.push({ product, error });
+			}
+			setProgress({ action, done: index + 1, total: products.length });
+		}
+		invalidateQueries(productKeys.all);
+		setProgress(null);
+
+		return result;
+	};
+
+	return { progress, run };
+};
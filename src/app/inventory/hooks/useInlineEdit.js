@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Hook para la edición de celdas de la tabla de productos
+ *
+ * Lleva qué celda se está editando y el estado de cada celda guardada
+ * desde la tabla: mientras el servidor no responde la celda está
+ * "guardando" y, si rechaza el cambio, queda en error con el valor que se
+ * intentó guardar para poder corregirlo y reintentar. Los valores se
+ * validan sin los espacios de los extremos, con las mismas reglas que
+ * `ProductForm`.
+ *
+ * @module app/inventory/hooks/useInlineEdit
+ * @requires react
+ */
+
+import { useState } from "react";
+import { parsePrice, validateProductField } from "@/shared/utils/productForm";
+import { getErrorMessage } from "@/shared/utils/apiErrors";
+
+/**
+ * Estados de una celda guardada desde la tabla
+ * @constant {Object<string, string>}
+ */
+export const CELL_STATUS = {
+	SAVING: "saving",
+	ERROR: "error",
+};
+
+/**
+ * Celda de la tabla: un producto y uno de sus campos editables
+ *
+ * @typedef {Object} CellRef
+ * @property {number} productId - ID del producto
+ * @property {('title'|'price'|'categoryId')} field - Campo editado
+ */
+
+/**
+ * Estado de una celda guardada desde la tabla
+ *
+ * @typedef {Object} CellState
+ * @property {string} status - Uno de CELL_STATUS
+ * @property {string} value - Valor que se está guardando o que no se pudo guardar, tal como se escribió
+ * @property {string} [error] - Mensaje del fallo
+ */
+
+/**
+ * Clave de una celda en el mapa de estados
+ *
+ * @function
+ * @param {number} productId - ID del producto
+ * @param {string} field - Campo
+ * @returns {string}
+ */
+const getCellKey = (productId, field) => `${productId}:${field}`;
+
+/**
+ * Valor actual de un campo editable de un producto
+ *
+ * @function
+ * @param {Object} product - Producto
+ * @param {string} field - Campo editable
+ * @returns {string|number}
+ */
+const getFieldValue = (product, field) =>
+	field === "categoryId" ? (product.category?.id ?? "") : product[field];
+
+/**
+ * Convierte lo escrito en una celda en el valor que se envía a la API
+ *
+ * @function
+ * @param {string} field - Campo editable
+ * @param {string} value - Valor escrito o elegido
+ * @returns {string|number}
+ */
+const toFieldValue = (field, value) => {
+	if (field === "price") return parsePrice(value);
+	if (field === "categoryId") return Number(value);
+	return value;
+};
+
+/**
+ * Hook useInlineEdit - Edición de campos de producto desde sus celdas
+ *
+ * @function
+ * @param {Function} onSave - Guarda los cambios. Recibe el producto y los campos
+ *                            modificados, y resuelve con `{ success, error }`
+ * @returns {Object} Estado de la edición y funciones para controlarla
+ * @returns {CellRef|null} return.editing - Celda en edición
+ * @returns {Function} return.startEdit - Abre una celda con `(product, field)`
+ * @returns {Function} return.cancelEdit - Cierra la celda sin guardar y descarta su error
+ * @returns {Function} return.commitEdit - Guarda una celda con `(product, field, value, next)`; si el
+ *          valor no es válido devuelve el mensaje y la celda sigue abierta. Si es válido abre
+ *          `next` (o ninguna) sin esperar al servidor
+ * @returns {Function} return.getCellState - {@link CellState} de una celda con `(productId, field)`
+ * @returns {Function} return.getInitialDraft - Valor con el que se abre una celda: el que falló o el actual
+ *
+ * @example
+ * const inlineEdit = useInlineEdit((product, changes) =>
+ *   handleUpdateProduct(product.id, changes),
+ * );
+ * inlineEdit.startEdit(product, "price");
+ */
+export const useInlineEdit = (onSave) => {
+	/** @type {[CellRef|null, Function]} Celda en edición */
+	const [editing, setEditing] = useState(null);
+
+	/** @type {[Object<string, CellState>, Function]} Celdas guardándose o con error */
+	const [cells, setCells] = useState({});
+
+	/**
+	 * Cambia o elimina el estado de una celda
+	 *
+	 * @function
+	 * @param {string} key - Clave de la celda
+	 * @param {CellState|null} state - Nuevo estado; null lo elimina
+	 * @returns {void}
+	 */
+	const setCellState = (key, state) => {
+		setCells((prev) => {
+			const { [key]: _previous, ...rest } = prev;
+			return state ? { ...rest, [key]: state } : rest;
+		});
+	};
+
+	/**
+	 * @function
+	 * @param {number} productId - ID del producto
+	 * @param {string} field - Campo
+	 * @returns {CellState|undefined}
+	 */
+	const getCellState = (productId, field) =>
+		cells[getCellKey(productId, field)];
+
+	/**
+	 * @function
+	 * @param {Object} product - Producto
+	 * @param {string} field - Campo
+	 * @returns {string}
+	 */
+	const getInitialDraft = (product, field) => {
+		const state = getCellState(product.id, field);
+		if (state?.status === CELL_STATUS.ERROR) return state.value;
+		return String(getFieldValue(product, field) ?? "");
+	};
+
+	/**
+	 * Abre una celda, salvo si se está guardando
+	 *
+	 * @function
+	 * @param {Object} product - Producto de la fila
+	 * @param {string} field - Campo a editar
+	 * @returns {void}
+	 */
+	const startEdit = (product, field) => {
+		if (getCellState(product.id, field)?.status === CELL_STATUS.SAVING) return;
+		setEditing({ productId: product.id, field });
+	};
+
+	/**
+	 * @function
+	 * @param {Object} product - Producto de la fila
+	 * @param {string} field - Campo editado
+	 * @returns {void}
+	 */
+	const cancelEdit = (product, field) => {
+		setEditing(null);
+		if (getCellState(product.id, field)?.status === CELL_STATUS.ERROR) {
+			setCellState(getCellKey(product.id, field), null);
+		}
+	};
+
+	/**
+	 * Valida y guarda una celda
+	 *
+	 * @function
+	 * @param {Object} product - Producto de la fila
+	 * @param {string} field - Campo editado
+	 * @param {string} draft - Valor escrito o elegido
+	 * @param {CellRef|null} [next=null] - Celda que se abre a continuación
+	 * @returns {string|null} Mensaje de validación, o null si se aceptó el valor
+	 */
+	const commitEdit = (product, field, draft, next = null) => {
+		const input = draft.trim();
+		const validationError = validateProductField(field, input);
+		if (validationError) return validationError;
+
+		const key = getCellKey(product.id, field);
+		const value = toFieldValue(field, input);
+		setEditing(next);
+
+		if (value === getFieldValue(product, field)) {
+			setCellState(key, null);
+			return null;
+		}
+
+		setCellState(key, { status: CELL_STATUS.SAVING, value: draft });
+		onSave(product, { [field]: value }).then(({ success, error }) => {
+			setCellState(
+				key,
+				success
+					? null
+					: {
+							status: CELL_STATUS.ERROR,
+							value: draft,
+							error: getErrorMessage(error, "No se pudo guardar el cambio"),
+						},
+			);
+		});
+		return null;
+	};
+
+	return {
+		editing,
+		startEdit,
+		cancelEdit,
+		commitEdit,
+		getCellState,
+		getInitialDraft,
+	};
+};
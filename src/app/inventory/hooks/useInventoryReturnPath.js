@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Hook para volver al inventario tal como se dejó
+ *
+ * El inventario abre las vistas de producto pasando su ubicación en
+ * `location.state.from` (igual que la guarda de autenticación con el login).
+ * Al volver se reutiliza esa URL, con su búsqueda, filtros, orden y página.
+ *
+ * @module app/inventory/hooks/useInventoryReturnPath
+ * @requires react-router-dom
+ */
+
+import { useLocation } from "react-router-dom";
+
+/** @constant {string} INVENTORY_PATH - Ruta del inventario */
+export const INVENTORY_PATH = "/inventory";
+
+/**
+ * Hook useInventoryReturnPath - URL del inventario a la que volver
+ *
+ * Si la vista no se abrió desde el inventario (enlace directo, recarga en
+ * otra pestaña...) devuelve el inventario sin filtros.
+ *
+ * @function
+ * @returns {{returnPath: string, returnState: {from: Object}|undefined}}
+ *          Ruta de vuelta y el estado a reenviar al navegar a otra vista de
+ *          producto, para que esa también sepa volver
+ *
+ * @example
+ * const { returnPath, returnState } = useInventoryReturnPath();
+ * navigate(`/products/edit/${id}`, { state: returnState });
+ * navigate(returnPath);
+ */
+export const useInventoryReturnPath = () => {
+	const location = useLocation();
+	const from = location.state?.from;
+
+	if (from?.pathname !== INVENTORY_PATH) {
+		return { returnPath: INVENTORY_PATH, returnState: undefined };
+	}
+	return {
+		returnPath: `${from.pathname}${from.search ?? ""}`,
+		returnState: { from },
+	};
+};
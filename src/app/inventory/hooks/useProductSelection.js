@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Hook para la selección múltiple de productos
+ *
+ * Guarda los productos seleccionados por ID junto con sus datos, para que
+ * la selección sobreviva a los cambios de página y las acciones masivas
+ * conozcan el título y el precio de cada producto aunque no esté visible.
+ *
+ * @module app/inventory/hooks/useProductSelection
+ * @requires react
+ */
+
+import { useState } from "react";
+
+/**
+ * Hook useProductSelection - Selección de productos entre páginas
+ *
+ * @function
+ * @returns {Object} Estado y operaciones de la selección
+ * @returns {Array<Object>} return.selectedProducts - Productos seleccionados, en orden de selección
+ * @returns {Set<number>} return.selectedIds - IDs seleccionados
+ * @returns {number} return.count - Cantidad de productos seleccionados
+ * @returns {Function} return.toggle - Marca o desmarca un producto
+ * @returns {Function} return.setManySelected - Marca o desmarca varios productos a la vez
+ * @returns {Function} return.replace - Sustituye la selección por los productos indicados
+ * @returns {Function} return.clear - Vacía la selección
+ *
+ * @example
+ * const selection = useProductSelection();
+ * selection.setManySelected(pageProducts, true);
+ * selection.selectedIds.has(product.id);
+ */
+export const useProductSelection = () => {
+	/** @type {[Map<number, Object>, Function]} Productos seleccionados por ID */
+	const [selected, setSelected] = useState(() => new Map());
+
+	/**
+	 * Marca o desmarca un producto
+	 *
+	 * @function
+	 * @param {Object} product - Producto de la fila
+	 * @returns {void}
+	 */
+	const toggle = (product) => {
+		setSelected((prev) => {
+			const next = new Map(prev);
+			if (next.has(product.id)) {
+				next.delete(product.id);
+			} else {
+				next.set(product.id, product);
+			}
+			return next;
+		});
+	};
+
+	/**
+	 * Marca o desmarca varios productos sin tocar el resto de la selección
+	 *
+	 * @function
+	 * @param {Array<Object>} products - Productos afectados
+	 * @param {boolean} checked - true para marcarlos, false para desmarcarlos
+	 * @returns {void}
+	 */
+	const setManySelected = (products, checked) => {
+		setSelected((prev) => {
+			const next = new Map(prev);
+			products.forEach((product) => {
+				if (checked) {
+					next.set(product.id, product);
+				} else {
+					next.delete(product.id);
+				}
+			});
+			return next;
+		});
+	};
+
+	/**
+	 * Sustituye la selección completa
+	 *
+	 * @function
+	 * @param {Array<Object>} products - Nueva selección
+	 * @returns {void}
+	 */
+	const replace = (products) => {
+		setSelected(new Map(products.map((product) => [product.id, product])));
+	};
+
+	/**
+	 * Vacía la selección
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const clear = () => {
+		setSelected(new Map());
+	};
+
+	return {
+		selectedProducts: [...selected.values()],
+		selectedIds: new Set(selected.keys()),
+		count: selected.size,
+		toggle,
+		setManySelected,
+		replace,
+		clear,
+	};
+};
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Hook para las vistas guardadas del inventario
+ *
+ * Una vista es una combinación con nombre de búsqueda, filtros, orden y
+ * tamaño de página, guardada como la query string del inventario (ver
+ * `toListQuery` en {@link module:shared/utils/productListParams}). Una de
+ * ellas puede ser la predeterminada, que se aplica al abrir el inventario
+ * sin filtros en la URL.
+ *
+ * Las vistas se guardan en `localStorage`, así que sobreviven a recargas y
+ * a cierres de sesión en el mismo navegador, y se pueden exportar e
+ * importar como JSON para compartirlas con el equipo. Si el navegador no
+ * deja guardarlas (almacenamiento lleno), se avisa y siguen disponibles
+ * hasta recargar.
+ *
+ * @module app/inventory/hooks/useSavedViews
+ * @requires react
+ * @requires dayjs
+ */
+
+import { useEffect, useRef, useState } from "react";
+import dayjs from "dayjs";
+import { toStorageError } from "@/app/api/errors";
+import { getErrorMessage } from "@/shared/utils/apiErrors";
+import { downloadFile } from "@/shared/utils/fileDownload";
+import { notify } from "@/shared/utils/notifications";
+
+/** @constant {string} STORAGE_KEY - Clave de localStorage de las vistas */
+const STORAGE_KEY = "bault.inventoryViews";
+
+/** @constant {string} EXPORT_TYPE - Marca de los archivos exportados, para reconocerlos al importar */
+const EXPORT_TYPE = "bault.inventoryViews";
+
+/** @constant {number} MAX_VIEW_NAME_LENGTH - Longitud máxima del nombre de una vista */
+export const MAX_VIEW_NAME_LENGTH = 60;
+
+/**
+ * Vista guardada del inventario
+ *
+ * @typedef {Object} SavedView
+ * @property {string} id - Identificador
+ * @property {string} name - Nombre visible
+ * @property {string} query - Búsqueda, filtros, orden y tamaño de página como query string
+ */
+
+/**
+ * Vistas guardadas y vista predeterminada
+ *
+ * @typedef {Object} SavedViewsState
+ * @property {Array<SavedView>} views - Vistas, en orden alfabético
+ * @property {string|null} defaultViewId - ID de la vista predeterminada
+ */
+
+/** @constant {SavedViewsState} EMPTY_STATE - Sin vistas guardadas */
+const EMPTY_STATE = { views: [], defaultViewId: null };
+
+/**
+ * Compara dos nombres sin distinguir mayúsculas ni espacios de los extremos
+ *
+ * @function
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const isSameName = (a, b) =>
+	a.trim().toLocaleLowerCase() === b.trim().toLocaleLowerCase();
+
+/**
+ * Ordena las vistas por nombre
+ *
+ * @function
+ * @param {Array<SavedView>} views
+ * @returns {Array<SavedView>}
+ */
+const sortViews = (views) =>
+	[...views].sort((a, b) => a.name.localeCompare(b.name, "es"));
+
+/**
+ * Indica si un objeto tiene la forma de una vista (nombre y query de texto)
+ *
+ * @function
+ * @param {*} view
+ * @returns {boolean}
+ */
+const isViewLike = (view) =>
+	Boolean(view) &&
+	typeof view.name === "string" &&
+	view.name.trim() !== "" &&
+	typeof view.query === "string";
+
+/**
+ * Lee las vistas persistidas
+ *
+ * @function
+ * @returns {SavedViewsState}
+ */
+const readViews = () => {
+	try {
+		const raw = localStorage.getItem(STORAGE_KEY);
+		if (!raw) return EMPTY_STATE;
+		const { views, defaultViewId } = JSON.parse(raw);
+		const valid = Array.isArray(views) ? views.filter(isViewLike) : [];
+		return {
+			views: sortViews(valid),
+			defaultViewId: valid.some((view) => view.id === defaultViewId)
+				? defaultViewId
+				: null,
+		};
+	} catch {
+		return EMPTY_STATE;
+	}
+};
+
+/**
+ * Persiste las vistas, avisando si no se pudieron guardar
+ *
+ * @function
+ * @param {SavedViewsState} state - Vistas a guardar
+ * @returns {void}
+ */
+const writeViews = (state) => {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+	} catch (error) {
+		notify({
+			message: getErrorMessage(
+				toStorageError(error),
+				"No se pudieron guardar las vistas",
+			),
+			severity: "error",
+		});
+	}
+};
+
+/**
+ * Hook useSavedViews - Vistas guardadas del inventario
+ *
+ * @function
+ * @returns {Object} Vistas y funciones para gestionarlas
+ * @returns {Array<SavedView>} return.views - Vistas guardadas, en orden alfabético
+ * @returns {SavedView|null} return.defaultView - Vista predeterminada
+ * @returns {Function} return.saveView - Guarda una vista con `(name, query)`; si ya
+ *          existe una con ese nombre la reemplaza. Devuelve la vista guardada
+ * @returns {Function} return.renameView - Renombra una vista con `(id, name)`
+ * @returns {Function} return.deleteView - Elimina una vista por ID
+ * @returns {Function} return.setDefaultView - Marca una vista como predeterminada (null para ninguna)
+ * @returns {Function} return.exportViews - Descarga todas las vistas como JSON
+ * @returns {Function} return.importViews - Lee un archivo exportado y resuelve con la cantidad
+ *          de vistas añadidas. Rechaza con un mensaje para el usuario si el archivo no es válido
+ *
+ * @example
+ * const { views, saveView } = useSavedViews();
+ * saveView("Electrónica de este mes", viewQuery);
+ */
+export const useSavedViews = () => {
+	/** @type {[SavedViewsState, Function]} */
+	const [state, setState] = useState(readViews);
+
+	/** @type {React.MutableRefObject<SavedViewsState>} Último estado guardado */
+	const savedStateRef = useRef(state);
+
+	useEffect(() => {
+		if (state === savedStateRef.current) return;
+		savedStateRef.current = state;
+		writeViews(state);
+	}, [state]);
+
+	/**
+	 * Actualiza las vistas; se persisten después del render
+	 *
+	 * @function
+	 * @param {function(SavedViewsState): SavedViewsState} update - Recibe el estado actual
+	 * @returns {void}
+	 */
+	const updateViews = (update) => {
+		setState((prev) => {
+			const next = update(prev);
+			return { ...next, views: sortViews(next.views) };
+		});
+	};
+
+	/**
+	 * @function
+	 * @param {string} name - Nombre de la vista
+	 * @param {string} query - Query string de la vista
+	 * @returns {SavedView}
+	 */
+	const saveView = (name, query) => {
+		const existing = state.views.find((view) => isSameName(view.name, name));
+		const view = {
+			id: existing?.id ?? crypto.randomUUID(),
+			name: name.trim(),
+			query,
+		};
+		updateViews((prev) => ({
+			...prev,
+			views: [...prev.views.filter((v) => v.id !== view.id), view],
+		}));
+		return view;
+	};
+
+	/**
+	 * @function
+	 * @param {string} id - ID de la vista
+	 * @param {string} name - Nuevo nombre
+	 * @returns {void}
+	 */
+	const renameView = (id, name) => {
+		updateViews((prev) => ({
+			...prev,
+			views: prev.views.map((view) =>
+				view.id === id ? { ...view, name: name.trim() } : view,
+			),
+		}));
+	};
+
+	/**
+	 * @function
+	 * @param {string} id - ID de la vista
+	 * @returns {void}
+	 */
+	const deleteView = (id) => {
+		updateViews((prev) => ({
+			views: prev.views.filter((view) => view.id !== id),
+			defaultViewId: prev.defaultViewId === id ? null : prev.defaultViewId,
+		}));
+	};
+
+	/**
+	 * @function
+	 * @param {string|null} id - ID de la vista, o null para quitar la predeterminada
+	 * @returns {void}
+	 */
+	const setDefaultView = (id) => {
+		updateViews((prev) => ({ ...prev, defaultViewId: id }));
+	};
+
+	/**
+	 * @function
+	 * @returns {void}
+	 */
+	const exportViews = () => {
+		const data = {
+			type: EXPORT_TYPE,
+			version: 1,
+			views: state.views.map(({ name, query }) => ({ name, query })),
+		};
+		downloadFile(
+			JSON.stringify(data, null, 2),
+			`vistas-inventario-${dayjs().format("YYYY-MM-DD")}.json`,
+			"application/json",
+		);
+	};
+
+	/**
+	 * Añade las vistas de un archivo exportado
+	 *
+	 * Las vistas idénticas a una existente se omiten; si solo coincide el
+	 * nombre, la importada se renombra con un sufijo.
+	 *
+	 * @async
+	 * @function
+	 * @param {File} file - Archivo JSON exportado con `exportViews`
+	 * @returns {Promise<number>} Cantidad de vistas añadidas
+	 * @throws {Error} Si el archivo no contiene vistas del inventario
+	 */
+	const importViews = async (file) => {
+		let data;
+		try {
+			data = JSON.parse(await file.text());
+		} catch {
+			throw new Error("El archivo no es un JSON válido");
+		}
+		if (data?.type !== EXPORT_TYPE || !Array.isArray(data.views)) {
+			throw new Error("El archivo no contiene vistas del inventario");
+		}
+
+		const added = [];
+		const taken = [...state.views];
+		data.views.filter(isViewLike).forEach(({ name, query }) => {
+			const baseName = name.trim().slice(0, MAX_VIEW_NAME_LENGTH);
+			if (
+				taken.some((v) => isSameName(v.name, baseName) && v.query === query)
+			) {
+				return;
+			}
+			let uniqueName = baseName;
+			for (let n = 2; taken.some((v) => isSameName(v.name, uniqueName)); n++) {
+				uniqueName = `${baseName} (${n})`;
+			}
+			const view = { id: crypto.randomUUID(), name: uniqueName, query };
+			added.push(view);
+			taken.push(view);
+		});
+
+		if (added.length > 0) {
+			updateViews((prev) => ({ ...prev, views: [...prev.views, ...added] }));
+		}
+		return added.length;
+	};
+
+	return {
+		views: state.views,
+		defaultView:
+			state.views.find((view) => view.id === state.defaultViewId) ?? null,
+		saveView,
+		renameView,
+		deleteView,
+		setDefaultView,
+		exportViews,
+		importViews,
+	};
+};
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Hook para la configuración de la tabla de productos
+ *
+ * Guarda, por usuario, si el inventario se ve como tabla o como tarjetas,
+ * qué columnas se ven, en qué orden, con qué ancho, la densidad de las filas
+ * y si se pagina o se usa scroll infinito. Así quien revisa precios y quien revisa el
+ * catálogo mantienen cada uno su propia tabla en el mismo navegador. Si el
+ * navegador no deja guardarla (almacenamiento lleno), se avisa y los
+ * cambios duran hasta recargar.
+ *
+ * @module app/inventory/hooks/useTableLayout
+ * @requires react
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { toStorageError } from "@/app/api/errors";
+import { getErrorMessage } from "@/shared/utils/apiErrors";
+import { notify } from "@/shared/utils/notifications";
+import { PRODUCT_COLUMNS, TABLE_DENSITIES } from "../components/productColumns";
+
+/** @constant {string} STORAGE_KEY_PREFIX - Prefijo de la clave de localStorage; se completa con el ID del usuario */
+const STORAGE_KEY_PREFIX = "bault.inventoryTable";
+
+/** @constant {number} MIN_COLUMN_WIDTH - Ancho mínimo de una columna en píxeles */
+export const MIN_COLUMN_WIDTH = 60;
+
+/**
+ * Formas de mostrar el inventario
+ * @constant {Object<string, string>}
+ */
+export const VIEW_MODES = {
+	TABLE: "table",
+	GRID: "grid",
+};
+
+/**
+ * Formas de recorrer el listado
+ * @constant {Object<string, string>}
+ */
+export const PAGINATION_MODES = {
+	PAGED: "paged",
+	INFINITE: "infinite",
+};
+
+/**
+ * Configuración de la tabla
+ *
+ * @typedef {Object} TableLayout
+ * @property {string[]} order - Claves de todas las columnas, en el orden en que se muestran
+ * @property {string[]} hidden - Claves de las columnas ocultas
+ * @property {Object<string, number>} widths - Ancho elegido por columna (las demás usan el suyo)
+ * @property {string} density - Una de TABLE_DENSITIES
+ * @property {string} pagination - Uno de PAGINATION_MODES
+ * @property {string|null} view - Uno de VIEW_MODES, o null si el usuario no eligió
+ *                                (la vista decide según el tamaño de pantalla)
+ */
+
+/** @constant {Set<string>} COLUMN_KEYS */
+const COLUMN_KEYS = new Set(PRODUCT_COLUMNS.map((column) => column.key));
+
+/**
+ * Configuración por defecto
+ * @constant {TableLayout}
+ */
+export const DEFAULT_TABLE_LAYOUT = {
+	order: PRODUCT_COLUMNS.map((column) => column.key),
+	hidden: PRODUCT_COLUMNS.filter(
+		(column) => column.defaultVisible === false,
+	).map((column) => column.key),
+	widths: {},
+	density: TABLE_DENSITIES.STANDARD,
+	pagination: PAGINATION_MODES.PAGED,
+	view: null,
+};
+
+/**
+ * Completa una configuración guardada con los valores por defecto
+ *
+ * Descarta columnas que ya no existen y añade al final las nuevas (ocultas
+ * si no se muestran por defecto), para que una configuración antigua siga
+ * funcionando cuando cambian las columnas disponibles.
+ *
+ * @function
+ * @param {Partial<TableLayout>} saved - Configuración leída
+ * @returns {TableLayout}
+ */
+const normalizeLayout = (saved) => {
+	const order = (Array.isArray(saved.order) ? saved.order : []).filter((key) =>
+		COLUMN_KEYS.has(key),
+	);
+	const added = DEFAULT_TABLE_LAYOUT.order.filter(
+		(key) => !order.includes(key),
+	);
+	const hidden = Array.isArray(saved.hidden)
+		? saved.hidden.filter((key) => COLUMN_KEYS.has(key))
+		: DEFAULT_TABLE_LAYOUT.hidden;
+
+	return {
+		order: [...order, ...added],
+		hidden: [
+			...hidden,
+			...added.filter((key) => DEFAULT_TABLE_LAYOUT.hidden.includes(key)),
+		].filter(
+			(key) => !PRODUCT_COLUMNS.find((column) => column.key === key).locked,
+		),
+		widths: Object.fromEntries(
+			Object.entries(saved.widths ?? {}).filter(
+				([key, width]) => COLUMN_KEYS.has(key) && Number.isFinite(width),
+			),
+		),
+		density: Object.values(TABLE_DENSITIES).includes(saved.density)
+			? saved.density
+			: DEFAULT_TABLE_LAYOUT.density,
+		pagination: Object.values(PAGINATION_MODES).includes(saved.pagination)
+			? saved.pagination
+			: DEFAULT_TABLE_LAYOUT.pagination,
+		view: Object.values(VIEW_MODES).includes(saved.view)
+			? saved.view
+			: DEFAULT_TABLE_LAYOUT.view,
+	};
+};
+
+/**
+ * Lee la configuración guardada de un usuario
+ *
+ * @function
+ * @param {string} storageKey - Clave de localStorage
+ * @returns {TableLayout}
+ */
+const readLayout = (storageKey) => {
+	try {
+		const raw = localStorage.getItem(storageKey);
+		return raw ? normalizeLayout(JSON.parse(raw)) : DEFAULT_TABLE_LAYOUT;
+	} catch {
+		return DEFAULT_TABLE_LAYOUT;
+	}
+};
+
+/**
+ * Guarda la configuración de un usuario, avisando si no se pudo
+ *
+ * @function
+ * @param {string} storageKey - Clave de localStorage
+ * @param {TableLayout} layout - Configuración a guardar
+ * @returns {void}
+ */
+const writeLayout = (storageKey, layout) => {
+	try {
+		localStorage.setItem(storageKey, JSON.stringify(layout));
+	} catch (error) {
+		notify({
+			message: getErrorMessage(
+				toStorageError(error),
+				"No se pudo guardar la configuración de la tabla",
+			),
+			severity: "error",
+		});
+	}
+};
+
+/**
+ * Hook useTableLayout - Columnas, anchos y densidad de la tabla de productos
+ *
+ * @function
+ * @param {number|string|null} userId - ID del usuario; sin él se usa una configuración compartida
+ * @returns {Object} Configuración y funciones para cambiarla
+ * @returns {TableLayout} return.layout - Configuración actual
+ * @returns {Function} return.setColumnVisible - Muestra u oculta una columna con `(key, visible)`
+ * @returns {Function} return.moveColumn - Mueve una columna con `(from, to)`, posiciones en `order`
+ * @returns {Function} return.setColumnWidth - Cambia el ancho de una columna con `(key, width)`;
+ *          null vuelve al ancho por defecto
+ * @returns {Function} return.setDensity - Cambia la densidad
+ * @returns {Function} return.setPaginationMode - Cambia entre paginación y scroll infinito
+ * @returns {Function} return.setViewMode - Cambia entre tabla y tarjetas
+ * @returns {Function} return.resetLayout - Vuelve a la configuración por defecto
+ *
+ * @example
+ * const { layout, setColumnVisible } = useTableLayout(user?.id);
+ * setColumnVisible("description", true);
+ */
+export const useTableLayout = (userId) => {
+	const storageKey = `${STORAGE_KEY_PREFIX}.${userId ?? "default"}`;
+
+	/** @type {[{storageKey: string, layout: TableLayout}, Function]} */
+	const [state, setState] = useState(() => ({
+		storageKey,
+		layout: readLayout(storageKey),
+	}));
+
+	// Si cambia el usuario se carga su configuración
+	if (state.storageKey !== storageKey) {
+		setState({ storageKey, layout: readLayout(storageKey) });
+	}
+
+	/** @type {React.MutableRefObject<{storageKey: string, layout: TableLayout}>} Último estado guardado */
+	const savedStateRef = useRef(state);
+
+	useEffect(() => {
+		const saved = savedStateRef.current;
+		savedStateRef.current = state;
+		// Al cambiar de usuario la configuración se acaba de leer: no hay nada que guardar
+		if (state === saved || state.storageKey !== saved.storageKey) return;
+		writeLayout(state.storageKey, state.layout);
+	}, [state]);
+
+	/**
+	 * Actualiza la configuración; se persiste después del render
+	 *
+	 * @function
+	 * @param {function(TableLayout): TableLayout} update - Recibe la configuración actual
+	 * @returns {void}
+	 */
+	const updateLayout = (update) => {
+		setState((prev) => ({ ...prev, layout: update(prev.layout) }));
+	};
+
+	/**
+	 * @function
+	 * @param {string} key - Clave de la columna
+	 * @param {boolean} visible
+	 * @returns {void}
+	 */
+	const setColumnVisible = (key, visible) => {
+		updateLayout((layout) => ({
+			...layout,
+			hidden: visible
+				? layout.hidden.filter((hiddenKey) => hiddenKey !== key)
+				: [...layout.hidden, key],
+		}));
+	};
+
+	/**
+	 * @function
+	 * @param {number} from - Posición actual
+	 * @param {number} to - Posición de destino
+	 * @returns {void}
+	 */
+	const moveColumn = (from, to) => {
+		updateLayout((layout) => {
+			const order = [...layout.order];
+			const [key] = order.splice(from, 1);
+			order.splice(to, 0, key);
+			return { ...layout, order };
+		});
+	};
+
+	/**
+	 * @function
+	 * @param {string} key - Clave de la columna
+	 * @param {number|null} width - Ancho en píxeles, o null para el de por defecto
+	 * @returns {void}
+	 */
+	const setColumnWidth = (key, width) => {
+		updateLayout((layout) => {
+			const { [key]: _previous, ...widths } = layout.widths;
+			return {
+				...layout,
+				widths:
+					width == null
+						? widths
+						: {
+								...widths,
+								[key]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)),
+							},
+			};
+		});
+	};
+
+	/**
+	 * @function
+	 * @param {string} density - Una de TABLE_DENSITIES
+	 * @returns {void}
+	 */
+	const setDensity = (density) => {
+		updateLayout((layout) => ({ ...layout, density }));
+	};
+
+	/**
+	 * @function
+	 * @param {string} pagination - Uno de PAGINATION_MODES
+	 * @returns {void}
+	 */
+	const setPaginationMode = (pagination) => {
+		updateLayout((layout) => ({ ...layout, pagination }));
+	};
+
+	/**
+	 * @function
+	 * @param {string} view - Uno de VIEW_MODES
+	 * @returns {void}
+	 */
+	const setViewMode = (view) => {
+		updateLayout((layout) => ({ ...layout, view }));
+	};
+
+	/**
+	 * @function
+	 * @returns {void}
+	 */
+	const resetLayout = () => {
+		updateLayout(() => DEFAULT_TABLE_LAYOUT);
+	};
+
+	return {
+		layout: state.layout,
+		setColumnVisible,
+		moveColumn,
+		setColumnWidth,
+		setDensity,
+		setPaginationMode,
+		setViewMode,
+		resetLayout,
+	};
+};
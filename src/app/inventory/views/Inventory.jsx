@@ -2,9 +2,19 @@
  * @fileoverview Vista de Inventario - Gestión completa de productos
  *
  * Proporciona una interfaz integral para la administración de inventario con:
- * - Listado de productos con paginación
- * - Filtrado por búsqueda y rango de fechas
- * - Operaciones CRUD (Crear, Leer, Actualizar, Eliminar)
+ * - Listado de productos con paginación del lado del servidor
+ * - Filtrado por búsqueda, rango de fechas, categorías y rango de precios
+ * - Búsqueda, filtros, orden y paginación guardados en la URL
+ * - Vistas guardadas con nombre, una de ellas predeterminada, exportables como JSON
+ * - Columnas, anchos y densidad de la tabla configurables y guardados por usuario
+ * - Paginación o scroll infinito virtualizado, a elección del usuario
+ * - Vista de tabla o de tarjetas con imagen grande (por defecto en pantallas pequeñas)
+ * - Operaciones CRUD (Crear, Leer, Actualizar, Eliminar) según el rol del usuario
+ * - Eliminación con "Deshacer" durante unos segundos; lo eliminado queda en la papelera
+ * - Edición rápida del título, el precio y la categoría desde la propia tabla
+ * - Selección múltiple y acciones masivas (eliminar, cambiar categoría, ajustar precio)
+ * - Exportación a CSV o JSON de los productos filtrados o seleccionados
+ * - Acceso a la importación masiva desde CSV o JSON
  * - Notificaciones en tiempo real mediante Snackbar
  *
  * @module app/inventory/views/Inventory
@@ -15,16 +25,97 @@
  * @requires sweetalert2
  */
 
-import React, { useState } from "react";
-import { Box, Typography, Button, Snackbar, Alert } from "@mui/material";
-import { Add as AddIcon } from "@mui/icons-material";
-import { useNavigate } from "react-router-dom";
+import React, { useEffect, useRef, useState } from "react";
+import {
+	Box,
+	Typography,
+	Button,
+	Snackbar,
+	Alert,
+	LinearProgress,
+	ToggleButton,
+	ToggleButtonGroup,
+	Tooltip,
+	useMediaQuery,
+	useTheme,
+} from "@mui/material";
+import {
+	Add as AddIcon,
+	FileDownload as FileDownloadIcon,
+	GridView as GridViewIcon,
+	LastPage as LastPageIcon,
+	TableRows as TableRowsIcon,
+	UploadFile as UploadFileIcon,
+	ViewStream as ViewStreamIcon,
+} from "@mui/icons-material";
+import { useLocation, useNavigate } from "react-router-dom";
 import Swal from "sweetalert2";
-import { useProducts } from "@/shared/hooks/useProducts";
+import { useProducts, PRODUCTS_MODE } from "@/shared/hooks/useProducts";
 import ProductsTable from "../components/ProductsTable";
+import ProductsGrid from "../components/ProductsGrid";
 import ProductFilters from "../components/ProductFilters";
+import BulkActionsBar from "../components/BulkActionsBar";
+import BulkCategoryDialog from "../components/BulkCategoryDialog";
+import BulkPriceDialog from "../components/BulkPriceDialog";
+import BulkResultDialog from "../components/BulkResultDialog";
+import ExportDialog from "../components/ExportDialog";
+import SavedViewsBar from "../components/SavedViewsBar";
+import SavedViewDialog from "../components/SavedViewDialog";
+import TableLayoutMenu from "../components/TableLayoutMenu";
+import { PRODUCT_COLUMNS } from "../components/productColumns";
+import { useProductSelection } from "../hooks/useProductSelection";
+import { BULK_ACTIONS, useBulkActions } from "../hooks/useBulkActions";
+import { useSavedViews } from "../hooks/useSavedViews";
+import {
+	PAGINATION_MODES,
+	VIEW_MODES,
+	useTableLayout,
+} from "../hooks/useTableLayout";
 import LoadingSpinner from "@/shared/components/LoadingSpinner";
 import ErrorMessage from "@/shared/components/ErrorMessage";
+import { useAuth } from "@/app/auth/hooks/useAuth";
+import { EXPORT_SCOPES, exportProducts } from "@/shared/utils/productExport";
+import { PERMISSIONS } from "@/app/auth/permissions";
+import { deleteProductWithUndo } from "@/shared/utils/productDelete";
+import {
+	getErrorDetails,
+	getErrorMessage,
+	isRetryableError,
+} from "@/shared/utils/apiErrors";
+
+/**
+ * Diálogos de parámetros de las acciones masivas
+ * @constant {Object<string, string>}
+ */
+const BULK_DIALOGS = {
+	CATEGORY: "category",
+	PRICE: "price",
+};
+
+/**
+ * Compone el mensaje de una acción masiva sin fallos
+ *
+ * @function
+ * @param {string} action - Una de BULK_ACTIONS
+ * @param {number} count - Productos procesados
+ * @returns {string}
+ *
+ * @example
+ * getBulkSuccessMessage(BULK_ACTIONS.DELETE, 3);
+ * // Retorna: "3 productos eliminados"
+ */
+const getBulkSuccessMessage = (action, count) => {
+	const subject = count === 1 ? "1 producto" : `${count} productos`;
+	const plural = count === 1 ? "" : "s";
+	switch (action) {
+		case BULK_ACTIONS.DELETE:
+			return `${subject} eliminado${plural}`;
+		case BULK_ACTIONS.CHANGE_CATEGORY:
+			return `${subject} cambiado${plural} de categoría`;
+		default:
+			return `Precio ajustado en ${subject}`;
+	}
+};
 
 /**
  * Componente Inventory - Vista principal de gestión de inventario
@@ -32,6 +123,9 @@ import ErrorMessage from "@/shared/components/ErrorMessage";
  * Gestiona el flujo completo del inventario de productos incluyendo:
  * - Visualización de productos con paginación y filtrado
  * - Creación, edición y eliminación de productos
+ * - Acciones masivas sobre los productos seleccionados, con progreso y
+ *   resumen de fallos (los fallidos quedan seleccionados para reintentar)
+ * - Exportación de los productos filtrados o seleccionados
  * - Retroalimentación al usuario mediante notificaciones
  * - Estados de carga y error
  *
@@ -47,56 +141,193 @@ import ErrorMessage from "@/shared/components/ErrorMessage";
  */
 const Inventory = () => {
 	const navigate = useNavigate();
+	const location = useLocation();
+	const { user, can } = useAuth();
 
 	/**
-	 * @type {[number, Function]}
-	 * Controla la cantidad de filas mostradas por página en la tabla de productos
+	 * Estado de navegación para las vistas de producto: les permite volver a
+	 * esta misma URL (ver useInventoryReturnPath)
+	 * @type {{from: Object}}
 	 */
-	const [rowsPerPage, setRowsPerPage] = useState(10);
+	const returnState = { from: location };
 
 	/**
 	 * @type {[Object, Function]}
 	 * @property {boolean} open - Controla la visibilidad de la notificación
 	 * @property {string} message - Contenido del mensaje a mostrar
 	 * @property {('success'|'error'|'warning'|'info')} severity - Nivel de severidad de la alerta
+	 * @property {Function|null} onRetry - Acción "Reintentar" opcional de la alerta
 	 */
 	const [snackbar, setSnackbar] = useState({
 		open: false,
 		message: "",
 		severity: "success",
+		onRetry: null,
 	});
 
+	/** Productos seleccionados para las acciones masivas */
+	const selection = useProductSelection();
+
+	const { progress: bulkProgress, run: runBulkAction } = useBulkActions();
+
+	/** @type {[string|null, Function]} Diálogo de acción masiva abierto, ver BULK_DIALOGS */
+	const [bulkDialog, setBulkDialog] = useState(null);
+
 	/**
-	 * Hook personalizado para gestionar datos, filtrado y paginación de productos
+	 * @type {[import('../hooks/useBulkActions').BulkResult|null, Function]}
+	 * Resultado de la última acción masiva con fallos
+	 */
+	const [bulkResult, setBulkResult] = useState(null);
+
+	/** @type {[boolean, Function]} Se están cargando todos los productos filtrados */
+	const [selectingAll, setSelectingAll] = useState(false);
+
+	/** @type {[boolean, Function]} Diálogo de exportación abierto */
+	const [exportOpen, setExportOpen] = useState(false);
+
+	/** @type {[boolean, Function]} Exportación en curso */
+	const [exporting, setExporting] = useState(false);
+
+	const tableLayout = useTableLayout(user?.id);
+
+	const theme = useTheme();
+	const isSmallScreen = useMediaQuery(theme.breakpoints.down("md"));
+
+	/**
+	 * @type {string}
+	 * Vista elegida por el usuario o, si no eligió, tarjetas en pantallas
+	 * pequeñas (la tabla no cabe a lo ancho) y tabla en el resto
+	 */
+	const viewMode =
+		tableLayout.layout.view ??
+		(isSmallScreen ? VIEW_MODES.GRID : VIEW_MODES.TABLE);
+
+	/** @type {boolean} La tabla usa scroll infinito en lugar de paginación; las tarjetas siempre paginan */
+	const isInfinite =
+		viewMode === VIEW_MODES.TABLE &&
+		tableLayout.layout.pagination === PAGINATION_MODES.INFINITE;
+
+	/**
+	 * Hook personalizado para gestionar datos, filtrado y paginación de productos.
+	 * Se usa en modo servidor para descargar solo la página visible, con el
+	 * estado del listado sincronizado con la query string.
 	 *
 	 * @type {Object}
 	 * @property {Array<Object>} products - Array de productos de la página actual
-	 * @property {Array<Object>} allProducts - Todos los productos sin filtrar
-	 * @property {boolean} loading - Indicador del estado de carga
-	 * @property {string|null} error - Mensaje de error, si existe
+	 * @property {number} totalCount - Total de productos que cumplen los filtros
+	 * @property {boolean} loading - Indicador del estado de carga inicial
+	 * @property {boolean} isFetching - Indica si hay una solicitud en curso
+	 * @property {Object|null} error - Error tipado de la carga, si existe
 	 * @property {number} page - Número de página actual (base 0)
 	 * @property {Function} setPage - Actualiza el número de página
+	 * @property {number} pageSize - Cantidad de filas por página
+	 * @property {Function} setPageSize - Actualiza las filas por página y vuelve a la primera
 	 * @property {string} searchTerm - Término de búsqueda actual
 	 * @property {Function} setSearchTerm - Actualiza el término de búsqueda
 	 * @property {Object} dateRange - Objeto con el rango de fechas del filtro
 	 * @property {Function} setDateRange - Actualiza el rango de fechas
+	 * @property {number[]} categoryIds - Categorías seleccionadas
+	 * @property {Function} setCategoryIds - Actualiza las categorías seleccionadas
+	 * @property {Object} priceRange - Rango de precios del filtro
+	 * @property {Function} setPriceRange - Actualiza el rango de precios
+	 * @property {Object|null} priceBounds - Precios mínimo y máximo del catálogo
+	 * @property {Function} requestPriceBounds - Pide los límites de precio al usar su filtro
+	 * @property {Function} clearFilters - Quita todos los filtros
+	 * @property {Array<Object>} sort - Criterios de ordenación activos
+	 * @property {Function} toggleSort - Ordena por una columna (principal o secundaria)
+	 * @property {string} viewQuery - Filtros, orden y tamaño de página actuales, para guardarlos como vista
+	 * @property {Function} applyViewQuery - Aplica los filtros de una vista guardada
 	 * @property {Function} refreshProducts - Recarga los datos de productos
-	 * @property {Function} handleDeleteProduct - Elimina un producto por ID
+	 * @property {Function} getAllMatchingProducts - Obtiene los productos filtrados de todas las páginas
+	 * @property {boolean} hasMore - Con scroll infinito, quedan productos por cargar
+	 * @property {boolean} isLoadingMore - Con scroll infinito, se está cargando una tanda
+	 * @property {Object|null} loadMoreError - Con scroll infinito, error de la última tanda
+	 * @property {Function} loadMore - Con scroll infinito, carga la siguiente tanda
+	 * @property {Function} handleUpdateProduct - Modifica campos de un producto por ID
 	 */
 	const {
 		products,
-		allProducts,
+		totalCount,
 		loading,
+		isFetching,
 		error,
 		page,
 		setPage,
+		pageSize,
+		setPageSize,
 		searchTerm,
 		setSearchTerm,
 		dateRange,
 		setDateRange,
+		categoryIds,
+		setCategoryIds,
+		priceRange,
+		setPriceRange,
+		priceBounds,
+		requestPriceBounds,
+		clearFilters,
+		sort,
+		toggleSort,
+		viewQuery,
+		applyViewQuery,
 		refreshProducts,
-		handleDeleteProduct,
-	} = useProducts({ paginated: true, pageSize: rowsPerPage });
+		getAllMatchingProducts,
+		hasMore,
+		isLoadingMore,
+		loadMoreError,
+		loadMore,
+		handleUpdateProduct,
+	} = useProducts({
+		paginated: true,
+		mode: PRODUCTS_MODE.SERVER,
+		syncWithUrl: true,
+		infinite: isInfinite,
+	});
+
+	const savedViews = useSavedViews();
+
+	/** @type {Array<import('../components/productColumns').ProductColumn>} Columnas visibles, en orden */
+	const visibleColumns = tableLayout.layout.order
+		.filter((key) => !tableLayout.layout.hidden.includes(key))
+		.map((key) => PRODUCT_COLUMNS.find((column) => column.key === key));
+
+	/** @type {import('../hooks/useSavedViews').SavedView|null} Vista guardada igual a la actual */
+	const activeView =
+		savedViews.views.find((view) => view.query === viewQuery) ?? null;
+
+	/**
+	 * @type {[{mode: ('save'|'rename'), view?: Object}|null, Function]}
+	 * Diálogo de nombre de vista abierto
+	 */
+	const [viewDialog, setViewDialog] = useState(null);
+
+	/** Evita aplicar la vista predeterminada más de una vez */
+	const defaultViewAppliedRef = useRef(false);
+
+	/**
+	 * Efecto que aplica la vista predeterminada al abrir el inventario sin
+	 * filtros en la URL. Un enlace con filtros o volver a una vista concreta
+	 * (atrás, desde el detalle) la respetan tal cual
+	 */
+	useEffect(() => {
+		if (defaultViewAppliedRef.current) return;
+		defaultViewAppliedRef.current = true;
+		if (savedViews.defaultView && !location.search) {
+			applyViewQuery(savedViews.defaultView.query, { replace: true });
+		}
+	}, [savedViews.defaultView, location.search, applyViewQuery]);
+
+	/**
+	 * Navega a la página de detalle del producto
+	 *
+	 * @function
+	 * @param {Object} product - Objeto del producto a consultar
+	 * @param {number} product.id - Identificador único del producto
+	 * @returns {void}
+	 */
+	const handleView = (product) => {
+		navigate(`/products/${product.id}`, { state: returnState });
+	};
 
 	/**
 	 * Navega a la página de edición del producto
@@ -107,26 +338,82 @@ const Inventory = () => {
 	 * @returns {void}
 	 */
 	const handleEdit = (product) => {
-		navigate(`/products/edit/${product.id}`);
+		navigate(`/products/edit/${product.id}`, { state: returnState });
 	};
 
 	/**
-	 * Elimina un producto con confirmación del usuario
+	 * Guarda un campo editado directamente en la tabla
 	 *
-	 * Muestra un diálogo de confirmación SweetAlert2 y, si el usuario confirma,
-	 * procede a eliminar el producto. Muestra una notificación del resultado.
+	 * La tabla muestra en la propia celda si se está guardando o si falló,
+	 * así que no se notifica con el Snackbar.
+	 *
+	 * @function
+	 * @param {Object} product - Producto de la fila
+	 * @param {Object} changes - Campos modificados
+	 * @returns {Promise<{success: boolean, error: Object|null}>}
+	 */
+	const handleCellSave = (product, changes) =>
+		handleUpdateProduct(product.id, changes);
+
+	/**
+	 * Elimina un producto con opción de deshacer
+	 *
+	 * El producto desaparece al instante y un aviso ofrece "Deshacer"
+	 * durante unos segundos; después se elimina en el servidor y queda en la
+	 * papelera. Ver {@link deleteProductWithUndo}.
 	 *
-	 * @async
 	 * @function
 	 * @param {Object} product - Objeto del producto a eliminar
-	 * @param {number} product.id - Identificador único del producto
-	 * @param {string} product.title - Título del producto (para mostrar en el diálogo)
+	 * @returns {void}
+	 */
+	const handleDelete = (product) => {
+		deleteProductWithUndo(product);
+	};
+
+	/**
+	 * Ejecuta una acción masiva y deja seleccionados solo los productos fallidos
+	 *
+	 * Sin fallos se notifica con el Snackbar; con fallos se abre el resumen.
+	 *
+	 * @async
+	 * @function
+	 * @param {string} action - Una de BULK_ACTIONS
+	 * @param {Array<Object>} targets - Productos a procesar
+	 * @param {Object} [params] - Parámetros de la acción
+	 * @returns {Promise<void>}
+	 */
+	const handleBulkAction = async (action, targets, params) => {
+		setBulkDialog(null);
+		const result = await runBulkAction(action, targets, params);
+		selection.replace(result.failed.map(({ product }) => product));
+
+		if (result.failed.length > 0) {
+			setBulkResult(result);
+			return;
+		}
+		setSnackbar({
+			open: true,
+			message: getBulkSuccessMessage(action, result.succeeded.length),
+			severity: "success",
+			onRetry: null,
+		});
+	};
+
+	/**
+	 * Pide confirmación y elimina los productos seleccionados
+	 *
+	 * @async
+	 * @function
 	 * @returns {Promise<void>}
 	 */
-	const handleDelete = async (product) => {
+	const handleBulkDelete = async () => {
+		const targets = selection.selectedProducts;
 		const result = await Swal.fire({
-			title: "¿Eliminar producto?",
-			text: `Estás a punto de eliminar "${product.title}". Esta acción no se puede deshacer.`,
+			title:
+				targets.length === 1
+					? "¿Eliminar 1 producto?"
+					: `¿Eliminar ${targets.length} productos?`,
+			text: "Podrás restaurarlos desde la papelera.",
 			icon: "warning",
 			showCancelButton: true,
 			confirmButtonColor: "#d32f2f",
@@ -136,23 +423,197 @@ const Inventory = () => {
 		});
 
 		if (result.isConfirmed) {
-			const success = await handleDeleteProduct(product.id);
-			if (success) {
-				setSnackbar({
-					open: true,
-					message: "Producto eliminado correctamente",
-					severity: "success",
-				});
-			} else {
-				setSnackbar({
-					open: true,
-					message: "Error al eliminar el producto",
-					severity: "error",
-				});
-			}
+			await handleBulkAction(BULK_ACTIONS.DELETE, targets);
 		}
 	};
 
+	/**
+	 * Reintenta la última acción masiva con los productos que fallaron
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleBulkRetry = () => {
+		const { action, failed, params } = bulkResult;
+		setBulkResult(null);
+		handleBulkAction(
+			action,
+			failed.map(({ product }) => product),
+			params,
+		);
+	};
+
+	/**
+	 * Amplía la selección a todos los productos filtrados, de todas las páginas
+	 *
+	 * @async
+	 * @function
+	 * @returns {Promise<void>}
+	 */
+	const handleSelectAllMatching = async () => {
+		setSelectingAll(true);
+		try {
+			const matching = await getAllMatchingProducts();
+			selection.replace(matching.filter((product) => !product.isPending));
+		} catch (selectError) {
+			console.error("Error selecting all products:", selectError);
+			setSnackbar({
+				open: true,
+				message: getErrorMessage(
+					selectError,
+					"No se pudieron seleccionar todos los productos",
+				),
+				severity: getErrorDetails(selectError).severity,
+				onRetry: isRetryableError(selectError) ? handleSelectAllMatching : null,
+			});
+		} finally {
+			setSelectingAll(false);
+		}
+	};
+
+	/**
+	 * Exporta los productos filtrados (de todas las páginas) o los seleccionados
+	 *
+	 * @async
+	 * @function
+	 * @param {Object} options - Opciones elegidas en el diálogo de exportación
+	 * @param {string} options.scope - Uno de EXPORT_SCOPES
+	 * @param {string} options.format - Formato del archivo
+	 * @param {string[]} options.columns - Columnas a exportar
+	 * @param {boolean} options.formatted - Aplicar formato a precios y fechas
+	 * @returns {Promise<void>}
+	 */
+	const handleExport = async (options) => {
+		setExporting(true);
+		try {
+			const targets =
+				options.scope === EXPORT_SCOPES.SELECTED
+					? selection.selectedProducts
+					: await getAllMatchingProducts();
+			const filename = exportProducts(targets, options);
+			setExportOpen(false);
+			setSnackbar({
+				open: true,
+				message:
+					targets.length === 1
+						? `1 producto exportado a ${filename}`
+						: `${targets.length} productos exportados a ${filename}`,
+				severity: "success",
+				onRetry: null,
+			});
+		} catch (exportError) {
+			console.error("Error exporting products:", exportError);
+			setSnackbar({
+				open: true,
+				message: getErrorMessage(
+					exportError,
+					"No se pudo exportar el inventario",
+				),
+				severity: getErrorDetails(exportError).severity,
+				onRetry: isRetryableError(exportError)
+					? () => handleExport(options)
+					: null,
+			});
+		} finally {
+			setExporting(false);
+		}
+	};
+
+	/**
+	 * Guarda la vista actual o renombra una existente, según el diálogo abierto
+	 *
+	 * @function
+	 * @param {string} name - Nombre elegido
+	 * @returns {void}
+	 */
+	const handleViewDialogConfirm = (name) => {
+		if (viewDialog.mode === "rename") {
+			savedViews.renameView(viewDialog.view.id, name);
+		} else {
+			savedViews.saveView(name, viewQuery);
+		}
+		setViewDialog(null);
+		setSnackbar({
+			open: true,
+			message:
+				viewDialog.mode === "rename"
+					? `Vista renombrada a "${name}"`
+					: `Vista "${name}" guardada`,
+			severity: "success",
+			onRetry: null,
+		});
+	};
+
+	/**
+	 * Elimina una vista guardada, previa confirmación
+	 *
+	 * @async
+	 * @function
+	 * @param {import('../hooks/useSavedViews').SavedView} view - Vista a eliminar
+	 * @returns {Promise<void>}
+	 */
+	const handleDeleteView = async (view) => {
+		const result = await Swal.fire({
+			title: "¿Eliminar vista?",
+			text: `Se eliminará la vista "${view.name}". Los productos no cambian.`,
+			icon: "warning",
+			showCancelButton: true,
+			confirmButtonColor: "#d32f2f",
+			cancelButtonColor: "#64748b",
+			confirmButtonText: "Sí, eliminar",
+			cancelButtonText: "Cancelar",
+		});
+
+		if (result.isConfirmed) {
+			savedViews.deleteView(view.id);
+		}
+	};
+
+	/**
+	 * Importa las vistas de un archivo compartido por otro usuario
+	 *
+	 * @async
+	 * @function
+	 * @param {File} file - Archivo JSON exportado desde el inventario
+	 * @returns {Promise<void>}
+	 */
+	const handleImportViews = async (file) => {
+		try {
+			const count = await savedViews.importViews(file);
+			setSnackbar({
+				open: true,
+				message:
+					count === 0
+						? "Todas las vistas del archivo ya estaban guardadas"
+						: count === 1
+							? "1 vista importada"
+							: `${count} vistas importadas`,
+				severity: count === 0 ? "info" : "success",
+				onRetry: null,
+			});
+		} catch (importError) {
+			console.error("Error importing views:", importError);
+			setSnackbar({
+				open: true,
+				message: importError.message,
+				severity: "error",
+				onRetry: null,
+			});
+		}
+	};
+
+	/**
+	 * Ejecuta la acción de reintento de la notificación actual
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleSnackbarRetry = () => {
+		const retry = snackbar.onRetry;
+		setSnackbar((prev) => ({ ...prev, open: false }));
+		retry?.();
+	};
+
 	/**
 	 * Maneja el cambio de página
 	 *
@@ -167,23 +628,33 @@ const Inventory = () => {
 	/**
 	 * Maneja el cambio en la cantidad de filas por página
 	 *
-	 * Actualiza el tamaño de página y reinicia la paginación a la primera página.
+	 * Actualiza el tamaño de página; el hook reinicia la paginación a la primera página.
 	 *
 	 * @function
 	 * @param {number} newRowsPerPage - Nueva cantidad de filas a mostrar por página
 	 * @returns {void}
 	 */
 	const handleRowsPerPageChange = (newRowsPerPage) => {
-		setRowsPerPage(newRowsPerPage);
-		setPage(0);
+		setPageSize(newRowsPerPage);
 	};
 
+	const canBulkEdit = can(PERMISSIONS.EDIT_PRODUCT);
+	const canBulkDelete = can(PERMISSIONS.DELETE_PRODUCT);
+	const isSelectable = canBulkEdit || canBulkDelete;
+
+	/** @type {boolean} Todos los productos seleccionables de la página están seleccionados */
+	const isPageSelected =
+		products.some((product) => !product.isPending) &&
+		products.every(
+			(product) => product.isPending || selection.selectedIds.has(product.id),
+		);
+
 	if (loading) {
 		return <LoadingSpinner message="Cargando inventario..." />;
 	}
 
 	if (error) {
-		return <ErrorMessage message={error} onRetry={refreshProducts} />;
+		return <ErrorMessage error={error} onRetry={refreshProducts} />;
 	}
 
 	return (
@@ -198,31 +669,266 @@ const Inventory = () => {
 				<Typography variant="h4" sx={{ fontWeight: 700 }}>
 					Inventario
 				</Typography>
-				<Button
-					variant="contained"
-					startIcon={<AddIcon />}
-					onClick={() => navigate("/products/new")}>
-					Nuevo Producto
-				</Button>
+				<Box sx={{ display: "flex", gap: 1 }}>
+					<Button
+						variant="outlined"
+						startIcon={<FileDownloadIcon />}
+						onClick={() => setExportOpen(true)}
+						disabled={totalCount === 0 && selection.count === 0}>
+						Exportar
+					</Button>
+					{can(PERMISSIONS.CREATE_PRODUCT) && (
+						<Button
+							variant="outlined"
+							startIcon={<UploadFileIcon />}
+							onClick={() =>
+								navigate("/products/import", { state: returnState })
+							}>
+							Importar
+						</Button>
+					)}
+					{can(PERMISSIONS.CREATE_PRODUCT) && (
+						<Button
+							variant="contained"
+							startIcon={<AddIcon />}
+							onClick={() => navigate("/products/new", { state: returnState })}>
+							Nuevo Producto
+						</Button>
+					)}
+				</Box>
 			</Box>
 
+			<SavedViewsBar
+				views={savedViews.views}
+				activeView={activeView}
+				defaultViewId={savedViews.defaultView?.id ?? null}
+				onApply={(view) => applyViewQuery(view.query)}
+				onSave={() => setViewDialog({ mode: "save" })}
+				onRename={(view) => setViewDialog({ mode: "rename", view })}
+				onDelete={handleDeleteView}
+				onToggleDefault={(view) =>
+					savedViews.setDefaultView(
+						view.id === savedViews.defaultView?.id ? null : view.id,
+					)
+				}
+				onExport={savedViews.exportViews}
+				onImport={handleImportViews}
+			/>
+
 			<ProductFilters
 				searchTerm={searchTerm}
 				onSearchChange={setSearchTerm}
 				dateRange={dateRange}
 				onDateRangeChange={setDateRange}
+				categoryIds={categoryIds}
+				onCategoryIdsChange={setCategoryIds}
+				priceRange={priceRange}
+				onPriceRangeChange={setPriceRange}
+				priceBounds={priceBounds}
+				onPriceBoundsRequest={requestPriceBounds}
+				onClearFilters={clearFilters}
 			/>
 
-			<ProductsTable
-				products={products}
-				totalCount={allProducts.length}
-				page={page}
-				rowsPerPage={rowsPerPage}
-				onPageChange={handlePageChange}
-				onRowsPerPageChange={handleRowsPerPageChange}
-				onEdit={handleEdit}
-				onDelete={handleDelete}
-			/>
+			<Box
+				sx={{
+					display: "flex",
+					justifyContent: "flex-end",
+					alignItems: "center",
+					gap: 1,
+					mb: 1,
+				}}>
+				<ToggleButtonGroup
+					exclusive
+					size="small"
+					value={viewMode}
+					onChange={(_, value) => value && tableLayout.setViewMode(value)}
+					aria-label="Vista del inventario">
+					<Tooltip title="Tabla">
+						<ToggleButton value={VIEW_MODES.TABLE} aria-label="Tabla">
+							<TableRowsIcon fontSize="small" />
+						</ToggleButton>
+					</Tooltip>
+					<Tooltip title="Tarjetas">
+						<ToggleButton value={VIEW_MODES.GRID} aria-label="Tarjetas">
+							<GridViewIcon fontSize="small" />
+						</ToggleButton>
+					</Tooltip>
+				</ToggleButtonGroup>
+				{viewMode === VIEW_MODES.TABLE && (
+					<>
+						<ToggleButtonGroup
+							exclusive
+							size="small"
+							value={tableLayout.layout.pagination}
+							onChange={(_, value) =>
+								value && tableLayout.setPaginationMode(value)
+							}
+							aria-label="Forma de recorrer el listado">
+							<Tooltip title="Paginación">
+								<ToggleButton
+									value={PAGINATION_MODES.PAGED}
+									aria-label="Paginación">
+									<LastPageIcon fontSize="small" />
+								</ToggleButton>
+							</Tooltip>
+							<Tooltip title="Scroll infinito">
+								<ToggleButton
+									value={PAGINATION_MODES.INFINITE}
+									aria-label="Scroll infinito">
+									<ViewStreamIcon fontSize="small" />
+								</ToggleButton>
+							</Tooltip>
+						</ToggleButtonGroup>
+						<TableLayoutMenu
+							layout={tableLayout.layout}
+							onColumnVisibleChange={tableLayout.setColumnVisible}
+							onColumnMove={tableLayout.moveColumn}
+							onDensityChange={tableLayout.setDensity}
+							onReset={tableLayout.resetLayout}
+						/>
+					</>
+				)}
+			</Box>
+
+			{isFetching && <LinearProgress sx={{ mb: 1, borderRadius: 1 }} />}
+
+			{isSelectable && (
+				<BulkActionsBar
+					count={selection.count}
+					totalCount={totalCount}
+					canSelectAllMatching={isPageSelected}
+					selectingAll={selectingAll}
+					onSelectAllMatching={handleSelectAllMatching}
+					onClear={selection.clear}
+					onDelete={canBulkDelete ? handleBulkDelete : undefined}
+					onChangeCategory={
+						canBulkEdit ? () => setBulkDialog(BULK_DIALOGS.CATEGORY) : undefined
+					}
+					onAdjustPrice={
+						canBulkEdit ? () => setBulkDialog(BULK_DIALOGS.PRICE) : undefined
+					}
+					progress={bulkProgress}
+				/>
+			)}
+
+			{viewMode === VIEW_MODES.GRID ? (
+				<ProductsGrid
+					products={products}
+					totalCount={totalCount}
+					page={page}
+					rowsPerPage={pageSize}
+					onPageChange={handlePageChange}
+					onRowsPerPageChange={handleRowsPerPageChange}
+					onView={handleView}
+					onEdit={can(PERMISSIONS.EDIT_PRODUCT) ? handleEdit : undefined}
+					onDelete={can(PERMISSIONS.DELETE_PRODUCT) ? handleDelete : undefined}
+					sort={sort}
+					onSortChange={toggleSort}
+					selectedIds={isSelectable ? selection.selectedIds : undefined}
+					onToggleSelect={selection.toggle}
+					onTogglePageSelect={selection.setManySelected}
+					selectionDisabled={Boolean(bulkProgress)}
+				/>
+			) : (
+				<ProductsTable
+					products={products}
+					totalCount={totalCount}
+					page={page}
+					rowsPerPage={pageSize}
+					onPageChange={handlePageChange}
+					onRowsPerPageChange={handleRowsPerPageChange}
+					onView={handleView}
+					onEdit={can(PERMISSIONS.EDIT_PRODUCT) ? handleEdit : undefined}
+					onDelete={can(PERMISSIONS.DELETE_PRODUCT) ? handleDelete : undefined}
+					sort={sort}
+					onSortChange={toggleSort}
+					selectedIds={isSelectable ? selection.selectedIds : undefined}
+					onToggleSelect={selection.toggle}
+					onTogglePageSelect={selection.setManySelected}
+					selectionDisabled={Boolean(bulkProgress)}
+					columns={visibleColumns}
+					density={tableLayout.layout.density}
+					columnWidths={tableLayout.layout.widths}
+					onColumnResize={tableLayout.setColumnWidth}
+					onCellSave={
+						can(PERMISSIONS.EDIT_PRODUCT) ? handleCellSave : undefined
+					}
+					searchTerm={searchTerm}
+					infiniteScroll={
+						isInfinite
+							? {
+									hasMore,
+									loading: isLoadingMore,
+									error: loadMoreError,
+									onLoadMore: loadMore,
+								}
+							: undefined
+					}
+					scrollResetKey={`${viewQuery}#${page}`}
+				/>
+			)}
+
+			{bulkDialog === BULK_DIALOGS.CATEGORY && (
+				<BulkCategoryDialog
+					count={selection.count}
+					onClose={() => setBulkDialog(null)}
+					onConfirm={(categoryId) =>
+						handleBulkAction(
+							BULK_ACTIONS.CHANGE_CATEGORY,
+							selection.selectedProducts,
+							{ categoryId },
+						)
+					}
+				/>
+			)}
+
+			{bulkDialog === BULK_DIALOGS.PRICE && (
+				<BulkPriceDialog
+					products={selection.selectedProducts}
+					onClose={() => setBulkDialog(null)}
+					onConfirm={(adjustment) =>
+						handleBulkAction(
+							BULK_ACTIONS.ADJUST_PRICE,
+							selection.selectedProducts,
+							{ adjustment },
+						)
+					}
+				/>
+			)}
+
+			{bulkResult && (
+				<BulkResultDialog
+					result={bulkResult}
+					onClose={() => setBulkResult(null)}
+					onRetry={handleBulkRetry}
+				/>
+			)}
+
+			{viewDialog && (
+				<SavedViewDialog
+					title={
+						viewDialog.mode === "rename" ? "Renombrar vista" : "Guardar vista"
+					}
+					confirmLabel={viewDialog.mode === "rename" ? "Renombrar" : "Guardar"}
+					initialName={viewDialog.view?.name ?? ""}
+					takenNames={savedViews.views
+						.filter((view) => view.id !== viewDialog.view?.id)
+						.map((view) => view.name)}
+					allowReplace={viewDialog.mode === "save"}
+					onClose={() => setViewDialog(null)}
+					onConfirm={handleViewDialogConfirm}
+				/>
+			)}
+
+			{exportOpen && (
+				<ExportDialog
+					filteredCount={totalCount}
+					selectedCount={selection.count}
+					exporting={exporting}
+					onClose={() => setExportOpen(false)}
+					onExport={handleExport}
+				/>
+			)}
 
 			<Snackbar
 				open={snackbar.open}
@@ -233,6 +939,13 @@ const Inventory = () => {
 					onClose={() => setSnackbar((prev) => ({ ...prev, open: false }))}
 					severity={snackbar.severity}
 					variant="filled"
+					action={
+						snackbar.onRetry && (
+							<Button color="inherit" size="small" onClick={handleSnackbarRetry}>
+								Reintentar
+							</Button>
+						)
+					}
 					sx={{ width: "100%" }}>
 					{snackbar.message}
 				</Alert>
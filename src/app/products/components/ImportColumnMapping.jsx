@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Asignación de columnas de un archivo de importación
+ *
+ * Un selector por campo del producto con las columnas del archivo. Junto a
+ * cada uno se muestra el valor de la primera fila para comprobar que la
+ * columna elegida es la correcta.
+ *
+ * @module app/products/components/ImportColumnMapping
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React from "react";
+import { Grid, MenuItem, TextField, Typography } from "@mui/material";
+import { IMPORT_FIELDS } from "@/shared/utils/productImport";
+import { truncateText } from "@/shared/utils/formatters";
+
+/**
+ * Componente ImportColumnMapping - Elige la columna de cada campo
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {string[]} props.columns - Columnas del archivo
+ * @param {Object<string, string|null>} props.mapping - Columna asignada a cada campo
+ * @param {Object<string, *>} props.sample - Primera fila del archivo
+ * @param {Function} props.onChange - Recibe el campo y la nueva columna (o null)
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <ImportColumnMapping
+ *   columns={file.columns}
+ *   mapping={mapping}
+ *   sample={file.records[0]}
+ *   onChange={(field, column) => setMapping((prev) => ({ ...prev, [field]: column }))}
+ * />
+ */
+const ImportColumnMapping = ({ columns, mapping, sample, onChange }) => (
+	<Grid container spacing={2} alignItems="center">
+		{IMPORT_FIELDS.map((field) => {
+			const column = mapping[field.key];
+			const example = column ? sample[column] : null;
+			return (
+				<React.Fragment key={field.key}>
+					<Grid size={{ xs: 12, sm: 5 }}>
+						<TextField
+							select
+							fullWidth
+							size="small"
+							label={field.label}
+							value={column ?? ""}
+							onChange={(e) => onChange(field.key, e.target.value || null)}
+							error={!column}
+							helperText={!column ? "Elige una columna" : undefined}>
+							<MenuItem value="">
+								<em>Sin asignar</em>
+							</MenuItem>
+							{columns.map((option) => (
+								<MenuItem key={option} value={option}>
+									{option}
+								</MenuItem>
+							))}
+						</TextField>
+					</Grid>
+					<Grid size={{ xs: 12, sm: 7 }}>
+						<Typography variant="body2" color="text.secondary" noWrap>
+							{column
+								? `Ej.: ${truncateText(
+										Array.isArray(example)
+											? example.join(", ")
+											: String(example ?? ""),
+										60,
+									)}`
+								: ""}
+						</Typography>
+					</Grid>
+				</React.Fragment>
+			);
+		})}
+	</Grid>
+);
+
+export default ImportColumnMapping;
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Vista previa de una importación de productos
+ *
+ * Tabla paginada con los datos que se van a crear y, en cada fila, si es
+ * válida o los errores que impiden importarla. Permite mostrar solo las
+ * filas con errores.
+ *
+ * @module app/products/components/ImportPreviewTable
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useState } from "react";
+import {
+	Box,
+	Chip,
+	FormControlLabel,
+	Paper,
+	Switch,
+	Table,
+	TableBody,
+	TableCell,
+	TableContainer,
+	TableHead,
+	TablePagination,
+	TableRow,
+	Typography,
+} from "@mui/material";
+import {
+	describeRowErrors,
+	isValidImportRow,
+} from "@/shared/utils/productImport";
+import { formatCurrency, truncateText } from "@/shared/utils/formatters";
+
+/**
+ * Componente ImportPreviewTable - Filas del archivo y su validación
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<import('@/shared/utils/productImport').ImportRow>} props.rows - Filas validadas
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <ImportPreviewTable rows={rows} />
+ */
+const ImportPreviewTable = ({ rows }) => {
+	/** @type {[boolean, Function]} Mostrar solo las filas con errores */
+	const [onlyErrors, setOnlyErrors] = useState(false);
+
+	/** @type {[number, Function]} Página actual (base 0) */
+	const [page, setPage] = useState(0);
+
+	/** @type {[number, Function]} Filas por página */
+	const [rowsPerPage, setRowsPerPage] = useState(10);
+
+	const visibleRows = onlyErrors
+		? rows.filter((row) => !isValidImportRow(row))
+		: rows;
+
+	return (
+		<Box>
+			<FormControlLabel
+				control={
+					<Switch
+						checked={onlyErrors}
+						onChange={(e) => {
+							setOnlyErrors(e.target.checked);
+							setPage(0);
+						}}
+					/>
+				}
+				label="Mostrar solo filas con errores"
+				sx={{ mb: 1 }}
+			/>
+			<TableContainer component={Paper} variant="outlined">
+				<Table size="small">
+					<TableHead>
+						<TableRow>
+							<TableCell>Fila</TableCell>
+							<TableCell>Título</TableCell>
+							<TableCell>Categoría</TableCell>
+							<TableCell align="right">Precio</TableCell>
+							<TableCell align="center">Imágenes</TableCell>
+							<TableCell>Estado</TableCell>
+						</TableRow>
+					</TableHead>
+					<TableBody>
+						{visibleRows
+							.slice(page * rowsPerPage, (page + 1) * rowsPerPage)
+							.map((row) => {
+								const errors = describeRowErrors(row.errors);
+								return (
+									<TableRow key={row.line} hover>
+										<TableCell>{row.line}</TableCell>
+										<TableCell>{truncateText(row.values.title, 40)}</TableCell>
+										<TableCell>{row.categoryName}</TableCell>
+										<TableCell align="right">
+											{Number.isNaN(row.values.price)
+												? "—"
+												: formatCurrency(row.values.price)}
+										</TableCell>
+										<TableCell align="center">
+											{row.values.images.length}
+										</TableCell>
+										<TableCell>
+											{errors.length === 0 ? (
+												<Chip label="Válida" color="success" size="small" />
+											) : (
+												errors.map((message) => (
+													<Typography
+														key={message}
+														variant="caption"
+														color="error"
+														component="div">
+														{message}
+													</Typography>
+												))
+											)}
+										</TableCell>
+									</TableRow>
+								);
+							})}
+						{visibleRows.length === 0 && (
+							<TableRow>
+								<TableCell colSpan={6} align="center">
+									<Typography variant="body2" color="text.secondary">
+										No hay filas con errores
+									</Typography>
+								</TableCell>
+							</TableRow>
+						)}
+					</TableBody>
+				</Table>
+			</TableContainer>
+			<TablePagination
+				component="div"
+				count={visibleRows.length}
+				page={page}
+				onPageChange={(_, newPage) => setPage(newPage)}
+				rowsPerPage={rowsPerPage}
+				onRowsPerPageChange={(e) => {
+					setRowsPerPage(parseInt(e.target.value, 10));
+					setPage(0);
+				}}
+				rowsPerPageOptions={[10, 25, 50]}
+				labelRowsPerPage="Filas por página:"
+				labelDisplayedRows={({ from, to, count }) =>
+					`${from}–${to} de ${count}`
+				}
+			/>
+		</Box>
+	);
+};
+
+export default ImportPreviewTable;
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Galería de imágenes de un producto
+ *
+ * Muestra la imagen seleccionada en grande y las miniaturas de todas
+ * las imágenes para cambiar entre ellas. Las imágenes que no cargan
+ * se sustituyen por la imagen de respaldo.
+ *
+ * @module app/products/components/ProductGallery
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useState } from "react";
+import { Box, ButtonBase } from "@mui/material";
+import { getPlaceholderImage } from "@/shared/utils/formatters";
+
+/**
+ * Reemplaza una imagen por la de respaldo si no carga
+ *
+ * @function
+ * @param {React.SyntheticEvent} e - Evento de error de carga de imagen
+ * @returns {void}
+ */
+const handleImageError = (e) => {
+	e.currentTarget.src = getPlaceholderImage();
+};
+
+/**
+ * Componente ProductGallery - Imagen principal y miniaturas
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {string[]} props.images - URLs de las imágenes; la primera es la principal
+ * @param {string} props.title - Título del producto (texto alternativo)
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <ProductGallery images={product.images} title={product.title} />
+ */
+const ProductGallery = ({ images, title }) => {
+	/** @type {[number, Function]} Posición de la imagen mostrada en grande */
+	const [selected, setSelected] = useState(0);
+
+	const list = images?.length ? images : [getPlaceholderImage()];
+	const current = list[Math.min(selected, list.length - 1)];
+
+	return (
+		<Box>
+			<Box
+				component="img"
+				src={current}
+				alt={title}
+				onError={handleImageError}
+				sx={{
+					width: "100%",
+					aspectRatio: "1 / 1",
+					objectFit: "cover",
+					borderRadius: 2,
+					border: "1px solid",
+					borderColor: "divider",
+					backgroundColor: "background.default",
+				}}
+			/>
+			{list.length > 1 && (
+				<Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mt: 1.5 }}>
+					{list.map((url, index) => (
+						<ButtonBase
+							key={url}
+							onClick={() => setSelected(index)}
+							aria-label={`Ver imagen ${index + 1} de ${list.length}`}
+							aria-pressed={url === current}
+							sx={{
+								borderRadius: 1,
+								overflow: "hidden",
+								outline: "2px solid",
+								outlineColor: url === current ? "primary.main" : "transparent",
+							}}>
+							<Box
+								component="img"
+								src={url}
+								alt=""
+								onError={handleImageError}
+								sx={{
+									width: 64,
+									height: 64,
+									objectFit: "cover",
+									display: "block",
+								}}
+							/>
+						</ButtonBase>
+					))}
+				</Box>
+			)}
+		</Box>
+	);
+};
+
+export default ProductGallery;
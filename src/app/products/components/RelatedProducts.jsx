@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Productos relacionados
+ *
+ * Tarjetas con otros productos de la misma categoría que enlazan a su
+ * página de detalle. Los productos con una eliminación pendiente no se
+ * muestran, igual que en el inventario. Si la carga falla, la sección se oculta: es
+ * información secundaria y no debe tapar el detalle del producto.
+ *
+ * @module app/products/components/RelatedProducts
+ * @requires react
+ * @requires @mui/material
+ * @requires react-router-dom
+ */
+
+import React, { useSyncExternalStore } from "react";
+import {
+	Box,
+	Card,
+	CardActionArea,
+	CardContent,
+	CardMedia,
+	Grid,
+	Skeleton,
+	Typography,
+} from "@mui/material";
+import { Link as RouterLink } from "react-router-dom";
+import { useQuery } from "@/shared/hooks/useQuery";
+import { getProductsPaginated } from "@/app/api/productsApi";
+import { productKeys } from "@/app/api/queryKeys";
+import {
+	getTrashState,
+	subscribeTrash,
+	withoutPendingDeletes,
+} from "@/app/api/productTrash";
+import {
+	formatCurrency,
+	getPlaceholderImage,
+	truncateText,
+} from "@/shared/utils/formatters";
+
+/** @constant {number} RELATED_LIMIT - Cantidad de productos relacionados a mostrar */
+const RELATED_LIMIT = 4;
+
+/**
+ * Componente RelatedProducts - Otros productos de la misma categoría
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.product - Producto del que se muestran los relacionados
+ * @param {Object} [props.linkState] - Estado de navegación que reciben los enlaces
+ * @returns {React.ReactElement|null}
+ *
+ * @example
+ * <RelatedProducts product={product} />
+ */
+const RelatedProducts = ({ product, linkState }) => {
+	const categoryId = product.category?.id ?? null;
+
+	/**
+	 * Se pide uno más del límite por si el propio producto está entre los resultados
+	 */
+	const params = { categoryId, offset: 0, limit: RELATED_LIMIT + 1 };
+
+	const { data, isLoading, error } = useQuery(
+		productKeys.page(params),
+		({ signal }) => getProductsPaginated(params, { signal }),
+		{ enabled: categoryId != null },
+	);
+
+	const { pendingDeleteIds } = useSyncExternalStore(
+		subscribeTrash,
+		getTrashState,
+	);
+
+	if (categoryId == null || error) return null;
+
+	const related = withoutPendingDeletes(data ?? [], pendingDeleteIds)
+		.filter((p) => p.id !== product.id)
+		.slice(0, RELATED_LIMIT);
+
+	if (!isLoading && related.length === 0) return null;
+
+	return (
+		<Box sx={{ mt: 5 }}>
+			<Typography variant="h6" sx={{ fontWeight: 600, mb: 2 }}>
+				Más en {product.category.name}
+			</Typography>
+			<Grid container spacing={2}>
+				{isLoading
+					? Array.from({ length: RELATED_LIMIT }, (_, i) => (
+							<Grid key={i} size={{ xs: 6, md: 3 }}>
+								<Skeleton variant="rounded" height={220} />
+							</Grid>
+						))
+					: related.map((item) => (
+							<Grid key={item.id} size={{ xs: 6, md: 3 }}>
+								<Card sx={{ height: "100%" }}>
+									<CardActionArea
+										component={RouterLink}
+										to={`/products/${item.id}`}
+										state={linkState}
+										sx={{ height: "100%" }}>
+										<CardMedia
+											component="img"
+											image={item.images?.[0] || getPlaceholderImage()}
+											alt={item.title}
+											onError={(e) => {
+												e.currentTarget.src = getPlaceholderImage();
+											}}
+											sx={{ aspectRatio: "4 / 3", objectFit: "cover" }}
+										/>
+										<CardContent>
+											<Typography variant="body2" sx={{ fontWeight: 600 }}>
+												{truncateText(item.title, 40)}
+											</Typography>
+											<Typography
+												variant="body2"
+												sx={{ fontWeight: 700, color: "secondary.main" }}>
+												{formatCurrency(item.price)}
+											</Typography>
+										</CardContent>
+									</CardActionArea>
+								</Card>
+							</Grid>
+						))}
+			</Grid>
+		</Box>
+	);
+};
+
+export default RelatedProducts;
@@ -0,0 +1,209 @@
+/**
+ * Product detail view
+ * @module views/ProductDetail
+ */
+import React from "react";
+import {
+	Box,
+	Button,
+	Card,
+	CardContent,
+	Chip,
+	Divider,
+	Grid,
+	Typography,
+} from "@mui/material";
+import {
+	ArrowBack as ArrowBackIcon,
+	Delete as DeleteIcon,
+	Edit as EditIcon,
+} from "@mui/icons-material";
+import { useNavigate, useParams } from "react-router-dom";
+import ProductGallery from "../components/ProductGallery";
+import RelatedProducts from "../components/RelatedProducts";
+import LoadingSpinner from "@/shared/components/LoadingSpinner";
+import ErrorMessage from "@/shared/components/ErrorMessage";
+import { useQuery } from "@/shared/hooks/useQuery";
+import { useAuth } from "@/app/auth/hooks/useAuth";
+import { PERMISSIONS } from "@/app/auth/permissions";
+import { getProductById } from "@/app/api/productsApi";
+import { productKeys } from "@/app/api/queryKeys";
+import { formatCurrency, formatDate } from "@/shared/utils/formatters";
+import { deleteProductWithUndo } from "@/shared/utils/productDelete";
+import { useInventoryReturnPath } from "@/app/inventory/hooks/useInventoryReturnPath";
+
+/**
+ * Fila de dato con etiqueta y valor
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.label - Etiqueta del dato
+ * @param {React.ReactNode} props.children - Valor
+ * @returns {JSX.Element}
+ */
+const DetailRow = ({ label, children }) => (
+	<Box sx={{ display: "flex", justifyContent: "space-between", gap: 2, py: 1 }}>
+		<Typography variant="body2" color="text.secondary">
+			{label}
+		</Typography>
+		<Typography variant="body2" sx={{ fontWeight: 500, textAlign: "right" }}>
+			{children}
+		</Typography>
+	</Box>
+);
+
+/**
+ * Vista de detalle de un producto.
+ * Su URL (`/products/:id`) se puede compartir: muestra la galería, la
+ * descripción completa, la categoría, el precio, las fechas y productos
+ * relacionados, con las acciones de editar y eliminar según el rol.
+ * @component
+ * @returns {JSX.Element}
+ */
+const ProductDetail = () => {
+	const { id } = useParams();
+	const navigate = useNavigate();
+	const { can } = useAuth();
+	const { returnPath, returnState } = useInventoryReturnPath();
+
+	const productId = Number(id);
+	const isValidId = Number.isInteger(productId) && productId > 0;
+
+	const {
+		data: product,
+		isLoading,
+		error,
+		refetch,
+	} = useQuery(
+		productKeys.detail(productId),
+		({ signal }) => getProductById(productId, { signal }),
+		{ enabled: isValidId },
+	);
+
+	/**
+	 * Elimina el producto (con opción de deshacer) y vuelve al inventario
+	 * sin esperar al servidor.
+	 * @returns {void}
+	 */
+	const handleDelete = () => {
+		deleteProductWithUndo(product);
+		navigate(returnPath);
+	};
+
+	if (isValidId && isLoading) {
+		return <LoadingSpinner message="Cargando producto..." />;
+	}
+
+	if (!isValidId || error || !product) {
+		return (
+			<ErrorMessage
+				error={error}
+				message={error ? undefined : "Producto no encontrado"}
+				onRetry={isValidId ? refetch : undefined}
+				onBack={() => navigate(returnPath)}
+				backLabel="Volver al inventario"
+			/>
+		);
+	}
+
+	return (
+		<Box>
+			<Box
+				sx={{
+					display: "flex",
+					flexWrap: "wrap",
+					justifyContent: "space-between",
+					alignItems: "center",
+					gap: 2,
+					mb: 3,
+				}}>
+				<Button
+					startIcon={<ArrowBackIcon />}
+					onClick={() => navigate(returnPath)}>
+					Inventario
+				</Button>
+				<Box sx={{ display: "flex", gap: 1 }}>
+					{can(PERMISSIONS.EDIT_PRODUCT) && (
+						<Button
+							variant="contained"
+							startIcon={<EditIcon />}
+							onClick={() =>
+								navigate(`/products/edit/${product.id}`, {
+									state: returnState,
+								})
+							}>
+							Editar
+						</Button>
+					)}
+					{can(PERMISSIONS.DELETE_PRODUCT) && (
+						<Button
+							variant="outlined"
+							color="error"
+							startIcon={<DeleteIcon />}
+							onClick={handleDelete}>
+							Eliminar
+						</Button>
+					)}
+				</Box>
+			</Box>
+
+			<Card>
+				<CardContent sx={{ p: 4 }}>
+					<Grid container spacing={4}>
+						<Grid size={{ xs: 12, md: 5 }}>
+							<ProductGallery
+								key={product.id}
+								images={product.images}
+								title={product.title}
+							/>
+						</Grid>
+
+						<Grid size={{ xs: 12, md: 7 }}>
+							<Chip
+								label={product.category?.name || "Sin categoría"}
+								size="small"
+								sx={{
+									backgroundColor: "primary.main",
+									color: "white",
+									fontWeight: 500,
+									mb: 1.5,
+								}}
+							/>
+							<Typography variant="h4" sx={{ fontWeight: 700, mb: 1 }}>
+								{product.title}
+							</Typography>
+							<Typography
+								variant="h5"
+								sx={{ fontWeight: 700, color: "secondary.main", mb: 3 }}>
+								{formatCurrency(product.price)}
+							</Typography>
+
+							<Typography
+								variant="body1"
+								color="text.secondary"
+								sx={{ whiteSpace: "pre-line", mb: 3 }}>
+								{product.description}
+							</Typography>
+
+							<Divider />
+							<DetailRow label="ID">{product.id}</DetailRow>
+							<DetailRow label="Slug">{product.slug || "—"}</DetailRow>
+							<DetailRow label="Fecha de creación">
+								{formatDate(product.creationAt, "DD/MM/YYYY HH:mm")}
+							</DetailRow>
+							<DetailRow label="Última modificación">
+								{product.updatedAt
+									? formatDate(product.updatedAt, "DD/MM/YYYY HH:mm")
+									: "—"}
+							</DetailRow>
+						</Grid>
+					</Grid>
+				</CardContent>
+			</Card>
+
+			<RelatedProducts product={product} linkState={returnState} />
+		</Box>
+	);
+};
+
+export default ProductDetail;
@@ -3,12 +3,22 @@
  * @module views/ProductEdit
  */
 import React, { useState, useEffect } from "react";
-import { Box, Typography, Snackbar, Alert } from "@mui/material";
-import { useNavigate, useParams } from "react-router-dom";
+import { Box, Typography } from "@mui/material";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
 import ProductForm from "@/shared/components/ProductForm";
 import LoadingSpinner from "@/shared/components/LoadingSpinner";
 import ErrorMessage from "@/shared/components/ErrorMessage";
-import { getProductById, updateProduct } from "@/app/api/productsApi";
+import { getProductById } from "@/app/api/productsApi";
+import { updateProductOptimistic } from "@/app/api/productMutations";
+import { isCancelledError } from "@/app/api/errors";
+import {
+	getErrorDetails,
+	getErrorMessage,
+	isRetryableError,
+} from "@/shared/utils/apiErrors";
+import { notify } from "@/shared/utils/notifications";
+import { toInitialData } from "@/shared/utils/productForm";
+import { useInventoryReturnPath } from "@/app/inventory/hooks/useInventoryReturnPath";
 
 /**
  * @typedef {Object} Product
@@ -22,12 +32,22 @@ import { getProductById, updateProduct } from "@/app/api/productsApi";
 /**
  * Vista para editar productos existentes.
  * Obtiene el ID de los parámetros de la URL y carga los datos iniciales.
+ * El guardado es optimista: el inventario refleja el cambio al instante y,
+ * si el servidor lo rechaza, se deshace y se avisa con una notificación global.
  * * @component
  * @returns {JSX.Element}
  */
 const ProductEdit = () => {
 	const { id } = useParams();
 	const navigate = useNavigate();
+	const location = useLocation();
+	const { returnPath, returnState } = useInventoryReturnPath();
+
+	/**
+	 * Borrador y errores del servidor cuando se vuelve desde una notificación
+	 * @type {{draft?: Object, serverErrors?: Object<string, string>}}
+	 */
+	const { draft, serverErrors } = location.state ?? {};
 
 	/** @type {[Product|null, function]} */
 	const [product, setProduct] = useState(null);
@@ -35,72 +55,96 @@ const ProductEdit = () => {
 	/** @type {[boolean, function]} */
 	const [loading, setLoading] = useState(true);
 
-	/** @type {[string|null, function]} */
+	/** @type {[import('@/app/api/errors').ApiError|null, function]} */
 	const [error, setError] = useState(null);
 
-	/** @type {[boolean, function]} */
-	const [isSubmitting, setIsSubmitting] = useState(false);
-
-	/** @type {[{open: boolean, message: string, severity: 'success' | 'error'}, function]} */
-	const [snackbar, setSnackbar] = useState({
-		open: false,
-		message: "",
-		severity: "success",
-	});
+	/** @type {[number, function]} Se incrementa para volver a cargar el producto */
+	const [reloadToken, setReloadToken] = useState(0);
 
 	useEffect(() => {
+		/** Cancela la carga si el componente se desmonta o cambia el ID */
+		const controller = new AbortController();
+
 		/**
 		 * Carga los datos del producto al montar el componente.
 		 */
 		const fetchProduct = async () => {
 			if (!id) return;
 			try {
-				const data = await getProductById(parseInt(id, 10));
+				const data = await getProductById(parseInt(id, 10), {
+					signal: controller.signal,
+				});
 				setProduct(data);
 			} catch (err) {
+				if (isCancelledError(err)) return;
 				console.error("Error fetching product:", err);
-				setError("No se pudo cargar el producto");
-			} finally {
-				setLoading(false);
+				setError(err);
 			}
+			setLoading(false);
 		};
 
 		fetchProduct();
-	}, [id]);
+		return () => controller.abort();
+	}, [id, reloadToken]);
+
+	/**
+	 * Vuelve a intentar la carga del producto.
+	 */
+	const handleReload = () => {
+		setError(null);
+		setLoading(true);
+		setReloadToken((token) => token + 1);
+	};
+
+	/**
+	 * Actualiza el producto y notifica el resultado cuando responde el servidor.
+	 * * @param {number} productId - ID del producto.
+	 * @param {Object} data - Datos actualizados del formulario.
+	 * @returns {void}
+	 */
+	const updateWithFeedback = (productId, data) => {
+		updateProductOptimistic(productId, data).then(
+			() => notify({ message: "Producto actualizado correctamente" }),
+			(error) => {
+				console.error("Error updating product:", error);
+				notify({
+					message: getErrorMessage(
+						error,
+						`No se pudo actualizar "${data.title}". Se restauraron los datos anteriores`,
+					),
+					severity: getErrorDetails(error).severity,
+					autoHideDuration: null,
+					action: isRetryableError(error)
+						? {
+								label: "Reintentar",
+								onClick: () => updateWithFeedback(productId, data),
+							}
+						: {
+								label: "Revisar",
+								onClick: () =>
+									navigate(`/products/edit/${productId}`, {
+										state: {
+											...returnState,
+											draft: data,
+											serverErrors: error.fieldErrors,
+										},
+									}),
+							},
+				});
+			},
+		);
+	};
 
 	/**
 	 * Maneja la actualización del producto.
+	 * Vuelve al inventario, tal como se dejó, sin esperar al servidor.
 	 * * @param {Object} data - Datos actualizados del formulario.
-	 * @async
+	 * @returns {void}
 	 */
-	const handleSubmit = async (data) => {
+	const handleSubmit = (data) => {
 		if (!id) return;
-		setIsSubmitting(true);
-		try {
-			await updateProduct(parseInt(id, 10), data);
-			setSnackbar({
-				open: true,
-				message: "Producto actualizado correctamente",
-				severity: "success",
-			});
-			setTimeout(() => {
-				navigate("/inventory");
-			}, 1500);
-		} catch (error) {
-			console.error("Error updating product:", error);
-			setSnackbar({
-				open: true,
-				message: "Error al actualizar el producto",
-				severity: "error",
-			});
-		} finally {
-			setIsSubmitting(false);
-		}
-	};
-
-	/** Cierra el aviso de notificación */
-	const handleCloseSnackbar = () => {
-		setSnackbar((prev) => ({ ...prev, open: false }));
+		updateWithFeedback(parseInt(id, 10), data);
+		navigate(returnPath);
 	};
 
 	if (loading) {
@@ -110,8 +154,11 @@ const ProductEdit = () => {
 	if (error || !product) {
 		return (
 			<ErrorMessage
-				message={error || "Producto no encontrado"}
-				onRetry={() => navigate("/inventory")}
+				error={error}
+				message={error ? undefined : "Producto no encontrado"}
+				onRetry={handleReload}
+				onBack={() => navigate(returnPath)}
+				backLabel="Volver al inventario"
 			/>
 		);
 	}
@@ -123,25 +170,13 @@ const ProductEdit = () => {
 			</Typography>
 
 			<ProductForm
-				initialData={product}
+				key={location.key}
+				initialData={draft ? { ...product, ...toInitialData(draft) } : product}
 				onSubmit={handleSubmit}
-				onCancel={() => navigate("/inventory")}
-				isSubmitting={isSubmitting}
+				onCancel={() => navigate(returnPath)}
+				isSubmitting={false}
+				serverErrors={serverErrors ?? null}
 			/>
-
-			<Snackbar
-				open={snackbar.open}
-				autoHideDuration={4000}
-				onClose={handleCloseSnackbar}
-				anchorOrigin={{ vertical: "bottom", horizontal: "right" }}>
-				<Alert
-					onClose={handleCloseSnackbar}
-					severity={snackbar.severity}
-					variant="filled"
-					sx={{ width: "100%" }}>
-					{snackbar.message}
-				</Alert>
-			</Snackbar>
 		</Box>
 	);
 };
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Hook para crear en la API los productos de una importación
+ *
+ * Crea los productos de uno en uno, como las acciones masivas del
+ * inventario, para no saturar la API y para que el progreso avance de forma
+ * regular. Un fallo no detiene el resto. La caché de productos se revalida
+ * una sola vez al terminar, no después de cada producto.
+ *
+ * @module app/products/hooks/useProductImport
+ * @requires react
+ */
+
+import { useRef, useState } from "react";
+import { createProduct } from "@/app/api/productsApi";
+import { invalidateQueries } from "@/app/api/queryCache";
+import { productKeys } from "@/app/api/queryKeys";
+
+/**
+ * Resultado de una importación
+ *
+ * @typedef {Object} ImportResult
+ * @property {Array<{row: import('@/shared/utils/productImport').ImportRow, product: Object}>} created -
+ *           Filas creadas y el producto que devolvió la API
+ * @property {Array<{row: import('@/shared/utils/productImport').ImportRow, error: import('@/app/api/errors').ApiError}>} failed -
+ *           Filas que la API rechazó y el motivo
+ * @property {Array<import('@/shared/utils/productImport').ImportRow>} skipped -
+ *           Filas que no se enviaron porque la importación se detuvo
+ */
+
+/**
+ * Hook useProductImport - Crea productos en serie con progreso
+ *
+ * @function
+ * @returns {Object} Estado y funciones de la importación
+ * @returns {{done: number, total: number}|null} return.progress - Progreso de la importación
+ *          en curso, o null si no hay ninguna
+ * @returns {Function} return.run - Recibe las filas válidas y resuelve con un {@link ImportResult}
+ * @returns {Function} return.stop - Detiene la importación después del producto en curso
+ *
+ * @example
+ * const { progress, run, stop } = useProductImport();
+ * const result = await run(validRows);
+ */
+export const useProductImport = () => {
+	/** @type {[{done: number, total: number}|null, Function]} */
+	const [progress, setProgress] = useState(null);
+
+	/** Se activa para detener la importación en curso */
+	const stopRequestedRef = useRef(false);
+
+	/**
+	 * @async
+	 * @function
+	 * @param {Array<import('@/shared/utils/productImport').ImportRow>} rows - Filas a crear
+	 * @returns {Promise<ImportResult>}
+	 */
+	const run = async (rows) => {
+		const result = { created: [], failed: [], skipped: [] };
+		stopRequestedRef.current = false;
+
+		setProgress({ done: 0, total: rows.length });
+		for (const [index, row] of rows.entries()) {
+			if (stopRequestedRef.current) {
+				result.skipped = rows.slice(index);
+				break;
+			}
+			try {
+				const product = await createProduct(row.values, {
+					invalidate: false,
+				});
+				result.created.push({ row, product });
+			} catch (error) {
+				console.error(`Error importing row ${row.line}:`, error);
+				result.failed.push({ row, error });
+			}
+			setProgress({ done: index + 1, total: rows.length });
+		}
+		if (result.created.length > 0) invalidateQueries(productKeys.all);
+		setProgress(null);
+
+		return result;
+	};
+
+	/**
+	 * @function
+	 * @returns {void}
+	 */
+	const stop = () => {
+		stopRequestedRef.current = true;
+	};
+
+	return { progress, run, stop };
+};
@@ -0,0 +1,420 @@
+/**
+ * @fileoverview Vista de importación masiva de productos
+ *
+ * Asistente en cuatro pasos:
+ * 1. Elegir un archivo CSV o JSON
+ * 2. Asignar las columnas del archivo a los campos del producto
+ * 3. Revisar la vista previa, con los errores de validación de cada fila
+ * 4. Crear los productos válidos, con progreso, y descargar el informe de
+ *    los que no se importaron
+ *
+ * Las filas se validan con las mismas reglas que `ProductForm` y las
+ * categorías se reconocen por nombre o por ID.
+ *
+ * @module app/products/import/ImportProducts
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ * @requires react-router-dom
+ */
+
+import React, { useMemo, useState } from "react";
+import {
+	Alert,
+	Box,
+	Button,
+	Card,
+	CardContent,
+	LinearProgress,
+	Step,
+	StepLabel,
+	Stepper,
+	Typography,
+} from "@mui/material";
+import {
+	ArrowBack as ArrowBackIcon,
+	FileDownload as FileDownloadIcon,
+	UploadFile as UploadFileIcon,
+} from "@mui/icons-material";
+import { useNavigate } from "react-router-dom";
+import ImportColumnMapping from "../components/ImportColumnMapping";
+import ImportPreviewTable from "../components/ImportPreviewTable";
+import { useProductImport } from "../hooks/useProductImport";
+import LoadingSpinner from "@/shared/components/LoadingSpinner";
+import ErrorMessage from "@/shared/components/ErrorMessage";
+import { useCategories } from "@/shared/hooks/useCategories";
+import { getErrorDetails } from "@/shared/utils/apiErrors";
+import {
+	ACCEPTED_IMPORT_TYPES,
+	MAX_IMPORT_ROWS,
+	buildImportRows,
+	describeRowErrors,
+	downloadImportErrorReport,
+	guessColumnMapping,
+	isValidImportRow,
+	readImportFile,
+} from "@/shared/utils/productImport";
+import { useInventoryReturnPath } from "@/app/inventory/hooks/useInventoryReturnPath";
+
+/**
+ * Pasos del asistente
+ * @constant {string[]}
+ */
+const IMPORT_STEPS = ["Archivo", "Columnas", "Revisión", "Importación"];
+
+/**
+ * Compone "1 producto" / "N productos"
+ *
+ * @function
+ * @param {number} count - Cantidad
+ * @returns {string}
+ */
+const pluralizeProducts = (count) =>
+	count === 1 ? "1 producto" : `${count} productos`;
+
+/**
+ * Componente ImportProducts - Asistente de importación
+ *
+ * @component
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <Route path="/products/import" element={<ImportProducts />} />
+ */
+const ImportProducts = () => {
+	const navigate = useNavigate();
+	const { returnPath } = useInventoryReturnPath();
+	const { categories, loading, apiError, refreshCategories } = useCategories();
+	const { progress, run, stop } = useProductImport();
+
+	/** @type {[number, Function]} Paso actual (índice de IMPORT_STEPS) */
+	const [step, setStep] = useState(0);
+
+	/**
+	 * @type {[{name: string, columns: string[], records: Array<Object>, firstLine: number}|null, Function]}
+	 * Archivo leído
+	 */
+	const [file, setFile] = useState(null);
+
+	/** @type {[string|null, Function]} Motivo por el que no se pudo leer el archivo */
+	const [fileError, setFileError] = useState(null);
+
+	/** @type {[boolean, Function]} Hay un archivo arrastrándose sobre la zona de carga */
+	const [isDragging, setIsDragging] = useState(false);
+
+	/** @type {[Object<string, string|null>, Function]} Columna asignada a cada campo */
+	const [mapping, setMapping] = useState({});
+
+	/** @type {[import('../hooks/useProductImport').ImportResult|null, Function]} */
+	const [result, setResult] = useState(null);
+
+	const rows = useMemo(
+		() =>
+			file
+				? buildImportRows(file.records, mapping, categories, file.firstLine)
+				: [],
+		[file, mapping, categories],
+	);
+	const validRows = rows.filter(isValidImportRow);
+	const invalidRows = rows.filter((row) => !isValidImportRow(row));
+	const isMappingComplete = Object.values(mapping).every(Boolean);
+
+	/**
+	 * Lee el archivo elegido y propone la asignación de columnas
+	 *
+	 * @async
+	 * @function
+	 * @param {File|undefined} selected - Archivo elegido o soltado
+	 * @returns {Promise<void>}
+	 */
+	const handleFile = async (selected) => {
+		if (!selected) return;
+		setFileError(null);
+		try {
+			const data = await readImportFile(selected);
+			setFile({ name: selected.name, ...data });
+			setMapping(guessColumnMapping(data.columns));
+			setStep(1);
+		} catch (readError) {
+			console.error("Error reading import file:", readError);
+			setFileError(readError.message);
+		}
+	};
+
+	/**
+	 * Crea los productos válidos y pasa al resumen
+	 *
+	 * @async
+	 * @function
+	 * @returns {Promise<void>}
+	 */
+	const handleImport = async () => {
+		setStep(3);
+		setResult(await run(validRows));
+	};
+
+	/**
+	 * Descarga el informe con las filas inválidas y las que rechazó la API
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleDownloadReport = () => {
+		const entries = [
+			...invalidRows.map((row) => ({
+				row,
+				messages: describeRowErrors(row.errors),
+			})),
+			...(result?.failed ?? []).map(({ row, error }) => ({
+				row,
+				messages: [
+					Object.values(error?.fieldErrors ?? {})[0] ??
+						getErrorDetails(error).message,
+				],
+			})),
+			...(result?.skipped ?? []).map((row) => ({
+				row,
+				messages: ["Importación detenida antes de crear esta fila"],
+			})),
+		].sort((a, b) => a.row.line - b.row.line);
+		downloadImportErrorReport(entries, file.columns);
+	};
+
+	/**
+	 * Vuelve al primer paso para importar otro archivo
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleReset = () => {
+		setFile(null);
+		setMapping({});
+		setResult(null);
+		setStep(0);
+	};
+
+	if (loading) {
+		return <LoadingSpinner message="Cargando categorías..." />;
+	}
+
+	if (apiError) {
+		return (
+			<ErrorMessage
+				error={apiError}
+				onRetry={refreshCategories}
+				onBack={() => navigate(returnPath)}
+			/>
+		);
+	}
+
+	const failedCount =
+		invalidRows.length +
+		(result ? result.failed.length + result.skipped.length : 0);
+
+	return (
+		<Box>
+			<Typography variant="h4" sx={{ mb: 4, fontWeight: 700 }}>
+				Importar Productos
+			</Typography>
+
+			<Stepper activeStep={step} sx={{ mb: 3 }}>
+				{IMPORT_STEPS.map((label) => (
+					<Step key={label}>
+						<StepLabel>{label}</StepLabel>
+					</Step>
+				))}
+			</Stepper>
+
+			<Card>
+				<CardContent sx={{ p: 4 }}>
+					{step === 0 && (
+						<Box>
+							<Box
+								onDragOver={(e) => {
+									e.preventDefault();
+									setIsDragging(true);
+								}}
+								onDragLeave={() => setIsDragging(false)}
+								onDrop={(e) => {
+									e.preventDefault();
+									setIsDragging(false);
+									handleFile(e.dataTransfer.files[0]);
+								}}
+								sx={{
+									p: 5,
+									textAlign: "center",
+									border: "2px dashed",
+									borderColor: isDragging ? "primary.main" : "divider",
+									borderRadius: 2,
+									backgroundColor: isDragging ? "action.hover" : "transparent",
+								}}>
+								<UploadFileIcon
+									sx={{ fontSize: 48, color: "text.secondary", mb: 1 }}
+								/>
+								<Typography sx={{ mb: 2 }}>
+									Arrastra aquí un archivo CSV o JSON
+								</Typography>
+								<Button variant="contained" component="label">
+									Elegir archivo
+									<input
+										hidden
+										type="file"
+										accept={ACCEPTED_IMPORT_TYPES}
+										onChange={(e) => {
+											handleFile(e.target.files[0]);
+											e.target.value = "";
+										}}
+									/>
+								</Button>
+							</Box>
+							<Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+								Cada fila debe tener título, precio, descripción, categoría
+								(nombre o ID) e imágenes (URLs separadas por "|"). Hasta{" "}
+								{MAX_IMPORT_ROWS} filas por archivo. Un archivo exportado desde
+								el inventario se puede importar tal cual.
+							</Typography>
+							{fileError && (
+								<Alert severity="error" sx={{ mt: 2 }}>
+									{fileError}
+								</Alert>
+							)}
+						</Box>
+					)}
+
+					{step === 1 && (
+						<Box>
+							<Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+								{file.name}: {pluralizeProducts(file.records.length)}. Elige qué
+								columna del archivo corresponde a cada campo.
+							</Typography>
+							<ImportColumnMapping
+								columns={file.columns}
+								mapping={mapping}
+								sample={file.records[0]}
+								onChange={(field, column) =>
+									setMapping((prev) => ({ ...prev, [field]: column }))
+								}
+							/>
+						</Box>
+					)}
+
+					{step === 2 && (
+						<Box>
+							<Alert
+								severity={invalidRows.length > 0 ? "warning" : "success"}
+								sx={{ mb: 2 }}>
+								{pluralizeProducts(validRows.length)} listos para importar
+								{invalidRows.length > 0 &&
+									`; ${invalidRows.length} con errores que no se importarán`}
+								.
+							</Alert>
+							<ImportPreviewTable rows={rows} />
+						</Box>
+					)}
+
+					{step === 3 && progress && (
+						<Box>
+							<Typography sx={{ mb: 1 }}>
+								Creando productos: {progress.done} de {progress.total}
+							</Typography>
+							<LinearProgress
+								variant="determinate"
+								value={(progress.done / progress.total) * 100}
+								sx={{ borderRadius: 1 }}
+							/>
+						</Box>
+					)}
+
+					{step === 3 && result && (
+						<Box>
+							<Alert
+								severity={failedCount > 0 ? "warning" : "success"}
+								sx={{ mb: 2 }}>
+								{result.created.length === 1
+									? "Se creó 1 producto"
+									: `Se crearon ${result.created.length} productos`}
+								{failedCount > 0 &&
+									`; ${pluralizeProducts(failedCount)} sin importar`}
+								.
+							</Alert>
+							{failedCount > 0 && (
+								<Typography variant="body2" color="text.secondary">
+									Descarga el informe de errores para corregir esas filas y
+									volver a importarlas.
+								</Typography>
+							)}
+						</Box>
+					)}
+
+					<Box
+						sx={{
+							display: "flex",
+							gap: 2,
+							justifyContent: "flex-end",
+							mt: 4,
+						}}>
+						{step < 3 && (
+							<Button
+								variant="outlined"
+								startIcon={<ArrowBackIcon />}
+								onClick={() =>
+									step === 0 ? navigate(returnPath) : setStep(step - 1)
+								}>
+								{step === 0 ? "Cancelar" : "Atrás"}
+							</Button>
+						)}
+						{step === 1 && (
+							<Button
+								variant="contained"
+								onClick={() => setStep(2)}
+								disabled={!isMappingComplete}>
+								Siguiente
+							</Button>
+						)}
+						{step === 2 && invalidRows.length > 0 && (
+							<Button
+								startIcon={<FileDownloadIcon />}
+								onClick={handleDownloadReport}>
+								Descargar errores
+							</Button>
+						)}
+						{step === 2 && (
+							<Button
+								variant="contained"
+								onClick={handleImport}
+								disabled={validRows.length === 0}>
+								Importar {pluralizeProducts(validRows.length)}
+							</Button>
+						)}
+						{step === 3 && progress && (
+							<Button color="error" onClick={stop}>
+								Detener
+							</Button>
+						)}
+						{step === 3 && result && failedCount > 0 && (
+							<Button
+								startIcon={<FileDownloadIcon />}
+								onClick={handleDownloadReport}>
+								Descargar informe de errores
+							</Button>
+						)}
+						{step === 3 && result && (
+							<>
+								<Button variant="outlined" onClick={handleReset}>
+									Importar otro archivo
+								</Button>
+								<Button
+									variant="contained"
+									onClick={() => navigate(returnPath)}>
+									Ir al inventario
+								</Button>
+							</>
+						)}
+					</Box>
+				</CardContent>
+			</Card>
+		</Box>
+	);
+};
+
+export default ImportProducts;
@@ -2,73 +2,83 @@
  * Product create view
  * @module views/ProductCreate
  */
-import React, { useState } from "react";
-import { Box, Typography, Snackbar, Alert } from "@mui/material";
-import { useNavigate } from "react-router-dom";
+import React from "react";
+import { Box, Typography } from "@mui/material";
+import { useLocation, useNavigate } from "react-router-dom";
 import ProductForm from "@/shared/components/ProductForm";
-import { createProduct } from "@/app/api/productsApi";
+import { createProductOptimistic } from "@/app/api/productMutations";
+import {
+	getErrorDetails,
+	getErrorMessage,
+	isRetryableError,
+} from "@/shared/utils/apiErrors";
+import { notify } from "@/shared/utils/notifications";
+import { toInitialData } from "@/shared/utils/productForm";
+import { useInventoryReturnPath } from "@/app/inventory/hooks/useInventoryReturnPath";
 
 /**
  * Vista para la creación de nuevos productos.
- * Utiliza Material UI para el diseño y gestiona el estado de envío y notificaciones.
+ * La creación es optimista: el producto aparece en el inventario al instante
+ * y, si el servidor la rechaza, se deshace y se avisa con una notificación
+ * global que permite reintentar o volver al formulario con lo escrito.
  * * @component
  * @returns {JSX.Element} El componente de la vista de creación.
  */
 const ProductCreate = () => {
 	const navigate = useNavigate();
+	const location = useLocation();
+	const { returnPath, returnState } = useInventoryReturnPath();
 
-	/** @type {[boolean, function]} Estado de carga durante el envío */
-	const [isSubmitting, setIsSubmitting] = useState(false);
+	/**
+	 * Borrador y errores del servidor cuando se vuelve desde una notificación
+	 * @type {{draft?: Object, serverErrors?: Object<string, string>}}
+	 */
+	const { draft, serverErrors } = location.state ?? {};
 
-	/** * Estado para el manejo de notificaciones (Snackbar)
-	 * @type {[{open: boolean, message: string, severity: 'success' | 'error'}, function]}
+	/**
+	 * Crea el producto y notifica el resultado cuando responde el servidor.
+	 * * @param {Object} data - Los datos del formulario del producto.
+	 * @returns {void}
 	 */
-	const [snackbar, setSnackbar] = useState({
-		open: false,
-		message: "",
-		severity: "success",
-	});
+	const createWithFeedback = (data) => {
+		createProductOptimistic(data).then(
+			() => notify({ message: "Producto creado correctamente" }),
+			(error) => {
+				console.error("Error creating product:", error);
+				notify({
+					message: getErrorMessage(error, `No se pudo crear "${data.title}"`),
+					severity: getErrorDetails(error).severity,
+					autoHideDuration: null,
+					action: isRetryableError(error)
+						? { label: "Reintentar", onClick: () => createWithFeedback(data) }
+						: {
+								label: "Revisar",
+								onClick: () =>
+									navigate("/products/new", {
+										state: {
+											...returnState,
+											draft: data,
+											serverErrors: error.fieldErrors,
+										},
+									}),
+							},
+				});
+			},
+		);
+	};
 
 	/**
 	 * Maneja el envío del formulario para crear un producto.
+	 * Vuelve al inventario, tal como se dejó, sin esperar al servidor.
 	 * * @param {Object} data - Los datos del formulario del producto.
 	 * @param {string} data.name - Nombre del producto.
 	 * @param {number} data.price - Precio del producto.
 	 * @param {string} [data.description] - Descripción opcional.
-	 * @async
-	 * @returns {Promise<void>}
+	 * @returns {void}
 	 */
-	const handleSubmit = async (data) => {
-		setIsSubmitting(true);
-		try {
-			await createProduct(data);
-			setSnackbar({
-				open: true,
-				message: "Producto creado correctamente",
-				severity: "success",
-			});
-
-			// Redirección tras éxito
-			setTimeout(() => {
-				navigate("/inventory");
-			}, 1500);
-		} catch (error) {
-			console.error("Error creating product:", error);
-			setSnackbar({
-				open: true,
-				message: "Error al crear el producto",
-				severity: "error",
-			});
-		} finally {
-			setIsSubmitting(false);
-		}
-	};
-
-	/**
-	 * Cierra la notificación de Snackbar.
-	 */
-	const handleCloseSnackbar = () => {
-		setSnackbar((prev) => ({ ...prev, open: false }));
+	const handleSubmit = (data) => {
+		createWithFeedback(data);
+		navigate(returnPath);
 	};
 
 	return (
@@ -78,24 +88,13 @@ const ProductCreate = () => {
 			</Typography>
 
 			<ProductForm
+				key={location.key}
+				initialData={draft ? toInitialData(draft) : undefined}
 				onSubmit={handleSubmit}
-				onCancel={() => navigate("/inventory")}
-				isSubmitting={isSubmitting}
+				onCancel={() => navigate(returnPath)}
+				isSubmitting={false}
+				serverErrors={serverErrors ?? null}
 			/>
-
-			<Snackbar
-				open={snackbar.open}
-				autoHideDuration={4000}
-				onClose={handleCloseSnackbar}
-				anchorOrigin={{ vertical: "bottom", horizontal: "right" }}>
-				<Alert
-					onClose={handleCloseSnackbar}
-					severity={snackbar.severity}
-					variant="filled"
-					sx={{ width: "100%" }}>
-					{snackbar.message}
-				</Alert>
-			</Snackbar>
 		</Box>
 	);
 };
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Vista de la papelera de productos
+ *
+ * Lista los últimos productos eliminados (los guarda
+ * {@link module:app/api/productTrash}) y permite restaurarlos o quitarlos
+ * de la papelera. Restaurar vuelve a crear el producto con sus datos e
+ * imágenes originales, por lo que recibe un ID nuevo. Si su categoría se
+ * eliminó entretanto, se pide otra antes de restaurarlo.
+ *
+ * @module app/products/trash/ProductTrash
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ * @requires sweetalert2
+ */
+
+import React, { useState, useSyncExternalStore } from "react";
+import {
+	Avatar,
+	Box,
+	Button,
+	Chip,
+	CircularProgress,
+	IconButton,
+	Paper,
+	Table,
+	TableBody,
+	TableCell,
+	TableContainer,
+	TableHead,
+	TableRow,
+	Tooltip,
+	Typography,
+} from "@mui/material";
+import {
+	DeleteForever as DeleteForeverIcon,
+	DeleteSweep as DeleteSweepIcon,
+	RestoreFromTrash as RestoreFromTrashIcon,
+} from "@mui/icons-material";
+import Swal from "sweetalert2";
+import { useAuth } from "@/app/auth/hooks/useAuth";
+import { PERMISSIONS } from "@/app/auth/permissions";
+import {
+	clearTrash,
+	getTrashState,
+	removeFromTrash,
+	restoreFromTrash,
+	subscribeTrash,
+} from "@/app/api/productTrash";
+import { useCategories } from "@/shared/hooks/useCategories";
+import {
+	getErrorDetails,
+	getErrorMessage,
+	isRetryableError,
+} from "@/shared/utils/apiErrors";
+import {
+	formatCurrency,
+	formatDate,
+	getPlaceholderImage,
+	truncateText,
+} from "@/shared/utils/formatters";
+import { notify } from "@/shared/utils/notifications";
+
+/**
+ * Componente ProductTrash - Productos eliminados recientemente
+ *
+ * @component
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <Route path="/products/trash" element={<ProductTrash />} />
+ */
+const ProductTrash = () => {
+	const { can } = useAuth();
+	const { entries } = useSyncExternalStore(subscribeTrash, getTrashState);
+	const { categories } = useCategories();
+
+	/** @type {[Set<number>, Function]} IDs originales de los productos que se están restaurando */
+	const [restoringIds, setRestoringIds] = useState(() => new Set());
+
+	const canRestore = can(PERMISSIONS.CREATE_PRODUCT);
+
+	/**
+	 * Marca o desmarca un producto como "restaurando"
+	 *
+	 * @function
+	 * @param {number} id - ID original del producto
+	 * @param {boolean} restoring
+	 * @returns {void}
+	 */
+	const setRestoring = (id, restoring) => {
+		setRestoringIds((prev) => {
+			const next = new Set(prev);
+			if (restoring) {
+				next.add(id);
+			} else {
+				next.delete(id);
+			}
+			return next;
+		});
+	};
+
+	/**
+	 * Indica si la categoría de un producto de la papelera ya no existe
+	 *
+	 * Mientras no se conocen las categorías se da por buena.
+	 *
+	 * @function
+	 * @param {Object} product - Producto de la papelera
+	 * @returns {boolean}
+	 */
+	const hasMissingCategory = (product) =>
+		categories.length > 0 &&
+		!categories.some((category) => category.id === product.category?.id);
+
+	/**
+	 * Pide la categoría con la que restaurar un producto cuya categoría ya no existe
+	 *
+	 * @async
+	 * @function
+	 * @param {Object} product - Producto de la papelera
+	 * @returns {Promise<number|null>} ID elegido, o null si se cancela
+	 */
+	const pickCategory = async (product) => {
+		const result = await Swal.fire({
+			title: "La categoría ya no existe",
+			text: product.category
+				? `"${product.title}" estaba en "${product.category.name}", que se eliminó. Elige con qué categoría restaurarlo.`
+				: `Elige con qué categoría restaurar "${product.title}".`,
+			icon: "warning",
+			input: "select",
+			inputOptions: Object.fromEntries(
+				categories.map((category) => [category.id, category.name]),
+			),
+			inputPlaceholder: "Seleccionar categoría",
+			inputValidator: (value) => (value ? undefined : "Elige una categoría"),
+			showCancelButton: true,
+			cancelButtonColor: "#64748b",
+			confirmButtonText: "Restaurar",
+			cancelButtonText: "Cancelar",
+		});
+		return result.isConfirmed ? Number(result.value) : null;
+	};
+
+	/**
+	 * Restaura un producto y notifica el resultado
+	 *
+	 * El aviso es global: el resultado se ve aunque el usuario haya salido
+	 * de la papelera mientras respondía el servidor.
+	 *
+	 * @async
+	 * @function
+	 * @param {import('@/app/api/productTrash').TrashEntry} entry - Producto de la papelera
+	 * @param {number} [categoryId] - Categoría con la que restaurarlo; por defecto la original
+	 * @returns {Promise<void>}
+	 */
+	const restore = async (entry, categoryId) => {
+		const { product } = entry;
+		setRestoring(product.id, true);
+		try {
+			const created = await restoreFromTrash(entry, { categoryId });
+			notify({
+				message: `"${product.title}" restaurado con el ID ${created.id}`,
+			});
+		} catch (restoreError) {
+			console.error("Error restoring product:", restoreError);
+			notify({
+				message: getErrorMessage(
+					restoreError,
+					`No se pudo restaurar "${product.title}"`,
+				),
+				severity: getErrorDetails(restoreError).severity,
+				autoHideDuration: null,
+				action: isRetryableError(restoreError)
+					? {
+							label: "Reintentar",
+							onClick: () => restore(entry, categoryId),
+						}
+					: undefined,
+			});
+		} finally {
+			setRestoring(product.id, false);
+		}
+	};
+
+	/**
+	 * Restaura un producto, eligiendo antes otra categoría si la suya ya no existe
+	 *
+	 * @async
+	 * @function
+	 * @param {import('@/app/api/productTrash').TrashEntry} entry - Producto de la papelera
+	 * @returns {Promise<void>}
+	 */
+	const handleRestore = async (entry) => {
+		if (!hasMissingCategory(entry.product)) {
+			await restore(entry);
+			return;
+		}
+		const categoryId = await pickCategory(entry.product);
+		if (categoryId != null) await restore(entry, categoryId);
+	};
+
+	/**
+	 * Quita un producto de la papelera con confirmación del usuario
+	 *
+	 * @async
+	 * @function
+	 * @param {import('@/app/api/productTrash').TrashEntry} entry - Producto de la papelera
+	 * @returns {Promise<void>}
+	 */
+	const handleRemove = async ({ product }) => {
+		const result = await Swal.fire({
+			title: "¿Quitar de la papelera?",
+			text: `Ya no se podrá restaurar "${product.title}".`,
+			icon: "warning",
+			showCancelButton: true,
+			confirmButtonColor: "#d32f2f",
+			cancelButtonColor: "#64748b",
+			confirmButtonText: "Sí, eliminar",
+			cancelButtonText: "Cancelar",
+		});
+
+		if (result.isConfirmed) {
+			removeFromTrash(product.id);
+		}
+	};
+
+	/**
+	 * Vacía la papelera con confirmación del usuario
+	 *
+	 * @async
+	 * @function
+	 * @returns {Promise<void>}
+	 */
+	const handleClear = async () => {
+		const result = await Swal.fire({
+			title: "¿Vaciar la papelera?",
+			text:
+				entries.length === 1
+					? "El producto ya no se podrá restaurar."
+					: `Los ${entries.length} productos ya no se podrán restaurar.`,
+			icon: "warning",
+			showCancelButton: true,
+			confirmButtonColor: "#d32f2f",
+			cancelButtonColor: "#64748b",
+			confirmButtonText: "Sí, eliminar",
+			cancelButtonText: "Cancelar",
+		});
+
+		if (result.isConfirmed) {
+			clearTrash();
+		}
+	};
+
+	return (
+		<Box>
+			<Box
+				sx={{
+					display: "flex",
+					justifyContent: "space-between",
+					alignItems: "center",
+					flexWrap: "wrap",
+					gap: 2,
+					mb: 3,
+				}}>
+				<Box>
+					<Typography variant="h4" sx={{ fontWeight: 700 }}>
+						Papelera
+					</Typography>
+					<Typography variant="body2" color="text.secondary">
+						Últimos productos eliminados. Al restaurar uno se vuelve a crear con
+						sus datos e imágenes, con un ID nuevo.
+					</Typography>
+				</Box>
+				<Button
+					variant="outlined"
+					color="error"
+					startIcon={<DeleteSweepIcon />}
+					disabled={entries.length === 0 || restoringIds.size > 0}
+					onClick={handleClear}>
+					Vaciar papelera
+				</Button>
+			</Box>
+
+			<Paper sx={{ width: "100%", overflow: "hidden" }}>
+				<TableContainer>
+					<Table>
+						<TableHead>
+							<TableRow>
+								<TableCell>Producto</TableCell>
+								<TableCell>Categoría</TableCell>
+								<TableCell align="right">Precio</TableCell>
+								<TableCell>Eliminado</TableCell>
+								<TableCell align="center">Acciones</TableCell>
+							</TableRow>
+						</TableHead>
+						<TableBody>
+							{entries.length === 0 ? (
+								<TableRow>
+									<TableCell colSpan={5} align="center" sx={{ py: 8 }}>
+										<Typography color="text.secondary">
+											La papelera está vacía
+										</Typography>
+									</TableCell>
+								</TableRow>
+							) : (
+								entries.map((entry) => {
+									const { product } = entry;
+									const restoring = restoringIds.has(product.id);
+									return (
+										<TableRow key={product.id} hover>
+											<TableCell>
+												<Box
+													sx={{
+														display: "flex",
+														alignItems: "center",
+														gap: 2,
+													}}>
+													<Avatar
+														variant="rounded"
+														src={product.images[0] || getPlaceholderImage()}
+														alt={product.title}
+														sx={{ width: 50, height: 50 }}
+													/>
+													<Box sx={{ minWidth: 0 }}>
+														<Typography
+															variant="body2"
+															sx={{ fontWeight: 600 }}>
+															{truncateText(product.title, 40)}
+														</Typography>
+														<Typography
+															variant="caption"
+															color="text.secondary">
+															ID original: {product.id}
+														</Typography>
+													</Box>
+												</Box>
+											</TableCell>
+											<TableCell>
+												<Chip
+													label={
+														hasMissingCategory(product)
+															? `${product.category?.name || "Sin categoría"} (eliminada)`
+															: product.category?.name || "Sin categoría"
+													}
+													color={
+														hasMissingCategory(product) ? "warning" : "default"
+													}
+													size="small"
+												/>
+											</TableCell>
+											<TableCell align="right">
+												<Typography variant="body2" sx={{ fontWeight: 700 }}>
+													{formatCurrency(product.price)}
+												</Typography>
+											</TableCell>
+											<TableCell>
+												<Typography variant="body2" color="text.secondary">
+													{formatDate(entry.deletedAt, "DD/MM/YYYY HH:mm")}
+												</Typography>
+											</TableCell>
+											<TableCell align="center">
+												<Box
+													sx={{
+														display: "flex",
+														justifyContent: "center",
+														gap: 0.5,
+													}}>
+													{canRestore && (
+														<Tooltip title="Restaurar">
+															<span>
+																<IconButton
+																	size="small"
+																	onClick={() => handleRestore(entry)}
+																	disabled={restoring}
+																	sx={{ color: "primary.main" }}>
+																	{restoring ? (
+																		<CircularProgress size={20} />
+																	) : (
+																		<RestoreFromTrashIcon fontSize="small" />
+																	)}
+																</IconButton>
+															</span>
+														</Tooltip>
+													)}
+													<Tooltip title="Quitar de la papelera">
+														<span>
+															<IconButton
+																size="small"
+																onClick={() => handleRemove(entry)}
+																disabled={restoring}
+																sx={{ color: "error.main" }}>
+																<DeleteForeverIcon fontSize="small" />
+															</IconButton>
+														</span>
+													</Tooltip>
+												</Box>
+											</TableCell>
+										</TableRow>
+									);
+								})
+							)}
+						</TableBody>
+					</Table>
+				</TableContainer>
+			</Paper>
+		</Box>
+	);
+};
+
+export default ProductTrash;
@@ -0,0 +1,97 @@
+/**
+ * @module components/shell/DataSourceSelector
+ *
+ * @description Selector de la fuente de datos activa (API remota o catálogo local),
+ * pensado para el pie del cajón de navegación.
+ */
+
+import { useState } from "react";
+import {
+	Box,
+	IconButton,
+	MenuItem,
+	TextField,
+	Tooltip,
+} from "@mui/material";
+import { RestartAlt as RestartAltIcon } from "@mui/icons-material";
+import {
+	DATA_SOURCES,
+	DATA_SOURCE_LABELS,
+	getDataSource,
+	setDataSource,
+} from "@/app/api/dataSource";
+import { resetLocalCatalog } from "@/app/api/adapters/localAdapter";
+import { clearSession } from "@/app/api/authSession";
+import { flushPendingDeletes } from "@/app/api/productTrash";
+
+/**
+ * Componente DataSourceSelector
+ *
+ * @component
+ * @description Permite cambiar en caliente la fuente de datos. Como los datos ya
+ * cargados pertenecen a la fuente anterior, el cambio recarga la aplicación.
+ * La sesión también se cierra, porque los tokens solo valen en la fuente que los emitió.
+ * Antes se envían las eliminaciones pendientes de deshacer, para que lleguen a la
+ * fuente (y con la sesión) de la que salieron.
+ * Con la fuente local activa ofrece además restablecer el catálogo semilla.
+ *
+ * @returns {React.ReactElement} Selector de fuente de datos
+ */
+const DataSourceSelector = () => {
+	const [source, setSource] = useState(getDataSource);
+
+	/**
+	 * Persiste la nueva fuente, cierra la sesión y recarga la aplicación
+	 * @async
+	 * @function handleChange
+	 * @param {React.ChangeEvent<HTMLInputElement>} e - Evento del selector
+	 * @returns {Promise<void>}
+	 */
+	const handleChange = async (e) => {
+		const nextSource = e.target.value;
+		setSource(nextSource);
+		await flushPendingDeletes();
+		setDataSource(nextSource);
+		clearSession();
+		window.location.reload();
+	};
+
+	/**
+	 * Restablece el catálogo local a los datos semilla y recarga
+	 * @async
+	 * @function handleReset
+	 * @returns {Promise<void>}
+	 */
+	const handleReset = async () => {
+		await flushPendingDeletes();
+		resetLocalCatalog();
+		window.location.reload();
+	};
+
+	return (
+		<Box sx={{ p: 2, display: "flex", alignItems: "center", gap: 1 }}>
+			<TextField
+				select
+				fullWidth
+				size="small"
+				label="Fuente de datos"
+				value={source}
+				onChange={handleChange}>
+				{Object.values(DATA_SOURCES).map((value) => (
+					<MenuItem key={value} value={value}>
+						{DATA_SOURCE_LABELS[value]}
+					</MenuItem>
+				))}
+			</TextField>
+			{source === DATA_SOURCES.LOCAL && (
+				<Tooltip title="Restablecer datos de ejemplo">
+					<IconButton size="small" onClick={handleReset}>
+						<RestartAltIcon fontSize="small" />
+					</IconButton>
+				</Tooltip>
+			)}
+		</Box>
+	);
+};
+
+export default DataSourceSelector;
@@ -31,7 +31,14 @@ import {
 	Dashboard as DashboardIcon,
 	Inventory as InventoryIcon,
 	AddBox as AddBoxIcon,
+	Category as CategoryIcon,
+	DeleteOutline as DeleteOutlineIcon,
 } from "@mui/icons-material";
+import DataSourceSelector from "./DataSourceSelector";
+import UserMenu from "./UserMenu";
+import { useAuth } from "@/app/auth/hooks/useAuth";
+import { PERMISSIONS } from "@/app/auth/permissions";
+import NotificationCenter from "@/shared/components/NotificationCenter";
 
 /** @constant {number} drawerWidth - Ancho del cajón de la barra lateral en píxeles */
 const drawerWidth = 260;
@@ -41,11 +48,29 @@ const drawerWidth = 260;
  * @property {string} text - Nombre mostrado del elemento de navegación
  * @property {React.ReactElement} icon - Componente de icono MUI para el elemento de navegación
  * @property {string} path - Ruta a navegar cuando se hace clic
+ * @property {string} [permission] - Permiso necesario para mostrar el elemento
  */
 const navItems = [
 	{ text: "Dashboard", icon: <DashboardIcon />, path: "/" },
 	{ text: "Inventario", icon: <InventoryIcon />, path: "/inventory" },
-	{ text: "Nuevo Producto", icon: <AddBoxIcon />, path: "/products/new" },
+	{
+		text: "Nuevo Producto",
+		icon: <AddBoxIcon />,
+		path: "/products/new",
+		permission: PERMISSIONS.CREATE_PRODUCT,
+	},
+	{
+		text: "Categorías",
+		icon: <CategoryIcon />,
+		path: "/categories",
+		permission: PERMISSIONS.MANAGE_CATEGORIES,
+	},
+	{
+		text: "Papelera",
+		icon: <DeleteOutlineIcon />,
+		path: "/products/trash",
+		permission: PERMISSIONS.DELETE_PRODUCT,
+	},
 ];
 
 /**
@@ -58,8 +83,11 @@ const navItems = [
  * Características:
  * - AppBar fija con alternancia de menú para dispositivos móviles
  * - Cajón receptivo (temporal en móvil, permanente en escritorio)
- * - Navegación con resaltado de ruta activa
+ * - Navegación con resaltado de ruta activa, filtrada según el rol del usuario
  * - Título de página dinámico basado en la ruta actual
+ * - Menú del usuario en sesión (perfil y cierre de sesión) en la AppBar
+ * - Selector de fuente de datos al pie del cajón
+ * - Notificaciones globales (resultado de mutaciones que terminan tras cambiar de vista)
  *
  * @returns {React.ReactElement} Envoltura de Layout con AppBar, Drawer y salida de contenido
  *
@@ -77,6 +105,12 @@ const Layout = () => {
 	const [mobileOpen, setMobileOpen] = useState(false);
 	const navigate = useNavigate();
 	const location = useLocation();
+	const { can } = useAuth();
+
+	/** @type {Array<Object>} Elementos de navegación permitidos al usuario */
+	const visibleNavItems = navItems.filter(
+		(item) => !item.permission || can(item.permission),
+	);
 
 	/**
 	 * Alterna el estado abierto/cerrado del cajón móvil
@@ -130,7 +164,7 @@ const Layout = () => {
 			</Box>
 
 			<List sx={{ flex: 1, pt: 2 }}>
-				{navItems.map((item) => (
+				{visibleNavItems.map((item) => (
 					<ListItem key={item.text} disablePadding sx={{ px: 2, mb: 0.5 }}>
 						<ListItemButton
 							onClick={() => handleNavigation(item.path)}
@@ -165,6 +199,10 @@ const Layout = () => {
 					</ListItem>
 				))}
 			</List>
+
+			<Box sx={{ borderTop: "1px solid", borderColor: "divider" }}>
+				<DataSourceSelector />
+			</Box>
 		</Box>
 	);
 
@@ -209,6 +247,9 @@ const Layout = () => {
 						{navItems.find((item) => item.path === location.pathname)?.text ||
 							"Baul"}
 					</Typography>
+
+					<Box sx={{ flexGrow: 1 }} />
+					<UserMenu />
 				</Toolbar>
 			</AppBar>
 
@@ -271,6 +312,8 @@ const Layout = () => {
 				}}>
 				<Outlet />
 			</Box>
+
+			<NotificationCenter />
 		</Box>
 	);
 };
@@ -0,0 +1,100 @@
+/**
+ * @module components/shell/UserMenu
+ *
+ * @description Menú del usuario autenticado para la AppBar: avatar y nombre, con
+ * los datos de la cuenta y la opción de cerrar sesión.
+ */
+
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+	Avatar,
+	Box,
+	Button,
+	Chip,
+	Divider,
+	ListItemIcon,
+	Menu,
+	MenuItem,
+	Typography,
+} from "@mui/material";
+import { Logout as LogoutIcon } from "@mui/icons-material";
+import { useAuth } from "@/app/auth/hooks/useAuth";
+import { ROLE_LABELS } from "@/app/auth/permissions";
+
+/**
+ * Componente UserMenu
+ *
+ * @component
+ * @description Muestra el perfil del usuario en sesión. Al cerrar sesión se
+ * descartan los datos en caché y se vuelve a la pantalla de inicio de sesión.
+ *
+ * @returns {React.ReactElement|null} Botón de perfil con su menú, o null sin usuario
+ */
+const UserMenu = () => {
+	const navigate = useNavigate();
+	const { user, role, logout } = useAuth();
+	const [anchorEl, setAnchorEl] = useState(null);
+
+	if (!user) return null;
+
+	/**
+	 * Cierra la sesión y navega al inicio de sesión
+	 * @function handleLogout
+	 * @returns {void}
+	 */
+	const handleLogout = () => {
+		setAnchorEl(null);
+		logout();
+		navigate("/login", { replace: true });
+	};
+
+	return (
+		<>
+			<Button
+				color="inherit"
+				onClick={(e) => setAnchorEl(e.currentTarget)}
+				aria-haspopup="true"
+				aria-controls={anchorEl ? "user-menu" : undefined}
+				sx={{ textTransform: "none", gap: 1 }}>
+				<Avatar src={user.avatar} alt={user.name} sx={{ width: 32, height: 32 }}>
+					{user.name?.[0]?.toUpperCase()}
+				</Avatar>
+				<Typography
+					variant="body2"
+					noWrap
+					sx={{ fontWeight: 500, display: { xs: "none", sm: "block" } }}>
+					{user.name}
+				</Typography>
+			</Button>
+			<Menu
+				id="user-menu"
+				anchorEl={anchorEl}
+				open={Boolean(anchorEl)}
+				onClose={() => setAnchorEl(null)}
+				anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+				transformOrigin={{ vertical: "top", horizontal: "right" }}>
+				<Box sx={{ px: 2, py: 1, minWidth: 220 }}>
+					<Typography variant="body2" sx={{ fontWeight: 600 }}>
+						{user.name}
+					</Typography>
+					<Typography variant="caption" color="text.secondary">
+						{user.email}
+					</Typography>
+					<Box sx={{ mt: 1 }}>
+						<Chip label={ROLE_LABELS[role]} size="small" variant="outlined" />
+					</Box>
+				</Box>
+				<Divider />
+				<MenuItem onClick={handleLogout}>
+					<ListItemIcon>
+						<LogoutIcon fontSize="small" />
+					</ListItemIcon>
+					Cerrar sesión
+				</MenuItem>
+			</Menu>
+		</>
+	);
+};
+
+export default UserMenu;
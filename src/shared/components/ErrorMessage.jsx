@@ -3,9 +3,10 @@
  *
  * Muestra un mensaje de error formateado con:
  * - Alerta visual con icono de error
- * - Título descriptivo
- * - Mensaje de error personalizado
- * - Botón de reintento opcional
+ * - Título descriptivo según el tipo de error de la API
+ * - Mensaje de error personalizado o propio del tipo
+ * - Botón de reintento (solo si el error admite reintento)
+ * - Botón de volver opcional
  *
  * @module shared/components/ErrorMessage
  * @requires react
@@ -15,22 +16,32 @@
 
 import React from "react";
 import { Alert, AlertTitle, Button, Box } from "@mui/material";
-import { Refresh as RefreshIcon } from "@mui/icons-material";
+import {
+	Refresh as RefreshIcon,
+	ArrowBack as ArrowBackIcon,
+} from "@mui/icons-material";
+import { getErrorDetails } from "@/shared/utils/apiErrors";
 
 /**
- * Componente ErrorMessage - Muestra mensajes de error con opción de reintento
+ * Componente ErrorMessage - Muestra mensajes de error con acciones según su tipo
  *
  * Proporciona una interfaz de error consistente y accesible que incluye:
- * - Alerta visual con estilo de error
- * - Título fijo "Error"
+ * - Alerta visual con estilo de error (o advertencia para "no encontrado" y conflictos)
+ * - Título según el tipo de error ("Sin conexión", "No encontrado", etc.)
  * - Mensaje de error personalizable
- * - Botón de reintento opcional
+ * - Botón de reintento, ocultado cuando reintentar no puede resolver el error
+ * - Botón para volver a otra vista
  *
  * @component
  * @param {Object} props - Propiedades del componente
- * @param {string} props.message - Texto del mensaje de error a mostrar
+ * @param {import('@/app/api/errors').ApiError|Error|string} [props.error] - Error a describir.
+ *                                      Determina título, severidad y si se ofrece reintento
+ * @param {string} [props.message] - Texto del mensaje de error a mostrar.
+ *                                    Si se omite se usa la explicación del tipo de error
  * @param {Function} [props.onRetry] - Callback opcional para el botón de reintento.
  *                                      Si se proporciona, mostrará el botón "Reintentar"
+ * @param {Function} [props.onBack] - Callback opcional para el botón de volver
+ * @param {string} [props.backLabel='Volver'] - Texto del botón de volver
  *
  * @returns {React.ReactElement} Componente de alerta de error renderizado
  *
@@ -44,28 +55,58 @@ import { Refresh as RefreshIcon } from "@mui/icons-material";
  *   message="Fallo la conexión con el servidor"
  *   onRetry={() => fetchData()}
  * />
+ *
+ * @example
+ * // Error tipado: un 404 solo muestra "Volver al inventario"
+ * <ErrorMessage
+ *   error={error}
+ *   onRetry={reload}
+ *   onBack={() => navigate("/inventory")}
+ *   backLabel="Volver al inventario"
+ * />
  */
-const ErrorMessage = ({ message, onRetry }) => {
+const ErrorMessage = ({
+	error,
+	message,
+	onRetry,
+	onBack,
+	backLabel = "Volver",
+}) => {
+	const details = getErrorDetails(error ?? message);
+	const showRetry = onRetry && (!error || details.retryable);
+
 	return (
 		<Box sx={{ py: 4 }}>
 			<Alert
-				severity="error"
+				severity={details.severity}
 				sx={{
 					borderRadius: 2,
 					"& .MuiAlert-message": { width: "100%" },
 				}}>
-				<AlertTitle sx={{ fontWeight: 600 }}>Error</AlertTitle>
-				{message}
-				{onRetry && (
-					<Box sx={{ mt: 2 }}>
-						<Button
-							variant="outlined"
-							color="error"
-							size="small"
-							startIcon={<RefreshIcon />}
-							onClick={onRetry}>
-							Reintentar
-						</Button>
+				<AlertTitle sx={{ fontWeight: 600 }}>{details.title}</AlertTitle>
+				{message || details.message}
+				{(showRetry || onBack) && (
+					<Box sx={{ mt: 2, display: "flex", gap: 1 }}>
+						{showRetry && (
+							<Button
+								variant="outlined"
+								color={details.severity}
+								size="small"
+								startIcon={<RefreshIcon />}
+								onClick={onRetry}>
+								Reintentar
+							</Button>
+						)}
+						{onBack && (
+							<Button
+								variant={showRetry ? "text" : "outlined"}
+								color={details.severity}
+								size="small"
+								startIcon={<ArrowBackIcon />}
+								onClick={onBack}>
+								{backLabel}
+							</Button>
+						)}
 					</Box>
 				)}
 			</Alert>
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Texto con las coincidencias de una búsqueda resaltadas
+ *
+ * @module shared/components/HighlightedText
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React from "react";
+import { Box } from "@mui/material";
+import { getHighlightRanges } from "@/shared/utils/productSearch";
+
+/**
+ * Componente HighlightedText - Resalta en un texto lo que coincide con la búsqueda
+ *
+ * Usa las reglas de {@link module:shared/utils/productSearch}, así que
+ * también resalta coincidencias con acentos distintos o con erratas. Sin
+ * término de búsqueda pinta el texto tal cual.
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.text - Texto a mostrar
+ * @param {string} [props.query=""] - Término de búsqueda
+ * @param {boolean} [props.exact=false] - Solo resalta si el término coincide con el texto
+ *                                        completo (p. ej. un ID)
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <Typography variant="body2">
+ *   <HighlightedText text={product.title} query={searchTerm} />
+ * </Typography>
+ */
+const HighlightedText = ({ text, query = "", exact = false }) => {
+	const ranges = getHighlightRanges(text, query, { exact });
+	if (ranges.length === 0) return <>{text}</>;
+
+	const fragments = [];
+	let cursor = 0;
+	ranges.forEach(({ start, end }) => {
+		if (start > cursor) fragments.push(text.slice(cursor, start));
+		fragments.push(
+			<Box
+				key={start}
+				component="mark"
+				sx={{
+					bgcolor: "warning.light",
+					color: "text.primary",
+					borderRadius: 0.5,
+				}}>
+				{text.slice(start, end)}
+			</Box>,
+		);
+		cursor = end;
+	});
+	if (cursor < text.length) fragments.push(text.slice(cursor));
+
+	return <>{fragments}</>;
+};
+
+export default HighlightedText;
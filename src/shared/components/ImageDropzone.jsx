@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Zona de subida de imágenes
+ *
+ * Permite arrastrar una imagen o elegirla desde el disco y la sube a la API:
+ * - Comprueba tipo y tamaño antes de subir
+ * - Muestra una vista previa local mientras se sube
+ * - Barra de progreso, cancelación y reintento
+ *
+ * @module shared/components/ImageDropzone
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import {
+	Avatar,
+	Box,
+	Button,
+	IconButton,
+	LinearProgress,
+	Tooltip,
+	Typography,
+} from "@mui/material";
+import {
+	CloudUpload as CloudUploadIcon,
+	Close as CloseIcon,
+	Refresh as RefreshIcon,
+} from "@mui/icons-material";
+import { uploadFile } from "@/app/api/filesApi";
+import { isCancelledError } from "@/app/api/errors";
+import { getErrorMessage } from "@/shared/utils/apiErrors";
+import {
+	ACCEPTED_IMAGE_TYPES,
+	MAX_IMAGE_SIZE_BYTES,
+	formatFileSize,
+	validateImageFile,
+} from "@/shared/utils/imageFiles";
+
+/**
+ * Estado inicial de la subida
+ * @constant {Object}
+ */
+const IDLE_UPLOAD = { file: null, previewUrl: null, progress: 0, error: null };
+
+/**
+ * Componente ImageDropzone - Sube una imagen por arrastre o selección
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {Function} props.onUploaded - Recibe la URL pública de la imagen subida
+ * @param {Function} [props.onUploadingChange] - Recibe true al empezar una subida y false al terminar
+ * @param {boolean} [props.disabled=false] - Deshabilita la zona
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <ImageDropzone
+ *   onUploaded={(url) => onChange([...images, url])}
+ *   onUploadingChange={setIsUploading}
+ * />
+ */
+const ImageDropzone = ({ onUploaded, onUploadingChange, disabled = false }) => {
+	const inputRef = useRef(null);
+	const controllerRef = useRef(null);
+
+	/** @type {[boolean, Function]} Hay un archivo arrastrándose sobre la zona */
+	const [isDragging, setIsDragging] = useState(false);
+
+	/**
+	 * @type {[Object, Function]}
+	 * @property {File|null} file - Archivo en subida o que falló
+	 * @property {string|null} previewUrl - Object URL para la vista previa local
+	 * @property {number} progress - Fracción enviada (0 a 1)
+	 * @property {string|null} error - Mensaje del último fallo
+	 */
+	const [upload, setUpload] = useState(IDLE_UPLOAD);
+
+	/** @type {[string|null, Function]} Archivo rechazado antes de subir */
+	const [rejection, setRejection] = useState(null);
+
+	const isUploading = Boolean(upload.file) && !upload.error;
+	const { previewUrl } = upload;
+
+	/**
+	 * Libera el object URL de la vista previa cuando deja de usarse
+	 */
+	useEffect(
+		() => () => {
+			if (previewUrl) URL.revokeObjectURL(previewUrl);
+		},
+		[previewUrl],
+	);
+
+	/**
+	 * Cancela la subida en curso si el componente se desmonta
+	 */
+	useEffect(() => () => controllerRef.current?.abort(), []);
+
+	/**
+	 * Sube un archivo ya validado
+	 *
+	 * @async
+	 * @function
+	 * @param {File} file - Imagen a subir
+	 * @param {string} previewUrl - Object URL para la vista previa
+	 * @returns {Promise<void>}
+	 */
+	const startUpload = async (file, previewUrl) => {
+		const controller = new AbortController();
+		controllerRef.current = controller;
+		setUpload({ file, previewUrl, progress: 0, error: null });
+		onUploadingChange?.(true);
+		try {
+			const { url } = await uploadFile(file, {
+				signal: controller.signal,
+				onProgress: (progress) =>
+					setUpload((prev) => ({ ...prev, progress })),
+			});
+			setUpload(IDLE_UPLOAD);
+			onUploaded(url);
+		} catch (error) {
+			if (isCancelledError(error)) {
+				setUpload(IDLE_UPLOAD);
+				return;
+			}
+			console.error("Error uploading image:", error);
+			setUpload((prev) => ({
+				...prev,
+				error:
+					error.fieldErrors?.file ??
+					getErrorMessage(error, "No se pudo subir la imagen"),
+			}));
+		} finally {
+			if (controllerRef.current === controller) controllerRef.current = null;
+			onUploadingChange?.(false);
+		}
+	};
+
+	/**
+	 * Valida el archivo elegido y, si es correcto, lo sube
+	 *
+	 * @function
+	 * @param {File|undefined} file - Archivo elegido o soltado
+	 * @returns {void}
+	 */
+	const handleFile = (file) => {
+		if (!file || disabled || isUploading) return;
+		const error = validateImageFile(file);
+		setRejection(error);
+		if (error) return;
+		startUpload(file, URL.createObjectURL(file));
+	};
+
+	/**
+	 * Vuelve a subir el archivo que falló
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleRetry = () => {
+		startUpload(upload.file, previewUrl);
+	};
+
+	/**
+	 * Cancela la subida en curso o descarta la que falló
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleDiscard = () => {
+		controllerRef.current?.abort();
+		setUpload(IDLE_UPLOAD);
+	};
+
+	/**
+	 * Abre el selector de archivos
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const openPicker = () => {
+		if (!disabled && !isUploading) inputRef.current?.click();
+	};
+
+	if (upload.file) {
+		return (
+			<Box
+				sx={{
+					width: "100%",
+					display: "flex",
+					alignItems: "center",
+					gap: 1.5,
+					p: 1.5,
+					border: "1px solid",
+					borderColor: upload.error ? "error.main" : "divider",
+					borderRadius: 2,
+				}}>
+				<Avatar
+					variant="rounded"
+					src={previewUrl}
+					alt={upload.file.name}
+					sx={{ width: 48, height: 48 }}
+				/>
+				<Box sx={{ flex: 1, minWidth: 0 }}>
+					<Typography variant="body2" noWrap sx={{ fontWeight: 500 }}>
+						{upload.file.name}
+					</Typography>
+					{upload.error ? (
+						<Typography variant="caption" color="error">
+							{upload.error}
+						</Typography>
+					) : (
+						<>
+							<LinearProgress
+								variant="determinate"
+								value={Math.round(upload.progress * 100)}
+								sx={{ my: 0.5, borderRadius: 1 }}
+							/>
+							<Typography variant="caption" color="text.secondary">
+								Subiendo... {Math.round(upload.progress * 100)}% de{" "}
+								{formatFileSize(upload.file.size)}
+							</Typography>
+						</>
+					)}
+				</Box>
+				{upload.error && (
+					<Tooltip title="Reintentar">
+						<IconButton size="small" onClick={handleRetry}>
+							<RefreshIcon fontSize="small" />
+						</IconButton>
+					</Tooltip>
+				)}
+				<Tooltip title={upload.error ? "Descartar" : "Cancelar subida"}>
+					<IconButton size="small" onClick={handleDiscard}>
+						<CloseIcon fontSize="small" />
+					</IconButton>
+				</Tooltip>
+			</Box>
+		);
+	}
+
+	return (
+		<Box sx={{ width: "100%" }}>
+			<Box
+				role="button"
+				tabIndex={disabled ? -1 : 0}
+				aria-disabled={disabled}
+				onClick={openPicker}
+				onKeyDown={(e) => {
+					if (e.key === "Enter" || e.key === " ") {
+						e.preventDefault();
+						openPicker();
+					}
+				}}
+				onDragOver={(e) => {
+					e.preventDefault();
+					if (!disabled) setIsDragging(true);
+				}}
+				onDragLeave={() => setIsDragging(false)}
+				onDrop={(e) => {
+					e.preventDefault();
+					setIsDragging(false);
+					handleFile(e.dataTransfer.files?.[0]);
+				}}
+				sx={{
+					p: 2,
+					textAlign: "center",
+					border: "2px dashed",
+					borderColor: isDragging ? "primary.main" : "divider",
+					borderRadius: 2,
+					backgroundColor: isDragging ? "action.hover" : "transparent",
+					cursor: disabled ? "default" : "pointer",
+					opacity: disabled ? 0.6 : 1,
+					transition: "border-color 0.2s, background-color 0.2s",
+					"&:hover, &:focus-visible": disabled
+						? {}
+						: { borderColor: "primary.main", outline: "none" },
+				}}>
+				<CloudUploadIcon color="primary" />
+				<Typography variant="body2">
+					Arrastra una imagen o{" "}
+					<Button
+						component="span"
+						size="small"
+						disabled={disabled}
+						sx={{ p: 0, minWidth: 0, verticalAlign: "baseline" }}>
+						elígela
+					</Button>
+				</Typography>
+				<Typography variant="caption" color="text.secondary">
+					JPG, PNG, WEBP o GIF · máx. {formatFileSize(MAX_IMAGE_SIZE_BYTES)}
+				</Typography>
+			</Box>
+			<input
+				ref={inputRef}
+				type="file"
+				accept={ACCEPTED_IMAGE_TYPES.join(",")}
+				hidden
+				onChange={(e) => {
+					handleFile(e.target.files?.[0]);
+					e.target.value = "";
+				}}
+			/>
+			{rejection && (
+				<Typography
+					variant="caption"
+					color="error"
+					sx={{ display: "block", mt: 0.5 }}>
+					{rejection}
+				</Typography>
+			)}
+		</Box>
+	);
+};
+
+export default ImageDropzone;
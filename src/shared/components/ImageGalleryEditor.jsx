@@ -0,0 +1,403 @@
+/**
+ * @fileoverview Editor de la galería de imágenes de un producto
+ *
+ * Gestiona la lista completa de imágenes del producto:
+ * - Vista previa grande de la imagen seleccionada y miniaturas de todas
+ * - Agregar imágenes subiéndolas o pegando su URL
+ * - Quitar imágenes y reordenarlas arrastrando las miniaturas
+ * - Elegir la imagen principal (la primera de la lista)
+ *
+ * @module shared/components/ImageGalleryEditor
+ * @requires react
+ * @requires @mui/material
+ * @requires @mui/icons-material
+ */
+
+import React, { useState } from "react";
+import {
+	Avatar,
+	Box,
+	Button,
+	Chip,
+	IconButton,
+	TextField,
+	Tooltip,
+	Typography,
+} from "@mui/material";
+import {
+	Add as AddIcon,
+	Close as CloseIcon,
+	DragIndicator as DragIcon,
+	StarBorder as StarBorderIcon,
+} from "@mui/icons-material";
+import ImageDropzone from "./ImageDropzone";
+import {
+	getPlaceholderImage,
+	isValidImageUrl,
+} from "@/shared/utils/formatters";
+
+/** @constant {string} DRAG_TYPE - Tipo de dato usado al arrastrar miniaturas */
+const DRAG_TYPE = "application/x-gallery-index";
+
+/**
+ * Devuelve una copia de la lista con un elemento movido de posición
+ *
+ * @function
+ * @param {Array} list - Lista original
+ * @param {number} from - Posición actual del elemento
+ * @param {number} to - Posición de destino
+ * @returns {Array} Nueva lista
+ *
+ * @example
+ * moveItem(["a", "b", "c"], 2, 0);
+ * // Retorna: ["c", "a", "b"]
+ */
+const moveItem = (list, from, to) => {
+	const next = [...list];
+	const [item] = next.splice(from, 1);
+	next.splice(to, 0, item);
+	return next;
+};
+
+/**
+ * Componente ImageGalleryEditor - Campo controlado con la lista de imágenes
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {string[]} props.value - URLs de las imágenes; la primera es la principal
+ * @param {Function} props.onChange - Recibe la nueva lista de URLs
+ * @param {Function} [props.onUploadingChange] - Recibe true mientras se sube una imagen
+ * @param {boolean} [props.error=false] - Marca el campo con error
+ * @param {string} [props.helperText] - Mensaje de error o ayuda
+ * @param {boolean} [props.disabled=false] - Deshabilita la edición
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <Controller
+ *   name="images"
+ *   control={control}
+ *   render={({ field }) => (
+ *     <ImageGalleryEditor value={field.value} onChange={field.onChange} />
+ *   )}
+ * />
+ */
+const ImageGalleryEditor = ({
+	value,
+	onChange,
+	onUploadingChange,
+	error = false,
+	helperText,
+	disabled = false,
+}) => {
+	/** @type {[number, Function]} Posición de la imagen mostrada en grande */
+	const [selected, setSelected] = useState(0);
+
+	/** @type {[string, Function]} URL escrita por el usuario */
+	const [urlInput, setUrlInput] = useState("");
+
+	/** @type {[string|null, Function]} Error de la URL escrita */
+	const [urlError, setUrlError] = useState(null);
+
+	/** @type {[number|null, Function]} Posición sobre la que se arrastra una miniatura */
+	const [dropTarget, setDropTarget] = useState(null);
+
+	/** @type {[Set<string>, Function]} URLs que no se pudieron cargar */
+	const [brokenUrls, setBrokenUrls] = useState(() => new Set());
+
+	const selectedIndex = Math.min(selected, Math.max(value.length - 1, 0));
+	const selectedUrl = value[selectedIndex];
+
+	/**
+	 * Agrega una imagen al final de la galería y la muestra
+	 *
+	 * @function
+	 * @param {string} url - URL de la imagen
+	 * @returns {void}
+	 */
+	const addImage = (url) => {
+		const existing = value.indexOf(url);
+		if (existing !== -1) {
+			setSelected(existing);
+			return;
+		}
+		onChange([...value, url]);
+		setSelected(value.length);
+	};
+
+	/**
+	 * Valida y agrega la URL escrita por el usuario
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleAddUrl = () => {
+		const url = urlInput.trim();
+		if (!isValidImageUrl(url)) {
+			setUrlError("Ingrese una URL válida");
+			return;
+		}
+		if (value.includes(url)) {
+			setUrlError("Esa imagen ya está en la galería");
+			return;
+		}
+		addImage(url);
+		setUrlInput("");
+		setUrlError(null);
+	};
+
+	/**
+	 * Quita una imagen de la galería
+	 *
+	 * @function
+	 * @param {number} index - Posición de la imagen
+	 * @returns {void}
+	 */
+	const handleRemove = (index) => {
+		onChange(value.filter((_, i) => i !== index));
+		if (index < selectedIndex) setSelected(selectedIndex - 1);
+	};
+
+	/**
+	 * Mueve una imagen a la primera posición, que es la principal
+	 *
+	 * @function
+	 * @param {number} index - Posición de la imagen
+	 * @returns {void}
+	 */
+	const handleMakePrimary = (index) => {
+		onChange(moveItem(value, index, 0));
+		setSelected(0);
+	};
+
+	/**
+	 * Reordena al soltar una miniatura sobre otra
+	 *
+	 * @function
+	 * @param {React.DragEvent} e - Evento de soltar
+	 * @param {number} to - Posición de destino
+	 * @returns {void}
+	 */
+	const handleDrop = (e, to) => {
+		e.preventDefault();
+		setDropTarget(null);
+		const from = Number(e.dataTransfer.getData(DRAG_TYPE));
+		if (Number.isNaN(from) || from === to) return;
+		onChange(moveItem(value, from, to));
+		setSelected(to);
+	};
+
+	/**
+	 * Registra una URL que no se pudo cargar
+	 *
+	 * @function
+	 * @param {string} url - URL de la imagen
+	 * @returns {void}
+	 */
+	const markBroken = (url) => {
+		setBrokenUrls((prev) => (prev.has(url) ? prev : new Set(prev).add(url)));
+	};
+
+	return (
+		<Box
+			sx={{
+				display: "flex",
+				flexDirection: "column",
+				alignItems: "center",
+				gap: 2,
+			}}>
+			<Typography variant="subtitle2" color="text.secondary">
+				Vista Previa
+			</Typography>
+			<Avatar
+				variant="rounded"
+				src={selectedUrl || getPlaceholderImage()}
+				alt="Preview"
+				onError={() => selectedUrl && markBroken(selectedUrl)}
+				sx={{
+					width: 200,
+					height: 200,
+					border: "2px solid",
+					borderColor: error ? "error.main" : "divider",
+				}}
+			/>
+			{selectedUrl && brokenUrls.has(selectedUrl) && (
+				<Typography variant="caption" color="error">
+					Error al cargar la imagen
+				</Typography>
+			)}
+
+			{value.length > 0 && (
+				<Box
+					sx={{
+						display: "flex",
+						flexWrap: "wrap",
+						justifyContent: "center",
+						gap: 1,
+					}}>
+					{value.map((url, index) => (
+						<Box
+							key={url}
+							draggable={!disabled}
+							onDragStart={(e) => {
+								e.dataTransfer.setData(DRAG_TYPE, String(index));
+								e.dataTransfer.effectAllowed = "move";
+							}}
+							onDragOver={(e) => {
+								if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+								e.preventDefault();
+								setDropTarget(index);
+							}}
+							onDragLeave={() => setDropTarget(null)}
+							onDrop={(e) => handleDrop(e, index)}
+							onClick={() => setSelected(index)}
+							sx={{
+								position: "relative",
+								cursor: disabled ? "default" : "grab",
+								borderRadius: 1,
+								outline: "2px solid",
+								outlineColor:
+									dropTarget === index
+										? "primary.light"
+										: index === selectedIndex
+											? "primary.main"
+											: "transparent",
+								"&:hover .gallery-actions": { opacity: 1 },
+							}}>
+							<Avatar
+								variant="rounded"
+								src={brokenUrls.has(url) ? getPlaceholderImage() : url}
+								alt={`Imagen ${index + 1}`}
+								onError={() => markBroken(url)}
+								sx={{ width: 56, height: 56 }}
+							/>
+							{index === 0 && (
+								<Chip
+									label="Principal"
+									size="small"
+									color="primary"
+									sx={{
+										position: "absolute",
+										bottom: -8,
+										left: "50%",
+										transform: "translateX(-50%)",
+										height: 16,
+										fontSize: 10,
+									}}
+								/>
+							)}
+							{!disabled && (
+								<Box
+									className="gallery-actions"
+									sx={{
+										position: "absolute",
+										top: -10,
+										right: -10,
+										display: "flex",
+										opacity: { xs: 1, md: 0 },
+										transition: "opacity 0.2s",
+									}}>
+									{index > 0 && (
+										<Tooltip title="Usar como principal">
+											<IconButton
+												size="small"
+												onClick={(e) => {
+													e.stopPropagation();
+													handleMakePrimary(index);
+												}}
+												sx={{
+													p: 0.25,
+													backgroundColor: "background.paper",
+													boxShadow: 1,
+													"&:hover": { backgroundColor: "background.paper" },
+												}}>
+												<StarBorderIcon sx={{ fontSize: 14 }} />
+											</IconButton>
+										</Tooltip>
+									)}
+									<Tooltip title="Quitar imagen">
+										<IconButton
+											size="small"
+											onClick={(e) => {
+												e.stopPropagation();
+												handleRemove(index);
+											}}
+											sx={{
+												p: 0.25,
+												ml: 0.5,
+												backgroundColor: "background.paper",
+												boxShadow: 1,
+												"&:hover": { backgroundColor: "background.paper" },
+											}}>
+											<CloseIcon sx={{ fontSize: 14 }} />
+										</IconButton>
+									</Tooltip>
+								</Box>
+							)}
+						</Box>
+					))}
+				</Box>
+			)}
+
+			{value.length > 1 && (
+				<Typography
+					variant="caption"
+					color="text.secondary"
+					sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+					<DragIcon sx={{ fontSize: 14 }} /> Arrastra las miniaturas para
+					ordenarlas
+				</Typography>
+			)}
+
+			<ImageDropzone
+				onUploaded={addImage}
+				onUploadingChange={onUploadingChange}
+				disabled={disabled}
+			/>
+
+			<Box sx={{ display: "flex", gap: 1, width: "100%" }}>
+				<TextField
+					size="small"
+					fullWidth
+					label="URL de Imagen"
+					placeholder="https://ejemplo.com/imagen.jpg"
+					value={urlInput}
+					disabled={disabled}
+					onChange={(e) => {
+						setUrlInput(e.target.value);
+						setUrlError(null);
+					}}
+					onKeyDown={(e) => {
+						if (e.key === "Enter") {
+							e.preventDefault();
+							handleAddUrl();
+						}
+					}}
+					error={Boolean(urlError)}
+					helperText={urlError}
+				/>
+				<Tooltip title="Agregar URL">
+					<span>
+						<Button
+							variant="outlined"
+							onClick={handleAddUrl}
+							disabled={disabled || !urlInput.trim()}
+							sx={{ minWidth: 0, px: 1.5, height: 40 }}>
+							<AddIcon />
+						</Button>
+					</span>
+				</Tooltip>
+			</Box>
+
+			{helperText && (
+				<Typography
+					variant="caption"
+					color={error ? "error" : "text.secondary"}
+					sx={{ alignSelf: "flex-start" }}>
+					{helperText}
+				</Typography>
+			)}
+		</Box>
+	);
+};
+
+export default ImageGalleryEditor;
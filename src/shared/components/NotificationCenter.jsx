@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Centro de notificaciones globales
+ *
+ * Pinta como Snackbar el aviso vigente de {@link module:shared/utils/notifications}.
+ * Se monta una sola vez en el Layout, por lo que los avisos se ven en
+ * cualquier vista.
+ *
+ * @module shared/components/NotificationCenter
+ * @requires react
+ * @requires @mui/material
+ */
+
+import React, { useSyncExternalStore } from "react";
+import { Snackbar, Alert, Button } from "@mui/material";
+import {
+	dismissNotification,
+	getNotification,
+	subscribeNotifications,
+} from "@/shared/utils/notifications";
+
+/**
+ * Componente NotificationCenter - Snackbar global de la aplicación
+ *
+ * @component
+ * @returns {React.ReactElement}
+ *
+ * @example
+ * <Layout>
+ *   <Outlet />
+ *   <NotificationCenter />
+ * </Layout>
+ */
+const NotificationCenter = () => {
+	const notification = useSyncExternalStore(
+		subscribeNotifications,
+		getNotification,
+	);
+
+	/**
+	 * Cierra el aviso salvo que el cierre venga de un clic fuera de él
+	 *
+	 * @function
+	 * @param {React.SyntheticEvent} _event
+	 * @param {string} [reason] - Motivo del cierre
+	 * @returns {void}
+	 */
+	const handleClose = (_event, reason) => {
+		if (reason === "clickaway") return;
+		dismissNotification(notification?.id);
+	};
+
+	/**
+	 * Cierra el aviso y ejecuta su acción
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const handleAction = () => {
+		const action = notification?.action;
+		dismissNotification(notification?.id);
+		action?.onClick();
+	};
+
+	return (
+		<Snackbar
+			key={notification?.id}
+			open={Boolean(notification)}
+			autoHideDuration={notification?.autoHideDuration ?? null}
+			onClose={handleClose}
+			anchorOrigin={{ vertical: "bottom", horizontal: "right" }}>
+			{notification ? (
+				<Alert
+					onClose={handleClose}
+					severity={notification.severity}
+					variant="filled"
+					action={
+						notification.action && (
+							<Button color="inherit" size="small" onClick={handleAction}>
+								{notification.action.label}
+							</Button>
+						)
+					}
+					sx={{ width: "100%" }}>
+					{notification.message}
+				</Alert>
+			) : (
+				<span />
+			)}
+		</Snackbar>
+	);
+};
+
+export default NotificationCenter;
@@ -8,7 +8,6 @@ import {
 	Grid,
 	MenuItem,
 	Typography,
-	Avatar,
 } from "@mui/material";
 import { useForm, Controller } from "react-hook-form";
 import {
@@ -16,18 +15,33 @@ import {
 	ArrowBack as ArrowBackIcon,
 } from "@mui/icons-material";
 import { useCategories } from "@/shared/hooks/useCategories";
-import {
-	getPlaceholderImage,
-	isValidImageUrl,
-} from "@/shared/utils/formatters";
+import { isValidImageUrl } from "@/shared/utils/formatters";
+import { PRODUCT_FIELD_LIMITS } from "@/shared/utils/productForm";
 import LoadingSpinner from "./LoadingSpinner";
+import ImageGalleryEditor from "./ImageGalleryEditor";
+
+/**
+ * Campos del formulario que pueden recibir errores del servidor
+ * @constant {string[]}
+ */
+const FORM_FIELDS = ["title", "price", "description", "categoryId", "images"];
+
+/**
+ * Equivalencias entre campos de la API y campos del formulario
+ * @constant {Object<string, string>}
+ */
+const API_FIELD_TO_FORM_FIELD = {
+	category: "categoryId",
+};
 
 /**
  * Formulario reutilizable para crear y editar productos
  *
  * @component
  * @description Componente que proporciona un formulario completo para la gestión de productos
- * con validación de campos, vista previa de imagen y carga de categorías.
+ * con validación de campos, galería de imágenes y carga de categorías. Las imágenes
+ * pueden subirse desde el disco (arrastrando o eligiendo un archivo) o indicarse por URL;
+ * se envían todas, en el orden elegido, y la primera es la principal.
  *
  * @param {Object} props - Propiedades del componente
  * @param {Object} [props.initialData] - Datos iniciales para edición de producto
@@ -36,10 +50,12 @@ import LoadingSpinner from "./LoadingSpinner";
  * @param {string} [props.initialData.description] - Descripción del producto
  * @param {Object} [props.initialData.category] - Categoría del producto
  * @param {number} [props.initialData.category.id] - ID de la categoría
- * @param {string[]} [props.initialData.images] - Array de URLs de imágenes
+ * @param {string[]} [props.initialData.images] - Array de URLs de imágenes (se conservan todas)
  * @param {Function} props.onSubmit - Callback ejecutado al enviar el formulario
  * @param {Function} props.onCancel - Callback ejecutado al cancelar el formulario
  * @param {boolean} props.isSubmitting - Indica si se está enviando el formulario
+ * @param {Object<string, string>} [props.serverErrors] - Errores de validación devueltos por la API,
+ *                                                       por nombre de campo de la API. Se muestran en el input correspondiente
  *
  * @returns {React.ReactElement} Elemento React con el formulario del producto
  *
@@ -51,7 +67,13 @@ import LoadingSpinner from "./LoadingSpinner";
  *   isSubmitting={false}
  * />
  */
-const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
+const ProductForm = ({
+	initialData,
+	onSubmit,
+	onCancel,
+	isSubmitting,
+	serverErrors,
+}) => {
 	/**
 	 * Hook personalizado para obtener las categorías disponibles
 	 * @type {Object}
@@ -61,21 +83,15 @@ const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
 	const { categories, loading: categoriesLoading } = useCategories();
 
 	/**
-	 * Estado para la vista previa de la imagen del producto
-	 * @type {[string, Function]}
-	 */
-	const [imagePreview, setImagePreview] = useState(getPlaceholderImage());
-
-	/**
-	 * Estado para indicar si hay error en la carga de la imagen
+	 * Estado que indica si hay una imagen subiéndose; el envío espera a que termine
 	 * @type {[boolean, Function]}
 	 */
-	const [imageError, setImageError] = useState(false);
+	const [isUploading, setIsUploading] = useState(false);
 
 	const {
 		control,
 		handleSubmit,
-		watch,
+		setError,
 		formState: { errors },
 	} = useForm({
 		defaultValues: {
@@ -83,35 +99,26 @@ const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
 			price: initialData?.price || "",
 			description: initialData?.description || "",
 			categoryId: initialData?.category?.id || 0,
-			imageUrl: initialData?.images?.[0] || "",
+			images: initialData?.images ?? [],
 		},
 	});
 
-	const watchedImageUrl = watch("imageUrl");
-
 	/**
-	 * Efecto que actualiza la vista previa cuando cambia la URL de imagen
-	 * Valida que la URL sea válida antes de establecerla como vista previa
+	 * Efecto que vuelca en los inputs los errores de validación del servidor
+	 * Traduce los nombres de campo de la API a los del formulario
 	 */
 	useEffect(() => {
-		if (watchedImageUrl && isValidImageUrl(watchedImageUrl)) {
-			setImagePreview(watchedImageUrl);
-			setImageError(false);
-		} else {
-			setImagePreview(getPlaceholderImage());
-		}
-	}, [watchedImageUrl]);
-
-	/**
-	 * Maneja errores al cargar la imagen
-	 * Establece la imagen de marcador de posición y marca el error
-	 *
-	 * @function
-	 */
-	const handleImageError = () => {
-		setImageError(true);
-		setImagePreview(getPlaceholderImage());
-	};
+		if (!serverErrors) return;
+		Object.entries(serverErrors).forEach(([apiField, message]) => {
+			const field = API_FIELD_TO_FORM_FIELD[apiField] || apiField;
+			if (FORM_FIELDS.includes(field)) {
+				setError(field, {
+					type: "server",
+					message: `Rechazado por el servidor: ${message}`,
+				});
+			}
+		});
+	}, [serverErrors, setError]);
 
 	/**
 	 * Maneja el envío del formulario
@@ -123,7 +130,7 @@ const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
 	 * @param {number} data.price - Precio del producto
 	 * @param {string} data.description - Descripción del producto
 	 * @param {number} data.categoryId - ID de la categoría
-	 * @param {string} data.imageUrl - URL de la imagen del producto
+	 * @param {string[]} data.images - URLs de las imágenes; la primera es la principal
 	 */
 	const handleFormSubmit = (data) => {
 		onSubmit({
@@ -141,36 +148,31 @@ const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
 			<CardContent sx={{ p: 4 }}>
 				<Box component="form" onSubmit={handleSubmit(handleFormSubmit)}>
 					<Grid container spacing={4}>
-						{/* Image Preview Section */}
+						{/* Image Gallery Section */}
 						<Grid size={{ xs: 12, md: 4 }}>
-							<Box
-								sx={{
-									display: "flex",
-									flexDirection: "column",
-									alignItems: "center",
-									gap: 2,
-								}}>
-								<Typography variant="subtitle2" color="text.secondary">
-									Vista Previa
-								</Typography>
-								<Avatar
-									variant="rounded"
-									src={imagePreview}
-									alt="Preview"
-									onError={handleImageError}
-									sx={{
-										width: 200,
-										height: 200,
-										border: "2px solid",
-										borderColor: "divider",
-									}}
-								/>
-								{imageError && (
-									<Typography variant="caption" color="error">
-										Error al cargar la imagen
-									</Typography>
+							<Controller
+								name="images"
+								control={control}
+								rules={{
+									validate: {
+										required: (value) =>
+											value.length > 0 || "Agrega al menos una imagen",
+										validUrls: (value) =>
+											value.every(isValidImageUrl) ||
+											"Hay imágenes con una URL no válida",
+									},
+								}}
+								render={({ field }) => (
+									<ImageGalleryEditor
+										value={field.value}
+										onChange={field.onChange}
+										onUploadingChange={setIsUploading}
+										disabled={isSubmitting}
+										error={!!errors.images}
+										helperText={errors.images?.message}
+									/>
 								)}
-							</Box>
+							/>
 						</Grid>
 
 						{/* Form Fields Section */}
@@ -182,10 +184,13 @@ const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
 										control={control}
 										rules={{
 											required: "El título es requerido",
-											minLength: { value: 3, message: "Mínimo 3 caracteres" },
+											minLength: {
+												value: PRODUCT_FIELD_LIMITS.title.minLength,
+												message: `Mínimo ${PRODUCT_FIELD_LIMITS.title.minLength} caracteres`,
+											},
 											maxLength: {
-												value: 100,
-												message: "Máximo 100 caracteres",
+												value: PRODUCT_FIELD_LIMITS.title.maxLength,
+												message: `Máximo ${PRODUCT_FIELD_LIMITS.title.maxLength} caracteres`,
 											},
 										}}
 										render={({ field }) => (
@@ -207,7 +212,7 @@ const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
 										rules={{
 											required: "El precio es requerido",
 											min: {
-												value: 0.01,
+												value: PRODUCT_FIELD_LIMITS.price.min,
 												message: "El precio debe ser mayor a 0",
 											},
 										}}
@@ -260,38 +265,19 @@ const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
 									/>
 								</Grid>
 
-								<Grid size={{ xs: 12 }}>
-									<Controller
-										name="imageUrl"
-										control={control}
-										rules={{
-											required: "La URL de imagen es requerida",
-											validate: (value) =>
-												isValidImageUrl(value) || "Ingrese una URL válida",
-										}}
-										render={({ field }) => (
-											<TextField
-												{...field}
-												label="URL de Imagen"
-												fullWidth
-												placeholder="https://ejemplo.com/imagen.jpg"
-												error={!!errors.imageUrl}
-												helperText={errors.imageUrl?.message}
-											/>
-										)}
-									/>
-								</Grid>
-
 								<Grid size={{ xs: 12 }}>
 									<Controller
 										name="description"
 										control={control}
 										rules={{
 											required: "La descripción es requerida",
-											minLength: { value: 10, message: "Mínimo 10 caracteres" },
+											minLength: {
+												value: PRODUCT_FIELD_LIMITS.description.minLength,
+												message: `Mínimo ${PRODUCT_FIELD_LIMITS.description.minLength} caracteres`,
+											},
 											maxLength: {
-												value: 500,
-												message: "Máximo 500 caracteres",
+												value: PRODUCT_FIELD_LIMITS.description.maxLength,
+												message: `Máximo ${PRODUCT_FIELD_LIMITS.description.maxLength} caracteres`,
 											},
 										}}
 										render={({ field }) => (
@@ -330,9 +316,11 @@ const ProductForm = ({ initialData, onSubmit, onCancel, isSubmitting }) => {
 									type="submit"
 									variant="contained"
 									startIcon={<SaveIcon />}
-									disabled={isSubmitting}>
+									disabled={isSubmitting || isUploading}>
 									{isSubmitting
 										? "Guardando..."
+										: isUploading
+											? "Subiendo imagen..."
 										: initialData
 											? "Actualizar"
 											: "Crear Producto"}
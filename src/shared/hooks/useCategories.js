@@ -2,8 +2,32 @@
  * Custom hook for fetching categories
  * @module hooks/useCategories
  */
-import { useState, useEffect } from "react";
 import { getCategories } from "@/app/api/productsApi";
+import { isCancelledError } from "@/app/api/errors";
+import { categoryKeys } from "@/app/api/queryKeys";
+import { useQuery } from "./useQuery";
+
+/** @constant {number} CATEGORIES_STALE_TIME - Las categorías cambian poco: 5 minutos */
+const CATEGORIES_STALE_TIME = 5 * 60 * 1000;
+
+/**
+ * Función asíncrona interna para llamar a la API.
+ * Registra el error en consola antes de propagarlo a la caché
+ * (salvo las cancelaciones, que no son fallos).
+ *
+ * @param {{signal: AbortSignal}} options - Señal de cancelación de la caché
+ * @returns {Promise<Category[]>}
+ */
+const fetchCategories = async ({ signal }) => {
+	try {
+		return await getCategories({ signal });
+	} catch (err) {
+		if (!isCancelledError(err)) {
+			console.error("Error fetching categories:", err);
+		}
+		throw err;
+	}
+};
 
 /**
  * @typedef {Object} Category
@@ -16,40 +40,31 @@ import { getCategories } from "@/app/api/productsApi";
  * @property {Category[]} categories - Lista de categorías obtenidas.
  * @property {boolean} loading - Estado de carga de la petición.
  * @property {string|null} error - Mensaje de error en caso de fallo.
+ * @property {import('@/app/api/errors').ApiError|null} apiError - Error tipado de la carga, si no hay datos que mostrar.
+ * @property {function(): Promise<Category[]>} refreshCategories - Vuelve a solicitar las categorías.
  */
 
 /**
  * Hook para obtener y gestionar el estado de las categorías.
+ * Las categorías se leen de la caché compartida, por lo que todos los
+ * formularios montados reutilizan la misma solicitud.
  * * @returns {UseCategoriesReturn} Estado de las categorías, carga y error.
  */
 export const useCategories = () => {
-	/** @type {[Category[], function]} */
-	const [categories, setCategories] = useState([]);
-
-	/** @type {[boolean, function]} */
-	const [loading, setLoading] = useState(true);
-
-	/** @type {[string|null, function]} */
-	const [error, setError] = useState(null);
-
-	useEffect(() => {
-		/**
-		 * Función asíncrona interna para llamar a la API.
-		 */
-		const fetchCategories = async () => {
-			try {
-				const data = await getCategories();
-				setCategories(data);
-			} catch (err) {
-				setError("Error al cargar las categorías");
-				console.error("Error fetching categories:", err);
-			} finally {
-				setLoading(false);
-			}
-		};
-
-		fetchCategories();
-	}, []);
+	const {
+		data,
+		isLoading,
+		error: queryError,
+		refetch,
+	} = useQuery(categoryKeys.list(), fetchCategories, {
+		staleTime: CATEGORIES_STALE_TIME,
+	});
 
-	return { categories, loading, error };
+	return {
+		categories: data ?? [],
+		loading: isLoading,
+		error: queryError && !data ? "Error al cargar las categorías" : null,
+		apiError: queryError && !data ? queryError : null,
+		refreshCategories: refetch,
+	};
 };
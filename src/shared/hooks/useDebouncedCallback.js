@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Hook para retrasar una función hasta que dejen de llamarla
+ *
+ * Cada llamada reinicia la espera y solo se ejecuta la última, con sus
+ * argumentos. Sirve para no reaccionar a cada tecla de un campo de texto.
+ * Lo pendiente se descarta al desmontar el componente.
+ *
+ * @module shared/hooks/useDebouncedCallback
+ * @requires react
+ */
+
+import { useCallback, useEffect, useMemo, useRef } from "react";
+
+/**
+ * Hook useDebouncedCallback - Versión retrasada de una función
+ *
+ * @function
+ * @param {Function} callback - Función a retrasar; se usa siempre su última versión
+ * @param {number} delay - Milisegundos sin llamadas antes de ejecutarla
+ * @returns {Object} Función retrasada y controles
+ * @returns {Function} return.run - Programa la función con los argumentos recibidos
+ * @returns {Function} return.flush - Ejecuta ya lo pendiente, si lo hay
+ * @returns {Function} return.cancel - Descarta lo pendiente
+ *
+ * @example
+ * const search = useDebouncedCallback(onSearchChange, 300);
+ * <TextField onChange={(e) => search.run(e.target.value)} />
+ */
+export const useDebouncedCallback = (callback, delay) => {
+	/** @type {React.MutableRefObject<Function>} Última versión de la función */
+	const callbackRef = useRef(callback);
+
+	/**
+	 * @type {React.MutableRefObject<{timer: number, args: Array}|null>}
+	 * Llamada programada
+	 */
+	const pendingRef = useRef(null);
+
+	useEffect(() => {
+		callbackRef.current = callback;
+	});
+
+	const cancel = useCallback(() => {
+		clearTimeout(pendingRef.current?.timer);
+		pendingRef.current = null;
+	}, []);
+
+	const flush = useCallback(() => {
+		const pending = pendingRef.current;
+		if (!pending) return;
+		cancel();
+		callbackRef.current(...pending.args);
+	}, [cancel]);
+
+	const run = useCallback(
+		(...args) => {
+			clearTimeout(pendingRef.current?.timer);
+			pendingRef.current = { timer: setTimeout(flush, delay), args };
+		},
+		[delay, flush],
+	);
+
+	useEffect(() => cancel, [cancel]);
+
+	return useMemo(() => ({ run, flush, cancel }), [run, flush, cancel]);
+};
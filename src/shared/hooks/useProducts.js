@@ -3,50 +3,409 @@
  *
  * Proporciona funcionalidades para:
  * - Obtener listado de productos desde la API
- * - Filtrar productos por término de búsqueda
+ * - Buscar sin distinguir acentos y con tolerancia a erratas en título,
+ *   descripción, categoría e ID, con los resultados ordenados por relevancia
+ * - Filtrar productos por categoría y rango de precios
  * - Filtrar productos por rango de fechas
- * - Paginar los resultados
+ * - Ordenar por una o dos columnas
+ * - Paginar los resultados en el cliente o en el servidor
+ * - Cargar los resultados por tandas para un scroll infinito
+ * - Guardar búsqueda, filtros, orden y paginación en la URL (opcional)
  * - Eliminar productos
  * - Gestionar estados de carga y error
  *
  * @module shared/hooks/useProducts
  * @requires react
+ * @requires react-router-dom
  * @requires @/app/api/productsApi
+ * @requires @/app/api/productMutations
  * @requires dayjs
  */
 
-import { useState, useEffect, useCallback } from "react";
-import { getAllProducts, deleteProduct } from "@/app/api/productsApi";
+import { useState, useMemo, useRef, useSyncExternalStore } from "react";
+import { useSearchParams } from "react-router-dom";
+import {
+	getAllProducts,
+	getProductsPaginated,
+	countProducts,
+	supportsServerSort,
+} from "@/app/api/productsApi";
+import {
+	deleteProductOptimistic,
+	updateProductOptimistic,
+} from "@/app/api/productMutations";
+import {
+	getTrashState,
+	subscribeTrash,
+	withoutPendingDeletes,
+} from "@/app/api/productTrash";
+import { isCancelledError } from "@/app/api/errors";
+import { getQueryData } from "@/app/api/queryCache";
+import { productKeys } from "@/app/api/queryKeys";
+import {
+	DEFAULT_SORT_DIRECTIONS,
+	SORT_DIRECTIONS,
+	SORT_FIELDS,
+	sortProducts,
+} from "@/app/api/productSort";
+import {
+	createListState,
+	parseListQuery,
+	toListQuery,
+	parseListParams,
+	toListParams,
+} from "@/shared/utils/productListParams";
+import { searchProducts } from "@/shared/utils/productSearch";
+import { useQuery } from "./useQuery";
+import { useQueries } from "./useQueries";
 import dayjs from "dayjs";
 
+/**
+ * Modos de obtención de datos del hook
+ *
+ * - `client`: descarga el catálogo completo y filtra/pagina en memoria
+ * - `server`: envía filtros y offset/limit a la API y solo descarga la página actual
+ *
+ * @constant {Object<string, string>}
+ */
+export const PRODUCTS_MODE = {
+	CLIENT: "client",
+	SERVER: "server",
+};
+
+/** @constant {number} COUNT_STALE_TIME - Vigencia de los totales en modo servidor: 1 minuto */
+const COUNT_STALE_TIME = 60 * 1000;
+
+/** @constant {number} PRICE_BOUNDS_STALE_TIME - Vigencia de los límites de precio en modo servidor: 5 minutos */
+const PRICE_BOUNDS_STALE_TIME = 5 * 60 * 1000;
+
+/** @constant {number} INFINITE_CHUNK_SIZE - Productos que se cargan en cada tanda del scroll infinito */
+const INFINITE_CHUNK_SIZE = 100;
+
+/** @constant {Array} EMPTY_LIST - Lista vacía estable para evitar renders innecesarios */
+const EMPTY_LIST = [];
+
+/** @constant {number} MAX_SORT_CRITERIA - Orden principal más uno secundario */
+const MAX_SORT_CRITERIA = 2;
+
+/**
+ * Invierte la dirección de un criterio de ordenación
+ *
+ * @function
+ * @param {import('@/app/api/productSort').SortCriterion} criterion
+ * @returns {import('@/app/api/productSort').SortCriterion}
+ */
+const flipCriterion = ({ field, direction }) => ({
+	field,
+	direction:
+		direction === SORT_DIRECTIONS.ASC
+			? SORT_DIRECTIONS.DESC
+			: SORT_DIRECTIONS.ASC,
+});
+
+/**
+ * Calcula el nuevo orden al pulsar la cabecera de una columna
+ *
+ * - Clic simple: si la columna ya es el orden principal invierte su
+ *   dirección; si no, pasa a ser el único criterio.
+ * - Clic aditivo (Mayús + clic): si la columna ya está en el orden invierte
+ *   su dirección y, si era el secundario y ya estaba invertido, lo quita;
+ *   si no está, se añade como criterio secundario (sustituyendo al anterior).
+ *
+ * @function
+ * @param {Array<import('@/app/api/productSort').SortCriterion>} sort - Orden actual
+ * @param {string} field - Campo de la columna pulsada
+ * @param {boolean} additive - Si el clic añade un criterio secundario
+ * @returns {Array<import('@/app/api/productSort').SortCriterion>} Nuevo orden
+ *
+ * @example
+ * getNextSort([{ field: "category", direction: "asc" }], "price", true);
+ * // Retorna: [{ field: "category", direction: "asc" }, { field: "price", direction: "desc" }]
+ */
+const getNextSort = (sort, field, additive) => {
+	const index = sort.findIndex((criterion) => criterion.field === field);
+	const initial = { field, direction: DEFAULT_SORT_DIRECTIONS[field] };
+
+	if (!additive) {
+		return index === 0 ? [flipCriterion(sort[0])] : [initial];
+	}
+	if (index === -1) {
+		return sort.length === 0
+			? [initial]
+			: [...sort.slice(0, MAX_SORT_CRITERIA - 1), initial];
+	}
+	if (index > 0 && sort[index].direction !== DEFAULT_SORT_DIRECTIONS[field]) {
+		return sort.filter((_, i) => i !== index);
+	}
+	return sort.map((criterion, i) =>
+		i === index ? flipCriterion(criterion) : criterion,
+	);
+};
+
+/**
+ * Obtiene todos los productos desde la API
+ *
+ * Registra el error en consola antes de propagarlo a la caché
+ * (salvo las cancelaciones, que no son fallos).
+ *
+ * @async
+ * @function
+ * @param {{signal: AbortSignal}} options - Señal de cancelación de la caché
+ * @returns {Promise<Array<Object>>}
+ */
+const fetchAllProducts = async ({ signal }) => {
+	try {
+		return await getAllProducts({ signal });
+	} catch (err) {
+		if (!isCancelledError(err)) {
+			console.error("Error fetching products:", err);
+		}
+		throw err;
+	}
+};
+
+/**
+ * Obtiene una página de productos filtrada desde la API
+ *
+ * @async
+ * @function
+ * @param {Object} params - Filtros, offset y limit
+ * @param {{signal: AbortSignal}} options - Señal de cancelación de la caché
+ * @returns {Promise<Array<Object>>}
+ */
+const fetchProductsPage = async (params, { signal }) => {
+	try {
+		return await getProductsPaginated(params, { signal });
+	} catch (err) {
+		if (!isCancelledError(err)) {
+			console.error("Error fetching products page:", err);
+		}
+		throw err;
+	}
+};
+
+/**
+ * Calcula el precio mínimo y máximo de un catálogo, redondeados hacia fuera
+ *
+ * @function
+ * @param {Array<Object>} products - Productos del catálogo
+ * @returns {{min: number, max: number}|null} Límites, o null si no hay productos
+ *
+ * @example
+ * getPriceBounds([{ price: 9.5 }, { price: 120.2 }]);
+ * // Retorna: { min: 9, max: 121 }
+ */
+const getPriceBounds = (products) => {
+	const prices = products
+		.map((product) => Number(product.price))
+		.filter(Number.isFinite);
+	if (prices.length === 0) return null;
+	return {
+		min: Math.floor(Math.min(...prices)),
+		max: Math.ceil(Math.max(...prices)),
+	};
+};
+
+/**
+ * Obtiene los límites de precio del catálogo sin listarlo en la vista
+ *
+ * Si la fuente de datos sabe ordenar, basta con el producto más barato y
+ * el más caro (dos solicitudes de un producto). Si no, la API no ofrece
+ * agregados y hay que descargar el catálogo completo; por eso en ese caso
+ * solo se pide cuando se usa el filtro de precio. La caché guarda dos
+ * números en lugar del catálogo.
+ *
+ * @async
+ * @function
+ * @param {{signal: AbortSignal}} options - Señal de cancelación de la caché
+ * @returns {Promise<{min: number, max: number}|null>}
+ */
+const fetchPriceBounds = async ({ signal }) => {
+	if (!supportsServerSort()) {
+		return getPriceBounds(await getAllProducts({ signal }));
+	}
+	const fetchEdge = (direction) =>
+		getProductsPaginated(
+			{
+				sort: [{ field: SORT_FIELDS.PRICE, direction }],
+				offset: 0,
+				limit: 1,
+			},
+			{ signal },
+		);
+	const edges = await Promise.all([
+		fetchEdge(SORT_DIRECTIONS.ASC),
+		fetchEdge(SORT_DIRECTIONS.DESC),
+	]);
+	return getPriceBounds(edges.flat());
+};
+
+/**
+ * Filtra un listado de productos en memoria
+ *
+ * Aplica los mismos criterios que la API en modo servidor (categoría y
+ * precio) más la búsqueda, el rango de fechas de creación y la selección de
+ * varias categorías, que solo existen en el cliente. La búsqueda es la de
+ * {@link module:shared/utils/productSearch}: con término, los productos
+ * salen ordenados por relevancia.
+ *
+ * @function
+ * @param {Array<Object>} products - Productos a filtrar
+ * @param {Object} filters - Filtros activos
+ * @param {string} filters.searchTerm - Término de búsqueda
+ * @param {{start: string|null, end: string|null}} filters.dateRange - Rango de fechas
+ * @param {number[]} filters.categoryIds - IDs de categoría; vale cualquiera de ellas
+ * @param {{min: number|null, max: number|null}} filters.priceRange - Rango de precios
+ * @returns {Array<Object>} Productos que cumplen todos los filtros
+ */
+const filterProducts = (
+	products,
+	{ searchTerm, dateRange, categoryIds, priceRange },
+) => {
+	const filtered = products.filter((product) => {
+		// Filter by category
+		const matchesCategory =
+			categoryIds.length === 0 || categoryIds.includes(product.category?.id);
+
+		// Filter by price range
+		const matchesPrice =
+			(priceRange.min == null || product.price >= priceRange.min) &&
+			(priceRange.max == null || product.price <= priceRange.max);
+
+		// Filter by date range
+		let matchesDate = true;
+		if (dateRange.start || dateRange.end) {
+			const productDate = dayjs(product.creationAt);
+			if (dateRange.start && productDate.isBefore(dayjs(dateRange.start))) {
+				matchesDate = false;
+			}
+			if (
+				dateRange.end &&
+				productDate.isAfter(dayjs(dateRange.end).endOf("day"))
+			) {
+				matchesDate = false;
+			}
+		}
+
+		return matchesCategory && matchesPrice && matchesDate;
+	});
+
+	// Search last: it is the most expensive filter and also ranks the results
+	return searchProducts(filtered, searchTerm);
+};
+
 /**
  * Hook personalizado useProducts - Gestión completa de productos
  *
  * Obtiene productos desde la API y proporciona funcionalidades de filtrado,
  * paginación y eliminación. Gestiona automáticamente los estados de carga y error.
  *
+ * Los datos se leen de la caché compartida de consultas: varias vistas con
+ * el mismo hook comparten solicitudes, y al volver a una vista se muestran
+ * los datos en caché mientras se revalidan en segundo plano.
+ *
+ * En modo `server` solo se descarga la página visible: los filtros de
+ * categoría y precio viajan como parámetros de consulta y el total se obtiene
+ * con {@link countProducts}, memorizado por combinación de filtros. La API no
+ * filtra por fecha ni por varias categorías a la vez, y solo busca en el
+ * título y de forma literal, así que mientras haya una búsqueda, un rango de fechas o
+ * más de una categoría seleccionada el hook vuelve al modo `client` de forma
+ * transparente. Lo mismo ocurre si `paginated` es false.
+ *
+ * La búsqueda no distingue acentos, tolera erratas y mira el título, la
+ * descripción, la categoría y el ID (ver
+ * {@link module:shared/utils/productSearch}). Sin un orden elegido, los
+ * resultados salen del más al menos relevante.
+ *
+ * `priceBounds` da el precio mínimo y máximo del catálogo completo (sin
+ * filtrar) para acotar el filtro de precio. En modo `client` sale del
+ * catálogo ya descargado; en modo `server` se calcula aparte (ver
+ * `requestPriceBounds`) y se memoriza unos minutos: las mutaciones no lo
+ * revalidan, así que puede quedar algo desfasado.
+ *
+ * El orden (`sort`) admite un criterio principal y uno secundario. En modo
+ * `server` viaja con la página si la fuente de datos sabe ordenar
+ * ({@link supportsServerSort}); si no, el hook también vuelve al modo
+ * `client` mientras haya un orden activo, para que el orden abarque todo
+ * el catálogo y no solo la página visible.
+ *
+ * Cambiar cualquier filtro, el orden o el tamaño de página devuelve la
+ * paginación a la primera página.
+ *
+ * Con `infinite` no hay páginas: `products` contiene los productos cargados
+ * hasta ahora, desde el primero, y `loadMore` añade la siguiente tanda de
+ * {@link INFINITE_CHUNK_SIZE}. En modo `client` las tandas salen del listado
+ * filtrado en memoria; en modo `server` cada tanda es una consulta de
+ * `getProductsPaginated` en la caché, así que las actualizaciones optimistas
+ * y las invalidaciones les llegan como a cualquier página. Cambiar un filtro
+ * o el orden vuelve a la primera tanda.
+ *
+ * Con `syncWithUrl` ese estado se lee y se escribe en la query string (ver
+ * {@link module:shared/utils/productListParams}): sobrevive a recargas, la
+ * URL se puede compartir y atrás/adelante del navegador recorren los cambios.
+ * Solo debe activarlo una instancia por página, la de la vista principal.
+ *
  * @function
  * @param {Object} [options={}] - Opciones de configuración del hook
  * @param {boolean} [options.paginated=true] - Si es true, devuelve productos paginados.
  *                                              Si es false, devuelve todos los filtrados
- * @param {number} [options.pageSize=10] - Cantidad de productos por página cuando paginated es true
+ * @param {number} [options.pageSize=10] - Cantidad inicial de productos por página cuando paginated es true
+ * @param {('client'|'server')} [options.mode='client'] - Dónde se filtra y pagina. Ver {@link PRODUCTS_MODE}
+ * @param {boolean} [options.syncWithUrl=false] - Guardar el estado del listado en la query string
+ * @param {boolean} [options.infinite=false] - Cargar por tandas en lugar de por páginas
+ *                                             (requiere paginated=true)
  *
  * @returns {Object} Objeto con el estado y funciones de gestión de productos
- * @returns {Array<Object>} return.products - Array de productos (paginado o completo según config)
- * @returns {Array<Object>} return.allProducts - Todos los productos filtrados (sin paginar)
- * @returns {boolean} return.loading - Indicador de estado de carga
- * @returns {string|null} return.error - Mensaje de error, si existe
+ * @returns {Array<Object>} return.products - Array de productos (paginado o completo según config;
+ *                                            con infinite, los cargados hasta ahora)
+ * @returns {Array<Object>} return.allProducts - Todos los productos filtrados (sin paginar).
+ *                                               En modo servidor solo contiene la página actual
+ * @returns {number} return.totalCount - Cantidad total de productos que cumplen los filtros
+ * @returns {boolean} return.loading - Indica que aún no hay datos que mostrar
+ * @returns {boolean} return.isFetching - Indica si hay una solicitud en curso (incluye revalidaciones)
+ * @returns {import('@/app/api/errors').ApiError|null} return.error - Error tipado de la carga, si existe
+ * @returns {('client'|'server')} return.mode - Modo efectivo en uso
  * @returns {number} return.page - Número de página actual (base 0)
+ * @returns {number} return.pageSize - Cantidad de productos por página
  * @returns {number} return.totalPages - Total de páginas disponibles
  * @returns {string} return.searchTerm - Término de búsqueda actual
  * @returns {Object} return.dateRange - Rango de fechas actual
  * @returns {string|null} return.dateRange.start - Fecha inicial en formato 'YYYY-MM-DD'
  * @returns {string|null} return.dateRange.end - Fecha final en formato 'YYYY-MM-DD'
+ * @returns {number[]} return.categoryIds - IDs de las categorías filtradas
+ * @returns {Object} return.priceRange - Rango de precios actual
+ * @returns {number|null} return.priceRange.min - Precio mínimo
+ * @returns {number|null} return.priceRange.max - Precio máximo
+ * @returns {{min: number, max: number}|null} return.priceBounds - Precios mínimo y máximo del catálogo,
+ *                                                                 o null mientras no se conozcan
+ * @returns {Function} return.requestPriceBounds - Pide los límites de precio en modo servidor cuando la
+ *                                                 fuente no sabe ordenar (hay que descargar el catálogo).
+ *                                                 Llamarla al empezar a usar el filtro de precio
+ * @returns {Array<import('@/app/api/productSort').SortCriterion>} return.sort - Orden actual,
+ *                                                                  del principal al secundario
  * @returns {Function} return.setPage - Función para cambiar la página
+ * @returns {Function} return.setPageSize - Función para cambiar el tamaño de página
  * @returns {Function} return.setSearchTerm - Función para actualizar el término de búsqueda
  * @returns {Function} return.setDateRange - Función para actualizar el rango de fechas
+ * @returns {Function} return.setCategoryIds - Función para actualizar las categorías filtradas
+ * @returns {Function} return.setPriceRange - Función para actualizar el rango de precios
+ * @returns {Function} return.clearFilters - Función para quitar la búsqueda y todos los filtros
+ * @returns {Function} return.setSort - Función para reemplazar el orden completo
+ * @returns {Function} return.toggleSort - Función para ordenar por una columna. Recibe el campo
+ *                                         y `{ additive }` para añadirlo como criterio secundario
+ * @returns {string} return.viewQuery - Búsqueda, filtros, orden y tamaño de página como query string
+ * @returns {Function} return.applyViewQuery - Recupera una `viewQuery` guardada (vuelve a la primera página)
  * @returns {Function} return.refreshProducts - Función para recargar productos desde la API
+ * @returns {Function} return.getAllMatchingProducts - Resuelve con los productos filtrados de todas las páginas
+ * @returns {boolean} return.hasMore - Con infinite, quedan productos por cargar
+ * @returns {boolean} return.isLoadingMore - Con infinite, se está cargando una tanda
+ * @returns {import('@/app/api/errors').ApiError|null} return.loadMoreError - Con infinite, error
+ *          de la última tanda; `loadMore` la vuelve a pedir
+ * @returns {Function} return.loadMore - Con infinite, carga la siguiente tanda
  * @returns {Function} return.handleDeleteProduct - Función para eliminar un producto. Recibe el ID del producto
+ *                                                   y resuelve con `{ success, error }`
+ * @returns {Function} return.handleUpdateProduct - Función para modificar campos de un producto. Recibe el ID
+ *                                                   y los campos, y resuelve con `{ success, error }`
  *
  * @example
  * // Uso básico con paginación por defecto
@@ -77,107 +436,413 @@ import dayjs from "dayjs";
  * });
  *
  * @example
+ * // Paginación y filtrado del lado del servidor
+ * const { products, totalCount, page, setPage, setCategoryIds } = useProducts({
+ *   pageSize: 25,
+ *   mode: PRODUCTS_MODE.SERVER
+ * });
+ *
+ * @example
+ * // Estado en la URL: /inventory?q=silla&sort=-price&page=2
+ * const { products, searchTerm, setSearchTerm, pageSize, setPageSize } =
+ *   useProducts({ mode: PRODUCTS_MODE.SERVER, syncWithUrl: true });
+ *
+ * @example
+ * // Orden por categoría y, dentro de cada una, del más caro al más barato
+ * const { toggleSort } = useProducts();
+ * toggleSort("category");
+ * toggleSort("price", { additive: true });
+ *
+ * @example
+ * // Scroll infinito: tandas de 100 mientras queden productos
+ * const { products, hasMore, loadMore } = useProducts({
+ *   mode: PRODUCTS_MODE.SERVER,
+ *   infinite: true,
+ * });
+ *
+ * @example
  * // Sin paginación (todos los productos filtrados)
  * const { products, loading } = useProducts({ paginated: false });
  */
 export const useProducts = (options = {}) => {
-	const { paginated = true, pageSize = 10 } = options;
+	const {
+		paginated = true,
+		pageSize: defaultPageSize = 10,
+		mode = PRODUCTS_MODE.CLIENT,
+		syncWithUrl = false,
+		infinite = false,
+	} = options;
 
 	/**
-	 * @type {[Array<Object>, Function]}
-	 * Almacena todos los productos obtenidos de la API
+	 * @type {[import('@/shared/utils/productListParams').ProductListState, Function]}
+	 * Búsqueda, filtros, orden y paginación cuando no se sincronizan con la URL
 	 */
-	const [allProducts, setAllProducts] = useState([]);
+	const [localState, setLocalState] = useState(() =>
+		createListState(defaultPageSize),
+	);
+
+	const [searchParams, setSearchParams] = useSearchParams();
 
 	/**
-	 * @type {[boolean, Function]}
-	 * Indica si se están cargando los datos de la API
+	 * @type {import('@/shared/utils/productListParams').ProductListState}
+	 * Estado leído de la query string; cambia con atrás/adelante del navegador
+	 */
+	const urlState = useMemo(
+		() => parseListParams(searchParams, defaultPageSize),
+		[searchParams, defaultPageSize],
+	);
+
+	/**
+	 * Estado que se está escribiendo en la URL durante el evento actual.
+	 * Permite encadenar varios setters seguidos sin que el último pise a
+	 * los anteriores (la URL no se actualiza hasta el siguiente render)
+	 */
+	const pendingStateRef = useRef(null);
+
+	const listState = syncWithUrl ? urlState : localState;
+	const {
+		page,
+		pageSize,
+		searchTerm,
+		dateRange,
+		categoryIds,
+		priceRange,
+		sort,
+	} = listState;
+
+	/**
+	 * @type {string}
+	 * Búsqueda, filtros, orden y tamaño de página actuales como query string,
+	 * para guardarlos y recuperarlos con {@link applyViewQuery}
 	 */
-	const [loading, setLoading] = useState(true);
+	const viewQuery = toListQuery(listState, defaultPageSize);
 
 	/**
-	 * @type {[string|null, Function]}
-	 * Almacena el mensaje de error si ocurre algo durante la obtención de datos
+	 * @type {[{viewQuery: string, chunks: number}, Function]}
+	 * Tandas cargadas con scroll infinito y el listado al que corresponden
 	 */
-	const [error, setError] = useState(null);
+	const [infiniteState, setInfiniteState] = useState({ viewQuery, chunks: 1 });
+
+	// Un listado distinto (otros filtros u orden) empieza por la primera tanda
+	if (infiniteState.viewQuery !== viewQuery) {
+		setInfiniteState({ viewQuery, chunks: 1 });
+	}
+	const loadedChunks =
+		infiniteState.viewQuery === viewQuery ? infiniteState.chunks : 1;
+
+	/**
+	 * Aplica cambios al estado del listado, en memoria o en la URL
+	 *
+	 * Cada cambio en la URL crea una entrada en el historial, salvo que se
+	 * pida `replace` o que ya se haya escrito otro cambio en el mismo evento.
+	 *
+	 * @function
+	 * @param {Object} patch - Campos del estado a cambiar
+	 * @param {Object} [options]
+	 * @param {boolean} [options.replace=false] - Reemplazar la entrada actual del historial
+	 * @returns {void}
+	 */
+	const updateListState = (patch, { replace = false } = {}) => {
+		if (!syncWithUrl) {
+			setLocalState((prev) => ({ ...prev, ...patch }));
+			return;
+		}
+		const isBatched = pendingStateRef.current !== null;
+		const next = { ...(pendingStateRef.current ?? urlState), ...patch };
+		if (!isBatched) {
+			queueMicrotask(() => {
+				pendingStateRef.current = null;
+			});
+		}
+		pendingStateRef.current = next;
+		setSearchParams(toListParams(searchParams, next, defaultPageSize), {
+			replace: replace || isBatched,
+		});
+	};
+
+	const hasSearch = searchTerm.trim() !== "";
+	const hasDateFilter = Boolean(dateRange.start || dateRange.end);
+	const hasMultiCategoryFilter = categoryIds.length > 1;
+	const needsClientSort = sort.length > 0 && !supportsServerSort();
+
+	/**
+	 * @type {boolean}
+	 * Modo servidor efectivo: requiere paginación, que no haya búsqueda, filtro
+	 * de fechas ni varias categorías y que la fuente sepa aplicar el orden
+	 * activo. La API solo busca en el título, distinguiendo acentos y sin
+	 * tolerar erratas
+	 */
+	const isServerMode =
+		mode === PRODUCTS_MODE.SERVER &&
+		paginated &&
+		!hasSearch &&
+		!hasDateFilter &&
+		!hasMultiCategoryFilter &&
+		!needsClientSort;
 
 	/**
-	 * @type {[number, Function]}
-	 * Número de página actual (base 0) para la paginación
+	 * @type {Object}
+	 * Filtros que la API sabe resolver, en el formato de productsApi
 	 */
-	const [page, setPage] = useState(0);
+	const serverFilters = useMemo(
+		() => ({
+			categoryId: categoryIds[0] ?? null,
+			priceMin: priceRange.min,
+			priceMax: priceRange.max,
+		}),
+		[categoryIds, priceRange.min, priceRange.max],
+	);
 
 	/**
-	 * @type {[string, Function]}
-	 * Término de búsqueda para filtrar productos por título
+	 * @type {Object}
+	 * Parámetros de la página actual en modo servidor
 	 */
-	const [searchTerm, setSearchTerm] = useState("");
+	const pageParams = {
+		...serverFilters,
+		sort,
+		offset: page * pageSize,
+		limit: pageSize,
+	};
 
 	/**
-	 * @type {[Object, Function]}
-	 * Rango de fechas para filtrar productos por fecha de creación
+	 * Catálogo completo (modo cliente), compartido con cualquier otra
+	 * instancia del hook a través de la caché
 	 */
-	const [dateRange, setDateRange] = useState({
-		start: null,
-		end: null,
+	const listQuery = useQuery(productKeys.list(), fetchAllProducts, {
+		enabled: !isServerMode,
 	});
 
 	/**
-	 * Obtiene todos los productos desde la API
+	 * Página actual (modo servidor). Conserva la página anterior
+	 * mientras carga la siguiente para no vaciar la tabla
+	 */
+	const pageQuery = useQuery(
+		productKeys.page(pageParams),
+		(options) => fetchProductsPage(pageParams, options),
+		{ enabled: isServerMode && !infinite, keepPreviousData: true },
+	);
+
+	/**
+	 * Tandas cargadas con scroll infinito (modo servidor). Son páginas de
+	 * INFINITE_CHUNK_SIZE, así que comparten caché con las de la paginación
+	 */
+	const chunkQueries = useQueries(
+		Array.from({ length: loadedChunks }, (_, index) => {
+			const params = {
+				...serverFilters,
+				sort,
+				offset: index * INFINITE_CHUNK_SIZE,
+				limit: INFINITE_CHUNK_SIZE,
+			};
+			return {
+				key: productKeys.page(params),
+				fetcher: (options) => fetchProductsPage(params, options),
+			};
+		}),
+		{ enabled: isServerMode && infinite, keepPreviousData: true },
+	);
+
+	/**
+	 * Total para los filtros actuales (modo servidor). No depende de la
+	 * página, así que cambiar de página no vuelve a contar. Al revalidar se
+	 * pasa el total en caché para que el adaptador solo tenga que confirmarlo
+	 */
+	const countQuery = useQuery(
+		productKeys.count(serverFilters),
+		({ signal }) =>
+			countProducts(serverFilters, {
+				signal,
+				lastCount: getQueryData(productKeys.count(serverFilters)),
+			}),
+		{
+			enabled: isServerMode,
+			keepPreviousData: true,
+			staleTime: COUNT_STALE_TIME,
+		},
+	);
+
+	/**
+	 * @type {[boolean, Function]}
+	 * Si ya se usó el filtro de precio. Sin orden en la fuente, calcular
+	 * los límites cuesta el catálogo entero y se espera a que hagan falta
+	 */
+	const [priceBoundsRequested, setPriceBoundsRequested] = useState(false);
+
+	/**
+	 * Límites de precio del catálogo (modo servidor). No bloquea la carga:
+	 * hasta que responda, el filtro de precio funciona sin límites
+	 */
+	const priceBoundsQuery = useQuery(
+		productKeys.priceBounds(),
+		fetchPriceBounds,
+		{
+			enabled: isServerMode && (supportsServerSort() || priceBoundsRequested),
+			staleTime: PRICE_BOUNDS_STALE_TIME,
+		},
+	);
+
+	/**
+	 * Pide los límites de precio si aún no se pidieron
 	 *
-	 * Realiza una llamada a la API para obtener el listado completo de productos.
-	 * Gestiona automáticamente los estados de carga y error.
+	 * @function
+	 * @returns {void}
+	 */
+	const requestPriceBounds = () => setPriceBoundsRequested(true);
+
+	const serverListQueries = infinite ? chunkQueries : [pageQuery];
+	const activeQueries = isServerMode
+		? [...serverListQueries, countQuery]
+		: [listQuery];
+
+	/**
+	 * Consultas sin las que no hay nada que mostrar. Las tandas siguientes
+	 * del scroll infinito se cargan con el listado ya visible
+	 */
+	const initialQueries = isServerMode
+		? [serverListQueries[0], countQuery]
+		: [listQuery];
+
+	/**
+	 * @type {boolean}
+	 * true solo cuando no hay nada que mostrar todavía
+	 */
+	const loading = initialQueries.some((query) => query.isLoading);
+
+	/**
+	 * @type {boolean}
+	 * true mientras haya cualquier solicitud en curso, incluidas revalidaciones
+	 */
+	const isFetching = initialQueries.some((query) => query.isFetching);
+
+	/**
+	 * @type {import('@/app/api/errors').ApiError|null}
+	 * Error tipado de la carga; solo se expone si no hay datos en caché que servir
+	 */
+	const error =
+		initialQueries.find((query) => query.error && query.data === undefined)
+			?.error ?? null;
+
+	/**
+	 * @type {number[]}
+	 * Productos eliminados que aún se pueden deshacer: no se muestran aunque
+	 * el servidor todavía los devuelva
+	 */
+	const { pendingDeleteIds } = useSyncExternalStore(
+		subscribeTrash,
+		getTrashState,
+	);
+
+	const allProducts = useMemo(
+		() => withoutPendingDeletes(listQuery.data ?? EMPTY_LIST, pendingDeleteIds),
+		[listQuery.data, pendingDeleteIds],
+	);
+	const pageProducts = withoutPendingDeletes(
+		pageQuery.data ?? EMPTY_LIST,
+		pendingDeleteIds,
+	);
+
+	/**
+	 * Recarga los productos desde la API según el modo activo
 	 *
-	 * @async
 	 * @function
 	 * @returns {Promise<void>}
 	 */
-	const fetchProducts = useCallback(async () => {
-		setLoading(true);
-		setError(null);
-		try {
-			const data = await getAllProducts();
-			setAllProducts(data);
-		} catch (err) {
-			setError("Error al cargar los productos. Por favor, intente nuevamente.");
-			console.error("Error fetching products:", err);
-		} finally {
-			setLoading(false);
-		}
-	}, []);
+	const refreshProducts = async () => {
+		await Promise.allSettled(activeQueries.map((query) => query.refetch()));
+	};
 
-	useEffect(() => {
-		fetchProducts();
-	}, [fetchProducts]);
+	/**
+	 * Crea el setter de un campo del estado que además vuelve a la primera página
+	 *
+	 * @function
+	 * @param {string} key - Campo del estado
+	 * @param {Object} [updateOptions] - Opciones de {@link updateListState}
+	 * @returns {Function} Setter que recibe el nuevo valor
+	 */
+	const resetPageOn = (key, updateOptions) => (value) => {
+		updateListState({ [key]: value, page: 0 }, updateOptions);
+	};
 
 	/**
-	 * @type {Array<Object>}
-	 * Productos filtrados según el término de búsqueda y rango de fechas.
-	 * Incluye solo los productos que coinciden con todos los filtros activos
+	 * Cambia la página actual
+	 *
+	 * @function
+	 * @param {number} value - Página (base 0)
+	 * @returns {void}
 	 */
-	const filteredProducts = allProducts.filter((product) => {
-		// Filter by search term
-		const matchesSearch = product.title
-			.toLowerCase()
-			.includes(searchTerm.toLowerCase());
+	const setPage = (value) => updateListState({ page: value });
 
-		// Filter by date range
-		let matchesDate = true;
-		if (dateRange.start || dateRange.end) {
-			const productDate = dayjs(product.creationAt);
-			if (dateRange.start && productDate.isBefore(dayjs(dateRange.start))) {
-				matchesDate = false;
-			}
-			if (
-				dateRange.end &&
-				productDate.isAfter(dayjs(dateRange.end).endOf("day"))
-			) {
-				matchesDate = false;
-			}
-		}
+	// Escribir en el buscador no debe llenar el historial: una entrada por búsqueda
+	const setSearchTerm = resetPageOn("searchTerm", { replace: true });
+	const setDateRange = resetPageOn("dateRange");
+	const setCategoryIds = resetPageOn("categoryIds");
+	const setPriceRange = resetPageOn("priceRange");
+	const setSort = resetPageOn("sort");
+	const setPageSize = resetPageOn("pageSize");
 
-		return matchesSearch && matchesDate;
-	});
+	/**
+	 * Quita la búsqueda y todos los filtros de una vez (conserva orden y tamaño de página)
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const clearFilters = () => {
+		const { searchTerm, dateRange, categoryIds, priceRange } =
+			createListState(pageSize);
+		updateListState({
+			searchTerm,
+			dateRange,
+			categoryIds,
+			priceRange,
+			page: 0,
+		});
+	};
+
+	/**
+	 * Reemplaza búsqueda, filtros, orden y tamaño de página por los de una
+	 * query guardada (ver {@link viewQuery}) y vuelve a la primera página
+	 *
+	 * @function
+	 * @param {string} query - Query string guardada
+	 * @param {Object} [updateOptions] - Opciones de {@link updateListState}
+	 * @returns {void}
+	 */
+	const applyViewQuery = (query, updateOptions) => {
+		updateListState(parseListQuery(query, defaultPageSize), updateOptions);
+	};
+
+	/**
+	 * Ordena por la columna indicada. Ver {@link getNextSort}
+	 *
+	 * @function
+	 * @param {string} field - Uno de SORT_FIELDS
+	 * @param {Object} [options]
+	 * @param {boolean} [options.additive=false] - Añadirla como criterio secundario
+	 * @returns {void}
+	 */
+	const toggleSort = (field, { additive = false } = {}) => {
+		setSort(getNextSort(sort, field, additive));
+	};
+
+	/**
+	 * @type {Array<Object>}
+	 * Productos filtrados según el término de búsqueda, categoría, precio y rango de fechas.
+	 * Incluye solo los productos que coinciden con todos los filtros activos, ya ordenados:
+	 * por el orden elegido o, si no hay ninguno, por relevancia de la búsqueda
+	 */
+	const filteredProducts = useMemo(
+		() =>
+			sortProducts(
+				filterProducts(allProducts, {
+					searchTerm,
+					dateRange,
+					categoryIds,
+					priceRange,
+				}),
+				sort,
+			),
+		[allProducts, searchTerm, dateRange, categoryIds, priceRange, sort],
+	);
 
 	/**
 	 * @type {Array<Object>}
@@ -185,53 +850,226 @@ export const useProducts = (options = {}) => {
 	 * Si paginated=true, contiene solo los productos de la página actual.
 	 * Si paginated=false, contiene todos los productos filtrados
 	 */
-	const paginatedProducts = paginated
-		? filteredProducts.slice(page * pageSize, (page + 1) * pageSize)
-		: filteredProducts;
+	const paginatedProducts = isServerMode
+		? pageProducts
+		: paginated
+			? filteredProducts.slice(page * pageSize, (page + 1) * pageSize)
+			: filteredProducts;
+
+	/**
+	 * @type {number}
+	 * Cantidad total de productos que cumplen los filtros activos
+	 */
+	const totalCount = isServerMode
+		? (countQuery.data ?? 0)
+		: filteredProducts.length;
 
 	/**
 	 * @type {number}
 	 * Total de páginas disponibles basado en la cantidad de productos filtrados
 	 * y el tamaño de página configurado
 	 */
-	const totalPages = Math.ceil(filteredProducts.length / pageSize);
+	const totalPages = Math.ceil(totalCount / pageSize);
+
+	/**
+	 * @type {Array<Object>}
+	 * Con infinite, productos de las tandas cargadas. En modo servidor se
+	 * detiene en la primera tanda que aún no ha llegado
+	 */
+	let loadedProducts = EMPTY_LIST;
+	if (infinite && isServerMode) {
+		const firstPending = chunkQueries.findIndex(
+			(query) => query.data === undefined,
+		);
+		loadedProducts = withoutPendingDeletes(
+			chunkQueries
+				.slice(0, firstPending === -1 ? undefined : firstPending)
+				.flatMap((query) => query.data),
+			pendingDeleteIds,
+		);
+	} else if (infinite) {
+		loadedProducts = filteredProducts.slice(
+			0,
+			loadedChunks * INFINITE_CHUNK_SIZE,
+		);
+	}
+
+	const lastChunkQuery = chunkQueries[chunkQueries.length - 1];
+
+	/**
+	 * @type {import('@/app/api/errors').ApiError|null}
+	 * Error de la última tanda, si falló sin datos (la primera se expone en `error`)
+	 */
+	const loadMoreError =
+		infinite &&
+		isServerMode &&
+		loadedChunks > 1 &&
+		lastChunkQuery.error &&
+		lastChunkQuery.data === undefined
+			? lastChunkQuery.error
+			: null;
+
+	/** @type {boolean} Hay una tanda del scroll infinito en camino */
+	const isLoadingMore =
+		infinite &&
+		isServerMode &&
+		chunkQueries.slice(1).some((query) => query.isLoading);
+
+	/**
+	 * @type {boolean}
+	 * Quedan productos por cargar. En modo servidor, mientras la última tanda
+	 * venga completa y no se haya llegado al total
+	 */
+	const hasMore = !infinite
+		? false
+		: isServerMode
+			? lastChunkQuery.data?.length === INFINITE_CHUNK_SIZE &&
+				loadedProducts.length < totalCount
+			: loadedProducts.length < filteredProducts.length;
+
+	/**
+	 * Carga la siguiente tanda del scroll infinito, o vuelve a pedir la
+	 * última si falló
+	 *
+	 * @function
+	 * @returns {void}
+	 */
+	const loadMore = () => {
+		if (loadMoreError) {
+			lastChunkQuery.refetch().catch(() => {});
+			return;
+		}
+		if (!hasMore || isLoadingMore) return;
+		setInfiniteState((prev) =>
+			prev.viewQuery === viewQuery
+				? { ...prev, chunks: prev.chunks + 1 }
+				: { viewQuery, chunks: 2 },
+		);
+	};
+
+	/**
+	 * @type {{min: number, max: number}|null}
+	 * Precios mínimo y máximo del catálogo completo
+	 */
+	const priceBounds = useMemo(
+		() =>
+			isServerMode
+				? (priceBoundsQuery.data ?? null)
+				: getPriceBounds(allProducts),
+		[isServerMode, priceBoundsQuery.data, allProducts],
+	);
+
+	/**
+	 * Obtiene todos los productos que cumplen los filtros, de todas las páginas
+	 *
+	 * En modo cliente ya están en memoria; en modo servidor se piden en una
+	 * sola página del tamaño del total.
+	 *
+	 * @async
+	 * @function
+	 * @returns {Promise<Array<Object>>} Productos filtrados y ordenados
+	 */
+	const getAllMatchingProducts = async () => {
+		if (!isServerMode) return filteredProducts;
+		if (totalCount === 0) return [];
+		const products = await getProductsPaginated({
+			...serverFilters,
+			sort,
+			offset: 0,
+			limit: totalCount,
+		});
+		return withoutPendingDeletes(products, getTrashState().pendingDeleteIds);
+	};
 
 	/**
 	 * Elimina un producto de la lista y desde la API
 	 *
-	 * Realiza la llamada a la API para eliminar el producto y,
-	 * si es exitosa, lo remueve del estado local. Si ocurre un error,
-	 * mantiene el producto en la lista.
+	 * La eliminación es optimista: el producto desaparece al instante del
+	 * catálogo y de las páginas en caché (y por tanto de las métricas del
+	 * dashboard). Si la API falla, vuelve a su posición y se devuelve el error
+	 * para que la vista lo notifique. Tras responder la API, las consultas de
+	 * productos se revalidan y la página actual se completa.
 	 *
 	 * @async
 	 * @function
 	 * @param {number} id - Identificador único del producto a eliminar
-	 * @returns {Promise<boolean>} true si la eliminación fue exitosa, false en caso de error
+	 * @returns {Promise<{success: boolean, error: import('@/app/api/errors').ApiError|null}>}
+	 *          Resultado de la eliminación y, si falló, el error tipado
 	 */
 	const handleDeleteProduct = async (id) => {
 		try {
-			await deleteProduct(id);
-			setAllProducts((prev) => prev.filter((p) => p.id !== id));
-			return true;
+			await deleteProductOptimistic(id);
+			return { success: true, error: null };
 		} catch (err) {
 			console.error("Error deleting product:", err);
-			return false;
+			return { success: false, error: err };
+		}
+	};
+
+	/**
+	 * Modifica uno o varios campos de un producto
+	 *
+	 * Igual que la eliminación, el cambio es optimista: el producto se ve
+	 * modificado (y marcado con `isPending`) al instante y, si la API falla,
+	 * recupera sus valores y se devuelve el error.
+	 *
+	 * @async
+	 * @function
+	 * @param {number} id - Identificador único del producto
+	 * @param {Object} changes - Campos a modificar (`title`, `price`, `categoryId`...)
+	 * @returns {Promise<{success: boolean, error: import('@/app/api/errors').ApiError|null}>}
+	 *          Resultado de la modificación y, si falló, el error tipado
+	 */
+	const handleUpdateProduct = async (id, changes) => {
+		try {
+			await updateProductOptimistic(id, changes);
+			return { success: true, error: null };
+		} catch (err) {
+			console.error("Error updating product:", err);
+			return { success: false, error: err };
 		}
 	};
 
 	return {
-		products: paginatedProducts,
-		allProducts: filteredProducts,
+		products: infinite ? loadedProducts : paginatedProducts,
+		allProducts: isServerMode
+			? infinite
+				? loadedProducts
+				: pageProducts
+			: filteredProducts,
+		totalCount,
 		loading,
+		isFetching,
 		error,
+		mode: isServerMode ? PRODUCTS_MODE.SERVER : PRODUCTS_MODE.CLIENT,
 		page,
+		pageSize,
 		totalPages,
 		searchTerm,
 		dateRange,
+		categoryIds,
+		priceRange,
+		priceBounds,
+		requestPriceBounds,
+		sort,
 		setPage,
+		setPageSize,
 		setSearchTerm,
 		setDateRange,
-		refreshProducts: fetchProducts,
+		setCategoryIds,
+		setPriceRange,
+		clearFilters,
+		setSort,
+		toggleSort,
+		viewQuery,
+		applyViewQuery,
+		refreshProducts,
+		getAllMatchingProducts,
+		hasMore,
+		isLoadingMore,
+		loadMoreError,
+		loadMore,
 		handleDeleteProduct,
+		handleUpdateProduct,
 	};
 };
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Hook de lectura de varias consultas a la vez
+ *
+ * Variante de {@link module:shared/hooks/useQuery} para una lista de
+ * consultas de longitud variable, como las páginas ya cargadas de un
+ * listado con scroll infinito. Cada consulta es una entrada normal de
+ * {@link module:app/api/queryCache}, así que las actualizaciones optimistas
+ * y las invalidaciones les llegan igual que a cualquier otra.
+ *
+ * @module shared/hooks/useQueries
+ * @requires react
+ * @requires @/app/api/queryCache
+ */
+
+import {
+	useCallback,
+	useEffect,
+	useMemo,
+	useRef,
+	useState,
+	useSyncExternalStore,
+} from "react";
+import {
+	fetchQuery,
+	getQuerySnapshot,
+	hashQueryKey,
+	subscribeQuery,
+} from "@/app/api/queryCache";
+
+/**
+ * Consulta de la lista
+ *
+ * @typedef {Object} QueryDefinition
+ * @property {import('@/app/api/queryCache').QueryKey} key - Clave de la consulta
+ * @property {function({signal: AbortSignal}): Promise<*>} fetcher - Función que obtiene los datos
+ */
+
+/**
+ * Hook useQueries - Lee y revalida varias consultas de la caché compartida
+ *
+ * Con `keepPreviousData`, mientras la primera consulta de una lista nueva no
+ * tenga datos cada posición devuelve los datos que tenía en la lista
+ * anterior (por ejemplo, al cambiar un filtro no se vacía el listado).
+ *
+ * @function
+ * @param {Array<QueryDefinition>} queries - Consultas, en orden
+ * @param {Object} [options={}] - Opciones
+ * @param {boolean} [options.enabled=true] - Si es false no se solicita nada
+ * @param {number} [options.staleTime] - Milisegundos durante los que los datos son frescos
+ * @param {boolean} [options.keepPreviousData=false] - Mantiene los resultados de la lista
+ *                                                     anterior mientras carga la nueva
+ * @returns {Array<import('./useQuery').UseQueryReturn>} Un resultado por consulta
+ *
+ * @example
+ * const pages = useQueries(
+ *   [0, 1, 2].map((index) => ({
+ *     key: productKeys.page({ offset: index * 100, limit: 100 }),
+ *     fetcher: ({ signal }) =>
+ *       getProductsPaginated({ offset: index * 100, limit: 100 }, { signal }),
+ *   })),
+ * );
+ */
+export const useQueries = (queries, options = {}) => {
+	const { enabled = true, staleTime, keepPreviousData = false } = options;
+
+	const keysHash = hashQueryKey(queries.map((query) => query.key));
+
+	/**
+	 * @type {Array<import('@/app/api/queryCache').QueryKey>}
+	 * Claves estables mientras su contenido no cambie
+	 */
+	const queryKeys = useMemo(() => JSON.parse(keysHash), [keysHash]);
+
+	/**
+	 * @type {React.MutableRefObject<Array<Function>>}
+	 * Última versión de los fetchers, para no depender de su identidad
+	 */
+	const fetchersRef = useRef(queries.map((query) => query.fetcher));
+
+	useEffect(() => {
+		fetchersRef.current = queries.map((query) => query.fetcher);
+	});
+
+	/**
+	 * @type {React.MutableRefObject<Array<import('@/app/api/queryCache').QuerySnapshot>>}
+	 * Último array de snapshots entregado; se reutiliza mientras ninguno cambie
+	 */
+	const snapshotsRef = useRef([]);
+
+	const subscribe = useCallback(
+		(listener) => {
+			const unsubscribers = queryKeys.map((key) =>
+				subscribeQuery(key, listener),
+			);
+			return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+		},
+		[queryKeys],
+	);
+	const getSnapshot = useCallback(() => {
+		const next = queryKeys.map(getQuerySnapshot);
+		const previous = snapshotsRef.current;
+		if (
+			next.length === previous.length &&
+			next.every((snapshot, index) => snapshot === previous[index])
+		) {
+			return previous;
+		}
+		snapshotsRef.current = next;
+		return next;
+	}, [queryKeys]);
+	const snapshots = useSyncExternalStore(subscribe, getSnapshot);
+
+	/**
+	 * Lanza la consulta de una posición con el fetcher vigente
+	 *
+	 * @function
+	 * @param {number} index - Posición de la consulta
+	 * @param {boolean} force - Ignora la frescura de los datos
+	 * @returns {Promise<*>}
+	 */
+	const runQuery = useCallback(
+		(index, force) =>
+			fetchQuery(queryKeys[index], fetchersRef.current[index], {
+				staleTime,
+				force,
+			}),
+		[queryKeys, staleTime],
+	);
+
+	useEffect(() => {
+		if (!enabled) return;
+		queryKeys.forEach((_, index) => runQuery(index, false).catch(() => {}));
+	}, [enabled, queryKeys, runQuery]);
+
+	/**
+	 * @type {[Array<import('@/app/api/queryCache').QuerySnapshot>, Function]}
+	 * Últimos snapshots con la primera consulta resuelta (para keepPreviousData)
+	 */
+	const [previousSnapshots, setPreviousSnapshots] = useState(snapshots);
+	const hasFirstData = snapshots[0]?.data !== undefined;
+	if (hasFirstData && snapshots !== previousSnapshots) {
+		setPreviousSnapshots(snapshots);
+	}
+
+	const showPrevious = !hasFirstData && keepPreviousData;
+
+	return snapshots.map((snapshot, index) => {
+		const data = showPrevious ? previousSnapshots[index]?.data : snapshot.data;
+		return {
+			data,
+			error: snapshot.error,
+			isLoading: enabled && data === undefined && snapshot.status !== "error",
+			isFetching: snapshot.isFetching,
+			refetch: () => runQuery(index, true),
+		};
+	});
+};
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Hook de lectura sobre la caché de consultas compartida
+ *
+ * Conecta un componente a una entrada de {@link module:app/api/queryCache}:
+ * - Muestra al instante los datos en caché, aunque estén obsoletos
+ * - Revalida en segundo plano al montar o al cambiar la clave
+ * - Comparte la solicitud con otros componentes que usen la misma clave
+ * - Se vuelve a renderizar cuando la caché cambia (invalidaciones incluidas)
+ * - Aborta la solicitud si el componente se desmonta o cambia de clave
+ *   antes de que responda (si nadie más la está usando)
+ *
+ * @module shared/hooks/useQuery
+ * @requires react
+ * @requires @/app/api/queryCache
+ */
+
+import {
+	useCallback,
+	useEffect,
+	useMemo,
+	useRef,
+	useState,
+	useSyncExternalStore,
+} from "react";
+import {
+	fetchQuery,
+	getQuerySnapshot,
+	hashQueryKey,
+	subscribeQuery,
+} from "@/app/api/queryCache";
+
+/**
+ * @typedef {Object} UseQueryReturn
+ * @property {*} data - Datos de la consulta (undefined mientras no haya)
+ * @property {*} error - Error de la última solicitud, o null
+ * @property {boolean} isLoading - true si no hay datos que mostrar y se están solicitando
+ * @property {boolean} isFetching - true si hay una solicitud en curso, incluidas revalidaciones
+ * @property {function(): Promise<*>} refetch - Fuerza una nueva solicitud
+ */
+
+/**
+ * Hook useQuery - Lee y revalida una consulta de la caché compartida
+ *
+ * @function
+ * @param {import('@/app/api/queryCache').QueryKey} key - Clave de la consulta
+ * @param {function({signal: AbortSignal}): Promise<*>} fetcher - Función que obtiene los datos.
+ *                                      Recibe la señal de cancelación de la solicitud
+ * @param {Object} [options={}] - Opciones
+ * @param {boolean} [options.enabled=true] - Si es false no se solicita nada
+ * @param {number} [options.staleTime] - Milisegundos durante los que los datos son frescos
+ * @param {boolean} [options.keepPreviousData=false] - Mientras carga una clave nueva,
+ *                                                     mantiene los datos de la anterior
+ * @returns {UseQueryReturn}
+ *
+ * @example
+ * const { data: categories = [], isLoading } = useQuery(
+ *   categoryKeys.list(),
+ *   ({ signal }) => getCategories({ signal }),
+ *   { staleTime: 5 * 60 * 1000 },
+ * );
+ */
+export const useQuery = (key, fetcher, options = {}) => {
+	const { enabled = true, staleTime, keepPreviousData = false } = options;
+
+	const keyHash = hashQueryKey(key);
+
+	/**
+	 * @type {import('@/app/api/queryCache').QueryKey}
+	 * Clave estable mientras su contenido no cambie
+	 */
+	const queryKey = useMemo(() => JSON.parse(keyHash), [keyHash]);
+
+	/**
+	 * @type {React.MutableRefObject<Function>}
+	 * Última versión del fetcher, para no depender de su identidad
+	 */
+	const fetcherRef = useRef(fetcher);
+
+	useEffect(() => {
+		fetcherRef.current = fetcher;
+	});
+
+	const subscribe = useCallback(
+		(listener) => subscribeQuery(queryKey, listener),
+		[queryKey],
+	);
+	const getSnapshot = useCallback(() => getQuerySnapshot(queryKey), [queryKey]);
+	const snapshot = useSyncExternalStore(subscribe, getSnapshot);
+
+	/**
+	 * Lanza la consulta con el fetcher vigente para la clave actual
+	 *
+	 * @function
+	 * @param {boolean} force - Ignora la frescura de los datos
+	 * @returns {Promise<*>}
+	 */
+	const runQuery = useCallback(
+		(force) =>
+			fetchQuery(queryKey, fetcherRef.current, { staleTime, force }),
+		[queryKey, staleTime],
+	);
+
+	useEffect(() => {
+		if (!enabled) return;
+		runQuery(false).catch(() => {});
+	}, [enabled, runQuery]);
+
+	/**
+	 * @type {[*, Function]}
+	 * Últimos datos recibidos con cualquier clave (para keepPreviousData)
+	 */
+	const [previousData, setPreviousData] = useState(snapshot.data);
+	if (snapshot.data !== undefined && snapshot.data !== previousData) {
+		setPreviousData(snapshot.data);
+	}
+
+	const data =
+		snapshot.data === undefined && keepPreviousData
+			? previousData
+			: snapshot.data;
+
+	const refetch = useCallback(() => runQuery(true), [runQuery]);
+
+	return {
+		data,
+		error: snapshot.error,
+		isLoading: enabled && data === undefined && snapshot.status !== "error",
+		isFetching: snapshot.isFetching,
+		refetch,
+	};
+};
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Utilidades de presentación de errores de la API
+ *
+ * Traduce los {@link module:app/api/errors~ApiError} a textos en español
+ * y decide qué acciones tiene sentido ofrecer al usuario:
+ * - Título y mensaje por tipo de error
+ * - Si el error admite reintento
+ * - Mensaje compuesto para notificaciones (Snackbar)
+ *
+ * @module shared/utils/apiErrors
+ * @requires @/app/api/errors
+ */
+
+import { API_ERROR_TYPES, isApiError } from "@/app/api/errors";
+
+/**
+ * @typedef {Object} ErrorDetails
+ * @property {string} title - Título corto del error
+ * @property {string} message - Explicación para el usuario
+ * @property {('error'|'warning')} severity - Severidad visual
+ * @property {boolean} retryable - Indica si reintentar puede resolverlo
+ */
+
+/**
+ * Textos y comportamiento por tipo de error
+ * @constant {Object<string, ErrorDetails>}
+ */
+const ERROR_DETAILS = {
+	[API_ERROR_TYPES.NETWORK]: {
+		title: "Sin conexión",
+		message:
+			"No se pudo contactar con el servidor. Comprueba tu conexión a internet.",
+		severity: "error",
+		retryable: true,
+	},
+	[API_ERROR_TYPES.TIMEOUT]: {
+		title: "Tiempo de espera agotado",
+		message: "El servidor tardó demasiado en responder.",
+		severity: "error",
+		retryable: true,
+	},
+	[API_ERROR_TYPES.VALIDATION]: {
+		title: "Datos no válidos",
+		message: "Revisa los campos marcados e inténtalo de nuevo.",
+		severity: "error",
+		retryable: false,
+	},
+	[API_ERROR_TYPES.UNAUTHORIZED]: {
+		title: "Sesión no válida",
+		message: "Tu sesión no es válida o ha expirado. Vuelve a iniciar sesión.",
+		severity: "error",
+		retryable: false,
+	},
+	[API_ERROR_TYPES.FORBIDDEN]: {
+		title: "Acceso denegado",
+		message: "No tienes permisos para realizar esta acción.",
+		severity: "error",
+		retryable: false,
+	},
+	[API_ERROR_TYPES.NOT_FOUND]: {
+		title: "No encontrado",
+		message: "El elemento solicitado no existe o fue eliminado.",
+		severity: "warning",
+		retryable: false,
+	},
+	[API_ERROR_TYPES.CONFLICT]: {
+		title: "Conflicto",
+		message:
+			"Ya existe un registro con esos datos. Modifica los valores e inténtalo de nuevo.",
+		severity: "warning",
+		retryable: false,
+	},
+	[API_ERROR_TYPES.SERVER]: {
+		title: "Error del servidor",
+		message: "El servidor tuvo un problema. Inténtalo de nuevo más tarde.",
+		severity: "error",
+		retryable: true,
+	},
+	[API_ERROR_TYPES.STORAGE_FULL]: {
+		title: "Almacenamiento lleno",
+		message:
+			"El almacenamiento del navegador está lleno. Elimina productos o imágenes del catálogo local, o restablécelo.",
+		severity: "error",
+		retryable: false,
+	},
+	[API_ERROR_TYPES.UNKNOWN]: {
+		title: "Error",
+		message: "Ocurrió un error inesperado.",
+		severity: "error",
+		retryable: true,
+	},
+};
+
+/**
+ * Obtiene los detalles de presentación de un error
+ *
+ * Acepta también cadenas de texto (se tratan como error desconocido
+ * con ese mensaje) para compatibilidad con código anterior.
+ *
+ * @function
+ * @param {import('@/app/api/errors').ApiError|Error|string|null} error - Error a describir
+ * @returns {ErrorDetails}
+ *
+ * @example
+ * getErrorDetails(error).title;
+ * // Retorna: "Sin conexión"
+ */
+export const getErrorDetails = (error) => {
+	if (typeof error === "string") {
+		return { ...ERROR_DETAILS[API_ERROR_TYPES.UNKNOWN], message: error };
+	}
+	const type = isApiError(error) ? error.type : API_ERROR_TYPES.UNKNOWN;
+	return ERROR_DETAILS[type] || ERROR_DETAILS[API_ERROR_TYPES.UNKNOWN];
+};
+
+/**
+ * Indica si tiene sentido ofrecer "Reintentar" para un error
+ *
+ * @function
+ * @param {*} error - Error a evaluar
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => getErrorDetails(error).retryable;
+
+/**
+ * Indica si un error es de un tipo concreto
+ *
+ * @function
+ * @param {*} error - Error a evaluar
+ * @param {string} type - Uno de API_ERROR_TYPES
+ * @returns {boolean}
+ */
+export const isErrorType = (error, type) =>
+	isApiError(error) && error.type === type;
+
+/**
+ * Compone el mensaje de una notificación de error
+ *
+ * @function
+ * @param {*} error - Error ocurrido
+ * @param {string} context - Qué se estaba intentando (ej: "Error al eliminar el producto")
+ * @returns {string} Mensaje con el contexto y la explicación del tipo de error
+ *
+ * @example
+ * getErrorMessage(error, "Error al eliminar el producto");
+ * // Retorna: "Error al eliminar el producto. No se pudo contactar con el servidor. ..."
+ */
+export const getErrorMessage = (error, context) =>
+	`${context}. ${getErrorDetails(error).message}`;
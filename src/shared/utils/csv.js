@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Lectura y escritura de CSV
+ *
+ * Utilidades mínimas compatibles con RFC 4180 y con lo que generan las
+ * hojas de cálculo habituales:
+ * - Escritura con BOM de UTF-8 y saltos de línea CRLF, para que Excel
+ *   respete los acentos
+ * - Lectura con comillas, comillas escapadas y saltos de línea dentro de
+ *   una celda; el separador (coma o punto y coma) se detecta solo
+ * - Protección contra fórmulas: al escribir, las celdas que una hoja de
+ *   cálculo ejecutaría llevan delante un apóstrofo, que la lectura quita,
+ *   así que exportar e importar devuelve el mismo texto
+ *
+ * @module shared/utils/csv
+ */
+
+/** @constant {string} CSV_SEPARATOR - Separador de campos al escribir */
+const CSV_SEPARATOR = ",";
+
+/** @constant {string} LIST_SEPARATOR - Separador de valores múltiples dentro de una celda */
+export const LIST_SEPARATOR = " | ";
+
+/**
+ * Inicios de celda que se protegen con un apóstrofo: los que una hoja de
+ * cálculo ejecutaría y los ya protegidos, para que leerlos no pierda un
+ * apóstrofo que formaba parte del texto
+ * @constant {RegExp}
+ */
+const FORMULA_PREFIX = /^'*[=+\-@]/;
+
+/**
+ * BOM de UTF-8: sin él, Excel abre el CSV con otra codificación y rompe
+ * los acentos
+ * @constant {string}
+ */
+const UTF8_BOM = "\uFEFF";
+
+/**
+ * Escapa un valor para una celda CSV (RFC 4180)
+ *
+ * Los arrays se unen con {@link LIST_SEPARATOR}. Los textos (también los
+ * arrays unidos) que empiezan por `=`, `+`, `-` o `@` se prefijan con un
+ * apóstrofo para que Excel no los interprete como fórmulas;
+ * {@link parseCsv} lo quita. Los números no se protegen: `-5` es un valor.
+ *
+ * @function
+ * @param {*} value - Valor de la celda
+ * @returns {string}
+ *
+ * @example
+ * toCsvCell('Silla "Nórdica", roble');
+ * // Retorna: '"Silla ""Nórdica"", roble"'
+ */
+export const toCsvCell = (value) => {
+	if (value == null) return "";
+	let text = Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value);
+	if (typeof value !== "number" && FORMULA_PREFIX.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Compone el contenido de un archivo CSV
+ *
+ * @function
+ * @param {Array<Array<*>>} rows - Filas, la primera suele ser el encabezado
+ * @returns {string} Contenido del archivo, con BOM para Excel
+ *
+ * @example
+ * toCsvContent([["ID", "Título"], [1, "Silla"]]);
+ * // Retorna: "\uFEFFID,Título\r\n1,Silla"
+ */
+export const toCsvContent = (rows) =>
+	UTF8_BOM +
+	rows.map((row) => row.map(toCsvCell).join(CSV_SEPARATOR)).join("\r\n");
+
+/**
+ * Elige el separador de un CSV a partir de su primera línea
+ *
+ * Las hojas de cálculo configuradas en español suelen exportar con punto
+ * y coma, porque la coma es el separador decimal.
+ *
+ * @function
+ * @param {string} text - Contenido del archivo
+ * @returns {string} `","` o `";"`
+ */
+const detectSeparator = (text) => {
+	const firstLine = text.slice(0, text.search(/\r?\n|$/));
+	const count = (char) => firstLine.split(char).length - 1;
+	return count(";") > count(",") ? ";" : ",";
+};
+
+/**
+ * Lee un CSV
+ *
+ * Ignora el BOM y las filas vacías. No interpreta los valores: todas las
+ * celdas se devuelven como texto, sin el apóstrofo con el que
+ * {@link toCsvCell} protege las fórmulas.
+ *
+ * @function
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<string[]>} Filas con sus celdas
+ *
+ * @example
+ * parseCsv('titulo;precio\n"Silla ""Nórdica""";12,5');
+ * // Retorna: [["titulo", "precio"], ['Silla "Nórdica"', "12,5"]]
+ */
+export const parseCsv = (text) => {
+	const content = text.startsWith(UTF8_BOM) ? text.slice(1) : text;
+	const separator = detectSeparator(content);
+	const rows = [];
+	let row = [];
+	let cell = "";
+	let inQuotes = false;
+
+	const endCell = () => {
+		row.push(FORMULA_PREFIX.test(cell) ? cell.replace(/^'/, "") : cell);
+		cell = "";
+	};
+
+	const endRow = () => {
+		endCell();
+		if (row.some((value) => value.trim() !== "")) rows.push(row);
+		row = [];
+		cell = "";
+	};
+
+	for (let i = 0; i < content.length; i++) {
+		const char = content[i];
+		if (inQuotes) {
+			if (char === '"' && content[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === separator) {
+			endCell();
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && content[i + 1] === "\n") i++;
+			endRow();
+		} else {
+			cell += char;
+		}
+	}
+	if (cell !== "" || row.length > 0) endRow();
+
+	return rows;
+};
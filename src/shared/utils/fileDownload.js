@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Descarga de archivos generados en el navegador
+ *
+ * @module shared/utils/fileDownload
+ */
+
+/**
+ * Descarga un contenido como archivo
+ *
+ * Crea un enlace temporal a un Blob y lo pulsa; la URL se libera justo
+ * después de iniciar la descarga.
+ *
+ * @function
+ * @param {string|Blob} content - Contenido del archivo
+ * @param {string} filename - Nombre sugerido del archivo
+ * @param {string} mimeType - Tipo MIME (ej: "text/csv;charset=utf-8")
+ * @returns {void}
+ *
+ * @example
+ * downloadFile(JSON.stringify(data), "datos.json", "application/json");
+ */
+export const downloadFile = (content, filename, mimeType) => {
+	const blob =
+		content instanceof Blob ? content : new Blob([content], { type: mimeType });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+};
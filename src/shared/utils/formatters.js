@@ -120,9 +120,9 @@ export const getPlaceholderImage = () => {
 /**
  * Valida si una URL es una URL de imagen válida
  *
- * Verifica que la URL proporcionada sea una URL válida utilizando
- * el constructor de URL del navegador. No valida el tipo de contenido,
- * solo que sea una URL bien formada.
+ * Acepta URLs `http(s)` bien formadas y data URLs de imagen (las que
+ * devuelve la subida de archivos del catálogo local). No comprueba que
+ * el recurso exista ni su tipo de contenido.
  *
  * @function
  * @param {string|null|undefined} url - URL a validar
@@ -137,6 +137,10 @@ export const getPlaceholderImage = () => {
  * // Retorna: false
  *
  * @example
+ * isValidImageUrl("javascript:alert(1)");
+ * // Retorna: false
+ *
+ * @example
  * isValidImageUrl(null);
  * // Retorna: false
  *
@@ -146,9 +150,10 @@ export const getPlaceholderImage = () => {
  */
 export const isValidImageUrl = (url) => {
 	if (!url) return false;
+	if (url.startsWith("data:image/")) return true;
 	try {
-		new URL(url);
-		return true;
+		const { protocol } = new URL(url);
+		return protocol === "http:" || protocol === "https:";
 	} catch {
 		return false;
 	}
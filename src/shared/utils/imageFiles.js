@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Utilidades para archivos de imagen
+ *
+ * Comprobaciones que se hacen en el navegador antes de subir una imagen:
+ * - Tipos de archivo admitidos
+ * - Tamaño máximo
+ * - Tamaño legible para mostrar al usuario
+ *
+ * @module shared/utils/imageFiles
+ */
+
+/**
+ * Tipos MIME de imagen admitidos
+ * @constant {string[]}
+ */
+export const ACCEPTED_IMAGE_TYPES = [
+	"image/jpeg",
+	"image/png",
+	"image/webp",
+	"image/gif",
+];
+
+/**
+ * Tamaño máximo de una imagen: 5 MB
+ * @constant {number}
+ */
+export const MAX_IMAGE_SIZE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Formatea un tamaño en bytes
+ *
+ * @function
+ * @param {number} bytes - Tamaño en bytes
+ * @returns {string} Tamaño con unidad (ej: "1.5 MB")
+ *
+ * @example
+ * formatFileSize(1536);
+ * // Retorna: "1.5 KB"
+ */
+export const formatFileSize = (bytes) => {
+	if (bytes < 1024) return `${bytes} B`;
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Comprueba que un archivo sea una imagen admitida y no supere el tamaño máximo
+ *
+ * @function
+ * @param {File} file - Archivo elegido por el usuario
+ * @returns {string|null} Mensaje de error, o null si el archivo es válido
+ *
+ * @example
+ * const error = validateImageFile(file);
+ * if (error) setError(error);
+ */
+export const validateImageFile = (file) => {
+	if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+		return "Formato no admitido. Usa JPG, PNG, WEBP o GIF.";
+	}
+	if (file.size > MAX_IMAGE_SIZE_BYTES) {
+		return `La imagen pesa ${formatFileSize(file.size)}. El máximo es ${formatFileSize(MAX_IMAGE_SIZE_BYTES)}.`;
+	}
+	return null;
+};
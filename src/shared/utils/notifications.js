@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Notificaciones globales
+ *
+ * Almacén mínimo, fuera de React, para avisos que deben sobrevivir a un
+ * cambio de vista. Por ejemplo, el resultado de una mutación optimista que
+ * llega cuando el formulario que la lanzó ya se desmontó.
+ *
+ * Las vistas siguen usando su propio Snackbar para los avisos locales;
+ * este almacén lo pinta {@link module:shared/components/NotificationCenter}
+ * dentro del Layout.
+ *
+ * @module shared/utils/notifications
+ */
+
+/**
+ * @typedef {Object} NotificationAction
+ * @property {string} label - Texto del botón
+ * @property {Function} onClick - Acción a ejecutar; la notificación se cierra antes
+ */
+
+/**
+ * @typedef {Object} Notification
+ * @property {number} id - Identificador único (cambia con cada aviso)
+ * @property {string} message - Texto del aviso
+ * @property {('success'|'info'|'warning'|'error')} severity - Severidad visual
+ * @property {NotificationAction|null} action - Acción opcional
+ * @property {number|null} autoHideDuration - Milisegundos hasta cerrarse (null: no se cierra solo)
+ */
+
+/** @constant {number} DEFAULT_DURATION - Duración por defecto de un aviso */
+const DEFAULT_DURATION = 4000;
+
+/** @type {Notification|null} */
+let current = null;
+
+/** @type {number} */
+let lastId = 0;
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+/**
+ * Avisa a los suscriptores de un cambio
+ *
+ * @function
+ * @returns {void}
+ */
+const emit = () => {
+	listeners.forEach((listener) => listener());
+};
+
+/**
+ * Muestra un aviso global, sustituyendo al que hubiera
+ *
+ * @function
+ * @param {Object} notification
+ * @param {string} notification.message - Texto del aviso
+ * @param {('success'|'info'|'warning'|'error')} [notification.severity='success'] - Severidad
+ * @param {NotificationAction} [notification.action] - Acción opcional
+ * @param {number|null} [notification.autoHideDuration=4000] - Duración en milisegundos
+ * @returns {number} ID del aviso, para cerrarlo con {@link dismissNotification}
+ *
+ * @example
+ * notify({
+ *   message: "Error al crear el producto",
+ *   severity: "error",
+ *   action: { label: "Reintentar", onClick: retry },
+ * });
+ */
+export const notify = ({
+	message,
+	severity = "success",
+	action = null,
+	autoHideDuration = DEFAULT_DURATION,
+}) => {
+	lastId += 1;
+	current = { id: lastId, message, severity, action, autoHideDuration };
+	emit();
+	return lastId;
+};
+
+/**
+ * Cierra el aviso actual (o solo el indicado, si sigue visible)
+ *
+ * @function
+ * @param {number} [id] - ID del aviso a cerrar
+ * @returns {void}
+ */
+export const dismissNotification = (id) => {
+	if (!current || (id !== undefined && current.id !== id)) return;
+	current = null;
+	emit();
+};
+
+/**
+ * Obtiene el aviso visible
+ *
+ * @function
+ * @returns {Notification|null}
+ */
+export const getNotification = () => current;
+
+/**
+ * Suscribe un listener a los cambios de aviso
+ *
+ * @function
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export const subscribeNotifications = (listener) => {
+	listeners.add(listener);
+	return () => {
+		listeners.delete(listener);
+	};
+};
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Eliminación de productos con opción de deshacer
+ *
+ * Une la eliminación diferida de {@link module:app/api/productTrash} con
+ * los avisos globales: el aviso "Deshacer" y el resultado se ven aunque el
+ * usuario haya cambiado de vista mientras tanto.
+ *
+ * @module shared/utils/productDelete
+ */
+
+import {
+	UNDO_DELETE_DELAY_MS,
+	scheduleProductDelete,
+	undoProductDelete,
+} from "@/app/api/productTrash";
+import { API_ERROR_TYPES } from "@/app/api/errors";
+import { notify } from "./notifications";
+import {
+	getErrorDetails,
+	getErrorMessage,
+	isErrorType,
+	isRetryableError,
+} from "./apiErrors";
+
+/**
+ * Oculta un producto y lo elimina si no se deshace a tiempo
+ *
+ * Muestra un aviso con "Deshacer" mientras dura la espera. Si el servidor
+ * rechaza la eliminación, el producto vuelve a aparecer y el aviso de error
+ * ofrece "Reintentar" cuando tiene sentido.
+ *
+ * @function
+ * @param {Object} product - Producto a eliminar
+ * @param {number} product.id - ID del producto
+ * @param {string} product.title - Título, para los avisos
+ * @returns {void}
+ *
+ * @example
+ * deleteProductWithUndo(product);
+ * navigate("/inventory");
+ */
+export const deleteProductWithUndo = (product) => {
+	notify({
+		message: `"${product.title}" eliminado`,
+		severity: "info",
+		autoHideDuration: UNDO_DELETE_DELAY_MS,
+		action: {
+			label: "Deshacer",
+			onClick: () => {
+				if (undoProductDelete(product.id)) return;
+				notify({
+					message: `"${product.title}" ya se había eliminado. Puedes restaurarlo desde la papelera.`,
+					severity: "warning",
+				});
+			},
+		},
+	});
+
+	scheduleProductDelete(product).catch((deleteError) => {
+		console.error("Error deleting product:", deleteError);
+		if (isErrorType(deleteError, API_ERROR_TYPES.NOT_FOUND)) {
+			notify({
+				message: `"${product.title}" ya no existía. Se actualizó el listado.`,
+				severity: "warning",
+			});
+			return;
+		}
+		notify({
+			message: getErrorMessage(
+				deleteError,
+				`No se pudo eliminar "${product.title}". Se restauró en el inventario`,
+			),
+			severity: getErrorDetails(deleteError).severity,
+			autoHideDuration: null,
+			action: isRetryableError(deleteError)
+				? {
+						label: "Reintentar",
+						onClick: () => deleteProductWithUndo(product),
+					}
+				: undefined,
+		});
+	});
+};
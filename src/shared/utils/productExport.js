@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Exportación de productos a CSV y JSON
+ *
+ * Define las columnas exportables y convierte un listado de productos en el
+ * contenido de un archivo CSV o JSON. Cada columna puede exportarse con el
+ * mismo formato que la interfaz ({@link formatCurrency}, {@link formatDate})
+ * o con su valor sin formato, más cómodo para hojas de cálculo y scripts.
+ *
+ * @module shared/utils/productExport
+ * @requires dayjs
+ */
+
+import dayjs from "dayjs";
+import { formatCurrency, formatDate } from "./formatters";
+import { downloadFile } from "./fileDownload";
+import { toCsvContent } from "./csv";
+
+/**
+ * Formatos de exportación
+ * @constant {Object<string, string>}
+ */
+export const EXPORT_FORMATS = {
+	CSV: "csv",
+	JSON: "json",
+};
+
+/**
+ * Qué productos se exportan: todos los que cumplen los filtros o solo los seleccionados
+ * @constant {Object<string, string>}
+ */
+export const EXPORT_SCOPES = {
+	FILTERED: "filtered",
+	SELECTED: "selected",
+};
+
+/** @constant {string} DATE_TIME_FORMAT - Formato de fechas, el mismo que la tabla */
+const DATE_TIME_FORMAT = "DD/MM/YYYY HH:mm";
+
+/**
+ * Columna exportable
+ *
+ * @typedef {Object} ExportColumn
+ * @property {string} key - Clave de la columna (propiedad en el JSON)
+ * @property {string} label - Encabezado en el CSV y en el selector de columnas
+ * @property {function(Object): *} getValue - Valor sin formato a partir del producto
+ * @property {function(*): string} [format] - Formato de presentación del valor
+ * @property {boolean} [defaultSelected=true] - Si viene marcada por defecto
+ */
+
+/**
+ * Columnas disponibles, en el orden en que se exportan
+ * @constant {Array<ExportColumn>}
+ */
+export const EXPORT_COLUMNS = [
+	{ key: "id", label: "ID", getValue: (p) => p.id },
+	{ key: "title", label: "Título", getValue: (p) => p.title },
+	{
+		key: "slug",
+		label: "Slug",
+		getValue: (p) => p.slug ?? null,
+		defaultSelected: false,
+	},
+	{
+		key: "categoryId",
+		label: "ID de categoría",
+		getValue: (p) => p.category?.id ?? null,
+		defaultSelected: false,
+	},
+	{
+		key: "category",
+		label: "Categoría",
+		getValue: (p) => p.category?.name ?? null,
+	},
+	{
+		key: "price",
+		label: "Precio",
+		getValue: (p) => Number(p.price),
+		format: formatCurrency,
+	},
+	{
+		key: "description",
+		label: "Descripción",
+		getValue: (p) => p.description ?? null,
+		defaultSelected: false,
+	},
+	{
+		key: "images",
+		label: "Imágenes",
+		getValue: (p) => p.images ?? [],
+		defaultSelected: false,
+	},
+	{
+		key: "creationAt",
+		label: "Fecha de creación",
+		getValue: (p) => p.creationAt ?? null,
+		format: (value) => formatDate(value, DATE_TIME_FORMAT),
+	},
+	{
+		key: "updatedAt",
+		label: "Última modificación",
+		getValue: (p) => p.updatedAt ?? null,
+		format: (value) => formatDate(value, DATE_TIME_FORMAT),
+		defaultSelected: false,
+	},
+];
+
+/**
+ * Claves de las columnas marcadas por defecto
+ * @constant {string[]}
+ */
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter(
+	(column) => column.defaultSelected !== false,
+).map((column) => column.key);
+
+/**
+ * Obtiene el valor de una columna para un producto
+ *
+ * @function
+ * @param {ExportColumn} column - Columna
+ * @param {Object} product - Producto
+ * @param {boolean} formatted - Aplicar el formato de presentación
+ * @returns {*} Valor (los vacíos se devuelven como null)
+ */
+const getColumnValue = (column, product, formatted) => {
+	const value = column.getValue(product);
+	if (value == null) return null;
+	return formatted && column.format ? column.format(value) : value;
+};
+
+/**
+ * Convierte productos en CSV
+ *
+ * @function
+ * @param {Array<Object>} products - Productos a exportar
+ * @param {string[]} columnKeys - Claves de las columnas, ver {@link EXPORT_COLUMNS}
+ * @param {Object} [options]
+ * @param {boolean} [options.formatted=true] - Moneda y fechas con el formato de la interfaz
+ * @returns {string} Contenido del archivo, con BOM para Excel
+ */
+export const toCsv = (products, columnKeys, { formatted = true } = {}) => {
+	const columns = EXPORT_COLUMNS.filter((c) => columnKeys.includes(c.key));
+	const rows = products.map((product) =>
+		columns.map((column) => getColumnValue(column, product, formatted)),
+	);
+	return toCsvContent([columns.map((c) => c.label), ...rows]);
+};
+
+/**
+ * Convierte productos en JSON
+ *
+ * @function
+ * @param {Array<Object>} products - Productos a exportar
+ * @param {string[]} columnKeys - Claves de las columnas, ver {@link EXPORT_COLUMNS}
+ * @param {Object} [options]
+ * @param {boolean} [options.formatted=false] - Moneda y fechas con el formato de la interfaz
+ * @returns {string} Array de objetos con una propiedad por columna
+ */
+export const toJson = (products, columnKeys, { formatted = false } = {}) => {
+	const columns = EXPORT_COLUMNS.filter((c) => columnKeys.includes(c.key));
+	const rows = products.map((product) =>
+		Object.fromEntries(
+			columns.map((column) => [
+				column.key,
+				getColumnValue(column, product, formatted),
+			]),
+		),
+	);
+	return JSON.stringify(rows, null, 2);
+};
+
+/**
+ * Genera y descarga el archivo de exportación
+ *
+ * @function
+ * @param {Array<Object>} products - Productos a exportar
+ * @param {Object} options
+ * @param {string} options.format - Uno de {@link EXPORT_FORMATS}
+ * @param {string[]} options.columns - Claves de las columnas
+ * @param {boolean} options.formatted - Aplicar formato de presentación
+ * @returns {string} Nombre del archivo descargado
+ *
+ * @example
+ * exportProducts(products, { format: "csv", columns: DEFAULT_EXPORT_COLUMNS, formatted: true });
+ * // Descarga "inventario-2024-01-31.csv"
+ */
+export const exportProducts = (products, { format, columns, formatted }) => {
+	const filename = `inventario-${dayjs().format("YYYY-MM-DD")}.${format}`;
+	if (format === EXPORT_FORMATS.JSON) {
+		downloadFile(
+			toJson(products, columns, { formatted }),
+			filename,
+			"application/json",
+		);
+	} else {
+		downloadFile(
+			toCsv(products, columns, { formatted }),
+			filename,
+			"text/csv;charset=utf-8",
+		);
+	}
+	return filename;
+};
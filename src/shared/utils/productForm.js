@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Utilidades del formulario de productos
+ *
+ * Conversión entre los valores que produce `ProductForm` y la forma de
+ * producto que recibe como `initialData`, y las reglas de validación de
+ * sus campos.
+ *
+ * @module shared/utils/productForm
+ */
+
+import { isValidImageUrl } from "./formatters";
+
+/**
+ * Convierte los valores enviados por el formulario en datos iniciales
+ *
+ * Permite volver a abrir el formulario con lo que el usuario había escrito,
+ * por ejemplo cuando el servidor rechaza una mutación optimista.
+ *
+ * @function
+ * @param {Object} values - Valores del formulario
+ * @param {string} values.title - Título
+ * @param {number|string} values.price - Precio
+ * @param {string} values.description - Descripción
+ * @param {number} values.categoryId - ID de categoría
+ * @param {string[]} values.images - URLs de las imágenes
+ * @returns {Object} Producto parcial aceptado como `initialData`
+ *
+ * @example
+ * <ProductForm initialData={toInitialData(draft)} ... />
+ */
+export const toInitialData = ({
+	title,
+	price,
+	description,
+	categoryId,
+	images,
+}) => ({
+	title,
+	price,
+	description,
+	category: categoryId ? { id: Number(categoryId) } : undefined,
+	images: images ?? [],
+});
+
+/**
+ * Límites de los campos de producto
+ *
+ * Los comparten `ProductForm` y la importación masiva para que un producto
+ * importado cumpla exactamente las mismas reglas que uno creado a mano.
+ *
+ * @constant {Object}
+ */
+export const PRODUCT_FIELD_LIMITS = {
+	title: { minLength: 3, maxLength: 100 },
+	price: { min: 0.01 },
+	description: { minLength: 10, maxLength: 500 },
+};
+
+/**
+ * Convierte un precio escrito por el usuario en número
+ *
+ * Acepta coma decimal, como el formulario, y también el formato de moneda
+ * de la interfaz (`formatCurrency`: `USD 1,234.56`) o con símbolo
+ * (`$1,234.56`).
+ *
+ * @function
+ * @param {number|string} value - Precio
+ * @returns {number} Precio, o NaN si no es un número
+ *
+ * @example
+ * parsePrice("USD 1,234.56"); // Retorna: 1234.56
+ * parsePrice("12,5");      // Retorna: 12.5
+ */
+export const parsePrice = (value) => {
+	if (typeof value === "number") return value;
+	let text = String(value ?? "")
+		.trim()
+		.replace(/^(?:[A-Z]{3}|US)?\s*[$€]?/, "")
+		.replace(/\s/g, "");
+	if (text === "") return NaN;
+	text = text.includes(".") ? text.replace(/,/g, "") : text.replace(",", ".");
+	return Number(text);
+};
+
+/**
+ * Valida un campo de producto con las reglas de `ProductForm`
+ *
+ * Permite validar un campo suelto, por ejemplo al editarlo directamente en
+ * una celda de la tabla del inventario.
+ *
+ * @function
+ * @param {('title'|'price'|'description'|'categoryId'|'images')} field - Campo a validar
+ * @param {*} value - Valor del campo
+ * @returns {string|null} Mensaje de error, o null si es válido
+ *
+ * @example
+ * validateProductField("price", "0"); // Retorna: "El precio debe ser mayor a 0"
+ * validateProductField("title", "Silla"); // Retorna: null
+ */
+export const validateProductField = (field, value) => {
+	switch (field) {
+		case "title":
+		case "description": {
+			const { minLength, maxLength } = PRODUCT_FIELD_LIMITS[field];
+			if (!value) {
+				return field === "title"
+					? "El título es requerido"
+					: "La descripción es requerida";
+			}
+			if (value.length < minLength) return `Mínimo ${minLength} caracteres`;
+			if (value.length > maxLength) return `Máximo ${maxLength} caracteres`;
+			return null;
+		}
+		case "price": {
+			if (value === "" || value == null) return "El precio es requerido";
+			const amount = parsePrice(value);
+			if (Number.isNaN(amount)) return "El precio no es un número";
+			if (amount < PRODUCT_FIELD_LIMITS.price.min) {
+				return "El precio debe ser mayor a 0";
+			}
+			return null;
+		}
+		case "categoryId":
+			return value ? null : "La categoría es requerida";
+		case "images":
+			if (!value?.length) return "Agrega al menos una imagen";
+			if (!value.every(isValidImageUrl)) {
+				return "Hay imágenes con una URL no válida";
+			}
+			return null;
+		default:
+			return null;
+	}
+};
+
+/**
+ * Valida los datos de un producto con las reglas de `ProductForm`
+ *
+ * @function
+ * @param {Object} values - Datos del producto
+ * @param {string} values.title - Título
+ * @param {number|string} values.price - Precio
+ * @param {string} values.description - Descripción
+ * @param {number} values.categoryId - ID de categoría
+ * @param {string[]} values.images - URLs de las imágenes
+ * @returns {Object<string, string>} Mensaje de error por campo; vacío si es válido
+ *
+ * @example
+ * validateProductValues({ title: "ab", price: 0, description: "", categoryId: 0, images: [] });
+ * // Retorna: { title: "Mínimo 3 caracteres", price: "El precio debe ser mayor a 0", ... }
+ */
+export const validateProductValues = ({
+	title,
+	price,
+	description,
+	categoryId,
+	images,
+}) => {
+	const errors = {};
+	Object.entries({ title, price, description, categoryId, images }).forEach(
+		([field, value]) => {
+			const message = validateProductField(field, value);
+			if (message) errors[field] = message;
+		},
+	);
+	return errors;
+};
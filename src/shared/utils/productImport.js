@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Importación masiva de productos desde CSV y JSON
+ *
+ * Cubre los pasos que no dependen de la interfaz:
+ * - Leer el archivo y obtener sus columnas y registros
+ * - Proponer qué columna corresponde a cada campo del producto
+ * - Convertir cada registro en datos de producto, resolver la categoría por
+ *   nombre o ID y validarlo con las reglas de `ProductForm`
+ * - Generar el informe CSV de las filas que no se importaron
+ *
+ * Un archivo exportado desde el inventario se puede volver a importar tal
+ * cual: sus encabezados se reconocen automáticamente.
+ *
+ * @module shared/utils/productImport
+ * @requires dayjs
+ */
+
+import dayjs from "dayjs";
+import { LIST_SEPARATOR, parseCsv, toCsvContent } from "./csv";
+import { downloadFile } from "./fileDownload";
+import { parsePrice, validateProductValues } from "./productForm";
+
+/**
+ * Cantidad máxima de filas por archivo
+ * @constant {number}
+ */
+export const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Tipos de archivo admitidos, para el atributo `accept` del input
+ * @constant {string}
+ */
+export const ACCEPTED_IMPORT_TYPES = ".csv,.json,text/csv,application/json";
+
+/**
+ * Campo de producto importable
+ *
+ * @typedef {Object} ImportField
+ * @property {string} key - Campo del producto (el mismo que usa `ProductForm`)
+ * @property {string} label - Nombre visible
+ * @property {string[]} aliases - Encabezados que se asignan solos al campo,
+ *                                normalizados (ver {@link normalizeText})
+ */
+
+/**
+ * Campos que se pueden asignar a columnas del archivo. Todos son obligatorios,
+ * igual que en el formulario.
+ * @constant {Array<ImportField>}
+ */
+export const IMPORT_FIELDS = [
+	{
+		key: "title",
+		label: "Título",
+		aliases: ["titulo", "title", "nombre", "name"],
+	},
+	{ key: "price", label: "Precio", aliases: ["precio", "price"] },
+	{
+		key: "description",
+		label: "Descripción",
+		aliases: ["descripcion", "description"],
+	},
+	{
+		key: "categoryId",
+		label: "Categoría",
+		aliases: [
+			"categoria",
+			"category",
+			"iddecategoria",
+			"idcategoria",
+			"categoryid",
+		],
+	},
+	{
+		key: "images",
+		label: "Imágenes",
+		aliases: ["imagenes", "images", "imagen", "image", "urls"],
+	},
+];
+
+/**
+ * Normaliza un texto para compararlo: minúsculas, sin acentos ni espacios
+ *
+ * @function
+ * @param {*} value - Texto
+ * @returns {string}
+ *
+ * @example
+ * normalizeText(" ID de Categoría ");
+ * // Retorna: "iddecategoria"
+ */
+const normalizeText = (value) =>
+	String(value ?? "")
+		.normalize("NFD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.replace(/[\s_-]/g, "")
+		.toLowerCase();
+
+/**
+ * Lee un archivo de importación
+ *
+ * Un CSV debe tener una fila de encabezados; un JSON, un array de objetos.
+ *
+ * @async
+ * @function
+ * @param {File} file - Archivo elegido por el usuario
+ * @returns {Promise<{columns: string[], records: Array<Object<string, *>>, firstLine: number}>}
+ *          Columnas del archivo, un objeto por fila y el número de la primera
+ *          fila de datos (2 en un CSV, por el encabezado; 1 en un JSON)
+ * @throws {Error} Con un mensaje para el usuario si el archivo no se puede leer
+ *
+ * @example
+ * const { columns, records, firstLine } = await readImportFile(file);
+ */
+export const readImportFile = async (file) => {
+	const text = await file.text();
+	const isJson = file.type === "application/json" || /\.json$/i.test(file.name);
+
+	let columns;
+	let records;
+	if (isJson) {
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch {
+			throw new Error("El archivo no es un JSON válido");
+		}
+		if (
+			!Array.isArray(data) ||
+			!data.every((item) => item && typeof item === "object")
+		) {
+			throw new Error("El JSON debe contener un array de productos");
+		}
+		columns = [...new Set(data.flatMap((item) => Object.keys(item)))];
+		records = data;
+	} else {
+		const [header = [], ...rows] = parseCsv(text);
+		columns = header.map((column) => column.trim());
+		records = rows.map((row) =>
+			Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ""])),
+		);
+	}
+
+	if (records.length === 0) {
+		throw new Error("El archivo no contiene productos");
+	}
+	if (records.length > MAX_IMPORT_ROWS) {
+		throw new Error(
+			`El archivo tiene ${records.length} filas; el máximo es ${MAX_IMPORT_ROWS}`,
+		);
+	}
+	return { columns, records, firstLine: isJson ? 1 : 2 };
+};
+
+/**
+ * Propone la columna de cada campo según los encabezados del archivo
+ *
+ * @function
+ * @param {string[]} columns - Columnas del archivo
+ * @returns {Object<string, string|null>} Columna asignada a cada campo
+ *
+ * @example
+ * guessColumnMapping(["Título", "Precio", "Categoría"]);
+ * // Retorna: { title: "Título", price: "Precio", description: null, categoryId: "Categoría", images: null }
+ */
+export const guessColumnMapping = (columns) =>
+	Object.fromEntries(
+		IMPORT_FIELDS.map((field) => [
+			field.key,
+			// El orden de los alias marca la preferencia: "Categoría" antes que "ID de categoría"
+			field.aliases
+				.map((alias) =>
+					columns.find((column) => normalizeText(column) === alias),
+				)
+				.find(Boolean) ?? null,
+		]),
+	);
+
+/**
+ * Convierte el valor de la columna de imágenes en una lista de URLs
+ *
+ * @function
+ * @param {*} value - Array (JSON) o texto con URLs separadas por `|` o saltos de línea
+ * @returns {string[]}
+ */
+const toImageList = (value) => {
+	const items = Array.isArray(value)
+		? value
+		: String(value ?? "").split(/[|\n]/);
+	return items.map((item) => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Busca una categoría por nombre (sin distinguir mayúsculas ni acentos) o por ID
+ *
+ * @function
+ * @param {*} value - Valor de la columna de categoría
+ * @param {Array<{id: number, name: string}>} categories - Categorías disponibles
+ * @returns {Object|undefined} Categoría encontrada
+ */
+const findCategory = (value, categories) => {
+	const key = normalizeText(value);
+	return (
+		categories.find((category) => normalizeText(category.name) === key) ??
+		categories.find((category) => String(category.id) === key)
+	);
+};
+
+/**
+ * Fila del archivo lista para importar
+ *
+ * @typedef {Object} ImportRow
+ * @property {number} line - Número de fila en el archivo
+ * @property {Object<string, *>} record - Valores originales de la fila
+ * @property {Object} values - Datos del producto, con la forma que produce `ProductForm`
+ * @property {string} categoryName - Nombre de la categoría resuelta, o el valor original
+ * @property {Object<string, string>} errors - Errores de validación por campo
+ */
+
+/**
+ * Convierte los registros del archivo en filas de producto validadas
+ *
+ * @function
+ * @param {Array<Object<string, *>>} records - Registros leídos con {@link readImportFile}
+ * @param {Object<string, string|null>} mapping - Columna asignada a cada campo
+ * @param {Array<{id: number, name: string}>} categories - Categorías disponibles
+ * @param {number} [firstLine=2] - Número de la primera fila de datos
+ * @returns {Array<ImportRow>}
+ *
+ * @example
+ * const rows = buildImportRows(records, mapping, categories, firstLine);
+ * const valid = rows.filter((row) => isValidImportRow(row));
+ */
+export const buildImportRows = (records, mapping, categories, firstLine = 2) =>
+	records.map((record, index) => {
+		const read = (field) => (mapping[field] ? record[mapping[field]] : "");
+		const text = (field) => String(read(field) ?? "").trim();
+
+		// En un JSON de productos de la API la categoría es un objeto
+		const rawCategory = read("categoryId");
+		const categoryValue = String(
+			(typeof rawCategory === "object" && rawCategory
+				? (rawCategory.name ?? rawCategory.id)
+				: rawCategory) ?? "",
+		).trim();
+
+		const category = findCategory(categoryValue, categories);
+		const values = {
+			title: text("title"),
+			price: text("price"),
+			description: text("description"),
+			categoryId: category?.id ?? 0,
+			images: toImageList(read("images")),
+		};
+
+		const errors = validateProductValues(values);
+		if (!category && categoryValue) {
+			errors.categoryId = `No existe la categoría "${categoryValue}"`;
+		}
+
+		return {
+			line: firstLine + index,
+			record,
+			values: { ...values, price: parsePrice(values.price) },
+			categoryName: category?.name ?? categoryValue,
+			errors,
+		};
+	});
+
+/**
+ * Indica si una fila supera la validación
+ *
+ * @function
+ * @param {ImportRow} row - Fila
+ * @returns {boolean}
+ */
+export const isValidImportRow = (row) => Object.keys(row.errors).length === 0;
+
+/**
+ * Describe los errores de validación de una fila
+ *
+ * @function
+ * @param {Object<string, string>} errors - Errores por campo
+ * @returns {string[]} Un mensaje por campo, precedido de su nombre
+ *
+ * @example
+ * describeRowErrors({ price: "El precio debe ser mayor a 0" });
+ * // Retorna: ["Precio: El precio debe ser mayor a 0"]
+ */
+export const describeRowErrors = (errors) =>
+	IMPORT_FIELDS.filter((field) => errors[field.key]).map(
+		(field) => `${field.label}: ${errors[field.key]}`,
+	);
+
+/**
+ * Descarga el informe de las filas que no se importaron
+ *
+ * Contiene el número de fila, los valores originales (para corregirlos y
+ * volver a importar el mismo archivo) y el motivo.
+ *
+ * @function
+ * @param {Array<{row: ImportRow, messages: string[]}>} entries - Filas y sus errores
+ * @param {string[]} columns - Columnas del archivo original
+ * @returns {string} Nombre del archivo descargado
+ *
+ * @example
+ * downloadImportErrorReport(
+ *   invalidRows.map((row) => ({ row, messages: describeRowErrors(row.errors) })),
+ *   columns,
+ * );
+ */
+export const downloadImportErrorReport = (entries, columns) => {
+	const rows = entries.map(({ row, messages }) => [
+		row.line,
+		...columns.map((column) => row.record[column]),
+		messages.join(LIST_SEPARATOR),
+	]);
+	const filename = `errores-importacion-${dayjs().format("YYYY-MM-DD")}.csv`;
+	downloadFile(
+		toCsvContent([["Fila", ...columns, "Errores"], ...rows]),
+		filename,
+		"text/csv;charset=utf-8",
+	);
+	return filename;
+};
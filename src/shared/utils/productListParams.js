@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Estado del listado de productos en la URL
+ *
+ * Convierte el estado de {@link module:shared/hooks/useProducts} (búsqueda,
+ * filtros, orden y paginación) en parámetros de query string y viceversa,
+ * para que una vista filtrada sobreviva a recargas, se pueda compartir y
+ * funcione con atrás/adelante del navegador.
+ *
+ * Solo se escriben los valores distintos del estado inicial, así la URL de
+ * la vista por defecto queda limpia (`/inventory`). Los valores inválidos
+ * de una URL editada a mano se ignoran.
+ *
+ * @module shared/utils/productListParams
+ * @requires dayjs
+ */
+
+import dayjs from "dayjs";
+import { SORT_DIRECTIONS, SORT_FIELDS } from "@/app/api/productSort";
+
+/**
+ * Nombres de los parámetros de la URL
+ * @constant {Object<string, string>}
+ */
+export const LIST_PARAMS = {
+	SEARCH: "q",
+	DATE_FROM: "from",
+	DATE_TO: "to",
+	CATEGORY: "category",
+	PRICE_MIN: "priceMin",
+	PRICE_MAX: "priceMax",
+	SORT: "sort",
+	PAGE: "page",
+	PAGE_SIZE: "size",
+};
+
+/** @constant {number} MAX_PAGE_SIZE - Tamaño de página máximo aceptado desde la URL */
+const MAX_PAGE_SIZE = 100;
+
+/** @constant {string} DESC_PREFIX - Prefijo de un criterio descendente en `sort` */
+const DESC_PREFIX = "-";
+
+/** @constant {RegExp} DATE_PATTERN - Fechas en formato 'YYYY-MM-DD' */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @constant {Set<string>} VALID_SORT_FIELDS */
+const VALID_SORT_FIELDS = new Set(Object.values(SORT_FIELDS));
+
+/**
+ * Estado del listado de productos
+ *
+ * @typedef {Object} ProductListState
+ * @property {string} searchTerm - Término de búsqueda por título
+ * @property {{start: string|null, end: string|null}} dateRange - Fechas 'YYYY-MM-DD'
+ * @property {number[]} categoryIds - IDs de las categorías (cualquiera de ellas)
+ * @property {{min: number|null, max: number|null}} priceRange - Rango de precios
+ * @property {Array<import('@/app/api/productSort').SortCriterion>} sort - Orden
+ * @property {number} page - Página actual (base 0)
+ * @property {number} pageSize - Productos por página
+ */
+
+/**
+ * Crea el estado inicial del listado
+ *
+ * @function
+ * @param {number} pageSize - Tamaño de página por defecto
+ * @returns {ProductListState}
+ */
+export const createListState = (pageSize) => ({
+	searchTerm: "",
+	dateRange: { start: null, end: null },
+	categoryIds: [],
+	priceRange: { min: null, max: null },
+	sort: [],
+	page: 0,
+	pageSize,
+});
+
+/**
+ * Lee un entero positivo
+ *
+ * @function
+ * @param {string|null} value - Valor del parámetro
+ * @returns {number|null} El entero, o null si falta o no es válido
+ */
+const parsePositiveInt = (value) => {
+	const number = Number(value);
+	return value && Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Lee una lista de IDs separados por comas, p. ej. `1,4`
+ *
+ * @function
+ * @param {string|null} value - Valor del parámetro
+ * @returns {number[]} IDs válidos sin repetir
+ */
+const parseIdList = (value) =>
+	value
+		? [...new Set(value.split(",").map(parsePositiveInt).filter(Boolean))]
+		: [];
+
+/**
+ * Lee un número no negativo
+ *
+ * @function
+ * @param {string|null} value - Valor del parámetro
+ * @returns {number|null}
+ */
+const parsePrice = (value) => {
+	const number = Number(value);
+	return value && Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Lee una fecha en formato 'YYYY-MM-DD'
+ *
+ * @function
+ * @param {string|null} value - Valor del parámetro
+ * @returns {string|null}
+ */
+const parseDate = (value) =>
+	value && DATE_PATTERN.test(value) && dayjs(value).isValid() ? value : null;
+
+/**
+ * Lee la lista de criterios de orden, p. ej. `category,-price`
+ *
+ * @function
+ * @param {string|null} value - Valor del parámetro
+ * @returns {Array<import('@/app/api/productSort').SortCriterion>}
+ */
+const parseSort = (value) => {
+	if (!value) return [];
+	const criteria = [];
+	for (const token of value.split(",")) {
+		const descending = token.startsWith(DESC_PREFIX);
+		const field = descending ? token.slice(DESC_PREFIX.length) : token;
+		if (!VALID_SORT_FIELDS.has(field)) continue;
+		if (criteria.some((criterion) => criterion.field === field)) continue;
+		criteria.push({
+			field,
+			direction: descending ? SORT_DIRECTIONS.DESC : SORT_DIRECTIONS.ASC,
+		});
+	}
+	return criteria.slice(0, 2);
+};
+
+/**
+ * Convierte los criterios de orden en el valor del parámetro `sort`
+ *
+ * @function
+ * @param {Array<import('@/app/api/productSort').SortCriterion>} sort
+ * @returns {string}
+ */
+const serializeSort = (sort) =>
+	sort
+		.map(({ field, direction }) =>
+			direction === SORT_DIRECTIONS.DESC ? `${DESC_PREFIX}${field}` : field,
+		)
+		.join(",");
+
+/**
+ * Lee el estado del listado desde la query string
+ *
+ * @function
+ * @param {URLSearchParams} searchParams - Parámetros de la URL actual
+ * @param {number} defaultPageSize - Tamaño de página si la URL no lo indica
+ * @returns {ProductListState}
+ *
+ * @example
+ * parseListParams(new URLSearchParams("q=silla&sort=-price&page=3"), 10);
+ * // Retorna: { searchTerm: "silla", sort: [{ field: "price", direction: "desc" }], page: 2, ... }
+ */
+export const parseListParams = (searchParams, defaultPageSize) => {
+	const pageSize = parsePositiveInt(searchParams.get(LIST_PARAMS.PAGE_SIZE));
+	const page = parsePositiveInt(searchParams.get(LIST_PARAMS.PAGE));
+
+	return {
+		searchTerm: searchParams.get(LIST_PARAMS.SEARCH) ?? "",
+		dateRange: {
+			start: parseDate(searchParams.get(LIST_PARAMS.DATE_FROM)),
+			end: parseDate(searchParams.get(LIST_PARAMS.DATE_TO)),
+		},
+		categoryIds: parseIdList(searchParams.get(LIST_PARAMS.CATEGORY)),
+		priceRange: {
+			min: parsePrice(searchParams.get(LIST_PARAMS.PRICE_MIN)),
+			max: parsePrice(searchParams.get(LIST_PARAMS.PRICE_MAX)),
+		},
+		sort: parseSort(searchParams.get(LIST_PARAMS.SORT)),
+		page: page ? page - 1 : 0,
+		pageSize:
+			pageSize && pageSize <= MAX_PAGE_SIZE ? pageSize : defaultPageSize,
+	};
+};
+
+/**
+ * Escribe el estado del listado en una copia de la query string
+ *
+ * Conserva los parámetros ajenos al listado. La página se guarda en base 1,
+ * que es como la lee una persona.
+ *
+ * @function
+ * @param {URLSearchParams} searchParams - Parámetros de la URL actual
+ * @param {ProductListState} state - Estado a guardar
+ * @param {number} defaultPageSize - Tamaño de página que no hace falta escribir
+ * @returns {URLSearchParams} Nuevos parámetros
+ */
+export const toListParams = (searchParams, state, defaultPageSize) => {
+	const next = new URLSearchParams(searchParams);
+	const values = {
+		[LIST_PARAMS.SEARCH]: state.searchTerm,
+		[LIST_PARAMS.DATE_FROM]: state.dateRange.start,
+		[LIST_PARAMS.DATE_TO]: state.dateRange.end,
+		[LIST_PARAMS.CATEGORY]: state.categoryIds.join(","),
+		[LIST_PARAMS.PRICE_MIN]: state.priceRange.min,
+		[LIST_PARAMS.PRICE_MAX]: state.priceRange.max,
+		[LIST_PARAMS.SORT]: serializeSort(state.sort),
+		[LIST_PARAMS.PAGE]: state.page > 0 ? state.page + 1 : null,
+		[LIST_PARAMS.PAGE_SIZE]:
+			state.pageSize !== defaultPageSize ? state.pageSize : null,
+	};
+
+	Object.entries(values).forEach(([key, value]) => {
+		if (value == null || value === "") {
+			next.delete(key);
+		} else {
+			next.set(key, String(value));
+		}
+	});
+	return next;
+};
+
+/**
+ * Serializa la búsqueda, los filtros, el orden y el tamaño de página como
+ * query string, sin la página actual
+ *
+ * Es la forma en que se guarda una vista del inventario: compacta, legible
+ * y validada al leerla con {@link parseListQuery}.
+ *
+ * @function
+ * @param {ProductListState} state - Estado del listado
+ * @param {number} defaultPageSize - Tamaño de página que no hace falta escribir
+ * @returns {string} Query string sin `?` (vacía para la vista por defecto)
+ *
+ * @example
+ * toListQuery({ ...state, categoryIds: [1], sort: [{ field: "price", direction: "desc" }] }, 10);
+ * // Retorna: "category=1&sort=-price"
+ */
+export const toListQuery = (state, defaultPageSize) =>
+	toListParams(
+		new URLSearchParams(),
+		{ ...state, page: 0 },
+		defaultPageSize,
+	).toString();
+
+/**
+ * Lee un estado del listado guardado con {@link toListQuery}
+ *
+ * @function
+ * @param {string} query - Query string
+ * @param {number} defaultPageSize - Tamaño de página si la query no lo indica
+ * @returns {ProductListState} Estado en la primera página
+ */
+export const parseListQuery = (query, defaultPageSize) => ({
+	...parseListParams(new URLSearchParams(query), defaultPageSize),
+	page: 0,
+});
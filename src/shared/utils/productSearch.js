@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Búsqueda de productos tolerante a acentos y erratas
+ *
+ * Busca cada palabra del término en el título, la categoría, la descripción
+ * y el ID del producto, sin distinguir mayúsculas ni acentos ("camara"
+ * encuentra "Cámara"). Las palabras de 4 o más letras admiten una errata
+ * (dos a partir de 8): una letra de más, de menos, cambiada o dos letras
+ * intercambiadas. Un producto coincide si todas las palabras aparecen en
+ * alguno de sus campos, y los resultados se ordenan por relevancia: pesa
+ * más coincidir en el título que en la descripción, y una coincidencia
+ * exacta más que una con errata.
+ *
+ * @module shared/utils/productSearch
+ */
+
+/** @constant {RegExp} WORD_PATTERN - Palabras del texto normalizado: letras y dígitos */
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Peso de cada campo en la relevancia
+ * @constant {Object<string, number>}
+ */
+const FIELD_WEIGHTS = {
+	id: 8,
+	title: 4,
+	category: 2,
+	description: 1,
+};
+
+/**
+ * Calidad de cada tipo de coincidencia, de 0 a 1
+ * @constant {Object<string, number>}
+ */
+const MATCH_QUALITY = {
+	WORD_START: 1,
+	INSIDE_WORD: 0.75,
+	FUZZY: 0.5,
+};
+
+/**
+ * Texto normalizado para buscar, con la posición de cada carácter en el original
+ *
+ * @typedef {Object} SearchableText
+ * @property {string} text - Texto sin acentos y en minúsculas
+ * @property {number[]} positions - Índice en el texto original de cada carácter de `text`
+ * @property {Array<{text: string, start: number}>} words - Palabras de `text` y dónde empiezan
+ */
+
+/**
+ * Fragmento coincidente, en índices del texto original
+ *
+ * @typedef {Object} HighlightRange
+ * @property {number} start - Primer carácter
+ * @property {number} end - Carácter siguiente al último
+ */
+
+/**
+ * Quita acentos y pasa a minúsculas un carácter (o par sustituto)
+ *
+ * @function
+ * @param {string} char - Carácter
+ * @returns {string} Puede quedar vacío (marcas diacríticas sueltas) o tener más de un carácter
+ */
+const foldChar = (char) =>
+	char
+		.normalize("NFD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase();
+
+/**
+ * Normaliza un texto para buscar en él conservando las posiciones originales
+ *
+ * @function
+ * @param {*} value - Texto (se convierte a string)
+ * @returns {SearchableText}
+ */
+const toSearchable = (value) => {
+	const original = String(value ?? "");
+	let text = "";
+	const positions = [];
+	let index = 0;
+	for (const char of original) {
+		const folded = foldChar(char);
+		text += folded;
+		for (let i = 0; i < folded.length; i++) positions.push(index);
+		index += char.length;
+	}
+	positions.push(original.length);
+	const words = [...text.matchAll(WORD_PATTERN)].map((match) => ({
+		text: match[0],
+		start: match.index,
+	}));
+	return { text, positions, words };
+};
+
+/**
+ * Separa un término de búsqueda en palabras normalizadas
+ *
+ * @function
+ * @param {string} term - Término escrito por el usuario
+ * @returns {string[]}
+ *
+ * @example
+ * parseSearchTerm("  Cámara  réflex ");
+ * // Retorna: ["camara", "reflex"]
+ */
+const parseSearchTerm = (term) =>
+	toSearchable(term).words.map((word) => word.text);
+
+/**
+ * Erratas que admite una palabra del término según su longitud
+ *
+ * @function
+ * @param {string} token - Palabra normalizada
+ * @returns {number}
+ */
+const getMaxTypos = (token) => {
+	if (token.length >= 8) return 2;
+	if (token.length >= 4) return 1;
+	return 0;
+};
+
+/**
+ * Distancia de edición entre dos palabras (inserciones, borrados,
+ * sustituciones y trasposiciones de letras contiguas)
+ *
+ * Deja de calcular en cuanto se sabe que supera `max`.
+ *
+ * @function
+ * @param {string} a - Primera palabra
+ * @param {string} b - Segunda palabra
+ * @param {number} max - Distancia máxima que interesa
+ * @returns {number} La distancia, o `max + 1` si la supera
+ */
+const getEditDistance = (a, b, max) => {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+	let beforePrevious = [];
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			let value = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + cost,
+			);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				value = Math.min(value, beforePrevious[j - 2] + 1);
+			}
+			current.push(value);
+			rowMin = Math.min(rowMin, value);
+		}
+		if (rowMin > max) return max + 1;
+		beforePrevious = previous;
+		previous = current;
+	}
+	return previous[b.length];
+};
+
+/**
+ * Busca una palabra del término en un texto
+ *
+ * Devuelve todas las apariciones exactas y, si no hay ninguna, las
+ * palabras del texto que se parecen salvo erratas (entera o su comienzo,
+ * para encontrar la palabra mientras se escribe).
+ *
+ * @function
+ * @param {SearchableText} searchable - Texto normalizado
+ * @param {string} token - Palabra normalizada del término
+ * @returns {Array<{start: number, end: number, quality: number}>} Coincidencias en índices de `searchable.text`
+ */
+const findTokenMatches = ({ text, words }, token) => {
+	const matches = [];
+	for (
+		let start = text.indexOf(token);
+		start !== -1;
+		start = text.indexOf(token, start + 1)
+	) {
+		const atWordStart = start === 0 || !/[\p{L}\p{N}]/u.test(text[start - 1]);
+		matches.push({
+			start,
+			end: start + token.length,
+			quality: atWordStart
+				? MATCH_QUALITY.WORD_START
+				: MATCH_QUALITY.INSIDE_WORD,
+		});
+	}
+	if (matches.length > 0) return matches;
+
+	const maxTypos = getMaxTypos(token);
+	if (maxTypos === 0) return matches;
+	for (const word of words) {
+		const wholeDistance = getEditDistance(token, word.text, maxTypos);
+		const prefixDistance =
+			word.text.length > token.length
+				? getEditDistance(token, word.text.slice(0, token.length), maxTypos)
+				: maxTypos + 1;
+		const distance = Math.min(wholeDistance, prefixDistance);
+		if (distance > maxTypos) continue;
+		matches.push({
+			start: word.start,
+			end:
+				word.start +
+				(wholeDistance <= prefixDistance ? word.text.length : token.length),
+			quality: MATCH_QUALITY.FUZZY / distance,
+		});
+	}
+	return matches;
+};
+
+/**
+ * @type {WeakMap<Object, Object<string, SearchableText>>}
+ * Campos normalizados de cada producto. Los productos de la caché no se
+ * modifican (se reemplazan), así que se pueden reutilizar entre búsquedas
+ */
+const searchableProducts = new WeakMap();
+
+/**
+ * Campos normalizados de un producto
+ *
+ * @function
+ * @param {Object} product - Producto
+ * @returns {Object<string, SearchableText>} Por clave de {@link FIELD_WEIGHTS}
+ */
+const getSearchableFields = (product) => {
+	if (!searchableProducts.has(product)) {
+		searchableProducts.set(product, {
+			id: toSearchable(product.id),
+			title: toSearchable(product.title),
+			category: toSearchable(product.category?.name),
+			description: toSearchable(product.description),
+		});
+	}
+	return searchableProducts.get(product);
+};
+
+/**
+ * Relevancia de un producto para las palabras de un término
+ *
+ * El ID solo coincide completo: buscar "4" no debe traer el producto 42.
+ *
+ * @function
+ * @param {Object} product - Producto
+ * @param {string[]} tokens - Palabras normalizadas del término
+ * @returns {number} 0 si alguna palabra no aparece en ningún campo
+ */
+const getSearchScore = (product, tokens) => {
+	const fields = getSearchableFields(product);
+	let score = 0;
+	for (const token of tokens) {
+		let best = fields.id.text === token ? FIELD_WEIGHTS.id : 0;
+		for (const field of ["title", "category", "description"]) {
+			for (const { quality } of findTokenMatches(fields[field], token)) {
+				best = Math.max(best, FIELD_WEIGHTS[field] * quality);
+			}
+		}
+		if (best === 0) return 0;
+		score += best;
+	}
+	return score;
+};
+
+/**
+ * Filtra productos por un término de búsqueda y los ordena por relevancia
+ *
+ * A igual relevancia se conserva el orden recibido.
+ *
+ * @function
+ * @param {Array<Object>} products - Productos
+ * @param {string} term - Término escrito por el usuario
+ * @returns {Array<Object>} Productos que coinciden, del más al menos relevante.
+ *          Sin término, los mismos productos
+ *
+ * @example
+ * searchProducts(products, "camara reflx");
+ * // Retorna: [{ title: "Cámara réflex digital", ... }, ...]
+ */
+export const searchProducts = (products, term) => {
+	const tokens = parseSearchTerm(term);
+	if (tokens.length === 0) return products;
+	return products
+		.map((product) => ({ product, score: getSearchScore(product, tokens) }))
+		.filter(({ score }) => score > 0)
+		.sort((a, b) => b.score - a.score)
+		.map(({ product }) => product);
+};
+
+/**
+ * Fragmentos de un texto que coinciden con un término de búsqueda
+ *
+ * Aplica las mismas reglas que {@link searchProducts}, así que resalta
+ * también las coincidencias con erratas o acentos distintos.
+ *
+ * @function
+ * @param {string} text - Texto mostrado
+ * @param {string} term - Término escrito por el usuario
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - Solo coincide el texto completo (p. ej. un ID)
+ * @returns {Array<HighlightRange>} Fragmentos ordenados y sin solaparse, en índices de `text`
+ *
+ * @example
+ * getHighlightRanges("Cámara réflex", "camara");
+ * // Retorna: [{ start: 0, end: 6 }]
+ */
+export const getHighlightRanges = (text, term, { exact = false } = {}) => {
+	const tokens = parseSearchTerm(term);
+	if (tokens.length === 0 || !text) return [];
+	const searchable = toSearchable(text);
+
+	const matches = exact
+		? tokens
+				.filter((token) => token === searchable.text)
+				.map(() => ({ start: 0, end: searchable.text.length }))
+		: tokens.flatMap((token) => findTokenMatches(searchable, token));
+
+	const ranges = [];
+	matches
+		.map(({ start, end }) => ({
+			start: searchable.positions[start],
+			end: searchable.positions[end],
+		}))
+		.sort((a, b) => a.start - b.start)
+		.forEach((range) => {
+			const last = ranges[ranges.length - 1];
+			if (last && range.start <= last.end) {
+				last.end = Math.max(last.end, range.end);
+			} else {
+				ranges.push(range);
+			}
+		});
+	return ranges;
+};